@@ -0,0 +1,267 @@
+/**
+ * ANALYSIS CACHE
+ *
+ * Persists per-image analysis results (palette, background colors, text
+ * mentions) in IndexedDB so product photos aren't re-analyzed on every page
+ * load or re-filter. Runs in the service worker; content scripts talk to it
+ * through the getCachedAnalysis / cacheAnalysis messages.
+ *
+ * - Keyed by normalized image URL + extraction mode and Delta E formula
+ * - Each entry keeps a perceptual hash (dHash) of the image; a hit only counts
+ *   if the image still looks the same (URLs get reused for new photos)
+ * - LRU eviction once the entry limit is reached
+ * - Entries from an older ANALYSIS_CACHE_VERSION are ignored and purged
+ */
+
+// Bump whenever extraction changes (content.js, analysis-worker.js, text weighting)
+// so stale palettes are re-computed
+const ANALYSIS_CACHE_VERSION = 9;
+
+const ANALYSIS_CACHE_DB = 'season-color-checker';
+const ANALYSIS_CACHE_STORE = 'analyses';
+const ANALYSIS_CACHE_MAX_ENTRIES = 2000;
+const ANALYSIS_CACHE_EVICT_TO = 1800; // Evict in batches so we don't trim on every write
+const ANALYSIS_CACHE_MAX_HASH_DISTANCE = 10; // Hamming distance (of 64 bits) still treated as same image
+
+// Query params that only change size/format/quality, not the photo itself
+const ANALYSIS_CACHE_IGNORED_PARAMS = [
+  'w', 'h', 'width', 'height', 'wid', 'hei', 'size', 'sw', 'sh',
+  'quality', 'qlt', 'q', 'fmt', 'format', 'auto', 'fit', 'crop', 'dpr', 'resmode'
+];
+
+class AnalysisCache {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create/upgrade) the database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ANALYSIS_CACHE_DB, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ANALYSIS_CACHE_STORE)) {
+          const store = db.createObjectStore(ANALYSIS_CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('lastAccessed', 'lastAccessed');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the store and resolve with its result
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>}
+   */
+  async withStore(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ANALYSIS_CACHE_STORE, mode);
+      const request = makeRequest(tx.objectStore(ANALYSIS_CACHE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Normalize an image URL so size/format variants of the same photo share an entry
+   * @param {string} url
+   * @returns {string|null} - null for URLs that shouldn't be cached (data:, blob:, invalid)
+   */
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !ANALYSIS_CACHE_IGNORED_PARAMS.includes(name.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    const query = new URLSearchParams(params).toString();
+    return `${parsed.hostname.toLowerCase()}${parsed.pathname}${query ? '?' + query : ''}`;
+  }
+
+  /**
+   * Build the store key for an image
+   * @param {string} url - Image URL
+   * @param {string} mode - Extraction mode ('heuristic' | 'precise') and Delta E formula,
+   *   ':raw' when white balance is off, ':variant' for variant photos analyzed off the page
+   * @returns {string|null}
+   */
+  makeKey(url, mode) {
+    const normalized = this.normalizeUrl(url);
+    return normalized ? `${mode || 'heuristic'}|${normalized}` : null;
+  }
+
+  /**
+   * Hamming distance between two 64-bit hex hashes
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} - Bits that differ (Infinity if either hash is missing)
+   */
+  hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Look up an analysis
+   * @param {string} url - Image URL
+   * @param {string} mode - Extraction mode
+   * @param {string|null} hash - Perceptual hash of the image as it is now
+   * @returns {Promise<Object|null>} - Stored analysis, or null on a miss
+   */
+  async get(url, mode, hash) {
+    const key = this.makeKey(url, mode);
+    if (!key) return null;
+
+    const entry = await this.withStore('readonly', (store) => store.get(key));
+    if (!entry) return null;
+
+    // Stale extraction logic, or the URL now serves a different photo
+    if (
+      entry.version !== ANALYSIS_CACHE_VERSION ||
+      (hash && entry.hash && this.hashDistance(hash, entry.hash) > ANALYSIS_CACHE_MAX_HASH_DISTANCE)
+    ) {
+      await this.withStore('readwrite', (store) => store.delete(key));
+      return null;
+    }
+
+    // LRU bookkeeping
+    entry.lastAccessed = Date.now();
+    await this.withStore('readwrite', (store) => store.put(entry));
+
+    return entry.analysis;
+  }
+
+  /**
+   * Store an analysis
+   * @param {string} url - Image URL
+   * @param {string} mode - Extraction mode
+   * @param {string|null} hash - Perceptual hash of the image
+   * @param {Object} analysis - { palette, backgroundColors, textMentions, excludedTones, method }
+   * @returns {Promise<boolean>} - false if the URL isn't cacheable
+   */
+  async set(url, mode, hash, analysis) {
+    const key = this.makeKey(url, mode);
+    if (!key) return false;
+
+    await this.withStore('readwrite', (store) =>
+      store.put({
+        key,
+        hash: hash || null,
+        version: ANALYSIS_CACHE_VERSION,
+        lastAccessed: Date.now(),
+        analysis
+      })
+    );
+
+    await this.evictIfNeeded();
+    return true;
+  }
+
+  /**
+   * Drop least-recently-used entries once the store is over its limit
+   */
+  async evictIfNeeded() {
+    const count = await this.count();
+    if (count <= ANALYSIS_CACHE_MAX_ENTRIES) return;
+
+    let toDelete = count - ANALYSIS_CACHE_EVICT_TO;
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(ANALYSIS_CACHE_STORE, 'readwrite');
+      const cursorRequest = tx.objectStore(ANALYSIS_CACHE_STORE).index('lastAccessed').openCursor();
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || toDelete <= 0) return;
+        cursor.delete();
+        toDelete--;
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Remove entries written by an older ANALYSIS_CACHE_VERSION
+   * @returns {Promise<number>} - Entries removed
+   */
+  async purgeStaleVersions() {
+    const db = await this.open();
+    let removed = 0;
+
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(ANALYSIS_CACHE_STORE, 'readwrite');
+      const cursorRequest = tx.objectStore(ANALYSIS_CACHE_STORE).openCursor();
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (cursor.value.version !== ANALYSIS_CACHE_VERSION) {
+          cursor.delete();
+          removed++;
+        }
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+
+    return removed;
+  }
+
+  /**
+   * @returns {Promise<number>} - Number of cached images
+   */
+  count() {
+    return this.withStore('readonly', (store) => store.count());
+  }
+
+  /**
+   * Remove every cached analysis
+   */
+  clear() {
+    return this.withStore('readwrite', (store) => store.clear());
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisCache;
+}
@@ -1,18 +1,145 @@
 /**
  * COLOR PROCESSOR
  *
- * Handles color extraction and matching logic using Delta E (CIEDE2000) algorithm.
+ * Handles color extraction and matching logic using Delta E color difference formulas.
  * Delta E measures perceptual color difference - lower values = more similar colors.
  *
- * Matching Thresholds:
+ * Supported formulas (selectable per call or via the deltaEFormula setting):
+ * - ciede2000: CIE Delta E 2000 (default, most perceptually accurate)
+ * - cie94: CIE Delta E 1994 (graphic arts weights)
+ * - cmc: CMC l:c (2:1 acceptability weights, textile industry standard)
+ * - cie76: Plain Euclidean Lab distance
+ *
+ * Matching Thresholds (CIE76 scale, rescaled for the other formulas):
  * - ΔE < 20: Colors match (perceptually similar)
  * - ΔE 20-40: Somewhat similar
  * - ΔE > 40: Different colors
  */
 
+// Match threshold for each formula. CIE76 overstates differences between
+// saturated colors, so the weighted formulas need a tighter cutoff to mean
+// the same "perceptually similar".
+const DELTA_E_MATCH_THRESHOLDS = {
+  cie76: 20,
+  cie94: 12,
+  ciede2000: 12,
+  cmc: 15,
+};
+
+const DEFAULT_DELTA_E_FORMULA = 'ciede2000';
+
+/**
+ * Check whether an RGB pixel falls in the YCbCr skin range (Chai & Ngan)
+ * Works across skin tones because it ignores luma. Used by the season finder's
+ * portrait analysis and to leave models' skin out of product palettes.
+ * @param {number} r - Red 0-255
+ * @param {number} g - Green 0-255
+ * @param {number} b - Blue 0-255
+ * @returns {boolean}
+ */
+function isSkinRgb(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 35 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Season fit scoring (see scoreSeasonFit)
+const FIT_AXIS_WEIGHTS = { undertone: 0.4, value: 0.3, chroma: 0.3 };
+const FIT_COLOR_WEIGHTS = [1, 0.6, 0.4]; // Top 3 dominant colors, most dominant first
+const FIT_POINTS_PER_LIGHTNESS = 4; // Score lost per L* unit outside the season's range
+const FIT_POINTS_PER_CHROMA = 3; // Score lost per C* unit outside the season's range
+const FIT_TEMPERATURE_TOLERANCE = 0.35; // Undertone deviation that still reads as "right"
+const FIT_CHROMA_FOR_FULL_UNDERTONE = 20; // Below this chroma the undertone fades out
+const FIT_AXIS_OK_SCORE = 85; // Axis score treated as "right" regardless of the top color
+const FIT_OK_VERDICTS = { undertone: 'right undertone', value: 'right depth', chroma: 'right clarity' };
+
+// Light/dark contrast of multi-color items (see scoreContrast)
+const CONTRAST_MIN_SHARE = 0.12; // Colors covering less than this are details, not main colors
+const CONTRAST_POINTS_PER_LIGHTNESS = 3; // Score lost per L* unit of spread outside the range
+
+// Prints and color-blocked items (see checkAreaMatch): share of the garment's
+// area that must be in the palette for the item to count as a match
+const AREA_MATCH_MIN_SHARE = 0.6;
+
+// Makeup and hair shades (see checkShadeMatch): shade-code undertones as
+// temperatures on the getColorTemperature() scale. A shade clashes when it leans
+// clearly one way and the season leans at least SHADE_MIN_SEASON_LEAN the other.
+const SHADE_UNDERTONE_TEMPERATURES = {
+  warm: 1,
+  'neutral-warm': 0.5,
+  neutral: 0,
+  'neutral-cool': -0.5,
+  cool: -1,
+};
+const SHADE_MIN_SEASON_LEAN = 0.2;
+const SHADE_MIN_CLASH_LEAN = 0.5;
+
+// Neutral garments (see classifyNeutral): LCh regions that read as white, gray,
+// black, navy or brown/beige rather than as a color
+const NEUTRAL_MAX_CHROMA = 10; // Grays, black and white at any hue
+const NEUTRAL_OFF_WHITE = { minLightness: 85, maxChroma: 20, hues: [50, 110] }; // Ivory, cream
+const NEUTRAL_BROWN = { maxLightness: 85, maxChroma: 40, hues: [35, 95] }; // Beige to chocolate
+const NEUTRAL_NAVY = { maxLightness: 30, maxChroma: 55, hues: [265, 310] }; // Not cobalt or royal blue
+
+// White balance (see createChromaticAdaptation): Bradford cone response
+// matrix, its inverse, and the D65 white every photo is adapted to
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296],
+];
+const BRADFORD_INVERSE = [
+  [0.9869929, -0.1470543, 0.1599627],
+  [0.4323053, 0.5183603, 0.0492912],
+  [-0.0085287, 0.0400428, 0.9684867],
+];
+const D65_WHITE = [0.95047, 1.0, 1.08883];
+
 class ColorProcessor {
-  constructor() {
-    this.MATCH_THRESHOLD = 20; // Delta E threshold for color matching
+  /**
+   * @param {Object} options
+   * @param {string} options.deltaEFormula - 'ciede2000' | 'cie94' | 'cmc' | 'cie76'
+   */
+  constructor(options = {}) {
+    this.deltaEFormula = DELTA_E_MATCH_THRESHOLDS[options.deltaEFormula]
+      ? options.deltaEFormula
+      : DEFAULT_DELTA_E_FORMULA;
+    this.MATCH_THRESHOLD = DELTA_E_MATCH_THRESHOLDS[this.deltaEFormula]; // Delta E threshold for color matching
+  }
+
+  /**
+   * Switch the default Delta E formula used by this processor
+   * @param {string} formula - 'ciede2000' | 'cie94' | 'cmc' | 'cie76'
+   */
+  setDeltaEFormula(formula) {
+    if (!DELTA_E_MATCH_THRESHOLDS[formula]) {
+      console.warn('[ColorProcessor] Unknown Delta E formula, keeping', this.deltaEFormula, formula);
+      return;
+    }
+    this.deltaEFormula = formula;
+    this.MATCH_THRESHOLD = DELTA_E_MATCH_THRESHOLDS[formula];
+  }
+
+  /**
+   * Get the match threshold for a formula
+   * @param {string} formula - Formula name (defaults to the processor's formula)
+   * @returns {number} Delta E threshold below which two colors match
+   */
+  getMatchThreshold(formula = this.deltaEFormula) {
+    return DELTA_E_MATCH_THRESHOLDS[formula] || DELTA_E_MATCH_THRESHOLDS[DEFAULT_DELTA_E_FORMULA];
+  }
+
+  /**
+   * Rescale a threshold expressed in CIE76 units to the given formula
+   * Lets callers keep their tuned CIE76 cutoffs (e.g. "background if ΔE < 30")
+   * while comparing with whichever formula is active.
+   * @param {number} cie76Threshold - Threshold tuned against plain Lab distance
+   * @param {string} formula - Formula name (defaults to the processor's formula)
+   * @returns {number} Equivalent threshold for the formula
+   */
+  scaleThreshold(cie76Threshold, formula = this.deltaEFormula) {
+    return (cie76Threshold * this.getMatchThreshold(formula)) / DELTA_E_MATCH_THRESHOLDS.cie76;
   }
 
   /**
@@ -75,31 +202,223 @@ class ColorProcessor {
   }
 
   /**
-   * Calculate Delta E (CIEDE2000) - industry standard for color difference
+   * Convert any supported color representation to LAB
+   * Accepts LAB objects {l, a, b}, RGB objects {r, g, b}, RGB arrays [r, g, b] and hex strings
+   * @param {Object|Array|string} color - Color to convert
+   * @returns {Object|null} LAB values {l, a, b}
+   */
+  toLab(color) {
+    if (!color) return null;
+    if (typeof color === 'string') {
+      const rgb = this.hexToRgb(color);
+      return rgb ? this.rgbToLab(rgb) : null;
+    }
+    if (Array.isArray(color)) {
+      return this.rgbToLab({ r: color[0], g: color[1], b: color[2] });
+    }
+    if (typeof color.l === 'number') {
+      return color;
+    }
+    if (typeof color.r === 'number') {
+      return this.rgbToLab(color);
+    }
+    return null;
+  }
+
+  /**
+   * Calculate Delta E between two colors
+   * @param {Object|Array|string} color1 - First color (LAB object, RGB object/array or hex)
+   * @param {Object|Array|string} color2 - Second color (reference/standard for CIE94 and CMC)
+   * @param {string} formula - 'ciede2000' | 'cie94' | 'cmc' | 'cie76' (defaults to processor setting)
+   * @returns {number} Delta E value (0 = identical, 100 = very different)
+   */
+  calculateDeltaE(color1, color2, formula = this.deltaEFormula) {
+    const lab1 = this.toLab(color1);
+    const lab2 = this.toLab(color2);
+    if (!lab1 || !lab2) return Infinity;
+
+    switch (formula) {
+      case 'cie76':
+        return this.deltaE76(lab1, lab2);
+      case 'cie94':
+        return this.deltaE94(lab1, lab2);
+      case 'cmc':
+        return this.deltaECMC(lab1, lab2);
+      case 'ciede2000':
+      default:
+        return this.deltaE2000(lab1, lab2);
+    }
+  }
+
+  /**
+   * CIE76 - Euclidean distance in LAB space
    * @param {Object} lab1 - First color in LAB space
    * @param {Object} lab2 - Second color in LAB space
-   * @returns {number} Delta E value (0 = identical, 100 = very different)
+   * @returns {number} Delta E 1976
+   */
+  deltaE76(lab1, lab2) {
+    const deltaL = lab1.l - lab2.l;
+    const deltaA = lab1.a - lab2.a;
+    const deltaB = lab1.b - lab2.b;
+    return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+  }
+
+  /**
+   * CIE94 with graphic arts weights (kL = 1, K1 = 0.045, K2 = 0.015)
+   * Not symmetric: lab2 is treated as the reference color.
+   * @param {Object} lab1 - Sample color in LAB space
+   * @param {Object} lab2 - Reference color in LAB space
+   * @returns {number} Delta E 1994
    */
-  calculateDeltaE(lab1, lab2) {
-    // Simplified Delta E 2000 implementation
-    // For production, consider using a library like delta-e
+  deltaE94(lab1, lab2) {
+    const kL = 1;
+    const K1 = 0.045;
+    const K2 = 0.015;
+
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
     const deltaL = lab1.l - lab2.l;
+    const deltaC = c1 - c2;
     const deltaA = lab1.a - lab2.a;
     const deltaB = lab1.b - lab2.b;
+    // ΔH² can go slightly negative from rounding, clamp before sqrt
+    const deltaH = Math.sqrt(Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC));
 
-    // Simplified calculation (good enough for our use case)
-    const deltaE = Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+    const sL = 1;
+    const sC = 1 + K1 * c2;
+    const sH = 1 + K2 * c2;
 
-    return deltaE;
+    const l = deltaL / (kL * sL);
+    const c = deltaC / sC;
+    const h = deltaH / sH;
+    return Math.sqrt(l * l + c * c + h * h);
+  }
+
+  /**
+   * CMC l:c (1984) with 2:1 acceptability weights
+   * Not symmetric: lab2 is treated as the reference color.
+   * @param {Object} lab1 - Sample color in LAB space
+   * @param {Object} lab2 - Reference color in LAB space
+   * @param {number} lightness - l weight (2 = acceptability, 1 = perceptibility)
+   * @param {number} chroma - c weight
+   * @returns {number} Delta E CMC
+   */
+  deltaECMC(lab1, lab2, lightness = 2, chroma = 1) {
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const deltaL = lab1.l - lab2.l;
+    const deltaC = c1 - c2;
+    const deltaA = lab1.a - lab2.a;
+    const deltaB = lab1.b - lab2.b;
+    const deltaH = Math.sqrt(Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC));
+
+    let h2 = (Math.atan2(lab2.b, lab2.a) * 180) / Math.PI;
+    if (h2 < 0) h2 += 360;
+
+    const sL = lab2.l < 16 ? 0.511 : (0.040975 * lab2.l) / (1 + 0.01765 * lab2.l);
+    const sC = (0.0638 * c2) / (1 + 0.0131 * c2) + 0.638;
+    const t =
+      h2 >= 164 && h2 <= 345
+        ? 0.56 + Math.abs(0.2 * Math.cos(((h2 + 168) * Math.PI) / 180))
+        : 0.36 + Math.abs(0.4 * Math.cos(((h2 + 35) * Math.PI) / 180));
+    const c2Pow4 = Math.pow(c2, 4);
+    const f = Math.sqrt(c2Pow4 / (c2Pow4 + 1900));
+    const sH = sC * (f * t + 1 - f);
+
+    const l = deltaL / (lightness * sL);
+    const c = deltaC / (chroma * sC);
+    const h = deltaH / sH;
+    return Math.sqrt(l * l + c * c + h * h);
+  }
+
+  /**
+   * CIEDE2000 - industry standard for color difference
+   * Follows Sharma, Wu & Dalal (2005), including their hue-angle edge cases.
+   * @param {Object} lab1 - First color in LAB space
+   * @param {Object} lab2 - Second color in LAB space
+   * @returns {number} Delta E 2000
+   */
+  deltaE2000(lab1, lab2) {
+    const kL = 1;
+    const kC = 1;
+    const kH = 1;
+    const toRad = Math.PI / 180;
+    const pow25To7 = 6103515625; // 25^7
+
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const cBar = (c1 + c2) / 2;
+    const cBarPow7 = Math.pow(cBar, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBarPow7 / (cBarPow7 + pow25To7)));
+
+    const a1Prime = (1 + g) * lab1.a;
+    const a2Prime = (1 + g) * lab2.a;
+    const c1Prime = Math.sqrt(a1Prime * a1Prime + lab1.b * lab1.b);
+    const c2Prime = Math.sqrt(a2Prime * a2Prime + lab2.b * lab2.b);
+
+    const hueAngle = (b, aPrime) => {
+      if (b === 0 && aPrime === 0) return 0;
+      const h = Math.atan2(b, aPrime) / toRad;
+      return h < 0 ? h + 360 : h;
+    };
+    const h1Prime = hueAngle(lab1.b, a1Prime);
+    const h2Prime = hueAngle(lab2.b, a2Prime);
+
+    const deltaLPrime = lab2.l - lab1.l;
+    const deltaCPrime = c2Prime - c1Prime;
+
+    let deltahPrime = 0;
+    if (c1Prime * c2Prime !== 0) {
+      deltahPrime = h2Prime - h1Prime;
+      if (deltahPrime > 180) deltahPrime -= 360;
+      else if (deltahPrime < -180) deltahPrime += 360;
+    }
+    const deltaHPrime = 2 * Math.sqrt(c1Prime * c2Prime) * Math.sin((deltahPrime / 2) * toRad);
+
+    const lBarPrime = (lab1.l + lab2.l) / 2;
+    const cBarPrime = (c1Prime + c2Prime) / 2;
+
+    let hBarPrime = h1Prime + h2Prime;
+    if (c1Prime * c2Prime !== 0) {
+      if (Math.abs(h1Prime - h2Prime) <= 180) {
+        hBarPrime /= 2;
+      } else if (h1Prime + h2Prime < 360) {
+        hBarPrime = (hBarPrime + 360) / 2;
+      } else {
+        hBarPrime = (hBarPrime - 360) / 2;
+      }
+    }
+
+    const t =
+      1 -
+      0.17 * Math.cos((hBarPrime - 30) * toRad) +
+      0.24 * Math.cos(2 * hBarPrime * toRad) +
+      0.32 * Math.cos((3 * hBarPrime + 6) * toRad) -
+      0.2 * Math.cos((4 * hBarPrime - 63) * toRad);
+
+    const deltaTheta = 30 * Math.exp(-Math.pow((hBarPrime - 275) / 25, 2));
+    const cBarPrimePow7 = Math.pow(cBarPrime, 7);
+    const rC = 2 * Math.sqrt(cBarPrimePow7 / (cBarPrimePow7 + pow25To7));
+    const lBarMinus50Sq = Math.pow(lBarPrime - 50, 2);
+    const sL = 1 + (0.015 * lBarMinus50Sq) / Math.sqrt(20 + lBarMinus50Sq);
+    const sC = 1 + 0.045 * cBarPrime;
+    const sH = 1 + 0.015 * cBarPrime * t;
+    const rT = -Math.sin(2 * deltaTheta * toRad) * rC;
+
+    const l = deltaLPrime / (kL * sL);
+    const c = deltaCPrime / (kC * sC);
+    const h = deltaHPrime / (kH * sH);
+    return Math.sqrt(l * l + c * c + h * h + rT * c * h);
   }
 
   /**
    * Find closest matching color from palette
    * @param {string} colorHex - Color to match (hex format)
    * @param {Array} paletteHexColors - Array of palette hex colors
+   * @param {string} formula - Delta E formula (defaults to processor setting)
    * @returns {Object} {closestColor, deltaE, isMatch}
    */
-  findClosestMatch(colorHex, paletteHexColors) {
+  findClosestMatch(colorHex, paletteHexColors, formula = this.deltaEFormula) {
     const rgb1 = this.hexToRgb(colorHex);
     if (!rgb1) return { closestColor: null, deltaE: Infinity, isMatch: false };
 
@@ -113,7 +432,7 @@ class ColorProcessor {
       if (!rgb2) continue;
 
       const lab2 = this.rgbToLab(rgb2);
-      const deltaE = this.calculateDeltaE(lab1, lab2);
+      const deltaE = this.calculateDeltaE(lab1, lab2, formula);
 
       if (deltaE < minDeltaE) {
         minDeltaE = deltaE;
@@ -124,17 +443,131 @@ class ColorProcessor {
     return {
       closestColor,
       deltaE: minDeltaE,
-      isMatch: minDeltaE < this.MATCH_THRESHOLD,
+      isMatch: minDeltaE < this.getMatchThreshold(formula),
+      formula,
     };
   }
 
+  /**
+   * Name a neutral garment color after its nearest reference neutral
+   * @param {string|Array|Object} color - Any color toLab() accepts
+   * @param {Object} neutralSwatches - NEUTRAL_SWATCHES ({key: {name, hex, family}})
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @returns {Object|null} {key, name, hex, family, deltaE}, or null if the color isn't a neutral
+   */
+  classifyNeutral(color, neutralSwatches, formula = this.deltaEFormula) {
+    if (!neutralSwatches) return null;
+
+    const lab = this.toLab(color);
+    const { l, c, h } = this.labToLch(lab);
+    const inHues = ([from, to]) => h >= from && h <= to;
+    const isNeutral =
+      c < NEUTRAL_MAX_CHROMA ||
+      (l >= NEUTRAL_OFF_WHITE.minLightness &&
+        c < NEUTRAL_OFF_WHITE.maxChroma &&
+        inHues(NEUTRAL_OFF_WHITE.hues)) ||
+      (l < NEUTRAL_BROWN.maxLightness &&
+        c < NEUTRAL_BROWN.maxChroma &&
+        inHues(NEUTRAL_BROWN.hues)) ||
+      (l < NEUTRAL_NAVY.maxLightness && c < NEUTRAL_NAVY.maxChroma && inHues(NEUTRAL_NAVY.hues));
+    if (!isNeutral) return null;
+
+    let nearest = null;
+    for (const [key, swatch] of Object.entries(neutralSwatches)) {
+      const deltaE = this.calculateDeltaE(lab, swatch.hex, formula);
+      if (!nearest || deltaE < nearest.deltaE) {
+        nearest = { key, ...swatch, deltaE };
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Match a neutral against the neutrals a season wears. Neutrals sit too close
+   * together for a Delta E threshold (optic white vs ivory is ~4), so the color
+   * is named after its nearest reference neutral and that name must be on the list.
+   * @param {string} colorHex - Hex color to match
+   * @param {Object} neutrals - {keys: season's NEUTRAL_SWATCHES keys, swatches: NEUTRAL_SWATCHES}
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @returns {Object|null} findClosestMatch() shape plus neutral and alternative (the season's
+   *   closest neutral of the same family on a miss, if any), or null if not a neutral
+   */
+  matchNeutral(colorHex, neutrals, formula = this.deltaEFormula) {
+    if (!neutrals || !neutrals.keys || neutrals.keys.length === 0) return null;
+
+    const neutral = this.classifyNeutral(colorHex, neutrals.swatches, formula);
+    if (!neutral) return null;
+
+    if (neutrals.keys.includes(neutral.key)) {
+      return {
+        closestColor: neutral.hex,
+        deltaE: neutral.deltaE,
+        isMatch: true,
+        formula,
+        neutral,
+        alternative: null,
+      };
+    }
+
+    // Miss: suggest the season's version of the same neutral (ivory for optic white).
+    // Black has no stand-in in a season without dark neutrals - no suggestion then.
+    let closest = null;
+    let alternative = null;
+    for (const key of neutrals.keys) {
+      const swatch = neutrals.swatches[key];
+      if (!swatch) continue;
+      const deltaE = this.calculateDeltaE(colorHex, swatch.hex, formula);
+      const candidate = { key, ...swatch, deltaE };
+      if (!closest || deltaE < closest.deltaE) closest = candidate;
+      if (swatch.family === neutral.family && (!alternative || deltaE < alternative.deltaE)) {
+        alternative = candidate;
+      }
+    }
+
+    const suggestion = alternative || closest || neutral;
+    return {
+      closestColor: suggestion.hex,
+      deltaE: suggestion.deltaE,
+      isMatch: false,
+      formula,
+      neutral,
+      alternative,
+    };
+  }
+
+  /**
+   * Match one color against a season: neutrals against its neutrals, every color
+   * against its palette. Either one matching is a match - a season's own palette
+   * colors (Light Summer's near-whites, Deep Winter's navies) never miss because
+   * they also read as a neutral the season doesn't list.
+   * @param {string} colorHex - Hex color to match
+   * @param {Array} paletteHexColors - Array of palette hex colors
+   * @param {Object|null} neutrals - Season neutrals for matchNeutral()
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @returns {Object} matchNeutral() result for neutrals, else findClosestMatch()
+   */
+  matchPaletteColor(colorHex, paletteHexColors, neutrals = null, formula = this.deltaEFormula) {
+    const paletteMatch = this.findClosestMatch(colorHex, paletteHexColors, formula);
+    const neutralMatch = this.matchNeutral(colorHex, neutrals, formula);
+    if (!neutralMatch || (paletteMatch.isMatch && !neutralMatch.isMatch)) return paletteMatch;
+    return neutralMatch;
+  }
+
   /**
    * Check if dominant colors match palette (simplified top-2 logic)
    * @param {Array} dominantColors - Array of RGB arrays from Color Thief
    * @param {Array} paletteHexColors - Array of palette hex colors
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @param {Object|null} neutrals - Season neutrals for matchNeutral(); neutral colors are
+   *   matched against these as well as the palette (see matchPaletteColor)
    * @returns {Object} Match result with details
    */
-  checkColorMatch(dominantColors, paletteHexColors) {
+  checkColorMatch(
+    dominantColors,
+    paletteHexColors,
+    formula = this.deltaEFormula,
+    neutrals = null,
+  ) {
     if (!dominantColors || dominantColors.length === 0) {
       return { matches: false, matchCount: 0, totalColors: 0, details: [] };
     }
@@ -161,13 +594,15 @@ class ColorProcessor {
 
     for (const rgb of colorsToCheck) {
       const hex = this.rgbToHex(rgb);
-      const match = this.findClosestMatch(hex, paletteHexColors);
+      const match = this.matchPaletteColor(hex, paletteHexColors, neutrals, formula);
 
       results.push({
         extractedColor: hex,
         closestPaletteColor: match.closestColor,
         deltaE: match.deltaE,
         isMatch: match.isMatch,
+        neutral: match.neutral || null,
+        alternative: match.alternative || null,
       });
 
       if (match.isMatch) {
@@ -185,16 +620,132 @@ class ColorProcessor {
       details: results,
       confidence: (matchCount / colorsToCheck.length) * 100,
       matchThreshold: MATCH_THRESHOLD, // Include for debugging/display
+      formula,
+    };
+  }
+
+  /**
+   * Area-weighted match for patterned / multicolor items. checkColorMatch only
+   * looks at the top color, which for a print may be a third of the garment;
+   * here every color counts by how much of the garment it covers.
+   * @param {Array<{rgb: Array, share: number}>} colorAreas - Colors with their area share (0-1)
+   * @param {Array} paletteHexColors - Array of palette hex colors
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @param {Object|null} neutrals - Season neutrals for matchNeutral()
+   * @returns {Object} Same shape as checkColorMatch, plus matchedShare (0-1)
+   */
+  checkAreaMatch(colorAreas, paletteHexColors, formula = this.deltaEFormula, neutrals = null) {
+    const areas = (colorAreas || []).filter((area) => area.share > 0);
+    if (areas.length === 0) {
+      return { matches: false, matchCount: 0, totalColors: 0, details: [], matchedShare: 0 };
+    }
+
+    const totalShare = areas.reduce((sum, area) => sum + area.share, 0);
+    let matchedShare = 0;
+    let matchCount = 0;
+
+    const details = areas.map((area) => {
+      const hex = this.rgbToHex(area.rgb);
+      const match = this.matchPaletteColor(hex, paletteHexColors, neutrals, formula);
+      const share = area.share / totalShare;
+
+      if (match.isMatch) {
+        matchedShare += share;
+        matchCount++;
+      }
+
+      return {
+        extractedColor: hex,
+        closestPaletteColor: match.closestColor,
+        deltaE: match.deltaE,
+        isMatch: match.isMatch,
+        neutral: match.neutral || null,
+        alternative: match.alternative || null,
+        share,
+      };
+    });
+
+    return {
+      matches: matchedShare >= AREA_MATCH_MIN_SHARE,
+      matchCount,
+      totalColors: areas.length,
+      details,
+      confidence: matchedShare * 100,
+      matchThreshold: AREA_MATCH_MIN_SHARE,
+      formula,
+      matchedShare,
+    };
+  }
+
+  /**
+   * Judge a makeup or hair-color shade. Shades blend with the skin, so they get a
+   * wider tolerance than fabric, and a shade whose name states an undertone
+   * ("230N", "Cool Ivory") must not clash with the season's. Foundation and
+   * concealer (no tolerance) are judged on undertone alone.
+   * @param {Array} rgb - Shade color
+   * @param {Object} seasonData - SEASONAL_PALETTES entry
+   * @param {Object} options
+   * @param {number|null} options.tolerance - CIE76-scale ΔE, null for undertone only
+   * @param {string|null} options.undertone - parseShadeName() undertone
+   * @param {string} formula - Delta E formula (defaults to processor setting)
+   * @returns {Object} Same shape as checkColorMatch, plus undertone {shade, clashes}
+   */
+  checkShadeMatch(rgb, seasonData, options = {}, formula = this.deltaEFormula) {
+    const { tolerance = null, undertone = null } = options;
+    const hex = this.rgbToHex(rgb);
+    const profile = seasonData.profile || this.deriveSeasonProfile(seasonData.colors);
+    const seasonTemperature = profile ? profile.temperature : 0;
+
+    const shadeTemperature = undertone ? SHADE_UNDERTONE_TEMPERATURES[undertone] : undefined;
+    const clashes =
+      shadeTemperature !== undefined &&
+      Math.abs(shadeTemperature) >= SHADE_MIN_CLASH_LEAN &&
+      Math.abs(seasonTemperature) >= SHADE_MIN_SEASON_LEAN &&
+      Math.sign(shadeTemperature) !== Math.sign(seasonTemperature);
+
+    const match = this.findClosestMatch(hex, seasonData.colors, formula);
+    let isMatch;
+    let confidence;
+
+    if (tolerance === null) {
+      // Undertone only: a shade that doesn't say can't be judged
+      isMatch = shadeTemperature !== undefined && !clashes;
+      confidence = isMatch
+        ? Math.max(0, 100 - 50 * Math.abs(shadeTemperature - seasonTemperature))
+        : 0;
+    } else {
+      const threshold = this.scaleThreshold(tolerance, formula);
+      isMatch = match.deltaE < threshold && !clashes;
+      confidence = Math.max(0, 100 * (1 - match.deltaE / (2 * threshold)));
+    }
+
+    return {
+      matches: isMatch,
+      matchCount: isMatch ? 1 : 0,
+      totalColors: 1,
+      details: [
+        {
+          extractedColor: hex,
+          closestPaletteColor: match.closestColor,
+          deltaE: match.deltaE,
+          isMatch,
+        },
+      ],
+      confidence,
+      matchThreshold: 1,
+      formula,
+      undertone: { shade: undertone, clashes },
     };
   }
 
   /**
    * Detect which seasonal palette(s) a product belongs to
    * @param {Array} dominantColors - Array of RGB arrays from Color Thief
-   * @param {Object} allPalettes - SEASONAL_PALETTES object with all 12 seasons
+   * @param {Object} allPalettes - SEASONAL_PALETTES object (12 seasons plus any custom palettes)
+   * @param {string} formula - Delta E formula (defaults to processor setting)
    * @returns {Object} Season detection result with rankings
    */
-  detectProductSeason(dominantColors, allPalettes) {
+  detectProductSeason(dominantColors, allPalettes, formula = this.deltaEFormula) {
     if (!dominantColors || dominantColors.length === 0 || !allPalettes) {
       return {
         primarySeason: null,
@@ -208,13 +759,14 @@ class ColorProcessor {
 
     // Check each season
     for (const [seasonKey, seasonData] of Object.entries(allPalettes)) {
-      const matchResult = this.checkColorMatch(dominantColors, seasonData.colors);
+      const matchResult = this.checkColorMatch(dominantColors, seasonData.colors, formula);
 
       seasonScores.push({
         seasonKey,
         seasonName: seasonData.name,
         emoji: seasonData.emoji,
         description: seasonData.description,
+        isCustom: seasonData.custom === true,
         matchCount: matchResult.matchCount,
         confidence: matchResult.confidence,
         details: matchResult.details,
@@ -252,6 +804,247 @@ class ColorProcessor {
     };
   }
 
+  /**
+   * Convert LAB to LCh (lightness, chroma, hue angle in degrees)
+   * @param {Object} lab - {l, a, b}
+   * @returns {Object} {l, c, h}
+   */
+  labToLch(lab) {
+    const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    let h = (Math.atan2(lab.b, lab.a) * 180) / Math.PI;
+    if (h < 0) h += 360;
+    return { l: lab.l, c, h };
+  }
+
+  /**
+   * Estimate a color's undertone temperature from its hue
+   * Peaks warm at yellow-orange (h ≈ 70°) and cool at blue (h ≈ 250°).
+   * Scaled down for low-chroma colors whose hue is barely visible.
+   * @param {Object} lch - {l, c, h}
+   * @returns {number} -1 (cool) to 1 (warm), near 0 for neutrals
+   */
+  getColorTemperature(lch) {
+    const hueTemperature = Math.cos(((lch.h - 70) * Math.PI) / 180);
+    return hueTemperature * Math.min(1, lch.c / FIT_CHROMA_FOR_FULL_UNDERTONE);
+  }
+
+  /**
+   * Derive a season profile from palette colors
+   * Used for palettes that don't ship a hand-tuned profile.
+   * @param {Array<string>} paletteHexColors - Palette hex colors
+   * @returns {Object|null} Profile {temperature, lightnessRange, chromaRange}
+   */
+  deriveSeasonProfile(paletteHexColors) {
+    const lchColors = (paletteHexColors || [])
+      .map((hex) => this.toLab(hex))
+      .filter(Boolean)
+      .map((lab) => this.labToLch(lab));
+    if (lchColors.length === 0) return null;
+
+    const percentile = (values, p) => {
+      const sorted = [...values].sort((x, y) => x - y);
+      return sorted[Math.round(p * (sorted.length - 1))];
+    };
+    const lightness = lchColors.map((lch) => lch.l);
+    const chroma = lchColors.map((lch) => lch.c);
+    const temperature =
+      lchColors.reduce((sum, lch) => sum + this.getColorTemperature(lch), 0) / lchColors.length;
+
+    return {
+      temperature: Math.round(temperature * 100) / 100,
+      lightnessRange: [Math.round(percentile(lightness, 0.1)), Math.round(percentile(lightness, 0.9))],
+      chromaRange: [Math.round(percentile(chroma, 0.1)), Math.round(percentile(chroma, 0.9))],
+    };
+  }
+
+  /**
+   * Score one color against a season profile on each axis
+   * @param {Object} lch - {l, c, h}
+   * @param {Object} profile - Season profile
+   * @returns {Object} {undertone, value, chroma} each {score, deviation, verdict}
+   */
+  scoreColorAgainstProfile(lch, profile) {
+    const rangeDeviation = (value, [min, max]) => {
+      if (value < min) return value - min;
+      if (value > max) return value - max;
+      return 0;
+    };
+
+    // Value (light/deep): negative deviation = darker than the season's range
+    const lightnessDeviation = rangeDeviation(lch.l, profile.lightnessRange);
+    const value = {
+      score: Math.max(0, 100 - Math.abs(lightnessDeviation) * FIT_POINTS_PER_LIGHTNESS),
+      deviation: lightnessDeviation,
+      verdict: lightnessDeviation < 0 ? 'too deep' : lightnessDeviation > 0 ? 'too light' : 'right depth',
+    };
+
+    // Chroma (clear/muted): negative deviation = more muted than the season's range
+    const chromaDeviation = rangeDeviation(lch.c, profile.chromaRange);
+    const chroma = {
+      score: Math.max(0, 100 - Math.abs(chromaDeviation) * FIT_POINTS_PER_CHROMA),
+      deviation: chromaDeviation,
+      verdict: chromaDeviation < 0 ? 'too muted' : chromaDeviation > 0 ? 'too bright' : 'right clarity',
+    };
+
+    // Undertone (warm/cool): positive deviation = warmer than the season
+    const temperatureDeviation = this.getColorTemperature(lch) - profile.temperature;
+    const undertoneConfidence = Math.min(1, lch.c / FIT_CHROMA_FOR_FULL_UNDERTONE);
+    const effectiveDeviation =
+      Math.abs(temperatureDeviation) <= FIT_TEMPERATURE_TOLERANCE
+        ? 0
+        : temperatureDeviation - Math.sign(temperatureDeviation) * FIT_TEMPERATURE_TOLERANCE;
+    const undertone = {
+      score: Math.max(0, 100 - Math.abs(effectiveDeviation) * undertoneConfidence * 80),
+      deviation: effectiveDeviation * undertoneConfidence,
+      verdict:
+        undertoneConfidence < 0.25 || effectiveDeviation === 0
+          ? 'right undertone'
+          : effectiveDeviation > 0
+          ? 'too warm'
+          : 'too cool',
+    };
+
+    return { undertone, value, chroma };
+  }
+
+  /**
+   * Score how well a product's colors fit a season (0-100)
+   * Places each dominant color in LCh space and compares undertone, value and
+   * chroma against the season profile. Earlier (more dominant) colors weigh more,
+   * or - for prints and multicolor items - each color weighs its area share.
+   * @param {Array} dominantColors - Array of RGB arrays from Color Thief
+   * @param {Object} seasonData - SEASONAL_PALETTES entry (uses .profile, or derives one from .colors)
+   * @param {Array<number>|null} areaShares - Area share per color (0-1), aligned with dominantColors
+   * @returns {Object} {score, grade, axes: {undertone, value, chroma}, summary, colors}
+   */
+  scoreSeasonFit(dominantColors, seasonData, areaShares = null) {
+    const profile = (seasonData && seasonData.profile) || this.deriveSeasonProfile(seasonData?.colors);
+    if (!dominantColors || dominantColors.length === 0 || !profile) {
+      return { score: 0, grade: 'poor', axes: null, summary: 'No colors to score', colors: [] };
+    }
+
+    const weights =
+      areaShares && areaShares.some((share) => share > 0) ? areaShares : FIT_COLOR_WEIGHTS;
+
+    const colors = dominantColors
+      .slice(0, weights.length)
+      .map((rgb, index) => {
+        const lch = this.labToLch(this.toLab(rgb));
+        const axes = this.scoreColorAgainstProfile(lch, profile);
+        const score =
+          axes.undertone.score * FIT_AXIS_WEIGHTS.undertone +
+          axes.value.score * FIT_AXIS_WEIGHTS.value +
+          axes.chroma.score * FIT_AXIS_WEIGHTS.chroma;
+        return { hex: this.rgbToHex(rgb), lch, axes, score, weight: weights[index] || 0 };
+      })
+      .filter((color) => color.weight > 0);
+
+    const totalWeight = colors.reduce((sum, color) => sum + color.weight, 0);
+    const weightedAverage = (getValue) =>
+      colors.reduce((sum, color) => sum + getValue(color) * color.weight, 0) / totalWeight;
+
+    // Per-axis breakdown: weighted score, weighted deviation → verdict
+    const axes = {};
+    for (const axis of ['undertone', 'value', 'chroma']) {
+      const score = weightedAverage((color) => color.axes[axis].score);
+      const deviation = weightedAverage((color) => color.axes[axis].deviation);
+      axes[axis] = {
+        score: Math.round(score),
+        deviation: Math.round(deviation * 100) / 100,
+        verdict:
+          score >= FIT_AXIS_OK_SCORE
+            ? FIT_OK_VERDICTS[axis]
+            : this.describeAxisDeviation(axis, deviation, colors[0].axes[axis].verdict),
+      };
+    }
+
+    // A color that completely misses one axis (black for a Light Summer) can't be
+    // rescued by the other two, so the weakest axis scales the weighted mean
+    const weightedScore =
+      axes.undertone.score * FIT_AXIS_WEIGHTS.undertone +
+      axes.value.score * FIT_AXIS_WEIGHTS.value +
+      axes.chroma.score * FIT_AXIS_WEIGHTS.chroma;
+    const weakestAxis = Math.min(axes.undertone.score, axes.value.score, axes.chroma.score);
+    const score = Math.round(weightedScore * (0.5 + weakestAxis / 200));
+
+    // "right depth, too cool": good axes first, then problems from worst to mildest
+    const ordered = ['value', 'chroma', 'undertone'].sort((a, b) => {
+      const aOk = axes[a].verdict.startsWith('right');
+      const bOk = axes[b].verdict.startsWith('right');
+      if (aOk !== bOk) return aOk ? -1 : 1;
+      return aOk ? 0 : axes[a].score - axes[b].score;
+    });
+
+    return {
+      score,
+      grade: score >= 80 ? 'great' : score >= 65 ? 'good' : score >= 45 ? 'fair' : 'poor',
+      axes,
+      summary: ordered.map((axis) => axes[axis].verdict).join(', '),
+      colors,
+    };
+  }
+
+  /**
+   * Score the light/dark contrast of a multi-color item: the L* spread between
+   * its lightest and darkest main colors, against the season's contrast range
+   * and the user's personal contrast level. The personal level, when set,
+   * decides - it's measured on the user - and the season verdict is reported
+   * alongside it.
+   * @param {Array} dominantColors - RGB arrays, most dominant first
+   * @param {Array<number>|null} areaShares - Area share (0-1) per color; null counts every color
+   * @param {Object} ranges
+   * @param {Array<number>|null} ranges.season - Season contrastRange [min, max]
+   * @param {Object|null} ranges.personal - CONTRAST_LEVELS entry {name, range}
+   * @returns {Object|null} {spread, score, verdict, season, personal} with season/personal
+   *   {range, deviation, score, verdict}; null below two main colors or without ranges
+   */
+  scoreContrast(dominantColors, areaShares, ranges = {}) {
+    const mainColors = (dominantColors || []).filter(
+      (rgb, index) => !areaShares || (areaShares[index] || 0) >= CONTRAST_MIN_SHARE,
+    );
+    if (mainColors.length < 2) return null;
+
+    const lightness = mainColors.map((rgb) => this.toLab(rgb).l);
+    const spread = Math.round(Math.max(...lightness) - Math.min(...lightness));
+
+    const judge = (range) => {
+      const deviation =
+        spread < range[0] ? spread - range[0] : spread > range[1] ? spread - range[1] : 0;
+      return {
+        range,
+        deviation,
+        score: Math.max(0, 100 - Math.abs(deviation) * CONTRAST_POINTS_PER_LIGHTNESS),
+        verdict: deviation < 0 ? 'too low' : deviation > 0 ? 'too high' : 'right',
+      };
+    };
+
+    const season = ranges.season ? judge(ranges.season) : null;
+    const personal = ranges.personal
+      ? { level: ranges.personal.name, ...judge(ranges.personal.range) }
+      : null;
+    const deciding = personal || season;
+    if (!deciding) return null;
+
+    return { spread, score: deciding.score, verdict: deciding.verdict, season, personal };
+  }
+
+  /**
+   * Pick the verdict for an axis from its weighted deviation
+   * @param {string} axis - 'undertone' | 'value' | 'chroma'
+   * @param {number} deviation - Weighted deviation (sign gives direction)
+   * @param {string} fallback - Verdict to use when deviation is ~0
+   * @returns {string} Verdict phrase
+   */
+  describeAxisDeviation(axis, deviation, fallback) {
+    if (deviation === 0) return fallback;
+    const phrases = {
+      undertone: deviation > 0 ? 'too warm' : 'too cool',
+      value: deviation > 0 ? 'too light' : 'too deep',
+      chroma: deviation > 0 ? 'too bright' : 'too muted',
+    };
+    return phrases[axis];
+  }
+
   /**
    * Compare product season with user's season
    * @param {Object} productSeasonResult - Result from detectProductSeason()
@@ -307,6 +1100,51 @@ class ColorProcessor {
     };
   }
 
+  /**
+   * Build a white-balance correction: Bradford chromatic adaptation from the
+   * photo's illuminant (the color a neutral backdrop came out as) to D65.
+   * Only the color of the light changes - the backdrop's brightness is kept,
+   * so exposure isn't "corrected" along with the cast.
+   * @param {Array} illuminantRgb - [r, g, b] of a surface that should be neutral
+   * @returns {Function} ([r, g, b]) => corrected [r, g, b]
+   */
+  createChromaticAdaptation(illuminantRgb) {
+    const multiply = (matrix, vector) =>
+      matrix.map((row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+    const toXyz = (rgb) => {
+      const [r, g, b] = rgb.map((value) => {
+        const v = value / 255;
+        return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+      });
+      return [
+        r * 0.4124564 + g * 0.3575761 + b * 0.1804375,
+        r * 0.2126729 + g * 0.7151522 + b * 0.072175,
+        r * 0.0193339 + g * 0.119192 + b * 0.9503041,
+      ];
+    };
+    const toRgb = ([x, y, z]) =>
+      [
+        x * 3.2404542 - y * 1.5371385 - z * 0.4985314,
+        -x * 0.969266 + y * 1.8760108 + z * 0.041556,
+        x * 0.0556434 - y * 0.2040259 + z * 1.0572252,
+      ].map((v) => {
+        const encoded = v > 0.0031308 ? 1.055 * Math.pow(v, 1 / 2.4) - 0.055 : v * 12.92;
+        return Math.max(0, Math.min(255, Math.round(encoded * 255)));
+      });
+
+    // Normalize the source white to Y = 1 so only its chromaticity is used
+    const sourceXyz = toXyz(illuminantRgb);
+    const sourceWhite = sourceXyz.map((value) => value / (sourceXyz[1] || 1));
+    const sourceCone = multiply(BRADFORD, sourceWhite);
+    const targetCone = multiply(BRADFORD, D65_WHITE);
+    const gains = targetCone.map((value, i) => value / sourceCone[i]);
+
+    return (rgb) => {
+      const cone = multiply(BRADFORD, toXyz(rgb)).map((value, i) => value * gains[i]);
+      return toRgb(multiply(BRADFORD_INVERSE, cone));
+    };
+  }
+
   /**
    * Convert RGB array to hex string
    * @param {Array} rgb - [r, g, b] array
@@ -328,6 +1166,8 @@ class ColorProcessor {
 // Export for use in service worker and content scripts
 if (typeof window !== 'undefined') {
   window.ColorProcessor = ColorProcessor;
+  window.DELTA_E_MATCH_THRESHOLDS = DELTA_E_MATCH_THRESHOLDS;
+  window.isSkinRgb = isSkinRgb;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,395 @@
+/**
+ * PORTRAIT ANALYZER
+ *
+ * Estimates a person's coloring from a portrait photo, entirely on-device:
+ * 1. Remove the background with the bundled @imgly model (BackgroundRemover)
+ * 2. Find skin with a YCbCr skin classifier and derive a face box from it
+ * 3. Sample skin, hair (above the face) and eyes (dark band across the face) in Lab
+ * 4. Estimate undertone, value (depth), contrast and clarity
+ * 5. Rank the 12 seasons against those traits using each season's profile
+ *
+ * The skin classifier, isSkinRgb(), lives in color-processor.js.
+ */
+
+// Portrait is downscaled to this size before analysis (speed, and enough detail for sampling)
+const PORTRAIT_MAX_SIZE = 512;
+const PORTRAIT_MIN_SKIN_PIXELS = 200;
+const PORTRAIT_MAX_SAMPLES = 5000; // Per region, to keep Lab conversion cheap
+
+// Skin hue angle (LCh, degrees) that reads as neutral; pinker skin is lower, golden skin higher
+const SKIN_NEUTRAL_HUE = 57;
+const SKIN_HUE_PER_UNDERTONE = 12;
+
+// Person-side targets for the season profile fields
+const DEPTH_TARGET_LIGHTNESS = { light: 72, 'medium-light': 60, medium: 50, deep: 34 };
+const CLARITY_TARGET = { clear: 0.8, medium: 0.55, soft: 0.38, muted: 0.25 };
+
+class PortraitAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {ColorProcessor} options.colorProcessor - Used for Lab / LCh conversion
+   * @param {BackgroundRemover} options.backgroundRemover - Optional; without it the whole photo is sampled
+   */
+  constructor(options = {}) {
+    this.colorProcessor = options.colorProcessor || new ColorProcessor();
+    this.backgroundRemover = options.backgroundRemover || null;
+  }
+
+  /**
+   * Analyze a portrait
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} source - Portrait
+   * @param {Object} palettes - SEASONAL_PALETTES (built-in entries with a profile are ranked)
+   * @returns {Promise<Object>} { traits, samples, regions, suggestions, backgroundRemoved, canvas }
+   * @throws {Error} When no person / skin can be found in the photo
+   */
+  async analyze(source, palettes) {
+    const canvas = this.drawScaled(source, PORTRAIT_MAX_SIZE);
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    // Foreground mask from background removal (falls back to the whole frame)
+    let mask = null;
+    if (this.backgroundRemover) {
+      const foreground = await this.backgroundRemover.removeBackground(canvas);
+      if (foreground) {
+        const scaled = this.drawScaled(foreground, PORTRAIT_MAX_SIZE, width, height);
+        const alpha = scaled.getContext('2d').getImageData(0, 0, width, height).data;
+        mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+          mask[i] = alpha[i * 4 + 3] >= 128 ? 1 : 0;
+        }
+      }
+    }
+
+    const isForeground = (index) => !mask || mask[index] === 1;
+    const foregroundBox = this.findBoundingBox(width, height, isForeground);
+    if (!foregroundBox || foregroundBox.count < width * height * 0.05) {
+      throw new Error('Could not find a person in this photo. Try a photo where you fill more of the frame.');
+    }
+
+    // Skin: foreground skin-colored pixels in the upper 70% of the person (face and neck, not clothes)
+    const skinLimitY = foregroundBox.minY + (foregroundBox.maxY - foregroundBox.minY) * 0.7;
+    const isSkin = (index) => {
+      if (!isForeground(index) || Math.floor(index / width) > skinLimitY) return false;
+      const p = index * 4;
+      return isSkinRgb(pixels[p], pixels[p + 1], pixels[p + 2]);
+    };
+
+    const skinPoints = [];
+    for (let i = 0; i < width * height; i++) {
+      if (isSkin(i)) skinPoints.push(i);
+    }
+    if (skinPoints.length < PORTRAIT_MIN_SKIN_PIXELS) {
+      throw new Error(
+        'Could not find enough skin in this photo. Use a front-facing photo in daylight without filters.',
+      );
+    }
+
+    // Face box: central 80% of skin pixels (drops stray hands, arms and neck edges)
+    const xs = skinPoints.map((i) => i % width).sort((a, b) => a - b);
+    const ys = skinPoints.map((i) => Math.floor(i / width)).sort((a, b) => a - b);
+    const pick = (values, p) => values[Math.floor(p * (values.length - 1))];
+    const face = {
+      minX: pick(xs, 0.1),
+      maxX: pick(xs, 0.9),
+      minY: pick(ys, 0.05),
+      maxY: pick(ys, 0.75),
+    };
+    const faceWidth = Math.max(1, face.maxX - face.minX);
+    const faceHeight = Math.max(1, face.maxY - face.minY);
+
+    // Hair: non-skin foreground from the top of the head down to just below the hairline
+    const hairRegion = {
+      minX: Math.max(0, face.minX - faceWidth * 0.25),
+      maxX: Math.min(width - 1, face.maxX + faceWidth * 0.25),
+      minY: foregroundBox.minY,
+      maxY: face.minY + faceHeight * 0.15,
+    };
+
+    // Eyes: band across the upper face, keep pixels clearly darker than skin
+    const eyeRegion = {
+      minX: face.minX + faceWidth * 0.1,
+      maxX: face.maxX - faceWidth * 0.1,
+      minY: face.minY + faceHeight * 0.3,
+      maxY: face.minY + faceHeight * 0.5,
+    };
+
+    const skinSample = this.sampleRegion(pixels, width, face, (i) => isSkin(i));
+    if (!skinSample) {
+      throw new Error('Could not sample skin tone. Use a front-facing photo in daylight without filters.');
+    }
+
+    const hairSample = this.sampleRegion(
+      pixels,
+      width,
+      hairRegion,
+      (i) => isForeground(i) && !isSkin(i),
+      50,
+    );
+    const eyeSample = this.sampleRegion(
+      pixels,
+      width,
+      eyeRegion,
+      (i, lab) => isForeground(i) && !isSkin(i) && lab.l < skinSample.lab.l - 15,
+      20,
+    );
+
+    const traits = this.estimateTraits(skinSample, hairSample, eyeSample);
+    const suggestions = this.rankSeasons(traits, palettes).slice(0, 3);
+
+    return {
+      traits,
+      samples: { skin: skinSample, hair: hairSample, eyes: eyeSample },
+      regions: { foreground: foregroundBox, face, hair: hairRegion, eyes: eyeRegion },
+      suggestions,
+      backgroundRemoved: mask !== null,
+      canvas,
+    };
+  }
+
+  /**
+   * Draw a source onto a canvas no larger than maxSize (keeps aspect ratio)
+   */
+  drawScaled(source, maxSize, forceWidth, forceHeight) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = forceWidth || Math.max(1, Math.round(sourceWidth * scale));
+    canvas.height = forceHeight || Math.max(1, Math.round(sourceHeight * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Bounding box of all pixels passing a test
+   * @returns {Object|null} { minX, maxX, minY, maxY, count }
+   */
+  findBoundingBox(width, height, test) {
+    let minX = width;
+    let maxX = -1;
+    let minY = height;
+    let maxY = -1;
+    let count = 0;
+
+    for (let i = 0; i < width * height; i++) {
+      if (!test(i)) continue;
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      count++;
+    }
+
+    return count > 0 ? { minX, maxX, minY, maxY, count } : null;
+  }
+
+  /**
+   * Median Lab color of the pixels in a region that pass a test
+   * Trims the darkest 20% and brightest 10% (shadows, highlights) before taking the median.
+   * @param {Uint8ClampedArray} pixels - RGBA pixels
+   * @param {number} width - Image width
+   * @param {Object} region - { minX, maxX, minY, maxY }
+   * @param {Function} test - (index, lab) => boolean
+   * @param {number} minCount - Minimum matching pixels for a usable sample
+   * @returns {Object|null} { lab, lch, hex, count }
+   */
+  sampleRegion(pixels, width, region, test, minCount = PORTRAIT_MIN_SKIN_PIXELS / 2) {
+    const area = (region.maxX - region.minX + 1) * (region.maxY - region.minY + 1);
+    const stride = Math.max(1, Math.floor(area / PORTRAIT_MAX_SAMPLES));
+    const labs = [];
+    let step = 0;
+
+    for (let y = Math.round(region.minY); y <= region.maxY; y++) {
+      for (let x = Math.round(region.minX); x <= region.maxX; x++) {
+        if (step++ % stride !== 0) continue;
+        const index = y * width + x;
+        const p = index * 4;
+        const lab = this.colorProcessor.rgbToLab({ r: pixels[p], g: pixels[p + 1], b: pixels[p + 2] });
+        if (test(index, lab)) labs.push(lab);
+      }
+    }
+
+    if (labs.length < minCount) return null;
+
+    labs.sort((a, b) => a.l - b.l);
+    const trimmed = labs.slice(Math.floor(labs.length * 0.2), Math.ceil(labs.length * 0.9));
+    const median = (key) => {
+      const values = trimmed.map((lab) => lab[key]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    };
+
+    const lab = { l: median('l'), a: median('a'), b: median('b') };
+    return {
+      lab,
+      lch: this.colorProcessor.labToLch(lab),
+      hex: this.labToHex(lab),
+      count: labs.length,
+    };
+  }
+
+  /**
+   * Estimate undertone, depth, contrast and clarity from the samples
+   * @returns {Object} traits, each { value, label }
+   */
+  estimateTraits(skin, hair, eyes) {
+    // Undertone: skin hue is the main signal; hair and eyes confirm it
+    const skinTemperature = Math.max(
+      -1,
+      Math.min(1, (skin.lch.h - SKIN_NEUTRAL_HUE) / SKIN_HUE_PER_UNDERTONE),
+    );
+    const temperatureParts = [[skinTemperature, 0.6]];
+    if (hair) temperatureParts.push([this.colorProcessor.getColorTemperature(hair.lch), 0.25]);
+    if (eyes) temperatureParts.push([this.colorProcessor.getColorTemperature(eyes.lch), 0.15]);
+    const temperature = this.weightedMean(temperatureParts);
+
+    // Depth: how light or deep the overall coloring is
+    const lightnessParts = [[skin.lab.l, 0.4]];
+    if (hair) lightnessParts.push([hair.lab.l, 0.4]);
+    if (eyes) lightnessParts.push([eyes.lab.l, 0.2]);
+    const lightness = this.weightedMean(lightnessParts);
+
+    // Contrast: largest lightness gap between skin and hair / eyes
+    const contrast = Math.max(
+      hair ? Math.abs(skin.lab.l - hair.lab.l) : 0,
+      eyes ? Math.abs(skin.lab.l - eyes.lab.l) : 0,
+    );
+
+    // Clarity: high contrast and saturated eyes read as clear, low as soft
+    const eyeChroma = eyes ? eyes.lch.c : skin.lch.c * 0.6;
+    const clarity =
+      0.6 * Math.min(1, contrast / 60) + 0.4 * Math.min(1, eyeChroma / 30);
+
+    return {
+      undertone: {
+        value: Math.round(temperature * 100) / 100,
+        label: temperature > 0.2 ? 'warm' : temperature < -0.2 ? 'cool' : 'neutral',
+      },
+      depth: {
+        value: Math.round(lightness),
+        label: lightness >= 66 ? 'light' : lightness >= 55 ? 'medium-light' : lightness >= 42 ? 'medium' : 'deep',
+      },
+      contrast: {
+        value: Math.round(contrast),
+        label: contrast >= 45 ? 'high' : contrast >= 25 ? 'medium' : 'low',
+      },
+      clarity: {
+        value: Math.round(clarity * 100) / 100,
+        label: clarity >= 0.65 ? 'clear' : clarity >= 0.45 ? 'medium' : 'soft',
+      },
+    };
+  }
+
+  /**
+   * Score every season with a profile against the estimated traits
+   * @param {Object} traits - From estimateTraits()
+   * @param {Object} palettes - SEASONAL_PALETTES
+   * @returns {Array<Object>} [{ seasonKey, name, emoji, score, reasons }] best first
+   */
+  rankSeasons(traits, palettes) {
+    return Object.entries(palettes || {})
+      .filter(([, season]) => season.profile && season.profile.depth)
+      .map(([seasonKey, season]) => {
+        const profile = season.profile;
+        const temperatureGap = traits.undertone.value - profile.temperature;
+        const depthGap = traits.depth.value - (DEPTH_TARGET_LIGHTNESS[profile.depth] ?? 50);
+        const clarityGap = traits.clarity.value - (CLARITY_TARGET[profile.clarity] ?? 0.5);
+
+        const penalty =
+          Math.abs(temperatureGap) * 25 + Math.abs(depthGap) * 1.0 + Math.abs(clarityGap) * 60;
+        const score = Math.max(0, Math.round(100 - penalty));
+
+        return {
+          seasonKey,
+          name: season.name,
+          emoji: season.emoji,
+          score,
+          reasons: this.describeSeasonFit(traits, profile, { temperatureGap, depthGap, clarityGap }),
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Human-readable reasons a season fits (or nearly fits) the traits
+   */
+  describeSeasonFit(traits, profile, gaps) {
+    const reasons = [];
+    const caveats = [];
+
+    if (Math.abs(gaps.temperatureGap) <= 0.45) {
+      reasons.push(
+        traits.undertone.label === 'neutral'
+          ? `Your neutral undertone can wear its ${profile.undertone} colors`
+          : `Your ${traits.undertone.label} undertone matches its ${profile.undertone} colors`,
+      );
+    } else {
+      caveats.push(`its colors are ${gaps.temperatureGap > 0 ? 'cooler' : 'warmer'} than your undertone`);
+    }
+
+    if (Math.abs(gaps.depthGap) <= 10) {
+      reasons.push(`Your ${traits.depth.label} coloring suits its ${profile.depth} depth`);
+    } else {
+      caveats.push(`it runs ${gaps.depthGap > 0 ? 'deeper' : 'lighter'} than your coloring`);
+    }
+
+    if (Math.abs(gaps.clarityGap) <= 0.15) {
+      reasons.push(
+        `Your ${traits.contrast.label} contrast and ${traits.clarity.label} coloring fit its ${profile.clarity} colors`,
+      );
+    } else {
+      caveats.push(`its colors are ${gaps.clarityGap > 0 ? 'softer' : 'brighter'} than your contrast suggests`);
+    }
+
+    if (caveats.length > 0) {
+      const caveat = caveats.join(' and ');
+      reasons.push(caveat.charAt(0).toUpperCase() + caveat.slice(1));
+    }
+    return reasons;
+  }
+
+  /**
+   * Weighted mean of [value, weight] pairs
+   */
+  weightedMean(parts) {
+    const totalWeight = parts.reduce((sum, [, weight]) => sum + weight, 0);
+    return parts.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight;
+  }
+
+  /**
+   * Convert Lab (D65) back to hex for display
+   */
+  labToHex(lab) {
+    const fy = (lab.l + 16) / 116;
+    const fx = fy + lab.a / 500;
+    const fz = fy - lab.b / 200;
+    const finv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+    const x = 0.95047 * finv(fx);
+    const y = 1.0 * finv(fy);
+    const z = 1.08883 * finv(fz);
+
+    const linear = [
+      3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+      -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+      0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+    ];
+    const rgb = linear.map((c) => {
+      const v = c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055;
+      return Math.max(0, Math.min(255, Math.round(v * 255)));
+    });
+    return this.colorProcessor.rgbToHex(rgb);
+  }
+}
+
+// Make available globally for extension pages
+if (typeof window !== 'undefined') {
+  window.PortraitAnalyzer = PortraitAnalyzer;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PortraitAnalyzer;
+}
@@ -5,11 +5,15 @@
  * - Message passing between popup and content scripts
  * - Storage management (user preferences, wishlist)
  * - Cross-origin image fetching if needed
+ * - Persistent image analysis cache (IndexedDB)
  * - Extension lifecycle events
  */
 
 // Import color processor (note: in MV3, importScripts works differently)
 // We'll handle color processing in content script for simplicity
+importScripts('/background/analysis-cache.js');
+
+const analysisCache = new AnalysisCache();
 
 // Storage cache to improve performance
 let storageCache = {
@@ -18,6 +22,11 @@ let storageCache = {
   favoriteSites: [], // User's favorite shopping sites (auto-enable)
   showOverlay: true,
   showSwatches: false, // Hidden by default
+  deltaEFormula: 'ciede2000', // 'ciede2000' | 'cie94' | 'cmc' | 'cie76'
+  extractionMode: 'heuristic', // 'heuristic' | 'precise' (on-device background removal)
+  whiteBalance: true, // Correct lighting color casts before matching
+  contrastLevel: 'season', // 'season' | 'low' | 'medium' | 'high' (personal contrast)
+  filterMode: 'badge', // 'badge' | 'dim' | 'hide' | 'sort' (listing pages)
   wishlist: [],
   colorHistory: [],
   domainStats: {},
@@ -60,6 +69,11 @@ chrome.runtime.onInstalled.addListener((details) => {
 
       showOverlay: true,
       showSwatches: false, // Hidden by default (70% accuracy)
+      deltaEFormula: 'ciede2000',
+      extractionMode: 'heuristic', // Precise mode is opt-in (slower)
+      whiteBalance: true,
+      contrastLevel: 'season', // Use the season's contrast range until the user sets their own
+      filterMode: 'badge',
 
       // Trial & payment
       trialStartDate: new Date().toISOString(),
@@ -80,18 +94,32 @@ chrome.runtime.onInstalled.addListener((details) => {
   } else if (details.reason === 'update') {
     // Extension updated
     console.log('Season Color Checker updated to version', chrome.runtime.getManifest().version);
+
+    // Extraction logic may have changed - drop analyses from older cache versions
+    analysisCache.purgeStaleVersions().then((removed) => {
+      if (removed > 0) {
+        console.log('Purged', removed, 'stale image analyses');
+      }
+    }).catch((error) => {
+      console.error('Failed to purge analysis cache:', error);
+    });
   }
 });
 
 /**
  * Load storage cache on startup
  */
-chrome.storage.sync.get(['selectedSeason', 'filterEnabled', 'favoriteSites', 'showOverlay', 'showSwatches'], (data) => {
+chrome.storage.sync.get(['selectedSeason', 'filterEnabled', 'favoriteSites', 'showOverlay', 'showSwatches', 'deltaEFormula', 'extractionMode', 'whiteBalance', 'contrastLevel', 'filterMode'], (data) => {
   storageCache.selectedSeason = data.selectedSeason;
   storageCache.filterEnabled = data.filterEnabled !== false; // Default true
   storageCache.favoriteSites = data.favoriteSites || [];
   storageCache.showOverlay = data.showOverlay !== false; // Default true
   storageCache.showSwatches = data.showSwatches || false; // Default false
+  storageCache.deltaEFormula = data.deltaEFormula || 'ciede2000';
+  storageCache.extractionMode = data.extractionMode || 'heuristic';
+  storageCache.whiteBalance = data.whiteBalance !== false; // Default true
+  storageCache.contrastLevel = data.contrastLevel || 'season';
+  storageCache.filterMode = data.filterMode || 'badge';
 });
 
 chrome.storage.local.get(['wishlist', 'colorHistory', 'domainStats', 'blockedDomains'], (data) => {
@@ -169,6 +197,21 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     if (changes.showSwatches) {
       storageCache.showSwatches = changes.showSwatches.newValue;
     }
+    if (changes.deltaEFormula) {
+      storageCache.deltaEFormula = changes.deltaEFormula.newValue || 'ciede2000';
+    }
+    if (changes.extractionMode) {
+      storageCache.extractionMode = changes.extractionMode.newValue || 'heuristic';
+    }
+    if (changes.whiteBalance) {
+      storageCache.whiteBalance = changes.whiteBalance.newValue !== false;
+    }
+    if (changes.contrastLevel) {
+      storageCache.contrastLevel = changes.contrastLevel.newValue || 'season';
+    }
+    if (changes.filterMode) {
+      storageCache.filterMode = changes.filterMode.newValue || 'badge';
+    }
   } else if (areaName === 'local') {
     if (changes.wishlist) {
       storageCache.wishlist = changes.wishlist.newValue;
@@ -197,7 +240,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       filterEnabled: storageCache.filterEnabled,
       favoriteSites: storageCache.favoriteSites,
       showOverlay: storageCache.showOverlay,
-      showSwatches: storageCache.showSwatches
+      showSwatches: storageCache.showSwatches,
+      deltaEFormula: storageCache.deltaEFormula,
+      extractionMode: storageCache.extractionMode,
+      whiteBalance: storageCache.whiteBalance,
+      contrastLevel: storageCache.contrastLevel,
+      filterMode: storageCache.filterMode
     });
     return true;
   }
@@ -235,6 +283,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       pageUrl: request.pageUrl,
       dominantColors: request.dominantColors,
       matchScore: request.matchScore,
+      // Product details from the page's structured data (missing on listing pages)
+      title: request.title || null,
+      brand: request.brand || null,
+      price: typeof request.price === 'number' ? request.price : null,
+      currency: request.currency || null,
+      colorName: request.colorName || null,
       season: storageCache.selectedSeason,
       dateAdded: new Date().toISOString()
     };
@@ -397,6 +451,44 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Look up a cached image analysis
+  if (request.action === 'getCachedAnalysis') {
+    analysisCache.get(request.url, request.mode, request.hash)
+      .then((analysis) => sendResponse({ analysis }))
+      .catch((error) => {
+        console.error('Analysis cache read failed:', error);
+        sendResponse({ analysis: null });
+      });
+    return true;
+  }
+
+  // Store an image analysis
+  if (request.action === 'cacheAnalysis') {
+    analysisCache.set(request.url, request.mode, request.hash, request.analysis)
+      .then((stored) => sendResponse({ success: stored }))
+      .catch((error) => {
+        console.error('Analysis cache write failed:', error);
+        sendResponse({ success: false });
+      });
+    return true;
+  }
+
+  // Number of cached image analyses (popup)
+  if (request.action === 'getAnalysisCacheStats') {
+    analysisCache.count()
+      .then((count) => sendResponse({ count }))
+      .catch(() => sendResponse({ count: 0 }));
+    return true;
+  }
+
+  // Clear all cached image analyses
+  if (request.action === 'clearAnalysisCache') {
+    analysisCache.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Get preferred method for a domain (for caching)
   if (request.action === 'getPreferredMethod') {
     const domain = request.domain;
@@ -29,6 +29,16 @@ function findSelectedSwatchForImage(img, pageType) {
   console.log('[Swatch Priority] Container found, now searching for selected swatch...');
   console.log('[Swatch Priority] Container bounds:', container.getBoundingClientRect());
 
+  // Tier 0: Retailer adapter (data/site-adapters.js) - selectors written for this store
+  const adapter = typeof getSiteAdapter === 'function' ? getSiteAdapter() : null;
+  if (adapter) {
+    const adapterSelected = findAdapterSelectedSwatch(adapter, container);
+    if (adapterSelected) {
+      console.log(`[Swatch Priority] ✓ Detected via ${adapter.name} site adapter (Tier 0)`);
+      return adapterSelected;
+    }
+  }
+
   // Tier 1: Native form controls (90% reliability)
   // Works for: Shopify, Amazon, BigCommerce, WooCommerce
   let selected = findByRadioInput(container, img);
@@ -201,13 +211,23 @@ function isSemanticProductBoundary(element) {
 
 /**
  * Find the product container element that holds the image and swatches
+ * Uses the site adapter's product card when there is one, otherwise
  * TWO-PHASE: First look for semantic boundaries, then fallback to swatch detection
  * @param {HTMLImageElement} img - Product image
  * @returns {Element|null} - Product container element
  */
 function findProductContainer(img) {
   console.log('[Swatch Priority] ======================================');
-  console.log('[Swatch Priority] Finding product container for image:', img.src.substring(0, 80));
+  const imageLabel = img.currentSrc || img.src || img.tagName; // May be a <picture> or background-image element
+  console.log('[Swatch Priority] Finding product container for image:', imageLabel.substring(0, 80));
+
+  // Retailer adapter knows this store's product card markup
+  const adapter = typeof getSiteAdapter === 'function' ? getSiteAdapter() : null;
+  const adapterCard = adapter ? findAdapterProductCard(adapter, img) : null;
+  if (adapterCard) {
+    console.log(`[Swatch Priority] ✓ Using ${adapter.name} site adapter product card`);
+    return adapterCard;
+  }
 
   let current = img.parentElement;
   let depth = 0;
@@ -70,6 +70,31 @@
     'choose from', 'select', 'option', 'variant', 'style'
   ];
 
+  // Garment nouns → the photo region that garment occupies (see content.js segmentGarmentRegions).
+  // 'full' covers the whole figure, so it means "score the whole image".
+  const GARMENT_REGION_KEYWORDS = {
+    outerwear: ['jacket', 'coat', 'blazer', 'parka', 'trench', 'puffer', 'anorak', 'windbreaker',
+      'overcoat', 'bomber', 'shacket', 'cardigan', 'vest', 'gilet', 'poncho', 'cape'],
+    top: ['shirt', 't-shirt', 'tee', 'top', 'blouse', 'sweater', 'jumper', 'hoodie', 'sweatshirt',
+      'tank', 'camisole', 'cami', 'polo', 'tunic', 'bodysuit', 'pullover', 'turtleneck', 'bralette'],
+    bottom: ['pants', 'trousers', 'jeans', 'shorts', 'skirt', 'leggings', 'joggers', 'chinos',
+      'culottes', 'sweatpants', 'trouser'],
+    full: ['dress', 'gown', 'jumpsuit', 'romper', 'playsuit', 'overalls', 'dungarees', 'suit',
+      'set', 'co-ord', 'kaftan'],
+    accessories: ['bag', 'handbag', 'tote', 'clutch', 'backpack', 'hat', 'cap', 'beanie', 'beret',
+      'scarf', 'belt', 'shoes', 'boots', 'sneakers', 'trainers', 'sandals', 'heels', 'loafers',
+      'pumps', 'mules', 'flats', 'gloves']
+  };
+
+  // Items judged on their metal (jewelry, watches) or carrying metal hardware (bags, belts)
+  const ACCESSORY_KEYWORDS = {
+    jewelry: ['ring', 'necklace', 'earring', 'bracelet', 'pendant', 'bangle', 'cuff', 'brooch',
+      'anklet', 'choker', 'charm', 'hoop', 'stud', 'huggie', 'locket', 'cufflink'],
+    watch: ['watch', 'smartwatch'],
+    hardware: ['bag', 'handbag', 'tote', 'clutch', 'purse', 'crossbody', 'satchel', 'wallet',
+      'belt', 'sunglasses']
+  };
+
   /**
    * Main entry point: Extract color keywords from DOM near image
    */
@@ -84,14 +109,17 @@
     // Priority 1: Image attributes (highest confidence)
     colorMentions.push(...extractFromImageAttributes(img));
 
-    // Priority 2: Variant/swatch selectors
+    // Priority 2: Selected color label from the retailer's site adapter
+    colorMentions.push(...extractFromSiteAdapter(img));
+
+    // Priority 3: Variant/swatch selectors
     colorMentions.push(...extractFromVariantSelector(img));
 
-    // Priority 3: Product card/container
+    // Priority 4: Product card/container
     colorMentions.push(...extractFromProductCard(img));
 
-    // Priority 4: Structured data (JSON-LD)
-    colorMentions.push(...extractFromStructuredData());
+    // Priority 5: Product metadata (JSON-LD, Microdata, Open Graph, Shopify)
+    colorMentions.push(...extractFromStructuredData(img));
 
     // Filter and deduplicate
     const filtered = filterAndDeduplicateColors(colorMentions);
@@ -102,6 +130,135 @@
     return filtered;
   }
 
+  /**
+   * Which garment the product is, from its title: the product card title, the
+   * page's product metadata, then the image alt text
+   * @param {Element} img - Product image
+   * @returns {Object|null} - {region: 'outerwear'|'top'|'bottom'|'full'|'accessories', keyword, title}
+   */
+  function extractGarmentRegionFromDOM(img) {
+    const metadata = typeof window.getProductMetadata === 'function' ? window.getProductMetadata() : null;
+    const titles = [
+      getProductCardTitle(img),
+      metadata ? metadata.title : null,
+      img.alt || null
+    ];
+
+    for (const title of titles) {
+      const match = findGarmentKeyword(title);
+      if (match) return { ...match, title };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the product is jewelry, a watch or a bag/belt with hardware, and the
+   * metal its text names: the title first ("14k Gold Hoops"), then the color
+   * mentions around the image, so a selected "Silver" variant counts too
+   * @param {Element} img - Product image
+   * @param {Array<Object>|null} textMentions - extractColorKeywordsFromDOM(img) result when
+   *   the caller already has it; read here otherwise
+   * @returns {Object|null} - {kind: 'jewelry'|'watch'|'hardware', keyword, title,
+   *   metal: {tone, keyword}|null}
+   */
+  function extractAccessoryFromDOM(img, textMentions = null) {
+    const metadata = typeof window.getProductMetadata === 'function' ? window.getProductMetadata() : null;
+    const titles = [
+      getProductCardTitle(img),
+      metadata ? metadata.title : null,
+      img.alt || null
+    ];
+    const findMetal = typeof window.findMetalKeyword === 'function' ? window.findMetalKeyword : () => null;
+
+    for (const title of titles) {
+      const match = findAccessoryKeyword(title);
+      if (!match) continue;
+
+      let metal = findMetal(title);
+      if (!metal) {
+        const mentions = textMentions || extractColorKeywordsFromDOM(img);
+        const mention = mentions.find(m => findMetal(m.keyword));
+        metal = mention ? findMetal(mention.keyword) : null;
+      }
+      return { ...match, title, metal };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the accessory a title names. As with garments the last item word wins,
+   * so "Ring Detail Top" is a top and "Chain Strap Bag" is a bag.
+   * @param {string|null} title
+   * @returns {Object|null} - {kind, keyword}
+   */
+  function findAccessoryKeyword(title) {
+    if (!title) return null;
+
+    const lowerTitle = title.toLowerCase();
+    const groups = {
+      ...ACCESSORY_KEYWORDS,
+      garment: [...GARMENT_REGION_KEYWORDS.outerwear, ...GARMENT_REGION_KEYWORDS.top,
+        ...GARMENT_REGION_KEYWORDS.bottom, ...GARMENT_REGION_KEYWORDS.full]
+    };
+    let best = null;
+
+    Object.entries(groups).forEach(([kind, keywords]) => {
+      keywords.forEach(keyword => {
+        const pattern = new RegExp(`\\b${keyword}(?:e?s)?\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(lowerTitle)) !== null) {
+          if (!best || match.index > best.index) {
+            best = { kind, keyword, index: match.index };
+          }
+        }
+      });
+    });
+
+    return best && best.kind !== 'garment' ? { kind: best.kind, keyword: best.keyword } : null;
+  }
+
+  /**
+   * Title text of the product card around an image
+   */
+  function getProductCardTitle(img) {
+    const productContainer = img.closest('[class*="product"]') ||
+                            img.closest('[data-product-id]') ||
+                            img.closest('article');
+    if (!productContainer) return null;
+
+    const titleElement = productContainer.querySelector('[class*="title"], [class*="name"], h1, h2, h3, h4');
+    return titleElement ? titleElement.textContent.trim().substring(0, CONFIG.maxCharactersPerElement) : null;
+  }
+
+  /**
+   * Find the garment a title names. The last garment word wins - it's the head
+   * noun in English titles ("Shirt Dress" is a dress, "Jacket and Jeans Set" a set).
+   * @param {string|null} title
+   * @returns {Object|null} - {region, keyword}
+   */
+  function findGarmentKeyword(title) {
+    if (!title) return null;
+
+    const lowerTitle = title.toLowerCase();
+    let best = null;
+
+    Object.entries(GARMENT_REGION_KEYWORDS).forEach(([region, keywords]) => {
+      keywords.forEach(keyword => {
+        const pattern = new RegExp(`\\b${keyword}s?\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(lowerTitle)) !== null) {
+          if (!best || match.index > best.index) {
+            best = { region, keyword, index: match.index };
+          }
+        }
+      });
+    });
+
+    return best ? { region: best.region, keyword: best.keyword } : null;
+  }
+
   /**
    * Extract colors from image attributes
    */
@@ -124,6 +281,27 @@
     }));
   }
 
+  /**
+   * Extract colors from the selected color name, using the site adapter's selectors
+   */
+  function extractFromSiteAdapter(img) {
+    const adapter = typeof window.getSiteAdapter === 'function' ? window.getSiteAdapter() : null;
+    if (!adapter) return [];
+
+    const card = window.findAdapterProductCard(adapter, img);
+    if (!card) return [];
+
+    const colorName = window.getAdapterColorName(adapter, card);
+    if (!colorName) return [];
+
+    return extractColorKeywords(colorName).map(kw => ({
+      ...kw,
+      source: 'site-adapter',
+      confidence: 0.95,
+      position: 'selector'
+    }));
+  }
+
   /**
    * Extract colors from variant/swatch selectors
    */
@@ -209,45 +387,32 @@
   }
 
   /**
-   * Extract colors from JSON-LD structured data
+   * Extract colors from the page's product metadata (see content/product-metadata.js)
    */
-  function extractFromStructuredData() {
-    const schemas = document.querySelectorAll('script[type="application/ld+json"]');
-    const colors = [];
-
-    for (const schema of schemas) {
-      try {
-        const data = JSON.parse(schema.textContent);
-
-        // Handle Product schema
-        if (data['@type'] === 'Product' && data.color) {
-          const colorData = Array.isArray(data.color) ? data.color : [data.color];
-          colors.push(...colorData);
-        }
-
-        // Handle array of products
-        if (Array.isArray(data)) {
-          const productColors = data
-            .filter(item => item['@type'] === 'Product' && item.color)
-            .flatMap(item => Array.isArray(item.color) ? item.color : [item.color]);
-          colors.push(...productColors);
-        }
-      } catch (e) {
-        continue;
-      }
+  function extractFromStructuredData(img) {
+    const metadata = typeof window.getProductMetadata === 'function' ? window.getProductMetadata() : null;
+    if (!metadata || metadata.colors.length === 0) return [];
+
+    const toMentions = (text, source, confidence, position) =>
+      extractColorKeywords(text).map(kw => ({ ...kw, source, confidence, position }));
+
+    // The variant this photo belongs to names its color outright
+    const imageUrls = [
+      img.currentSrc,
+      img.src,
+      typeof window.getMediaSourceUrl === 'function' ? window.getMediaSourceUrl(img) : null
+    ];
+    const variant = window.findVariantForImage(metadata, imageUrls);
+    if (variant && variant.color) {
+      return toMentions(variant.color, 'structured-variant', 0.9, 'variant');
     }
 
-    if (colors.length === 0) return [];
-
-    const text = colors.join(' ');
-    const keywords = extractColorKeywords(text);
+    if (metadata.colors.length === 1) {
+      return toMentions(metadata.colors[0], 'structured-data', 0.85, 'schema');
+    }
 
-    return keywords.map(kw => ({
-      ...kw,
-      source: 'structured-data',
-      confidence: 0.85,
-      position: 'schema'
-    }));
+    // Every color the product comes in - only loosely tied to this photo
+    return toMentions(metadata.colors.join(' '), 'structured-data-option', 0.5, 'schema');
   }
 
   /**
@@ -400,6 +565,9 @@
   // Export for use in extension
   if (typeof window !== 'undefined') {
     window.extractColorKeywordsFromDOM = extractColorKeywordsFromDOM;
+    window.extractGarmentRegionFromDOM = extractGarmentRegionFromDOM;
+    window.extractAccessoryFromDOM = extractAccessoryFromDOM;
+    window.findGarmentKeyword = findGarmentKeyword;
   }
 
 })();
@@ -10,14 +10,20 @@
 
   // Source confidence weights
   const SOURCE_WEIGHTS = {
+    'site-adapter': 0.95,
     'image-attribute': 0.9,
     'variant-selector': 0.8,
+    'structured-variant': 0.9,
     'structured-data': 0.85,
+    'structured-data-option': 0.4,
     'product-title': 0.7,
     'product-description': 0.5,
     'nearby-text': 0.4
   };
 
+  // DeltaE thresholds below are on the CIE76 scale and get rescaled to the
+  // ColorProcessor's active formula (see scaledThreshold)
+
   // DeltaE threshold for color similarity (visual confirmation)
   // Higher than season palette matching (20) to be more lenient with text-mentioned colors
   // Real-world products often have color variation (e.g., "burgundy" can range from #800020 to #A03E5C)
@@ -91,7 +97,7 @@
         const deltaE = calculateDeltaE(rgb, mentionRgb, colorProcessor);
 
         // If colors are similar (visual confirmation), boost weight
-        if (deltaE < DELTA_E_THRESHOLD) {
+        if (deltaE < scaledThreshold(DELTA_E_THRESHOLD, colorProcessor)) {
           // Calculate boost based on mention confidence
           const colorWeight = calculateColorWeight(mention);
 
@@ -185,7 +191,7 @@
       // Check if already represented in palette
       const alreadyExists = dominantColors.some(rgb => {
         const deltaE = calculateDeltaE(rgb, mentionRgb, colorProcessor);
-        return deltaE < DELTA_E_DIFFERENT_THRESHOLD; // Similar enough
+        return deltaE < scaledThreshold(DELTA_E_DIFFERENT_THRESHOLD, colorProcessor); // Similar enough
       });
 
       if (!alreadyExists) {
@@ -198,13 +204,23 @@
     return augmentedPalette;
   }
 
+  /**
+   * Rescale a CIE76 threshold to the ColorProcessor's active Delta E formula
+   */
+  function scaledThreshold(cie76Threshold, colorProcessor) {
+    if (colorProcessor && typeof colorProcessor.scaleThreshold === 'function') {
+      return colorProcessor.scaleThreshold(cie76Threshold);
+    }
+    return cie76Threshold;
+  }
+
   /**
    * Calculate deltaE between two RGB colors
    * Uses ColorProcessor if available, otherwise falls back to simple distance
    */
   function calculateDeltaE(rgb1, rgb2, colorProcessor) {
     if (colorProcessor && typeof colorProcessor.calculateDeltaE === 'function') {
-      // Use ColorProcessor's deltaE (CIEDE2000)
+      // Use ColorProcessor's deltaE (active formula, CIEDE2000 by default)
       try {
         const lab1 = colorProcessor.rgbToLab({ r: rgb1[0], g: rgb1[1], b: rgb1[2] });
         const lab2 = colorProcessor.rgbToLab({ r: rgb2[0], g: rgb2[1], b: rgb2[2] });
@@ -235,7 +251,7 @@
 
       return extractedPalette.some(rgb => {
         const deltaE = calculateDeltaE(rgb, mentionRgb, colorProcessor);
-        return deltaE < 30; // Generous threshold for confirmation
+        return deltaE < scaledThreshold(30, colorProcessor); // Generous threshold for confirmation
       });
     });
 
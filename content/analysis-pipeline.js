@@ -0,0 +1,377 @@
+/**
+ * IMAGE ANALYSIS PIPELINE
+ *
+ * Schedules product image analysis so big listing pages don't jank:
+ * - Bounded concurrency queue (only a few images are analyzed at once)
+ * - Pixel work runs in a Web Worker on OffscreenCanvas, fed with ImageBitmaps
+ *   (see analysis-worker.js); callers fall back to the main thread when the
+ *   page's CSP blocks Blob workers
+ * - Jobs for images that leave the DOM are cancelled, queued or in flight
+ * - Queue ordered by priority, so on-screen images run before ones further down
+ * - Progress callback for the overlay's "Analyzing N/M..." line
+ */
+
+const ANALYSIS_DEFAULT_CONCURRENCY = 2;
+const ANALYSIS_WORKER_TIMEOUT_MS = 10000;
+const ANALYSIS_PROGRESS_EVERY = 5; // Report progress every N images (and on the last one)
+
+// Worker source is built from these, in order (libraries after the worker's DOM shims)
+const ANALYSIS_WORKER_SCRIPTS = [
+  'content/analysis-worker.js',
+  'libs/color-thief.min.js',
+  'libs/smartcrop.min.js',
+];
+
+class ImageAnalysisPipeline {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Max images analyzed at the same time
+   * @param {Function} options.onProgress - Called with (completed, total) as jobs finish
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || ANALYSIS_DEFAULT_CONCURRENCY;
+    this.onProgress = options.onProgress || null;
+
+    this.queue = []; // Jobs waiting for a slot
+    this.jobs = new Map(); // element → job (queued or running)
+    this.running = 0;
+    this.completed = 0;
+    this.total = 0;
+
+    this.worker = null;
+    this.workerUrl = null;
+    this.workerPromise = null;
+    this.workerUnavailable = false;
+    this.workerRequests = new Map(); // request id → { resolve, timeoutId }
+    this.nextRequestId = 1;
+
+    this.removalObserver = null;
+  }
+
+  /**
+   * Queue a task for an element. The task receives an AbortSignal that fires
+   * if the element leaves the DOM or the pipeline is cancelled.
+   * @param {Element} element - Element the work is for (one job per element)
+   * @param {Function} task - async (signal) => result
+   * @param {number} priority - Lower runs first (e.g. distance from the viewport); FIFO among equals
+   * @returns {Promise<*>} - The task's result, or null if it was cancelled
+   */
+  schedule(element, task, priority = 0) {
+    const existing = this.jobs.get(element);
+    if (existing) return existing.promise;
+
+    const job = { element, task, priority, controller: new AbortController(), started: false };
+    job.promise = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+
+    this.jobs.set(element, job);
+    this.enqueue(job);
+    this.total++;
+    this.observeRemovals();
+    this.pump();
+
+    return job.promise;
+  }
+
+  /**
+   * Insert a job behind every queued job of the same or higher priority
+   * @param {Object} job
+   */
+  enqueue(job) {
+    const index = this.queue.findIndex((queued) => queued.priority > job.priority);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Change the priority of a queued job (e.g. its image scrolled into view).
+   * Jobs already running are left alone.
+   * @param {Element} element
+   * @param {number} priority
+   */
+  prioritize(element, priority) {
+    const job = this.jobs.get(element);
+    if (!job || job.started || job.priority === priority) return;
+
+    this.queue = this.queue.filter((queued) => queued !== job);
+    job.priority = priority;
+    this.enqueue(job);
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  pump() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+
+      if (!job.element.isConnected) {
+        this.finish(job, null, true);
+        continue;
+      }
+
+      job.started = true;
+      this.running++;
+
+      Promise.resolve()
+        .then(() => job.task(job.controller.signal))
+        .catch((e) => {
+          console.error('[Season Color Checker] Analysis job failed:', e);
+          return null;
+        })
+        .then((result) => {
+          this.running--;
+          const cancelled = job.controller.signal.aborted;
+          this.finish(job, cancelled ? null : result, cancelled);
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Settle a job and report progress
+   * @param {Object} job
+   * @param {*} result
+   * @param {boolean} cancelled - Cancelled jobs are taken out of the total instead
+   */
+  finish(job, result, cancelled) {
+    if (this.jobs.get(job.element) === job) {
+      this.jobs.delete(job.element);
+    }
+
+    if (job.uncounted) {
+      // Already taken out of the total when it was cancelled mid-run
+    } else if (cancelled) {
+      this.total--;
+    } else {
+      this.completed++;
+    }
+
+    if (
+      this.onProgress &&
+      this.completed > 0 &&
+      (this.completed % ANALYSIS_PROGRESS_EVERY === 0 || this.completed === this.total)
+    ) {
+      this.onProgress(this.completed, this.total);
+    }
+
+    // Batch finished - start counting from zero for the next one
+    if (this.isIdle()) {
+      this.completed = 0;
+      this.total = 0;
+      this.stopObservingRemovals();
+    }
+
+    job.resolve(result);
+  }
+
+  /**
+   * Whether every scheduled job has settled
+   * @returns {boolean}
+   */
+  isIdle() {
+    return this.jobs.size === 0 && this.running === 0;
+  }
+
+  /**
+   * Cancel the job for one element
+   * @param {Element} element
+   */
+  cancel(element) {
+    const job = this.jobs.get(element);
+    if (!job) return;
+
+    job.controller.abort();
+    this.jobs.delete(element); // A new job for this element may be scheduled right away
+    if (!job.started) {
+      this.queue = this.queue.filter((queued) => queued !== job);
+      this.finish(job, null, true);
+    } else {
+      // Running jobs settle through pump() once their task notices the abort
+      this.total--;
+      job.uncounted = true;
+    }
+  }
+
+  /**
+   * Cancel jobs for elements that are no longer in the document
+   */
+  cancelDetached() {
+    for (const element of Array.from(this.jobs.keys())) {
+      if (!element.isConnected) {
+        this.cancel(element);
+      }
+    }
+  }
+
+  /**
+   * Cancel every queued and running job (e.g. before re-filtering the page)
+   */
+  cancelAll() {
+    for (const element of Array.from(this.jobs.keys())) {
+      this.cancel(element);
+    }
+  }
+
+  /**
+   * Watch for removed nodes while jobs are pending
+   */
+  observeRemovals() {
+    if (this.removalObserver || !document.documentElement) return;
+
+    this.removalObserver = new MutationObserver((mutations) => {
+      if (mutations.some((mutation) => mutation.removedNodes.length > 0)) {
+        this.cancelDetached();
+      }
+    });
+    this.removalObserver.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  stopObservingRemovals() {
+    if (this.removalObserver) {
+      this.removalObserver.disconnect();
+      this.removalObserver = null;
+    }
+  }
+
+  /**
+   * Run border sampling, smartcrop, ColorThief and tone sampling in the worker
+   * @param {HTMLImageElement|HTMLCanvasElement} source - CORS-accessible image
+   * @param {AbortSignal} signal - Cancels the worker job
+   * @param {number} colorCount - Palette size
+   * @returns {Promise<Object|null>} - { borderColors, crop, palette, tonePixels }, or null when the
+   *   worker is unavailable, timed out or the job was cancelled (caller uses the main thread)
+   */
+  async analyzePixels(source, signal, colorCount = 8) {
+    if (signal && signal.aborted) return null;
+
+    const worker = await this.getWorker();
+    if (!worker || (signal && signal.aborted)) return null;
+
+    // Same size the main-thread path draws at
+    const width = source.offsetWidth || source.width;
+    const height = source.offsetHeight || source.height;
+    if (!width || !height) return null;
+
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(source, { resizeWidth: width, resizeHeight: height });
+    } catch (e) {
+      console.log('[Season Color Checker] Could not create ImageBitmap:', e.message);
+      return null;
+    }
+
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve) => {
+      const settle = (result) => {
+        const request = this.workerRequests.get(id);
+        if (!request) return;
+        clearTimeout(request.timeoutId);
+        this.workerRequests.delete(id);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+
+      const onAbort = () => {
+        worker.postMessage({ type: 'cancel', id });
+        settle(null);
+      };
+
+      const timeoutId = setTimeout(() => {
+        console.log('[Season Color Checker] Analysis worker timed out, using main thread');
+        worker.postMessage({ type: 'cancel', id });
+        settle(null);
+      }, ANALYSIS_WORKER_TIMEOUT_MS);
+
+      this.workerRequests.set(id, { resolve: settle, timeoutId });
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      worker.postMessage({ type: 'analyze', id, bitmap, colorCount }, [bitmap]);
+    });
+  }
+
+  /**
+   * Start the worker once, from a Blob so it runs despite the page origin
+   * @returns {Promise<Worker|null>} - null if workers are blocked on this page
+   */
+  getWorker() {
+    if (this.workerUnavailable) return Promise.resolve(null);
+    if (this.workerPromise) return this.workerPromise;
+
+    this.workerPromise = Promise.all(
+      ANALYSIS_WORKER_SCRIPTS.map((path) =>
+        fetch(chrome.runtime.getURL(path)).then((response) => response.text()),
+      ),
+    )
+      .then((sources) => {
+        const blob = new Blob([sources.join('\n;\n')], { type: 'text/javascript' });
+        this.workerUrl = URL.createObjectURL(blob);
+        const worker = new Worker(this.workerUrl);
+
+        worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        worker.addEventListener('error', (event) => {
+          console.warn(
+            '[Season Color Checker] Analysis worker failed, using main thread:',
+            event.message,
+          );
+          this.disableWorker();
+        });
+
+        this.worker = worker;
+        return worker;
+      })
+      .catch((e) => {
+        // Typically the page's CSP (worker-src) blocking blob: workers
+        console.log(
+          '[Season Color Checker] Analysis worker unavailable, using main thread:',
+          e.message,
+        );
+        this.disableWorker();
+        return null;
+      });
+
+    return this.workerPromise;
+  }
+
+  /**
+   * Route a worker response to its pending request
+   * @param {Object} data - { id, result } | { id, cancelled } | { id, error }
+   */
+  handleWorkerMessage(data) {
+    const request = this.workerRequests.get(data.id);
+    if (!request) return;
+
+    if (data.error) {
+      console.log('[Season Color Checker] Worker analysis failed:', data.error);
+    }
+    request.resolve(data.result || null);
+  }
+
+  /**
+   * Stop using the worker and release anyone waiting on it
+   */
+  disableWorker() {
+    this.workerUnavailable = true;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+    for (const request of Array.from(this.workerRequests.values())) {
+      request.resolve(null);
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageAnalysisPipeline;
+}
@@ -0,0 +1,168 @@
+/**
+ * IMAGE ANALYSIS WORKER
+ *
+ * Runs the pixel-heavy part of product image analysis off the shopping page's
+ * main thread, on an OffscreenCanvas:
+ * 1. Sample border pixels (background detection)
+ * 2. Content-aware crop with smartcrop (static center crop as fallback)
+ * 3. ColorThief palette of the cropped region
+ * 4. Downscaled pixels of the crop for the skin/hair exclusion stage
+ *
+ * Mirrors sampleBorder / extractCenterRegion / sampleTonePixels in content.js,
+ * which remain the main-thread fallback - keep the two in sync.
+ *
+ * ImageAnalysisPipeline starts this as a Blob worker with color-thief and
+ * smartcrop appended after this file, so the libraries are only touched
+ * inside message handlers.
+ */
+
+(function () {
+  'use strict';
+
+  // color-thief and smartcrop expect a DOM; give them OffscreenCanvas instead
+  self.window = self;
+  self.document = {
+    createElement(tagName) {
+      if (tagName === 'canvas') return new OffscreenCanvas(1, 1);
+      throw new Error(`Cannot create <${tagName}> in analysis worker`);
+    },
+  };
+
+  const TONE_SAMPLE_SIZE = 96; // Keep in sync with content.js
+
+  const cancelledJobs = new Set();
+
+  /**
+   * Read the 12 border points used for background detection
+   * @param {OffscreenCanvasRenderingContext2D} ctx - Context holding the full image
+   * @param {number} width
+   * @param {number} height
+   * @returns {Array<Array<number>>} - RGB samples
+   */
+  function sampleBorder(ctx, width, height) {
+    const samplePoints = [
+      // Corners
+      [0, 0],
+      [width - 1, 0],
+      [0, height - 1],
+      [width - 1, height - 1],
+      // Midpoints of edges
+      [Math.floor(width / 2), 0],
+      [Math.floor(width / 2), height - 1],
+      [0, Math.floor(height / 2)],
+      [width - 1, Math.floor(height / 2)],
+      // Quarter points
+      [Math.floor(width / 4), 0],
+      [Math.floor((3 * width) / 4), 0],
+      [Math.floor(width / 4), height - 1],
+      [Math.floor((3 * width) / 4), height - 1],
+    ];
+
+    return samplePoints.map(([x, y]) => {
+      const pixel = ctx.getImageData(x, y, 1, 1).data;
+      return [pixel[0], pixel[1], pixel[2]];
+    });
+  }
+
+  /**
+   * Find the garment crop: smartcrop first, static center crop if that fails
+   * @param {OffscreenCanvas} canvas - Full image
+   * @returns {Promise<{x: number, y: number, width: number, height: number}|null>}
+   */
+  async function findCrop(canvas) {
+    const { width, height } = canvas;
+
+    try {
+      const result = await smartcrop.crop(canvas, {
+        width: Math.floor(width * 0.5),
+        height: Math.floor(height * 0.6),
+        minScale: 0.8,
+        ruleOfThirds: true,
+        skinWeight: 0, // Avoid face bias
+        detailWeight: 0.4,
+        saturationWeight: 0.4,
+        canvasFactory: (w, h) => new OffscreenCanvas(w, h),
+      });
+      return result.topCrop;
+    } catch (e) {
+      // Static crop: remove 40% from each side, 20% from top and bottom
+      const x = Math.floor(width * 0.4);
+      const y = Math.floor(height * 0.2);
+      const crop = { x, y, width: width - 2 * x, height: height - 2 * y };
+      return crop.width > 0 && crop.height > 0 ? crop : null;
+    }
+  }
+
+  /**
+   * Downscale a canvas for per-pixel skin/hair classification
+   * @param {OffscreenCanvas} canvas
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function sampleTonePixels(canvas) {
+    const scale = Math.min(1, TONE_SAMPLE_SIZE / Math.max(canvas.width, canvas.height));
+    const sample = new OffscreenCanvas(
+      Math.max(1, Math.round(canvas.width * scale)),
+      Math.max(1, Math.round(canvas.height * scale)),
+    );
+    const ctx = sample.getContext('2d');
+    ctx.drawImage(canvas, 0, 0, sample.width, sample.height);
+    const { width, height, data } = ctx.getImageData(0, 0, sample.width, sample.height);
+    return { width, height, data };
+  }
+
+  /**
+   * Analyze one image bitmap
+   * @param {number} id - Job id
+   * @param {ImageBitmap} bitmap - Image at its displayed size
+   * @param {number} colorCount - Palette size to request from ColorThief
+   * @returns {Promise<Object|null>} - null if the job was cancelled mid-way
+   */
+  async function analyze(id, bitmap, colorCount) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const borderColors = sampleBorder(ctx, canvas.width, canvas.height);
+
+    const crop = await findCrop(canvas);
+    if (cancelledJobs.has(id)) return null;
+
+    let region = canvas;
+    if (crop) {
+      region = new OffscreenCanvas(crop.width, crop.height);
+      region
+        .getContext('2d')
+        .drawImage(canvas, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+    }
+
+    const palette = new ColorThief().getPalette(region, colorCount);
+    if (cancelledJobs.has(id)) return null;
+
+    return { borderColors, crop, palette, tonePixels: sampleTonePixels(region) };
+  }
+
+  self.addEventListener('message', async (event) => {
+    const { type, id } = event.data;
+
+    if (type === 'cancel') {
+      cancelledJobs.add(id);
+      return;
+    }
+
+    if (type !== 'analyze') return;
+
+    try {
+      const result = await analyze(id, event.data.bitmap, event.data.colorCount || 8);
+      if (!result) {
+        self.postMessage({ id, cancelled: true });
+      } else {
+        self.postMessage({ id, result }, [result.tonePixels.data.buffer]);
+      }
+    } catch (e) {
+      self.postMessage({ id, error: e.message });
+    } finally {
+      cancelledJobs.delete(id);
+    }
+  });
+})();
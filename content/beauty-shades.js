@@ -0,0 +1,231 @@
+/**
+ * BEAUTY SHADES MODULE
+ *
+ * Makeup and hair color are sold by shade, and the product photo is usually a
+ * model or the packaging - neither shows the shade. On beauty product pages the
+ * shade chips (read by swatch-detector.js) and the shade names are what count:
+ *
+ * - detectBeautyProduct(): is this page a lipstick, blush, foundation, eyeshadow,
+ *   nail polish or hair color, and how closely must its shades match?
+ * - parseShadeName(): "Warm Beige 230N" → level 230, neutral undertone
+ *
+ * Shades are judged by ColorProcessor.checkShadeMatch() and listed in the
+ * overlay by content.js.
+ */
+
+(function () {
+  'use strict';
+
+  // Product types by the words in their title. `tolerance` is the CIE76-scale
+  // ΔE a shade may sit from the palette (clothes get 20): lip and cheek color
+  // goes on sheer and blends with the skin, nail polish is opaque like fabric.
+  // Face shades have no tolerance - foundation is matched to the skin, so only
+  // its undertone is judged.
+  const BEAUTY_CATEGORIES = {
+    lips: {
+      label: 'lip',
+      tolerance: 24,
+      keywords: [
+        'lipstick',
+        'lip gloss',
+        'lip liner',
+        'lip stain',
+        'lip tint',
+        'lip oil',
+        'lip crayon',
+        'lip lacquer',
+        'lip color',
+        'lip colour',
+      ],
+    },
+    cheeks: {
+      label: 'cheek',
+      tolerance: 26,
+      keywords: ['blush', 'blusher', 'bronzer', 'highlighter', 'contour'],
+    },
+    face: {
+      label: 'foundation',
+      tolerance: null,
+      keywords: [
+        'foundation',
+        'concealer',
+        'skin tint',
+        'tinted moisturizer',
+        'tinted moisturiser',
+        'bb cream',
+        'cc cream',
+      ],
+    },
+    eyes: {
+      label: 'eye',
+      tolerance: 22,
+      keywords: ['eyeshadow', 'eye shadow', 'eyeliner', 'eye liner', 'kohl'],
+    },
+    nails: {
+      label: 'nail',
+      tolerance: 20,
+      keywords: ['nail polish', 'nail lacquer', 'nail color', 'nail colour', 'gel polish'],
+    },
+    hair: {
+      label: 'hair',
+      tolerance: 28,
+      keywords: ['hair dye', 'hair color', 'hair colour', 'hair gloss', 'root touch-up'],
+    },
+  };
+
+  // Undertone letters in shade codes ("230N", "NC42", "2W1"). Two-letter codes
+  // follow MAC, the most common system, where NC is golden and NW is pink
+  // despite the letters; Clinique's WN / CN read as written.
+  const CODE_UNDERTONES = {
+    N: 'neutral',
+    W: 'warm',
+    C: 'cool',
+    Y: 'warm', // Yellow
+    G: 'warm', // Golden
+    P: 'cool', // Pink
+    O: 'neutral', // Olive
+    NC: 'neutral-warm',
+    NW: 'neutral-cool',
+    WN: 'neutral-warm',
+    CN: 'neutral-cool',
+  };
+
+  // Undertone words in shade names ("Warm Beige", "Cool Ivory", "Golden Tan")
+  const WORD_UNDERTONES = {
+    warm: 'warm',
+    golden: 'warm',
+    cool: 'cool',
+    neutral: 'neutral',
+  };
+
+  // A shade code: undertone letters next to a depth number, either side, with an
+  // optional space ("230N", "NC42", "NC 42", "3.5 NW", "2W1")
+  const SHADE_CODE_PATTERN =
+    /(?:^|[\s(#/-])((\d{1,3}(?:\.\d{1,2})?)\s?([A-Z]{1,2})(\d{1,2})?|([A-Z]{1,2})\s?(\d{1,3}(?:\.\d{1,2})?))(?=$|[\s),/-])/g;
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Position of the last keyword in a title (plural allowed)
+   * @param {string} lowerTitle
+   * @param {Array<string>} keywords
+   * @returns {{keyword: string, index: number}|null}
+   */
+  function findLastKeyword(lowerTitle, keywords) {
+    let best = null;
+
+    keywords.forEach((keyword) => {
+      const pattern = new RegExp(`\\b${keyword}(?:e?s)?\\b`, 'g');
+      let match;
+      while ((match = pattern.exec(lowerTitle)) !== null) {
+        if (!best || match.index > best.index) {
+          best = { keyword, index: match.index };
+        }
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Product title candidates for the current page: structured data, the page
+   * heading and the Open Graph title
+   * @param {Document|Element} root
+   * @returns {Array<string>}
+   */
+  function getPageTitles(root) {
+    const titles = [];
+
+    const metadata =
+      root === document && typeof window.getProductMetadata === 'function'
+        ? window.getProductMetadata()
+        : null;
+    if (metadata && metadata.title) titles.push(metadata.title);
+
+    const heading = root.querySelector('h1');
+    if (heading) titles.push(heading.textContent.trim().substring(0, 200));
+
+    const ogTitle = root.querySelector('meta[property="og:title"]');
+    if (ogTitle && ogTitle.content) titles.push(ogTitle.content);
+
+    return titles;
+  }
+
+  // ==================== PUBLIC API ====================
+
+  /**
+   * The beauty product a page sells, from its title. The last product word wins,
+   * as for garments: "Lipstick Print Tee" is a tee, "Tee-Rose Lip Tint" a lip tint.
+   * @param {Document|Element} root
+   * @returns {Object|null} - {category, keyword, label, tolerance}, null off beauty pages
+   */
+  function detectBeautyProduct(root = document) {
+    for (const title of getPageTitles(root)) {
+      const lowerTitle = title.toLowerCase();
+      let best = null;
+
+      Object.entries(BEAUTY_CATEGORIES).forEach(([category, { keywords }]) => {
+        const match = findLastKeyword(lowerTitle, keywords);
+        if (match && (!best || match.index > best.index)) {
+          best = { category, keyword: match.keyword, index: match.index };
+        }
+      });
+      if (!best) continue;
+
+      const garment =
+        typeof window.findGarmentKeyword === 'function' ? window.findGarmentKeyword(title) : null;
+      if (garment && lowerTitle.lastIndexOf(garment.keyword) > best.index) return null;
+
+      const { label, tolerance } = BEAUTY_CATEGORIES[best.category];
+      return { category: best.category, keyword: best.keyword, label, tolerance };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the depth and undertone out of a shade name. A code's letters win over
+   * words: "Warm Beige 230N" is a neutral shade on a warm-sounding name.
+   * @param {string} name - e.g. "Warm Beige 230N", "NC42", "Ruby Woo"
+   * @returns {Object|null} - {label, code, level, undertone, source}; undertone and
+   *   source ('code' | 'name') are null when the name doesn't say
+   */
+  function parseShadeName(name) {
+    if (!name || typeof name !== 'string') return null;
+
+    const label = name.trim().replace(/\s+/g, ' ');
+    const shade = { label, code: null, level: null, undertone: null, source: null };
+
+    SHADE_CODE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = SHADE_CODE_PATTERN.exec(label)) !== null) {
+      const letters = match[3] || match[5];
+      if (!CODE_UNDERTONES[letters]) continue;
+
+      shade.code = match[1].replace(/\s/g, '');
+      shade.level = parseFloat(match[2] || match[6]);
+      shade.undertone = CODE_UNDERTONES[letters];
+      shade.source = 'code';
+      return shade;
+    }
+
+    const word = label
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .find((part) => WORD_UNDERTONES[part]);
+    if (word) {
+      shade.undertone = WORD_UNDERTONES[word];
+      shade.source = 'name';
+    }
+
+    return shade;
+  }
+
+  // ==================== EXPORTS ====================
+
+  if (typeof window !== 'undefined') {
+    window.BEAUTY_CATEGORIES = BEAUTY_CATEGORIES;
+    window.detectBeautyProduct = detectBeautyProduct;
+    window.parseShadeName = parseShadeName;
+  }
+})();
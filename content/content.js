@@ -16,9 +16,16 @@
     selectedSeason: null,
     filterEnabled: true,
     textColorEnhancementEnabled: true, // Enable text-based color enhancement
+    deltaEFormula: 'ciede2000',
+    extractionMode: 'heuristic', // 'precise' segments the garment with on-device background removal
+    filterMode: 'badge', // 'badge' | 'dim' | 'hide' | 'sort' - how listing pages treat non-matches
+    whiteBalance: true, // Correct the lighting color cast (measured on the backdrop) before matching
+    contrastLevel: 'season', // 'season' or the user's own contrast: 'low' | 'medium' | 'high'
   };
 
   let colorProcessor = null;
+  let backgroundRemover = null; // Created lazily the first time precise extraction runs
+  let analysisPipeline = null; // Bounded queue + worker for image analysis (see analysis-pipeline.js)
   let processedImages = new WeakSet(); // Track actual image elements we've analyzed
   let processedSwatches = new WeakSet(); // Track analyzed swatch elements
   let swatchAnalysisData = new WeakMap(); // Store swatch analysis without DOM modifications
@@ -33,6 +40,99 @@
   let inactivityTimer = null;
   let inactivityDelay = 2500; // 2.5 seconds
   let hasShownSummary = false;
+  let isFiltering = false; // True once startFiltering() has run on this page
+  let isListingPage = false; // Sticky once any batch looks like a category/search grid
+  let productCards = new WeakMap(); // img → product card element (findProductContainer)
+  const siteAdapter = typeof getSiteAdapter === 'function' ? getSiteAdapter() : null; // data/site-adapters.js
+  let newImageObserver = null; // observeNewImages(); also watches open shadow roots as they're found
+  let observedShadowRoots = new WeakSet();
+  // Query parameters that pick a variant of the same product (Shopify's ?variant=,
+  // ?color= on many stores). Any other query change - a search, a facet, ?pid= - is a new page.
+  const SAME_PAGE_PARAMS = ['variant', 'color', 'colour', 'size'];
+  let lastPageUrl = getPageUrl(); // Client-side route changes are detected against this
+  let navigationTimer = null;
+  let isWatchingNavigation = false;
+
+  // Routers render the new page right after the URL changes - give them a moment first
+  const NAVIGATION_SETTLE_DELAY = 300;
+
+  // Viewport-prioritized analysis: candidates are queued as they approach the viewport
+  const NEAR_VIEWPORT_MARGIN = '100%'; // Queue images within one screen of the viewport
+  const FAR_VIEWPORT_MARGIN = '300%'; // Cancel work for images more than three screens away
+  let nearViewportObserver = null;
+  let farViewportObserver = null;
+  let visibleObserver = null; // On-screen candidates, for the overlay's "N of M visible"
+  let candidateImages = new WeakSet(); // Handed to the viewport observers
+  let candidateCount = 0; // Candidates found on this page so far (page type for partial scans)
+  let visibleImages = new Set();
+  let settledImages = new WeakSet(); // Analysis ran to completion
+  let pendingScanRoots = new Set(); // Subtrees added since the last scan (observeNewImages)
+  let hasAdapterImages = false; // The site adapter found product images on this page
+  let hasPendingFilterPass = false; // A scan ran - apply the filter mode once its analysis settles
+
+  // Variant matrix: every color option of a detail page, scored (see buildVariantMatrix)
+  const VARIANT_MATRIX_MAX_ROWS = 24;
+  let variantMatrixRows = [];
+  let variantMatrixGeneration = 0; // Bumped by resetPageState() so stale builds are dropped
+  let hasBuiltVariantMatrix = false;
+
+  // Beauty products: shades judged from their chips, best listed (see buildBeautyShades)
+  const BEAUTY_SHADES_SHOWN = 6;
+  let beautyProduct; // getBeautyProduct() result; undefined until this page is checked
+  let beautyMainImage = null; // findMainProductImage() on a beauty page, once found
+  let beautySelectedShade; // readSelectedBeautyShade() result; undefined until read
+  let beautyShadeRows = [];
+
+  // Larger srcset candidates / background images are scaled down to this before analysis
+  const LARGEST_SOURCE_MAX_SIZE = 800;
+
+  // Precise extraction: palettes keyed by image URL so re-filtering never re-segments
+  const PRECISE_EXTRACTION_TIMEOUT_MS = 8000;
+  const PRECISE_CACHE_MAX_ENTRIES = 200;
+  const preciseColorCache = new Map(); // url → Promise<{palette, pixels}|null>
+
+  // Model skin/hair exclusion (on-model photos)
+  const TONE_SAMPLE_SIZE = 96; // Analyzed region is downscaled to this before per-pixel classification
+  const SKIN_PIXEL_RATIO = 0.6; // Share of a palette color's pixels that must be skin-like
+  const SKIN_REMOVE_MAX_SHARE = 0.35; // Larger skin-toned areas are more likely a tan/nude garment
+  const HAIR_TOP_BAND = 0.3; // Hair sits in the top 30% of the analyzed region
+  const HAIR_TOP_RATIO = 0.6;
+  const HAIR_REMOVE_TOP_RATIO = 0.75;
+  const HAIR_MAX_SHARE = 0.3;
+
+  // Pattern / multicolor layout (see analyzeColorLayout)
+  const LAYOUT_MIN_SHARE = 0.12; // A color covering less than this is a detail, not part of the layout
+  const LAYOUT_SAME_COLOR_DELTA_E = 15; // Palette colors closer than this are shading of one color
+  const LAYOUT_MAX_PIXEL_DISTANCE = 80; // RGB distance beyond which a pixel belongs to no palette color
+  const LAYOUT_PRINT_TRANSITION_RATE = 0.08; // Neighbouring pixels of different colors: stripes, florals
+  const LAYOUT_LABELS = { 'two-tone': 'two-tone piece', print: 'print', multicolor: 'color-blocked piece' };
+  const CONTRAST_MIN_SCORE = 50; // Multi-color items whose contrast scores lower don't match
+  let selectedSwatchIsPattern = null; // Detail pages: detectPattern() result for the selected swatch
+
+  // Outfit photos: score only the garment the title names (see findGarmentRegion)
+  const REGION_MIN_PIXELS = 300; // Fewer garment pixels than this is too little to split
+  const REGION_SPLIT_MIN_DIFFERENCE = 0.5; // Color histogram difference that marks a garment edge
+  const REGION_MIN_SHARE = 0.1; // A region smaller than this share of the figure isn't trusted
+  const REGION_MIN_COLOR_SHARE = 0.08; // Region palette keeps colors covering at least this much
+  const REGION_HAT_BAND = 0.12; // Top of the figure checked for a hat
+  const REGION_SHOE_BAND = 0.1; // Bottom of the figure checked for shoes
+  const REGION_CENTER_WIDTH = 0.3; // Center strip of the upper body: the inner layer of an open jacket
+
+  // White balance: a light, nearly neutral backdrop shows the color of the light (see estimateIlluminant)
+  const WB_MIN_BACKDROP_LIGHTNESS = 55; // Darker backdrops are scenery, not a studio sweep
+  const WB_MIN_CAST_CHROMA = 3; // Below this the backdrop already reads as neutral
+  const WB_MAX_CAST_CHROMA = 25; // Above this the backdrop is a colored wall, not a lighting cast
+
+  // Jewelry, watches and hardware: metal tone from specular highlights (see detectMetalTone)
+  const METAL_HIGHLIGHT_LUMINANCE = 225; // A highlight is a near-white glint...
+  const METAL_HIGHLIGHT_CONTRAST = 80; // ...with a pixel this much darker right next to it
+  const METAL_HIGHLIGHT_RADIUS = 2; // Pixels around a glint checked for that contrast
+  const METAL_BODY_RADIUS = 3; // Pixels this close to a glint are the metal itself
+  const METAL_MIN_HIGHLIGHT_SHARE = 0.002; // Fewer glints than this: matte, no visible metal
+  const METAL_MAX_HIGHLIGHT_SHARE = 0.2; // More than this: a white item, not glints
+  const METAL_MIN_BODY_PIXELS = 20;
+  const METAL_BACKDROP_DISTANCE = 40; // RGB distance at which a pixel counts as backdrop
+  const METAL_LABELS = { jewelry: 'jewelry', watch: 'watch', hardware: 'hardware' };
 
   /**
    * Get current domain
@@ -57,10 +157,17 @@
       return;
     }
 
+    // Merge the user's custom palettes into SEASONAL_PALETTES before resolving the season
+    const customPaletteKeys = await loadCustomPalettes();
+    if (customPaletteKeys.length > 0) {
+      console.log('[Season Color Checker] Custom palettes loaded:', customPaletteKeys.length);
+    }
+
     // Load settings from background
     chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
       if (response) {
         settings = response;
+        colorProcessor.setDeltaEFormula(settings.deltaEFormula);
         console.log('[Season Color Checker] Settings loaded:', settings);
 
         // Apply initial showSwatches state
@@ -94,6 +201,10 @@
               'palette',
             );
             startFiltering();
+          } else if (isCustomPalette(settings.selectedSeason)) {
+            console.warn(
+              '[Season Color Checker] Your custom palette was deleted. Click the extension icon to choose another palette.',
+            );
           } else {
             console.error(
               '[Season Color Checker] ⚠️ OLD SEASON DETECTED! Your selected season "' +
@@ -142,6 +253,43 @@
           resetAndRefilter();
         }
 
+        if (changes.deltaEFormula) {
+          settings.deltaEFormula = changes.deltaEFormula.newValue;
+          colorProcessor.setDeltaEFormula(settings.deltaEFormula);
+          if (isFiltering) {
+            resetAndRefilter();
+          }
+        }
+
+        if (changes.extractionMode) {
+          settings.extractionMode = changes.extractionMode.newValue || 'heuristic';
+          if (isFiltering) {
+            resetAndRefilter();
+          }
+        }
+
+        if (changes.whiteBalance) {
+          settings.whiteBalance = changes.whiteBalance.newValue !== false;
+          if (isFiltering) {
+            resetAndRefilter();
+          }
+        }
+
+        if (changes.contrastLevel) {
+          settings.contrastLevel = changes.contrastLevel.newValue || 'season';
+          if (isFiltering) {
+            resetAndRefilter();
+          }
+        }
+
+        if (changes.filterMode) {
+          // Only presentation changes - no need to re-analyze
+          settings.filterMode = changes.filterMode.newValue || 'badge';
+          if (isFiltering) {
+            applyFilterMode();
+          }
+        }
+
         if (changes.favoriteSites) {
           // Favorites changed - popup.js reloads the page when toggling favorites
           settings.favoriteSites = changes.favoriteSites.newValue;
@@ -160,6 +308,13 @@
 
         // Note: showOverlay changes are handled by overlay.js storage listener
       }
+
+      if (area === 'local' && changes.customPalettes) {
+        // seasonal-palettes.js has already merged the new palettes; re-run if ours changed
+        if (isFiltering && isCustomPalette(settings.selectedSeason)) {
+          resetAndRefilter();
+        }
+      }
     });
   }
 
@@ -272,6 +427,7 @@
    */
   function startFiltering() {
     console.log('[Season Color Checker] Starting filtering process...');
+    isFiltering = true;
 
     // Initialize overlay widget first
     if (typeof window.initializeOverlay === 'function') {
@@ -281,6 +437,17 @@
       console.warn('[Season Color Checker] Overlay not available');
     }
 
+    // Analysis queue: a few images at a time, pixel work in a worker, progress to the overlay
+    if (!analysisPipeline && typeof ImageAnalysisPipeline !== 'undefined') {
+      analysisPipeline = new ImageAnalysisPipeline({
+        onProgress: (completed, total) => {
+          if (typeof window.updateLoadingProgress === 'function') {
+            window.updateLoadingProgress(completed, total);
+          }
+        },
+      });
+    }
+
     // Show loading state immediately
     if (typeof window.showLoadingState === 'function') {
       window.showLoadingState();
@@ -301,88 +468,311 @@
       watchSwatchChanges();
       console.log('[Season Color Checker] Swatch change watcher initialized');
     }
+
+    // Single-page apps: listing → product without a page load
+    watchNavigation();
+
+    // Shopify stores: fetch variant JSON now so text weighting can use it
+    if (typeof loadProductMetadata === 'function') {
+      loadProductMetadata();
+    }
   }
 
   /**
    * Detect page type based on number of product images
-   * @param {Array} images - Array of product image elements
+   * @param {number} imageCount - Number of product images found
    * @returns {string} - 'detail' for single-product pages, 'listing' for multi-product pages
    */
-  function detectPageType(images) {
+  function detectPageType(imageCount) {
     // If <= 16 images, likely a detail page (single product with multiple views)
     // If > 16 images, likely a listing page (multiple products)
-    return images.length <= 16 ? 'detail' : 'listing';
+    return imageCount <= 16 ? 'detail' : 'listing';
   }
 
   /**
-   * Find product images on the page
+   * Find product images and hand them to the viewport observers. Nothing is
+   * analyzed here - see onNearViewport().
+   * @param {Array<Element>|null} roots - Added subtrees to scan; null scans the whole document
    */
-  async function findAndProcessImages() {
-    let images = findProductImages();
-    const pageType = detectPageType(images);
-    const totalToProcess = images.filter((img) => !processedImages.has(img)).length;
+  function findAndProcessImages(roots = null) {
+    let images = roots ? roots.flatMap((root) => findProductImages(root)) : findProductImages();
     const swatches = images.filter(
       (img) =>
         img.naturalHeight < 50 && img.naturalHeight < 50 && img.naturalHeight === img.naturalWidth,
     );
     images = images.filter((img) => !swatches.includes(img)); // Exclude swatches
-    console.log('swatches', images);
+    images = images.filter((img) => !processedImages.has(img) && !candidateImages.has(img));
+
+    hasPendingFilterPass = true;
+
+    // Partial scans only see the added subtree - judge the page by every candidate so far
+    candidateCount += images.length;
+    if (detectPageType(candidateCount) === 'listing') {
+      isListingPage = true;
+    }
 
-    let processedCount = 0;
     console.log(
-      'TOTAL TO PROCESS',
-      totalToProcess,
-      'swatches',
+      '[Season Color Checker] New images found:',
+      images.length,
+      '(skipped',
       swatches.length,
-      images[30],
-      images[30].naturalWidth,
-      images[30].naturalHeight,
+      'swatches)',
     );
 
-    // Process all images
-    const processingPromises = images.map(async (img) => {
-      if (!processedImages.has(img)) {
-        await processImage(img, pageType);
-        processedCount++;
+    if (images.length === 0) {
+      finishAnalysisBatch();
+      return;
+    }
+
+    observeViewport(images);
+  }
 
-        // Update loading progress every 5 images or on last image
-        if (processedCount % 5 === 0 || processedCount === totalToProcess) {
-          if (typeof window.updateLoadingProgress === 'function') {
-            window.updateLoadingProgress(processedCount, totalToProcess);
-          }
+  /**
+   * Watch candidates' distance from the viewport. Each observer reports the
+   * current state of newly observed elements right away, so images already
+   * near the viewport are queued on the next frame.
+   * @param {Array<Element>} images
+   */
+  function observeViewport(images) {
+    if (!nearViewportObserver) {
+      nearViewportObserver = new IntersectionObserver(onNearViewport, {
+        rootMargin: NEAR_VIEWPORT_MARGIN,
+      });
+      farViewportObserver = new IntersectionObserver(onFarViewport, {
+        rootMargin: FAR_VIEWPORT_MARGIN,
+      });
+      visibleObserver = new IntersectionObserver(onVisibilityChange);
+    }
+
+    images.forEach((img) => {
+      candidateImages.add(img);
+      nearViewportObserver.observe(img);
+      farViewportObserver.observe(img);
+      visibleObserver.observe(img);
+    });
+  }
+
+  /**
+   * Queue analysis for candidates that came within a screen of the viewport,
+   * nearest first
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  async function onNearViewport(entries) {
+    const batch = entries
+      .filter(
+        (entry) =>
+          entry.isIntersecting &&
+          !processedImages.has(entry.target) &&
+          !settledImages.has(entry.target),
+      )
+      .map((entry) => ({
+        img: entry.target,
+        distance: getViewportDistance(entry.boundingClientRect),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+    if (batch.length === 0) return; // Images leaving the margin
+
+    // Wait for the batch (or its cancellation) before sorting the grid and showing stats
+    await Promise.all(batch.map(({ img, distance }) => analyzeImage(img, distance)));
+    finishAnalysisBatch();
+  }
+
+  /**
+   * Cancel queued or running analysis for candidates scrolled far away. They
+   * are queued again if they come back near the viewport.
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  function onFarViewport(entries) {
+    if (!analysisPipeline) return;
+
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) {
+        analysisPipeline.cancel(entry.target);
+      }
+    });
+  }
+
+  /**
+   * Track on-screen candidates; a queued image that scrolls into view jumps the queue
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  function onVisibilityChange(entries) {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        visibleImages.add(entry.target);
+        if (analysisPipeline) {
+          analysisPipeline.prioritize(entry.target, 0);
         }
+      } else {
+        visibleImages.delete(entry.target);
       }
     });
+    updateOverlay();
+  }
+
+  /**
+   * Vertical distance (px) between an element and the viewport, 0 if on screen
+   * @param {DOMRectReadOnly} rect
+   * @returns {number}
+   */
+  function getViewportDistance(rect) {
+    if (rect.bottom < 0) return -rect.bottom;
+    if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+    return 0;
+  }
+
+  /**
+   * Analyze one candidate through the pipeline (a few at a time, nearest first)
+   * @param {Element} img
+   * @param {number} priority - Distance from the viewport
+   */
+  async function analyzeImage(img, priority) {
+    const pageType = isListingPage ? 'listing' : 'detail';
+    const jobProcessedImages = processedImages; // Replaced by resetPageState() while jobs wind down
+
+    const completed = analysisPipeline
+      ? await analysisPipeline.schedule(
+          img,
+          (signal) => processImage(img, pageType, signal).then(() => !signal.aborted),
+          priority,
+        )
+      : await processImage(img, pageType).then(() => true);
+
+    // Cancelled (still observed - queued again when it comes back), or the page was reset
+    if (!completed || jobProcessedImages !== processedImages) return;
+
+    if (processedImages.has(img)) {
+      settledImages.add(img);
+    } else {
+      // Skipped (too small, no source yet) - a later scan may find it ready
+      forgetCandidate(img);
+    }
+    updateOverlay();
+  }
+
+  /**
+   * Stop tracking a candidate so the next scan that reaches it starts fresh
+   * @param {Element} img
+   */
+  function forgetCandidate(img) {
+    [nearViewportObserver, farViewportObserver, visibleObserver].forEach((observer) => {
+      if (observer) observer.unobserve(img);
+    });
+    candidateImages.delete(img);
+    visibleImages.delete(img);
+  }
+
+  /**
+   * Refresh the overlay; once no analysis is left running, apply the filter mode
+   * for the last scan and end the loading state
+   */
+  function finishAnalysisBatch() {
+    updateOverlay();
+    if (analysisPipeline && !analysisPipeline.isIdle()) return; // Other batches still running
 
-    // Wait for all images to be processed
-    await Promise.all(processingPromises);
+    // Dim/hide already happened per image. Sorting waits for the scan, not every
+    // scroll step, so cards analyzed while the user scrolls past don't jump up.
+    if (hasPendingFilterPass) {
+      hasPendingFilterPass = false;
+      applyFilterMode();
+    }
 
-    // Hide loading state and show final stats
     if (typeof window.hideLoadingState === 'function') {
       window.hideLoadingState();
     }
-    updateOverlay();
+    updateNextPage();
+  }
+
+  /**
+   * Offer the listing's next results page in the overlay (the site adapter's
+   * pagination link) - with non-matches dimmed or hidden, that's where more are
+   */
+  function updateNextPage() {
+    if (typeof window.showNextPage !== 'function') return;
+
+    const nextPage = isListingPage && siteAdapter ? findAdapterNextPage(siteAdapter) : null;
+    if (nextPage) {
+      window.showNextPage(goToNextPage);
+    } else {
+      window.hideNextPage();
+    }
+  }
+
+  /**
+   * Follow the next-page link, or press "load more" - its products are picked up
+   * by observeNewImages() like any other added to the page
+   */
+  function goToNextPage() {
+    const nextPage = siteAdapter ? findAdapterNextPage(siteAdapter) : null;
+    if (!nextPage) return;
+
+    // <link rel="next"> in the head can't be clicked
+    if (nextPage.element.tagName === 'LINK') {
+      if (nextPage.url) window.location.assign(nextPage.url);
+    } else {
+      nextPage.element.click();
+    }
+  }
+
+  /**
+   * On-screen candidates and how many of them are analyzed
+   * @returns {{visibleImages: number, analyzedVisibleImages: number}}
+   */
+  function getVisibleProgress() {
+    let analyzed = 0;
+    visibleImages.forEach((img) => {
+      if (!img.isConnected) {
+        visibleImages.delete(img);
+      } else if (settledImages.has(img)) {
+        analyzed++;
+      }
+    });
+    return { visibleImages: visibleImages.size, analyzedVisibleImages: analyzed };
   }
 
   /**
-   * Detect product images (vs UI elements, logos, etc.)
+   * Detect product images (vs UI elements, logos, etc.): <img> elements in the
+   * document and open shadow roots, plus elements rendering a CSS background image
+   * @param {Document|Element} root - Whole document, or a subtree a mutation added
    */
-  function findProductImages() {
-    const allImages = document.querySelectorAll('img');
+  function findProductImages(root = document) {
+    // Retailer adapter first; the generic heuristics below are the fallback
+    if (siteAdapter) {
+      // An added subtree may sit inside a card - scan from the card so its primary image is found
+      const scope =
+        root === document ? document : findAdapterProductCard(siteAdapter, root) || root;
+      const adapterImages = findAdapterProductImages(siteAdapter, scope).filter((el) => {
+        const url = getMediaSourceUrl(el);
+        return url && url !== window.location.href;
+      });
+      if (adapterImages.length > 0) {
+        hasAdapterImages = true;
+        return adapterImages;
+      }
+      // The adapter covers this page - a subtree without cards holds no products
+      if (hasAdapterImages) {
+        return [];
+      }
+    }
+
+    const media = findProductMedia(root);
+    observeShadowRoots(media.shadowRoots);
+
+    const allImages = media.images;
     const productImages = [];
 
     // Apply smart filtering to all images on the page
     allImages.forEach((img) => {
       // Skip common UI elements (logos, icons, social media buttons)
-      const src = img.src.toLowerCase();
+      const source = (img.currentSrc || img.src).toLowerCase();
       const alt = (img.alt || '').toLowerCase();
       const className = (img.className || '').toLowerCase();
 
       // Skip logos and icons by src, alt, or class
       if (
-        src.includes('logo') ||
-        src.includes('icon') ||
-        src.includes('sprite') ||
+        source.includes('logo') ||
+        source.includes('icon') ||
+        source.includes('sprite') ||
         alt.includes('logo') ||
         alt.includes('icon') ||
         className.includes('logo') ||
@@ -393,11 +783,11 @@
 
       // Skip social media and UI elements
       if (
-        src.includes('facebook') ||
-        src.includes('twitter') ||
-        src.includes('instagram') ||
-        src.includes('pinterest') ||
-        src.includes('social') ||
+        source.includes('facebook') ||
+        source.includes('twitter') ||
+        source.includes('instagram') ||
+        source.includes('pinterest') ||
+        source.includes('social') ||
         className.includes('social')
       ) {
         return;
@@ -460,13 +850,28 @@
       }
 
       // Skip if the image has no src (placeholder or broken)
-      if (!img.src || img.src === '' || img.src === window.location.href) {
+      const src = getMediaSourceUrl(img);
+      if (!src || src === window.location.href) {
         return;
       }
 
       productImages.push(img);
     });
 
+    // CSS background-image products (size and banner checks done in findProductMedia)
+    media.backgrounds.forEach((element) => {
+      const url = getMediaSourceUrl(element).toLowerCase();
+      const className = (element.getAttribute('class') || '').toLowerCase();
+      if (
+        ['logo', 'icon', 'sprite', 'social', 'banner'].some(
+          (word) => url.includes(word) || className.includes(word),
+        )
+      ) {
+        return;
+      }
+      productImages.push(element);
+    });
+
     return productImages;
   }
 
@@ -534,7 +939,7 @@
         const clusterAvg = cluster.colors[0]; // Use first color as representative
         const deltaE = colorProcessor.calculateDeltaE(color, clusterAvg);
 
-        if (deltaE < 10) {
+        if (deltaE < colorProcessor.scaleThreshold(10)) {
           cluster.colors.push(color);
           foundCluster = true;
           break;
@@ -570,6 +975,61 @@
     return backgroundColors;
   }
 
+  /**
+   * Estimate the scene illuminant from the backdrop. Studio backdrops are white or
+   * light grey, so a tint on the lightest, nearly neutral one is the color of the
+   * light rather than of the set. Colored walls and dark scenery are left alone.
+   * @param {Array<Array<number>>} backgroundColors - RGB backdrop colors from findAllBackgroundColors()
+   * @returns {{rgb: Array<number>, hex: string, cast: string}|null} - Illuminant and the cast's
+   *   direction ('warm' | 'cool' | 'magenta' | 'green'), or null when there's nothing to correct
+   */
+  function estimateIlluminant(backgroundColors) {
+    const candidates = backgroundColors
+      .map((rgb) => ({ rgb, lch: colorProcessor.labToLch(colorProcessor.toLab(rgb)) }))
+      .filter(({ lch }) => lch.l >= WB_MIN_BACKDROP_LIGHTNESS && lch.c <= WB_MAX_CAST_CHROMA)
+      .sort((a, b) => b.lch.l - a.lch.l);
+
+    if (candidates.length === 0 || candidates[0].lch.c < WB_MIN_CAST_CHROMA) return null;
+
+    const { rgb } = candidates[0];
+    const lab = colorProcessor.toLab(rgb);
+    let cast;
+    if (Math.abs(lab.b) >= Math.abs(lab.a)) {
+      cast = lab.b > 0 ? 'warm' : 'cool';
+    } else {
+      cast = lab.a > 0 ? 'magenta' : 'green';
+    }
+
+    return { rgb, hex: colorProcessor.rgbToHex(rgb), cast };
+  }
+
+  /**
+   * Copy of downscaled pixels with a color correction applied (alpha kept, so precise
+   * mode's mask survives). Corrections are cached per color - product photos repeat a lot.
+   * @param {ImageData|null} pixels - From sampleTonePixels() or the precise mask
+   * @param {Function} adapt - ([r, g, b]) => [r, g, b]
+   * @returns {Object|null} - {data, width, height}
+   */
+  function adaptPixels(pixels, adapt) {
+    if (!pixels) return null;
+
+    const data = new Uint8ClampedArray(pixels.data);
+    const corrected = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let rgb = corrected.get(key);
+      if (!rgb) {
+        rgb = adapt([data[i], data[i + 1], data[i + 2]]);
+        corrected.set(key, rgb);
+      }
+      data[i] = rgb[0];
+      data[i + 1] = rgb[1];
+      data[i + 2] = rgb[2];
+    }
+
+    return { data, width: pixels.width, height: pixels.height };
+  }
+
   /**
    * Extract center region of image using static crop (fallback method)
    * @param {HTMLImageElement|HTMLCanvasElement} img - Image to crop
@@ -696,6 +1156,78 @@
     }
   }
 
+  /**
+   * Get (or create) the shared background remover used by precise extraction
+   * @returns {BackgroundRemover|null} - null if the background removal bundle isn't loaded
+   */
+  function getBackgroundRemover() {
+    if (!backgroundRemover && typeof BackgroundRemover !== 'undefined') {
+      backgroundRemover = new BackgroundRemover();
+    }
+    return backgroundRemover;
+  }
+
+  /**
+   * Segment the garment with on-device background removal and extract its palette.
+   * ColorThief skips pixels with alpha < 125, so only the foreground mask is sampled.
+   * Results (including in-flight work) are cached by image URL.
+   * @param {HTMLImageElement} image - CORS-accessible image to analyze
+   * @param {string} cacheKey - Image URL used as the cache key
+   * @returns {Promise<{palette: Array<Array<number>>, pixels: ImageData|null}|null>} - Foreground
+   *   palette plus a downscaled pixel sample for skin/hair exclusion, or null on failure/timeout
+   */
+  async function extractPreciseColors(image, cacheKey) {
+    const remover = getBackgroundRemover();
+    if (!remover) {
+      console.warn('[Season Color Checker] Background remover not loaded, using heuristic extraction');
+      return null;
+    }
+
+    let pending = preciseColorCache.get(cacheKey);
+    if (!pending) {
+      pending = remover
+        .removeBackground(image)
+        .then((foreground) => {
+          if (!foreground) return null;
+          const palette = new ColorThief().getPalette(foreground, 8);
+          if (!palette || palette.length === 0) return null;
+          return { palette, pixels: sampleTonePixels(foreground) };
+        })
+        .catch((e) => {
+          console.log('[Season Color Checker] Precise extraction failed:', e.message);
+          return null;
+        })
+        .then((result) => {
+          // Don't cache failures so a later pass can retry
+          if (!result && preciseColorCache.get(cacheKey) === pending) {
+            preciseColorCache.delete(cacheKey);
+          }
+          return result;
+        });
+
+      preciseColorCache.set(cacheKey, pending);
+      if (preciseColorCache.size > PRECISE_CACHE_MAX_ENTRIES) {
+        preciseColorCache.delete(preciseColorCache.keys().next().value);
+      }
+    }
+
+    // Segmentation keeps running after a timeout, so its result still lands in the cache
+    let timeoutId;
+    const timeout = new Promise((resolve) => {
+      timeoutId = setTimeout(() => {
+        console.log(
+          '[Season Color Checker] Precise extraction timed out, using heuristic extraction:',
+          cacheKey.substring(0, 80),
+        );
+        resolve(null);
+      }, PRECISE_EXTRACTION_TIMEOUT_MS);
+    });
+
+    const result = await Promise.race([pending, timeout]);
+    clearTimeout(timeoutId);
+    return result;
+  }
+
   /**
    * Calculate HSL saturation from RGB
    * @param {Array<number>} rgb - RGB color array [r, g, b]
@@ -729,37 +1261,33 @@
   function filterBackgroundColors(palette, backgroundColors, textColorMentions = []) {
     if (!palette || palette.length === 0) return palette;
 
+    const isTextMentioned = (color) =>
+      textColorMentions.some((mention) => {
+        if (!mention.hex) return false;
+        const textDeltaE = colorProcessor.calculateDeltaE(mention.hex, color);
+        return textDeltaE < colorProcessor.scaleThreshold(20); // Close match to text-mentioned color
+      });
+    const hasBackdrop = backgroundColors && backgroundColors.length > 0;
+
     return palette.filter((color) => {
       // Check against ALL detected background colors (handles multi-region backgrounds like floor + sky)
       if (backgroundColors && backgroundColors.length > 0) {
         for (const backgroundColor of backgroundColors) {
           const deltaE = colorProcessor.calculateDeltaE(color, backgroundColor);
 
-          if (deltaE < 30) {
+          if (deltaE < colorProcessor.scaleThreshold(30)) {
             // Color is similar to this background region
 
             // TEXT-ENHANCEMENT BACKGROUND PROTECTION
             // If text mentions this color AND it's similar to background, KEEP it
             // Rationale: It's likely the product color, not the background
             // Example: "Navy Blue Sweater" on navy background → keep navy
-            if (textColorMentions.length > 0) {
-              const colorHex = colorProcessor.rgbToHex(color);
-              const isTextMentioned = textColorMentions.some((mention) => {
-                if (!mention.hex) return false;
-                const textDeltaE = colorProcessor.calculateDeltaE(
-                  colorProcessor.hexToRgb(mention.hex),
-                  color,
-                );
-                return textDeltaE < 20; // Close match to text-mentioned color
-              });
-
-              if (isTextMentioned) {
-                console.log(
-                  '[Season Color Checker] Preserving color similar to background (text-mentioned):',
-                  colorHex,
-                );
-                return true; // KEEP - text confirms this is the product color
-              }
+            if (isTextMentioned(color)) {
+              console.log(
+                '[Season Color Checker] Preserving color similar to background (text-mentioned):',
+                colorProcessor.rgbToHex(color),
+              );
+              return true; // KEEP - text confirms this is the product color
             }
 
             // Not text-mentioned, filter it out as background
@@ -777,9 +1305,12 @@
 
       // Only filter desaturated colors if they're NOT dark
       // Black/navy garments: low saturation + low lightness (< 0.3) → KEEP
-      // Beige/gray backgrounds: low saturation + high lightness (> 0.3) → FILTER
+      // Beige/gray backgrounds: low saturation + high lightness (> 0.3) → FILTER,
+      // unless the backdrop was detected (this color is far from it, so it's a
+      // white/gray/beige garment - matched against the season's neutrals) or the
+      // text names it
       if (saturation < 0.15 && lightness > 0.3) {
-        return false;
+        return hasBackdrop || isTextMentioned(color);
       }
 
       return true;
@@ -787,99 +1318,955 @@
   }
 
   /**
-   * Check if we can access image data without CORS errors
-   * Returns true if the image is accessible, false if CORS-blocked
+   * Downscale an image/canvas and read its pixels for skin/hair classification
+   * @param {HTMLImageElement|HTMLCanvasElement} source - Region that was passed to ColorThief
+   * @returns {ImageData|null} - Pixels at most TONE_SAMPLE_SIZE on the long side
    */
-  function canAccessImageData(img) {
+  function sampleTonePixels(source) {
     try {
-      // Create a temporary 1x1 canvas (not added to DOM)
+      const width = source.naturalWidth || source.width;
+      const height = source.naturalHeight || source.height;
+      if (!width || !height) return null;
+
+      const scale = Math.min(1, TONE_SAMPLE_SIZE / Math.max(width, height));
       const canvas = document.createElement('canvas');
-      canvas.width = 1;
-      canvas.height = 1;
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
       const ctx = canvas.getContext('2d');
-
-      // Try to draw the image and read pixel data
-      ctx.drawImage(img, 0, 0, 1, 1);
-      ctx.getImageData(0, 0, 1, 1); // This will throw if CORS-blocked
-
-      return true; // Success - image is accessible
+      ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
     } catch (e) {
-      // CORS blocked or other error
-      return false;
+      console.log('[Season Color Checker] Could not sample pixels for skin/hair check:', e.message);
+      return null;
     }
   }
 
   /**
-   * 3-Tier Fallback System to handle CORS-blocked images
-   * Tier 1: Try crossorigin="anonymous" + reload
-   * Tier 2: Fetch via service worker as data URL
-   * Tier 3: Show dismissable badge for user action
-   *
-   * @param {HTMLImageElement} img - The image element to process
-   * @param {string} domain - The domain of the image
-   * @returns {Promise<HTMLImageElement|null>} - Returns processable image or null if all methods fail
+   * Find palette colors that are the model's skin or hair rather than the product.
+   * Each sampled pixel is assigned to its nearest palette color, then a color is:
+   * - skin: skin-toned itself, and most of its pixels pass the YCbCr skin test
+   * - hair: dark or warm-neutral, and its pixels sit mostly in the top band of the frame
+   * Small clusters are removed; large ones (likely a tan/brown garment) are only moved
+   * to the end of the palette. Colors mentioned in the product text are never touched.
+   * @param {Array<Array<number>>} palette - RGB palette from ColorThief
+   * @param {ImageData|null} pixels - Downscaled pixels of the analyzed region
+   * @param {Array<Object>} textColorMentions - Text color mentions from product description
+   * @returns {{palette: Array<Array<number>>, excluded: Array<Object>}} - Reordered palette and
+   *   exclusions as {hex, kind: 'skin'|'hair', action: 'removed'|'down-weighted', share}
    */
-  async function handleCorsImage(img, domain) {
-    const originalSrc = img.src;
+  function excludeModelTones(palette, pixels, textColorMentions = []) {
+    if (!palette || palette.length === 0 || !pixels || typeof isSkinRgb !== 'function') {
+      return { palette, excluded: [] };
+    }
 
-    // Check if domain has a preferred method cached
-    let preferredMethod = null;
-    try {
-      const response = await chrome.runtime.sendMessage({
-        action: 'getPreferredMethod',
-        domain: domain,
-      });
-      preferredMethod = response?.preferredMethod;
-    } catch (e) {
-      // Continue without cache
+    // Per palette color: pixel count, skin-like pixels and pixels in the hair band
+    const clusters = palette.map(() => ({ count: 0, skin: 0, top: 0 }));
+    const { data, width } = pixels;
+    const topBandEnd = Math.floor(pixels.height * HAIR_TOP_BAND);
+    let total = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 125) continue; // Transparent (precise mode background)
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      for (let c = 0; c < palette.length; c++) {
+        const dr = r - palette[c][0];
+        const dg = g - palette[c][1];
+        const db = b - palette[c][2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = c;
+        }
+      }
+
+      const cluster = clusters[nearest];
+      cluster.count++;
+      if (isSkinRgb(r, g, b)) cluster.skin++;
+      if (Math.floor(i / 4 / width) < topBandEnd) cluster.top++;
+      total++;
     }
 
-    // Tier 1: Try crossorigin="anonymous" (unless we know it won't work)
-    if (preferredMethod !== 'fetch') {
-      try {
-        console.log(
-          '[Season Color Checker] Tier 1: Trying crossorigin="anonymous" for:',
-          originalSrc.substring(0, 80),
-        );
+    if (total === 0) return { palette, excluded: [] };
 
-        // Clone the image to avoid affecting the original
-        const testImg = new Image();
-        testImg.crossOrigin = 'anonymous';
+    const isTextMentioned = (color) =>
+      textColorMentions.some(
+        (mention) =>
+          mention.hex &&
+          colorProcessor.calculateDeltaE(mention.hex, color) < colorProcessor.scaleThreshold(20),
+      );
 
-        await new Promise((resolve, reject) => {
-          testImg.onload = resolve;
-          testImg.onerror = reject;
-          const timeout = setTimeout(() => reject(new Error('Load timeout')), 2000);
-          testImg.src = originalSrc;
-          testImg.onload = () => {
-            clearTimeout(timeout);
-            resolve();
-          };
-        });
+    const kept = [];
+    const downWeighted = [];
+    const excluded = [];
 
-        // Check if we can now access the data
-        if (canAccessImageData(testImg)) {
-          console.log('[Season Color Checker] ✓ Tier 1 success: crossorigin worked');
-          trackCorsEvent(domain, 'success', 'crossorigin');
-          return testImg;
+    palette.forEach((color, index) => {
+      const cluster = clusters[index];
+      const share = cluster.count / total;
+      let kind = null;
+      let action = null;
+
+      if (cluster.count > 0 && !isTextMentioned(color)) {
+        const lch = colorProcessor.labToLch(colorProcessor.toLab(color));
+        const skinRatio = cluster.skin / cluster.count;
+        const topRatio = cluster.top / cluster.count;
+
+        // Very dark browns pass the YCbCr skin test too, but read as hair
+        if (
+          lch.l >= 25 &&
+          isSkinRgb(color[0], color[1], color[2]) &&
+          skinRatio >= SKIN_PIXEL_RATIO
+        ) {
+          kind = 'skin';
+          action = share < SKIN_REMOVE_MAX_SHARE ? 'removed' : 'down-weighted';
+        } else if (
+          topRatio >= HAIR_TOP_RATIO &&
+          share < HAIR_MAX_SHARE &&
+          (lch.l < 25 || (lch.c < 35 && lch.h >= 20 && lch.h <= 100))
+        ) {
+          // Black, brown, auburn and blonde hair: very dark, or warm with modest chroma
+          kind = 'hair';
+          action = topRatio >= HAIR_REMOVE_TOP_RATIO ? 'removed' : 'down-weighted';
         }
-      } catch (e) {
-        console.log('[Season Color Checker] ✗ Tier 1 failed:', e.message);
       }
+
+      if (!kind) {
+        kept.push(color);
+        return;
+      }
+
+      excluded.push({ hex: colorProcessor.rgbToHex(color), kind, action, share });
+      if (action === 'down-weighted') downWeighted.push(color);
+    });
+
+    // Never leave the product without colors - demote instead of dropping everything
+    if (kept.length === 0 && downWeighted.length === 0) {
+      excluded.forEach((item) => (item.action = 'down-weighted'));
+      return { palette: [...palette], excluded };
     }
 
-    // Tier 2: Fetch via service worker (unless we know direct works)
-    if (preferredMethod !== 'direct') {
-      try {
-        console.log(
-          '[Season Color Checker] Tier 2: Fetching via service worker:',
-          originalSrc.substring(0, 80),
+    return { palette: [...kept, ...downWeighted], excluded };
+  }
+
+  /**
+   * Group palette colors that are shading of one another
+   * @param {Array<Array<number>>} palette - RGB palette
+   * @returns {Array<number>} - Group per color, e.g. [0, 0, 2] = first two colors are one color
+   */
+  function groupSimilarColors(palette) {
+    const groups = [];
+    palette.forEach((color, index) => {
+      const same = palette
+        .slice(0, index)
+        .findIndex(
+          (other) =>
+            colorProcessor.calculateDeltaE(color, other, 'ciede2000') < LAYOUT_SAME_COLOR_DELTA_E,
         );
+      groups.push(same === -1 ? index : groups[same]);
+    });
+    return groups;
+  }
 
-        const response = await chrome.runtime.sendMessage({
-          action: 'fetchImage',
-          url: originalSrc,
-        });
+  /**
+   * Nearest palette color for every sampled pixel
+   * @param {Array<Array<number>>} palette - RGB palette
+   * @param {ImageData} pixels - Downscaled pixels of the analyzed region
+   * @param {Array<Array<number>>} ignoredColors - Background / removed tones (RGB)
+   * @returns {Int8Array} - Palette index per pixel; -1 for transparent, unmatched or ignored pixels
+   */
+  function assignPixelsToPalette(palette, pixels, ignoredColors = []) {
+    const clusters = [...palette, ...ignoredColors];
+    const { data, width, height } = pixels;
+    const assignments = new Int8Array(width * height).fill(-1);
+    const maxDistance = LAYOUT_MAX_PIXEL_DISTANCE * LAYOUT_MAX_PIXEL_DISTANCE;
+
+    for (let p = 0; p < width * height; p++) {
+      const i = p * 4;
+      if (data[i + 3] < 125) continue; // Transparent (precise mode background)
+
+      let nearest = -1;
+      let nearestDistance = maxDistance;
+      for (let c = 0; c < clusters.length; c++) {
+        const dr = data[i] - clusters[c][0];
+        const dg = data[i + 1] - clusters[c][1];
+        const db = data[i + 2] - clusters[c][2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = c;
+        }
+      }
+
+      // Background or skin/hair pixels stay unassigned
+      if (nearest !== -1 && nearest < palette.length) {
+        assignments[p] = nearest;
+      }
+    }
+
+    return assignments;
+  }
+
+  /**
+   * Classify how a garment's colors are laid out and measure each color's area.
+   * Each sampled pixel goes to its nearest palette color (background and removed
+   * skin/hair pixels are dropped). Palette colors that are just shading of one
+   * another count as one color; how often neighbouring pixels switch between
+   * colors separates prints (stripes, florals) from color-blocking.
+   * @param {Array<Array<number>>} palette - Final RGB palette
+   * @param {ImageData|null} pixels - Downscaled pixels of the analyzed region
+   * @param {Array<Array<number>>} ignoredColors - Background / removed tones (RGB)
+   * @returns {Object|null} - {type: 'solid'|'two-tone'|'print'|'multicolor', shares, colorCount,
+   *   transitionRate}, shares aligned with palette; null without pixels
+   */
+  function analyzeColorLayout(palette, pixels, ignoredColors = []) {
+    if (!palette || palette.length === 0 || !pixels) return null;
+
+    const groups = groupSimilarColors(palette);
+    const { width, height } = pixels;
+    const assignments = assignPixelsToPalette(palette, pixels, ignoredColors);
+    const counts = palette.map(() => 0);
+    let total = 0;
+
+    for (let p = 0; p < assignments.length; p++) {
+      if (assignments[p] === -1) continue;
+      counts[assignments[p]]++;
+      assignments[p] = groups[assignments[p]];
+      total++;
+    }
+
+    if (total === 0) return null;
+
+    // Right/down neighbours that are both garment: how many switch color?
+    let pairs = 0;
+    let transitions = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const group = assignments[y * width + x];
+        if (group === -1) continue;
+
+        const right = x + 1 < width ? y * width + x + 1 : -1;
+        const below = y + 1 < height ? (y + 1) * width + x : -1;
+        for (const neighbour of [right, below]) {
+          if (neighbour === -1 || assignments[neighbour] === -1) continue;
+          pairs++;
+          if (assignments[neighbour] !== group) transitions++;
+        }
+      }
+    }
+
+    const shares = counts.map((count) => Math.round((count / total) * 100) / 100);
+    const groupShares = new Map();
+    shares.forEach((share, index) => {
+      groupShares.set(groups[index], (groupShares.get(groups[index]) || 0) + share);
+    });
+    const colorCount = [...groupShares.values()].filter((share) => share >= LAYOUT_MIN_SHARE).length;
+    const transitionRate = pairs > 0 ? Math.round((transitions / pairs) * 1000) / 1000 : 0;
+
+    let type = 'solid';
+    if (colorCount >= 2) {
+      if (transitionRate >= LAYOUT_PRINT_TRANSITION_RATE) {
+        type = 'print';
+      } else {
+        type = colorCount === 2 ? 'two-tone' : 'multicolor';
+      }
+    }
+
+    return { type, shares, colorCount, transitionRate };
+  }
+
+  /**
+   * Find one garment in an outfit photo. The figure (garment pixels only -
+   * background, skin and hair are already left out) is split where its colors
+   * change most between upper and lower body; the upper body is checked for an
+   * open jacket (center strip unlike the sides), and the top and bottom bands for
+   * a hat or shoes.
+   * @param {Array<Array<number>>} palette - RGB palette (skin/hair already removed)
+   * @param {ImageData|null} pixels - Downscaled pixels of the analyzed region
+   * @param {Array<Array<number>>} ignoredColors - Background / removed tones (RGB)
+   * @param {string} regionName - 'outerwear' | 'top' | 'bottom' | 'accessories'
+   * @returns {Object|null} - {palette, share, pixels} of the region (palette most dominant first),
+   *   or null when the photo doesn't split into that region
+   */
+  function findGarmentRegion(palette, pixels, ignoredColors, regionName) {
+    if (!palette || palette.length === 0 || !pixels) return null;
+
+    const { width, height } = pixels;
+    const groups = groupSimilarColors(palette);
+    const assignments = assignPixelsToPalette(palette, pixels, ignoredColors);
+
+    // Figure bounds and per-row color counts (by group, so shading isn't an "edge")
+    const rowCounts = [];
+    let minX = width;
+    let maxX = -1;
+    let minY = height;
+    let maxY = -1;
+    let total = 0;
+    for (let y = 0; y < height; y++) {
+      const counts = new Array(palette.length).fill(0);
+      for (let x = 0; x < width; x++) {
+        const index = assignments[y * width + x];
+        if (index === -1) continue;
+        counts[groups[index]]++;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+        total++;
+      }
+      rowCounts.push(counts);
+    }
+    if (total < REGION_MIN_PIXELS) return null;
+
+    const figureHeight = maxY - minY + 1;
+    const figureWidth = maxX - minX + 1;
+
+    // Color histogram of a box; difference = 1 - histogram intersection
+    const histogram = (x0, x1, y0, y1) => {
+      const counts = new Array(palette.length).fill(0);
+      let count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const index = assignments[y * width + x];
+          if (index === -1) continue;
+          counts[groups[index]]++;
+          count++;
+        }
+      }
+      return count > 0 ? counts.map((value) => value / count) : null;
+    };
+    const rowHistogram = (y0, y1) => {
+      const counts = new Array(palette.length).fill(0);
+      for (let y = y0; y < y1; y++) {
+        rowCounts[y].forEach((value, group) => (counts[group] += value));
+      }
+      const count = counts.reduce((sum, value) => sum + value, 0);
+      return count > 0 ? counts.map((value) => value / count) : null;
+    };
+    const difference = (a, b) =>
+      a && b ? 1 - a.reduce((sum, value, group) => sum + Math.min(value, b[group]), 0) : 0;
+
+    // Hat and shoes: end bands that look unlike the body next to them
+    const hatEnd = minY + Math.round(figureHeight * REGION_HAT_BAND);
+    const shoeStart = maxY + 1 - Math.round(figureHeight * REGION_SHOE_BAND);
+    const hasHat =
+      difference(rowHistogram(minY, hatEnd), rowHistogram(hatEnd, hatEnd + (hatEnd - minY))) >=
+      REGION_SPLIT_MIN_DIFFERENCE;
+    const hasShoes =
+      difference(
+        rowHistogram(shoeStart, maxY + 1),
+        rowHistogram(shoeStart - (maxY + 1 - shoeStart), shoeStart),
+      ) >= REGION_SPLIT_MIN_DIFFERENCE;
+    const bodyStart = hasHat ? hatEnd : minY;
+    const bodyEnd = hasShoes ? shoeStart : maxY + 1;
+
+    // Upper / lower body: the row where the colors above and below differ most
+    let splitY = -1;
+    let bestDifference = REGION_SPLIT_MIN_DIFFERENCE;
+    const bodyHeight = bodyEnd - bodyStart;
+    for (
+      let y = bodyStart + Math.round(bodyHeight * 0.3);
+      y <= bodyStart + Math.round(bodyHeight * 0.75);
+      y++
+    ) {
+      const rowDifference = difference(rowHistogram(bodyStart, y), rowHistogram(y, bodyEnd));
+      if (rowDifference >= bestDifference) {
+        bestDifference = rowDifference;
+        splitY = y;
+      }
+    }
+
+    // Open jacket: the center strip of the upper body shows the layer underneath
+    const upperEnd = splitY === -1 ? bodyEnd : splitY;
+    const centerX0 = minX + Math.round(figureWidth * (0.5 - REGION_CENTER_WIDTH / 2));
+    const centerX1 = minX + Math.round(figureWidth * (0.5 + REGION_CENTER_WIDTH / 2));
+    const sidesHistogram = (() => {
+      const left = histogram(minX, centerX0, bodyStart, upperEnd);
+      const right = histogram(centerX1, maxX + 1, bodyStart, upperEnd);
+      if (!left || !right) return left || right;
+      return left.map((value, group) => (value + right[group]) / 2);
+    })();
+    const isLayered =
+      difference(histogram(centerX0, centerX1, bodyStart, upperEnd), sidesHistogram) >=
+      REGION_SPLIT_MIN_DIFFERENCE;
+
+    const inUpper = (x, y) => y >= bodyStart && y < upperEnd;
+    const inCenter = (x) => x >= centerX0 && x < centerX1;
+    const regions = {
+      outerwear: isLayered
+        ? (x, y) => inUpper(x, y) && !inCenter(x)
+        : splitY !== -1
+          ? inUpper
+          : null,
+      top: splitY === -1 ? null : isLayered ? (x, y) => inUpper(x, y) && inCenter(x) : inUpper,
+      bottom: splitY === -1 ? null : (x, y) => y >= splitY && y < bodyEnd,
+      accessories:
+        hasHat || hasShoes
+          ? (x, y) => (hasHat && y < hatEnd) || (hasShoes && y >= shoeStart)
+          : null,
+    };
+
+    const contains = regions[regionName];
+    if (!contains) return null;
+
+    // Region's own palette and a copy of the pixels with everything else transparent
+    const counts = palette.map(() => 0);
+    const data = new Uint8ClampedArray(pixels.data);
+    let regionTotal = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        if (assignments[p] !== -1 && contains(x, y)) {
+          counts[assignments[p]]++;
+          regionTotal++;
+        } else {
+          data[p * 4 + 3] = 0;
+        }
+      }
+    }
+
+    const share = regionTotal / total;
+    if (share < REGION_MIN_SHARE) return null;
+
+    const regionPalette = palette
+      .map((color, index) => ({ color, share: counts[index] / regionTotal }))
+      .filter((entry) => entry.share >= REGION_MIN_COLOR_SHARE)
+      .sort((a, b) => b.share - a.share)
+      .map((entry) => entry.color);
+
+    return {
+      palette: regionPalette,
+      share: Math.round(share * 100) / 100,
+      pixels: { data, width, height },
+    };
+  }
+
+  /**
+   * Read the metal tone of jewelry or hardware from its specular highlights. Polished
+   * metal shows small near-white glints right next to much darker pixels - fabric
+   * doesn't - and the pixels around the glints carry the metal's own color
+   * (yellow for gold, neutral for silver, pink for rose gold).
+   * @param {ImageData|null} pixels - Downscaled pixels of the analyzed region
+   * @param {Array<Array<number>>} ignoredColors - Background / removed tones (RGB)
+   * @returns {Object|null} - {tone: METAL_TONES key, hex, highlightShare}, or null when
+   *   no metal shows
+   */
+  function detectMetalTone(pixels, ignoredColors = []) {
+    if (!pixels || typeof METAL_TONES === 'undefined') return null;
+
+    const { data, width, height } = pixels;
+    const count = width * height;
+    const backdropDistance = METAL_BACKDROP_DISTANCE * METAL_BACKDROP_DISTANCE;
+
+    // Luminance of every opaque pixel (-1 if transparent), and which are object
+    // pixels rather than backdrop. Glints are as white as a white backdrop, so
+    // they're told apart by what surrounds them, not by color.
+    const luminance = new Float32Array(count);
+    const isObject = new Uint8Array(count);
+    let objectPixels = 0;
+    for (let p = 0; p < count; p++) {
+      const i = p * 4;
+      if (data[i + 3] < 125) {
+        luminance[p] = -1;
+        continue;
+      }
+      luminance[p] = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      const isBackdrop = ignoredColors.some((color) => {
+        const dr = data[i] - color[0];
+        const dg = data[i + 1] - color[1];
+        const db = data[i + 2] - color[2];
+        return dr * dr + dg * dg + db * db < backdropDistance;
+      });
+      if (!isBackdrop) {
+        isObject[p] = 1;
+        objectPixels++;
+      }
+    }
+    if (objectPixels === 0) return null;
+
+    // Glints: bright pixels inside the object (not on its edge against the backdrop)
+    // with a much darker object pixel nearby
+    const windowSize = (2 * METAL_HIGHLIGHT_RADIUS + 1) ** 2 - 1;
+    const highlights = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        if (luminance[p] < METAL_HIGHLIGHT_LUMINANCE) continue;
+
+        let objectNeighbours = 0;
+        let hasContrast = false;
+        for (let dy = -METAL_HIGHLIGHT_RADIUS; dy <= METAL_HIGHLIGHT_RADIUS; dy++) {
+          for (let dx = -METAL_HIGHLIGHT_RADIUS; dx <= METAL_HIGHLIGHT_RADIUS; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if ((dx === 0 && dy === 0) || nx < 0 || ny < 0 || nx >= width || ny >= height) {
+              continue;
+            }
+            const n = ny * width + nx;
+            if (!isObject[n]) continue;
+            objectNeighbours++;
+            if (luminance[p] - luminance[n] >= METAL_HIGHLIGHT_CONTRAST) hasContrast = true;
+          }
+        }
+        if (hasContrast && objectNeighbours >= windowSize * 0.6) highlights.push([x, y]);
+      }
+    }
+
+    const highlightShare = highlights.length / objectPixels;
+    if (highlightShare < METAL_MIN_HIGHLIGHT_SHARE || highlightShare > METAL_MAX_HIGHLIGHT_SHARE) {
+      return null;
+    }
+
+    // Metal body: mid-tone object pixels around the glints
+    const isBody = new Uint8Array(count);
+    for (const [x, y] of highlights) {
+      for (let dy = -METAL_BODY_RADIUS; dy <= METAL_BODY_RADIUS; dy++) {
+        for (let dx = -METAL_BODY_RADIUS; dx <= METAL_BODY_RADIUS; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const p = ny * width + nx;
+          if (isObject[p] && luminance[p] >= 40 && luminance[p] < METAL_HIGHLIGHT_LUMINANCE) {
+            isBody[p] = 1;
+          }
+        }
+      }
+    }
+
+    const body = [];
+    for (let p = 0; p < count; p++) {
+      if (isBody[p]) body.push(p);
+    }
+    if (body.length < METAL_MIN_BODY_PIXELS) return null;
+
+    // The lit half of the metal carries its color; the shaded half would make
+    // silver read as gunmetal and copper as bronze
+    body.sort((a, b) => luminance[b] - luminance[a]);
+    const lit = body.slice(0, Math.ceil(body.length / 2));
+    const rgb = [0, 1, 2].map(
+      (channel) => Math.round(lit.reduce((sum, p) => sum + data[p * 4 + channel], 0) / lit.length),
+    );
+
+    // Nearest reference tone, with depth counting for less than color
+    const bodyLab = colorProcessor.toLab(rgb);
+    let best = null;
+    for (const [tone, metal] of Object.entries(METAL_TONES)) {
+      const reference = colorProcessor.toLab(metal.hex);
+      const distance = Math.hypot(
+        (bodyLab.l - reference.l) * 0.5,
+        bodyLab.a - reference.a,
+        bodyLab.b - reference.b,
+      );
+      if (!best || distance < best.distance) best = { tone, distance };
+    }
+
+    return {
+      tone: best.tone,
+      hex: colorProcessor.rgbToHex(rgb),
+      highlightShare: Math.round(highlightShare * 1000) / 1000,
+    };
+  }
+
+  /**
+   * Judge a metal against the season's metals
+   * @param {Object|null} metal - analysis.metal: {kind, keyword, tone, source}
+   * @param {Object} seasonPalette - SEASONAL_PALETTES entry
+   * @returns {Object|null} - {kind, tone, name, source, isMatch, seasonMetals (names),
+   *   decides: jewelry and watches are judged on the metal alone}
+   */
+  function matchSeasonMetal(metal, seasonPalette) {
+    if (!metal || !metal.tone || typeof getPaletteMetals !== 'function') return null;
+    const keys = getPaletteMetals(seasonPalette);
+    if (!keys || !METAL_TONES[metal.tone]) return null;
+
+    return {
+      kind: metal.kind,
+      tone: metal.tone,
+      name: METAL_TONES[metal.tone].name,
+      source: metal.source,
+      isMatch: keys.includes(metal.tone),
+      seasonMetals: keys.map((key) => METAL_TONES[key].name),
+      decides: metal.kind !== 'hardware',
+    };
+  }
+
+  /**
+   * "Gold jewelry - one of your metals" / "Silver hardware - your metals are gold or bronze"
+   * @param {Object} matchResult - From matchSeasonColors()
+   * @returns {string|null} - null when no metal was judged
+   */
+  function describeMetalMatch(matchResult) {
+    const metal = matchResult.metal;
+    if (!metal) return null;
+
+    const name = metal.name.charAt(0).toUpperCase() + metal.name.slice(1);
+    const subject = `${name} ${METAL_LABELS[metal.kind]}`;
+    return metal.isMatch
+      ? `${subject} - one of your metals`
+      : `${subject} - your metals are ${metal.seasonMetals.join(' or ')}`;
+  }
+
+  /**
+   * Whether the selected swatch on this (detail) page is a print, via the swatch
+   * detector's detectPattern(). Checked once per page.
+   * @returns {boolean}
+   */
+  function isSelectedSwatchPattern() {
+    if (selectedSwatchIsPattern === null) {
+      selectedSwatchIsPattern = false;
+      if (!isListingPage && typeof window.getSwatchesAsJSON === 'function') {
+        const { swatches, selectedIndex } = window.getSwatchesAsJSON(document.body);
+        const selected = swatches[selectedIndex];
+        selectedSwatchIsPattern = !!selected && window.detectPattern(selected.element);
+      }
+    }
+    return selectedSwatchIsPattern;
+  }
+
+  /**
+   * Neutrals the season wears, in the form ColorProcessor.matchNeutral() takes
+   * @param {Object} seasonPalette - SEASONAL_PALETTES entry
+   * @returns {Object|null} - {keys, swatches}, or null when the palette has no neutrals
+   */
+  function getSeasonNeutrals(seasonPalette) {
+    if (typeof getPaletteNeutrals !== 'function' || typeof NEUTRAL_SWATCHES === 'undefined') {
+      return null;
+    }
+    const keys = getPaletteNeutrals(seasonPalette);
+    return keys ? { keys, swatches: NEUTRAL_SWATCHES } : null;
+  }
+
+  /**
+   * Contrast ranges multi-color items are judged against (see ColorProcessor.scoreContrast)
+   * @param {Object} seasonPalette - SEASONAL_PALETTES entry
+   * @returns {Object} - {season, personal}: the season's contrastRange and the
+   *   user's CONTRAST_LEVELS entry, each null when unknown / not set
+   */
+  function getContrastRanges(seasonPalette) {
+    if (typeof getPaletteContrastRange !== 'function' || typeof CONTRAST_LEVELS === 'undefined') {
+      return { season: null, personal: null };
+    }
+    return {
+      season: getPaletteContrastRange(seasonPalette),
+      personal: CONTRAST_LEVELS[settings.contrastLevel] || null,
+    };
+  }
+
+  /**
+   * Match colors against a season: the top color for solids, area shares for
+   * prints and multicolor items. Neutral colors (white, gray, black, navy, browns)
+   * are matched against the season's neutrals instead of its palette. Multi-color
+   * items must also have the light/dark contrast the season (or the user) wears.
+   * Also scores the season fit.
+   * @param {Array<Array<number>>} colors - RGB palette, most dominant first
+   * @param {Object} seasonPalette - SEASONAL_PALETTES entry
+   * @param {Object|null} layout - From analyzeColorLayout()
+   * @param {Object|null} metal - analysis.metal for jewelry, watches and hardware
+   * @returns {Object} - checkColorMatch()/checkAreaMatch() result with fit, layout, contrast
+   *   and metal
+   */
+  function matchSeasonColors(colors, seasonPalette, layout = null, metal = null) {
+    const formula = colorProcessor.deltaEFormula;
+    const neutrals = getSeasonNeutrals(seasonPalette);
+    let matchResult;
+
+    if (!layout || layout.type === 'solid') {
+      matchResult = colorProcessor.checkColorMatch(colors, seasonPalette.colors, formula, neutrals);
+      matchResult.fit = colorProcessor.scoreSeasonFit(colors, seasonPalette);
+    } else {
+      const colorAreas = colors.map((rgb, index) => ({ rgb, share: layout.shares[index] || 0 }));
+      matchResult = colorProcessor.checkAreaMatch(
+        colorAreas,
+        seasonPalette.colors,
+        formula,
+        neutrals,
+      );
+      matchResult.fit = colorProcessor.scoreSeasonFit(colors, seasonPalette, layout.shares);
+    }
+    matchResult.layout = layout;
+
+    // Black-and-white stripes on a Summer, tone-on-tone beige on a Winter: right colors,
+    // wrong contrast
+    matchResult.contrast =
+      layout && layout.type !== 'solid'
+        ? colorProcessor.scoreContrast(colors, layout.shares, getContrastRanges(seasonPalette))
+        : null;
+    if (matchResult.contrast) {
+      matchResult.confidence *= matchResult.contrast.score / 100;
+      if (matchResult.contrast.score < CONTRAST_MIN_SCORE) {
+        matchResult.matches = false;
+      }
+    }
+
+    // Jewelry and watches are judged on their metal; bag and belt hardware is reported
+    // alongside the colors
+    matchResult.metal = matchSeasonMetal(metal, seasonPalette);
+    if (matchResult.metal && matchResult.metal.decides) {
+      matchResult.matches = matchResult.metal.isMatch;
+      matchResult.confidence = matchResult.metal.isMatch ? 100 : 0;
+    }
+    return matchResult;
+  }
+
+  /**
+   * "70% of this print is in your palette" for patterned items
+   * @param {Object} matchResult - From matchSeasonColors()
+   * @returns {string|null} - null for solids
+   */
+  function describeLayoutMatch(matchResult) {
+    if (!matchResult.layout || typeof matchResult.matchedShare !== 'number') return null;
+
+    const percent = Math.round(matchResult.matchedShare * 100);
+    return `${percent}% of this ${LAYOUT_LABELS[matchResult.layout.type]} is in your palette`;
+  }
+
+  /**
+   * "Light/dark contrast 62: too high for your low contrast, right for your season"
+   * for multi-color items
+   * @param {Object} matchResult - From matchSeasonColors()
+   * @returns {string|null} - null for solids
+   */
+  function describeContrastMatch(matchResult) {
+    const { contrast } = matchResult;
+    if (!contrast) return null;
+
+    const verdicts = [];
+    if (contrast.personal) {
+      verdicts.push(`${contrast.personal.verdict} for your ${contrast.personal.level} contrast`);
+    }
+    if (contrast.season) {
+      verdicts.push(`${contrast.season.verdict} for your season`);
+    }
+    return `Light/dark contrast ${contrast.spread}: ${verdicts.join(', ')}`;
+  }
+
+  /**
+   * "Ivory is one of your neutrals" / "optic white - your neutral is ivory" for
+   * solid neutral garments
+   * @param {Object} matchResult - From matchSeasonColors()
+   * @returns {string|null} - null unless the top color is a neutral
+   */
+  function describeNeutralMatch(matchResult) {
+    // Prints report their share instead (see describeLayoutMatch)
+    if (typeof matchResult.matchedShare === 'number') return null;
+    const detail = matchResult.details && matchResult.details[0];
+    if (!detail || !detail.neutral) return null;
+
+    const name = detail.neutral.name;
+    if (detail.isMatch) {
+      return `${name.charAt(0).toUpperCase() + name.slice(1)} is one of your neutrals`;
+    }
+    return detail.alternative
+      ? `Neutral: ${name} - your version is ${detail.alternative.name}`
+      : `Neutral: ${name} isn't one of your neutrals`;
+  }
+
+  /**
+   * The beauty product this page sells (lipstick, foundation, hair color...)
+   * @returns {Object|null} - detectBeautyProduct() result, null off beauty pages
+   */
+  function getBeautyProduct() {
+    if (beautyProduct === undefined) {
+      beautyProduct =
+        !isListingPage && typeof window.detectBeautyProduct === 'function'
+          ? window.detectBeautyProduct()
+          : null;
+    }
+    return beautyProduct;
+  }
+
+  /**
+   * The selected shade chip, when img is the main photo of a beauty product -
+   * the photo shows a model or the packaging, the chip shows the shade
+   * @param {Element} img
+   * @returns {Object|null} - {name, rgb, hex, shade}, null elsewhere or without a solid chip
+   */
+  function getSelectedBeautyShade(img) {
+    const beauty = getBeautyProduct();
+    if (!beauty || typeof window.getSwatchesAsJSON !== 'function') return null;
+
+    // Both are read once per page (and again when a shade is picked), not per image
+    if (!beautyMainImage) beautyMainImage = findMainProductImage();
+    if (img !== beautyMainImage) return null;
+    if (beautySelectedShade === undefined) {
+      beautySelectedShade = readSelectedBeautyShade(img, beauty);
+    }
+    return beautySelectedShade;
+  }
+
+  /**
+   * @param {HTMLImageElement} img - Main product photo
+   * @param {Object} beauty - getBeautyProduct() result
+   * @returns {Object|null} - See getSelectedBeautyShade()
+   */
+  function readSelectedBeautyShade(img, beauty) {
+    const { swatches, selectedIndex } = window.getSwatchesAsJSON(document.body, {
+      productImage: img,
+    });
+    const selected = swatches[selectedIndex];
+    if (!selected || !selected.colorRgb || selected.isPattern) return null;
+
+    const name = (selected.label || selected.color || '').trim();
+    const shade = window.parseShadeName(name);
+    // Foundation is judged on undertone alone - a shade that doesn't name one can't be
+    if (beauty.tolerance === null && !(shade && shade.undertone)) return null;
+
+    return { name, rgb: selected.colorRgb, hex: colorProcessor.rgbToHex(selected.colorRgb), shade };
+  }
+
+  /**
+   * Judge a makeup or hair shade with its product type's tolerance
+   * (see ColorProcessor.checkShadeMatch)
+   * @param {Array<number>} rgb - Shade color
+   * @param {Object|null} shade - parseShadeName() result
+   * @param {Object} seasonPalette - SEASONAL_PALETTES entry
+   * @param {Object} beauty - getBeautyProduct() result
+   * @returns {Object} - checkShadeMatch() result with fit, layout, metal, shade and beauty
+   */
+  function matchBeautyShade(rgb, shade, seasonPalette, beauty) {
+    const matchResult = colorProcessor.checkShadeMatch(rgb, seasonPalette, {
+      tolerance: beauty.tolerance,
+      undertone: shade ? shade.undertone : null,
+    });
+
+    // Foundation depth follows the skin, not the season - only its undertone is scored
+    matchResult.fit =
+      beauty.tolerance === null
+        ? {
+            score: Math.round(matchResult.confidence),
+            grade: matchResult.matches ? 'good' : 'poor',
+            axes: null,
+            summary: matchResult.matches ? 'right undertone' : 'clashing undertone',
+            colors: [],
+          }
+        : colorProcessor.scoreSeasonFit([rgb], seasonPalette);
+    matchResult.layout = null;
+    matchResult.metal = null;
+    matchResult.shade = shade;
+    matchResult.beauty = beauty;
+    return matchResult;
+  }
+
+  /**
+   * "Lip shade: within makeup range of your palette" / "Foundation shade 230N
+   * (neutral undertone): suits your undertone" for beauty shades
+   * @param {Object} matchResult - From matchBeautyShade()
+   * @returns {string|null} - null for everything but beauty shades
+   */
+  function describeShadeMatch(matchResult) {
+    if (!matchResult.beauty) return null;
+
+    const { beauty, shade, undertone } = matchResult;
+    const label = beauty.label.charAt(0).toUpperCase() + beauty.label.slice(1);
+    const code = shade && shade.code ? ` ${shade.code}` : '';
+    const tone = undertone.shade ? ` (${undertone.shade} undertone)` : '';
+    const prefix = `${label} shade${code}${tone}`;
+
+    if (undertone.clashes) return `${prefix}: clashes with your undertone`;
+    if (beauty.tolerance === null) return `${prefix}: suits your undertone`;
+    return matchResult.matches
+      ? `${prefix}: within makeup range of your palette`
+      : `${prefix}: outside your palette's makeup range`;
+  }
+
+  /**
+   * Check if we can access image data without CORS errors
+   * Returns true if the image is accessible, false if CORS-blocked
+   */
+  function canAccessImageData(img) {
+    try {
+      // Create a temporary 1x1 canvas (not added to DOM)
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      const ctx = canvas.getContext('2d');
+
+      // Try to draw the image and read pixel data
+      ctx.drawImage(img, 0, 0, 1, 1);
+      ctx.getImageData(0, 0, 1, 1); // This will throw if CORS-blocked
+
+      return true; // Success - image is accessible
+    } catch (e) {
+      // CORS blocked or other error
+      return false;
+    }
+  }
+
+  /**
+   * 3-Tier Fallback System to handle CORS-blocked images
+   * Tier 1: Try crossorigin="anonymous" + reload
+   * Tier 2: Fetch via service worker as data URL
+   * Tier 3: Show dismissable badge for user action
+   *
+   * @param {Element} img - The image (or background-image element) on the page
+   * @param {string} domain - The domain of the image
+   * @param {string} url - Image URL to load (defaults to the <img>'s src)
+   * @returns {Promise<HTMLImageElement|null>} - Returns processable image or null if all methods fail
+   */
+  async function handleCorsImage(img, domain, url = img.src) {
+    const originalSrc = url;
+
+    // Check if domain has a preferred method cached
+    let preferredMethod = null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getPreferredMethod',
+        domain: domain,
+      });
+      preferredMethod = response?.preferredMethod;
+    } catch (e) {
+      // Continue without cache
+    }
+
+    // Tier 1: Try crossorigin="anonymous" (unless we know it won't work)
+    if (preferredMethod !== 'fetch') {
+      try {
+        console.log(
+          '[Season Color Checker] Tier 1: Trying crossorigin="anonymous" for:',
+          originalSrc.substring(0, 80),
+        );
+
+        // Clone the image to avoid affecting the original
+        const testImg = new Image();
+        testImg.crossOrigin = 'anonymous';
+
+        await new Promise((resolve, reject) => {
+          testImg.onload = resolve;
+          testImg.onerror = reject;
+          const timeout = setTimeout(() => reject(new Error('Load timeout')), 2000);
+          testImg.src = originalSrc;
+          testImg.onload = () => {
+            clearTimeout(timeout);
+            resolve();
+          };
+        });
+
+        // Check if we can now access the data
+        if (canAccessImageData(testImg)) {
+          console.log('[Season Color Checker] ✓ Tier 1 success: crossorigin worked');
+          trackCorsEvent(domain, 'success', 'crossorigin');
+          return testImg;
+        }
+      } catch (e) {
+        console.log('[Season Color Checker] ✗ Tier 1 failed:', e.message);
+      }
+    }
+
+    // Tier 2: Fetch via service worker (unless we know direct works)
+    if (preferredMethod !== 'direct') {
+      try {
+        console.log(
+          '[Season Color Checker] Tier 2: Fetching via service worker:',
+          originalSrc.substring(0, 80),
+        );
+
+        const response = await chrome.runtime.sendMessage({
+          action: 'fetchImage',
+          url: originalSrc,
+        });
 
         if (response.success && response.dataUrl) {
           // Create new image from data URL
@@ -895,47 +2282,494 @@
             };
           });
 
-          console.log('[Season Color Checker] ✓ Tier 2 success: service worker fetch worked');
-          trackCorsEvent(domain, 'success', 'fetch');
-          return fetchedImg;
-        } else {
-          console.log('[Season Color Checker] ✗ Tier 2 failed:', response.error);
+          console.log('[Season Color Checker] ✓ Tier 2 success: service worker fetch worked');
+          trackCorsEvent(domain, 'success', 'fetch');
+          return fetchedImg;
+        } else {
+          console.log('[Season Color Checker] ✗ Tier 2 failed:', response.error);
+        }
+      } catch (e) {
+        console.log('[Season Color Checker] ✗ Tier 2 failed:', e.message);
+      }
+    }
+
+    // Tier 3: All automatic methods failed - show badge
+    console.log(
+      '[Season Color Checker] ✗ All automatic methods failed for:',
+      originalSrc.substring(0, 80),
+    );
+    trackCorsEvent(domain, 'failure', 'all-failed');
+
+    // Show dismissable badge (will be implemented next)
+    showCorsBadge(img);
+
+    return null;
+  }
+
+  /**
+   * Load an image with crossorigin="anonymous" and check its pixels are readable
+   * @param {string} url
+   * @returns {Promise<HTMLImageElement|null>} - null on error, timeout or CORS-tainted pixels
+   */
+  async function loadCrossOriginImage(url) {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+
+    const loaded = await new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(false), 5000); // Larger candidates take longer than the 2s CORS retry
+      image.onload = () => {
+        clearTimeout(timeout);
+        resolve(true);
+      };
+      image.onerror = () => {
+        clearTimeout(timeout);
+        resolve(false);
+      };
+      image.src = url;
+    });
+
+    if (!loaded || !canAccessImageData(image)) {
+      console.log('[Season Color Checker] Could not load largest source:', url.substring(0, 80));
+      return null;
+    }
+    return image;
+  }
+
+  /**
+   * Scale a full-resolution source down for analysis. Extraction draws images at
+   * their natural size when they aren't on the page, which for a 2000px srcset
+   * candidate is needlessly slow.
+   * @param {HTMLImageElement} image - CORS-accessible image
+   * @returns {HTMLImageElement|HTMLCanvasElement}
+   */
+  function fitToAnalysisSize(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.min(1, LARGEST_SOURCE_MAX_SIZE / Math.max(width, height));
+    if (scale === 1) return image;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Perceptual difference hash (dHash): 9x8 grayscale, one bit per horizontal gradient.
+   * Robust to resizing/recompression, so it tells whether a cached URL still shows the same photo.
+   * @param {HTMLImageElement|HTMLCanvasElement} image - CORS-accessible image
+   * @returns {string|null} - 16 hex chars (64 bits), or null if pixels can't be read
+   */
+  function computeImageHash(image) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 9;
+      canvas.height = 8;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, 9, 8);
+      const pixels = ctx.getImageData(0, 0, 9, 8).data;
+
+      const gray = [];
+      for (let i = 0; i < pixels.length; i += 4) {
+        gray.push(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+      }
+
+      let hash = '';
+      for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+          nibble = (nibble << 1) | (gray[y * 9 + x] < gray[y * 9 + x + 1] ? 1 : 0);
+          if (x % 4 === 3) {
+            hash += nibble.toString(16);
+            nibble = 0;
+          }
+        }
+      }
+      return hash;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache partition for the current settings: analyses made with and without
+   * white balance hold different colors, and background and skin filtering use
+   * the Delta E formula's thresholds, so each combination is stored separately
+   * @returns {string} - e.g. 'heuristic:ciede2000' or 'precise:cie76:raw'
+   */
+  function getAnalysisCacheMode() {
+    return (
+      `${settings.extractionMode}:${colorProcessor.deltaEFormula}` +
+      (settings.whiteBalance === false ? ':raw' : '')
+    );
+  }
+
+  /**
+   * Cache mode for variant photos - analyzed without the page's color words, so
+   * kept apart from the same URL analyzed as a page image
+   * @returns {string}
+   */
+  function getVariantCacheMode() {
+    return getAnalysisCacheMode() + ':variant';
+  }
+
+  /**
+   * Look up a stored analysis in the service worker's IndexedDB cache
+   * @param {string} url - Image URL
+   * @param {string|null} hash - Perceptual hash from computeImageHash()
+   * @param {string} [mode] - Cache mode (getAnalysisCacheMode() or getVariantCacheMode())
+   * @returns {Promise<Object|null>} - Analysis from extractProductColors(), or null on a miss
+   */
+  async function getCachedAnalysis(url, hash, mode = getAnalysisCacheMode()) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCachedAnalysis',
+        url,
+        hash,
+        mode,
+      });
+      return response?.analysis || null;
+    } catch (e) {
+      return null; // Cache is an optimization - analyze normally
+    }
+  }
+
+  /**
+   * Store an analysis in the service worker's cache (fire and forget)
+   * @param {string} url - Image URL
+   * @param {string|null} hash - Perceptual hash from computeImageHash()
+   * @param {Object} analysis - Result of extractProductColors()
+   * @param {string} [mode] - Cache mode (getAnalysisCacheMode() or getVariantCacheMode())
+   */
+  function cacheAnalysis(url, hash, analysis, mode = getAnalysisCacheMode()) {
+    chrome.runtime
+      .sendMessage({ action: 'cacheAnalysis', url, hash, mode, analysis })
+      .catch(() => {
+        // Not critical - the image is simply re-analyzed next time
+      });
+  }
+
+  /**
+   * Extract a product image's palette: precise segmentation or worker/main-thread crop,
+   * then white balance, skin/hair exclusion, outfit region selection, background filtering,
+   * text weighting and - for jewelry, watches and bags - the metal tone
+   * @param {Element|null} img - Product image (or background-image element) on the page, for
+   *   text context; null with pageContext
+   * @param {HTMLImageElement} processableImage - CORS-accessible version of the image
+   * @param {AbortSignal|null} signal - Aborts when the image leaves the DOM
+   * @param {string} sourceUrl - URL of processableImage (precise mode cache key)
+   * @param {Object|null} [pageContext] - Variant photos (not on the page): {garment, accessory}
+   *   of the page's product, used instead of the text around img. The page's color words
+   *   name the selected variant, not this one, so they are left out.
+   * @returns {Promise<Object|null>} - { palette, backgroundColors, textMentions, excludedTones,
+   *   layout, region, whiteBalance, metal, method }, or null if cancelled
+   */
+  async function extractProductColors(
+    img,
+    processableImage,
+    signal,
+    sourceUrl,
+    pageContext = null,
+  ) {
+    // Precise mode: palette comes from the segmented garment, so no crop or background filter
+    let precise = null;
+    if (settings.extractionMode === 'precise') {
+      precise = await extractPreciseColors(processableImage, sourceUrl);
+      if (signal && signal.aborted) return null;
+    }
+    let rawColors = precise ? precise.palette : null;
+    let tonePixels = precise ? precise.pixels : null;
+    let borderColors = [];
+    let backgroundColors = [];
+
+    if (!rawColors && analysisPipeline) {
+      // Steps 1-3 in the analysis worker (off the main thread)
+      const workerResult = await analysisPipeline.analyzePixels(processableImage, signal);
+      if (signal && signal.aborted) return null;
+      if (workerResult && workerResult.palette) {
+        borderColors = workerResult.borderColors;
+        rawColors = workerResult.palette;
+        tonePixels = workerResult.tonePixels;
+      }
+    }
+
+    if (!rawColors) {
+      // Main-thread fallback (worker unavailable on this page)
+      // Step 1: Sample border colors to detect ALL background regions (supports multi-color backgrounds)
+      borderColors = sampleBorder(processableImage);
+
+      // Step 2: Extract center region using smartcrop.js for content-aware cropping
+      let imageToAnalyze = processableImage;
+      const centerCanvas = await extractCenterRegion(processableImage);
+      if (centerCanvas) {
+        console.log('[Season Color Checker] Extracted center region for analysis');
+        imageToAnalyze = centerCanvas;
+      } else {
+        console.log('[Season Color Checker] Center extraction failed, using full image');
+      }
+
+      // Step 3: Extract dominant colors from center region
+      rawColors = new ColorThief().getPalette(imageToAnalyze, 8); // Get more colors initially
+      tonePixels = sampleTonePixels(imageToAnalyze);
+    }
+
+    if (borderColors.length > 0) {
+      backgroundColors = findAllBackgroundColors(borderColors);
+    }
+
+    // Step 3.25: White balance - undo the lighting's color cast, measured on the backdrop,
+    // so a cream sweater under warm bulbs isn't scored as mustard. Precise mode has no
+    // border samples of its own, so the backdrop is sampled just for this.
+    let whiteBalance = null;
+    if (settings.whiteBalance !== false) {
+      const backdrop = precise
+        ? findAllBackgroundColors(sampleBorder(processableImage))
+        : backgroundColors;
+      const illuminant = estimateIlluminant(backdrop);
+      if (illuminant) {
+        const adapt = colorProcessor.createChromaticAdaptation(illuminant.rgb);
+        rawColors = rawColors.map(adapt);
+        backgroundColors = backgroundColors.map(adapt);
+        tonePixels = adaptPixels(tonePixels, adapt);
+        whiteBalance = { illuminant: illuminant.hex, cast: illuminant.cast };
+        console.log(
+          `[Season Color Checker] Corrected a ${illuminant.cast} lighting cast (backdrop ${illuminant.hex})`,
+        );
+      }
+    }
+
+    if (backgroundColors.length > 0) {
+      console.log(
+        '[Season Color Checker] Detected',
+        backgroundColors.length,
+        'background region(s):',
+        backgroundColors.map((bg) => colorProcessor.rgbToHex(bg)).join(', '),
+      );
+    }
+
+    // Step 3.5: Extract text color mentions BEFORE background filtering
+    // This allows us to protect text-mentioned colors from being filtered as background
+    let textColorMentions = [];
+    if (
+      !pageContext &&
+      settings.textColorEnhancementEnabled &&
+      typeof extractColorKeywordsFromDOM === 'function'
+    ) {
+      // Verify dictionary is loaded before attempting text color extraction
+      if (typeof window.getAllColorNames !== 'function') {
+        console.warn(
+          '[Season Color Checker] Fashion dictionary not loaded, text enhancement disabled',
+        );
+        settings.textColorEnhancementEnabled = false;
+      } else {
+        try {
+          textColorMentions = extractColorKeywordsFromDOM(img) || [];
+          if (textColorMentions.length > 0) {
+            console.log(
+              '[Season Color Checker] Found text color mentions (for background protection):',
+              textColorMentions.map((m) => m.keyword).join(', '),
+            );
+          }
+        } catch (textError) {
+          console.log(
+            '[Season Color Checker] Text color extraction failed:',
+            textError.message,
+          );
+          textColorMentions = [];
         }
-      } catch (e) {
-        console.log('[Season Color Checker] ✗ Tier 2 failed:', e.message);
       }
     }
 
-    // Tier 3: All automatic methods failed - show badge
+    // Step 3.75: Remove / down-weight the model's skin and hair
+    const toneResult = excludeModelTones(rawColors, tonePixels, textColorMentions);
+    rawColors = toneResult.palette;
+    if (toneResult.excluded.length > 0) {
+      console.log(
+        '[Season Color Checker] Excluded model tones:',
+        toneResult.excluded.map((t) => `${t.kind} ${t.hex} (${t.action})`).join(', '),
+      );
+    }
+
+    // Step 3.9: Outfit photos - keep only the colors of the garment the title names
+    // ("Wool Coat" → the coat, not the jeans it's styled with). Dresses and other
+    // full-body pieces, or photos that don't split, keep the whole-image palette.
+    const ignoredColors = [
+      ...backgroundColors,
+      ...toneResult.excluded
+        .filter((tone) => tone.action === 'removed')
+        .map((tone) => colorProcessor.hexToRgb(tone.hex))
+        .filter(Boolean)
+        .map((rgb) => [rgb.r, rgb.g, rgb.b]),
+    ];
+    let garment = pageContext ? pageContext.garment : null;
+    if (!pageContext && typeof extractGarmentRegionFromDOM === 'function') {
+      garment = extractGarmentRegionFromDOM(img);
+    }
+    let garmentRegion = null;
+    if (garment && garment.region !== 'full') {
+      garmentRegion = findGarmentRegion(rawColors, tonePixels, ignoredColors, garment.region);
+      if (garmentRegion && garmentRegion.palette.length > 0) {
+        rawColors = garmentRegion.palette;
+        console.log(
+          `[Season Color Checker] Scoring the ${garment.keyword} only (${garment.region} region,`,
+          Math.round(garmentRegion.share * 100) + '% of the figure):',
+          rawColors.map((rgb) => colorProcessor.rgbToHex(rgb)).join(', '),
+        );
+      } else {
+        garmentRegion = null;
+      }
+    }
+
+    // Step 4: Filter out background and desaturated colors
+    // Pass text mentions to protect product colors that match text descriptions
+    // (skipped in precise mode - the mask already removed the background, and
+    // white/grey garments would otherwise be dropped as "desaturated")
+    let dominantColors = precise
+      ? rawColors
+      : filterBackgroundColors(rawColors, backgroundColors, textColorMentions);
+
     console.log(
-      '[Season Color Checker] ✗ All automatic methods failed for:',
-      originalSrc.substring(0, 80),
+      '[Season Color Checker] Filtered palette:',
+      dominantColors.length,
+      'colors after background removal',
     );
-    trackCorsEvent(domain, 'failure', 'all-failed');
 
-    // Show dismissable badge (will be implemented next)
-    showCorsBadge(img);
+    // Step 5: Apply text-based weighting to palette
+    if (
+      settings.textColorEnhancementEnabled &&
+      textColorMentions.length > 0 &&
+      typeof applyTextColorWeighting === 'function'
+    ) {
+      try {
+        // Text mentions already extracted in Step 3.5 for background protection
+        console.log(
+          '[Season Color Checker] Applying text-based weighting:',
+          textColorMentions.map((m) => m.keyword).join(', '),
+        );
 
-    return null;
+        // Apply text-based weighting to palette
+        const weightedPalette = applyTextColorWeighting(
+          dominantColors,
+          textColorMentions,
+          colorProcessor,
+        );
+
+        // Use selectFinalPalette to ensure text-matched colors are preserved
+        if (typeof selectFinalPalette === 'function') {
+          // Select final palette with guaranteed slots for text-matched colors
+          dominantColors = selectFinalPalette(weightedPalette, 5, 2);
+        } else {
+          // Fallback: simple slice (old behavior)
+          dominantColors = weightedPalette.map((item) => item.rgb).slice(0, 5);
+        }
+
+        // Optionally augment palette with high-confidence text colors not in visual palette
+        if (typeof augmentPaletteWithTextColors === 'function') {
+          dominantColors = augmentPaletteWithTextColors(
+            dominantColors,
+            textColorMentions,
+            colorProcessor,
+            2,
+          );
+        }
+      } catch (textError) {
+        console.log('[Season Color Checker] Text weighting failed:', textError.message);
+        // Continue without text enhancement - not critical
+        dominantColors = dominantColors.slice(0, 5);
+      }
+    } else {
+      // Text enhancement disabled or no text mentions, just take top 5
+      dominantColors = dominantColors.slice(0, 5);
+    }
+
+    // Step 6: How the final colors are laid out (solid, two-tone, print, multicolor)
+    const layout = analyzeColorLayout(
+      dominantColors,
+      garmentRegion ? garmentRegion.pixels : tonePixels,
+      ignoredColors,
+    );
+
+    // Step 7: Jewelry, watches and bags with hardware - which metal. Text naming the
+    // metal ("14k gold") wins; otherwise it's read from the photo's highlights.
+    let metal = null;
+    let accessory = pageContext ? pageContext.accessory : null;
+    if (!pageContext && typeof extractAccessoryFromDOM === 'function') {
+      // Step 3.5's mentions name a selected "Silver" variant (none when text reading is off)
+      accessory = extractAccessoryFromDOM(img, textColorMentions);
+    }
+    if (accessory) {
+      const detected = accessory.metal ? null : detectMetalTone(tonePixels, ignoredColors);
+      const tone = accessory.metal ? accessory.metal.tone : detected && detected.tone;
+      if (tone) {
+        metal = {
+          kind: accessory.kind,
+          keyword: accessory.keyword,
+          tone,
+          source: accessory.metal ? 'text' : 'image',
+        };
+        console.log(
+          `[Season Color Checker] ${accessory.keyword}: ${tone} metal`,
+          accessory.metal ? `(text: "${accessory.metal.keyword}")` : `(highlights ${detected.hex})`,
+        );
+      }
+    }
+
+    return {
+      palette: dominantColors,
+      backgroundColors,
+      textMentions: textColorMentions,
+      excludedTones: toneResult.excluded,
+      layout,
+      region: garmentRegion
+        ? { name: garment.region, keyword: garment.keyword, share: garmentRegion.share }
+        : null,
+      whiteBalance,
+      metal,
+      method: precise ? 'precise' : 'heuristic',
+    };
   }
 
   /**
    * Process a single image
    */
-  async function processImage(img, pageType = 'detail') {
+  async function processImage(img, pageType = 'detail', signal = null) {
     // Mark as processed (track the element itself, not the src)
     processedImages.add(img);
     stats.totalImages++;
 
     const startTime = performance.now(); // Track processing time
 
+    // Image left the DOM while queued/analyzing - undo the bookkeeping so it can be redone later.
+    // Captured now because resetAndRefilter() replaces both while cancelled jobs wind down.
+    const jobStats = stats;
+    const jobProcessedImages = processedImages;
+    const abandonIfCancelled = () => {
+      if (!signal || !signal.aborted) return false;
+      jobStats.totalImages--;
+      jobProcessedImages.delete(img);
+      return true;
+    };
+
     try {
+      const isImageElement = img.tagName === 'IMG'; // Otherwise an element with a CSS background image
+
       // Wait for image to load
-      if (!img.complete) {
+      if (isImageElement && !img.complete) {
         await new Promise((resolve) => {
-          img.onload = resolve;
-          img.onerror = resolve;
+          img.addEventListener('load', resolve, { once: true });
+          img.addEventListener('error', resolve, { once: true });
+          if (signal) signal.addEventListener('abort', resolve, { once: true });
         });
+        if (abandonIfCancelled()) return;
+      }
+
+      // Largest srcset / <picture> candidate, or the CSS background image
+      const imageUrl = getMediaSourceUrl(img);
+      if (!imageUrl) {
+        stats.totalImages--;
+        processedImages.delete(img);
+        return;
       }
 
       // CRITICAL: Check image size BEFORE any processing
@@ -945,14 +2779,14 @@
         processedImages.delete(img); // Remove from processed set
         console.log(
           `[Season Color Checker] Skipped small image (${img.offsetWidth}x${img.offsetHeight}):`,
-          img.src.substring(0, 100),
+          imageUrl.substring(0, 100),
         );
         return;
       }
 
       // Additional check: Skip small square images that are likely color swatches
       if (img.offsetWidth <= 100 && img.offsetHeight <= 100) {
-        const imgClasses = (img.className || '').toLowerCase();
+        const imgClasses = (img.getAttribute('class') || '').toLowerCase();
         const imgAlt = (img.alt || '').toLowerCase();
         if (
           imgClasses.includes('swatch') ||
@@ -963,7 +2797,7 @@
         ) {
           stats.totalImages--;
           processedImages.delete(img);
-          console.log('[Season Color Checker] Skipped swatch image:', img.src.substring(0, 100));
+          console.log('[Season Color Checker] Skipped swatch image:', imageUrl.substring(0, 100));
           return;
         }
       }
@@ -982,161 +2816,107 @@
         return;
       }
 
-      // Pre-check: Can we access this image's pixel data?
-      let processableImage = img;
-      if (!canAccessImageData(img)) {
-        console.log(
-          '[Season Color Checker] CORS detected, trying fallback methods:',
-          img.src.substring(0, 80),
-        );
-
-        // Get domain for tracking
-        const domain = getDomainFromUrl(img.src);
-
-        // Try 3-tier fallback system
-        processableImage = await handleCorsImage(img, domain);
-
-        // If all methods failed, return
-        if (!processableImage) {
-          stats.totalImages--; // Don't count this image
+      // Analyze the largest available source; the element on the page only shows the badge.
+      // A larger <img> candidate that can't be loaded falls back to the displayed one.
+      let processableImage = null;
+      let sourceUrl = imageUrl;
+      const displayedUrl = isImageElement ? img.currentSrc || img.src : null;
+
+      if (imageUrl !== displayedUrl) {
+        const largestSource = isImageElement
+          ? await loadCrossOriginImage(imageUrl)
+          : await handleCorsImage(img, getDomainFromUrl(imageUrl), imageUrl);
+        if (abandonIfCancelled()) return;
+
+        if (largestSource) {
+          processableImage = fitToAnalysisSize(largestSource);
+        } else if (!isImageElement) {
+          stats.totalImages--; // Background image couldn't be read - CORS badge is showing
           return;
-        }
-      } else {
-        // Direct access works - track success
-        const domain = getDomainFromUrl(img.src);
-        if (domain) {
-          trackCorsEvent(domain, 'success', 'direct');
+        } else {
+          sourceUrl = displayedUrl;
         }
       }
 
-      const colorThief = new ColorThief();
-      let dominantColors;
-      let backgroundColors = [];
-
-      try {
-        // Step 1: Sample border colors to detect ALL background regions (supports multi-color backgrounds)
-        const borderColors = sampleBorder(processableImage);
-        if (borderColors.length > 0) {
-          backgroundColors = findAllBackgroundColors(borderColors);
-          if (backgroundColors.length > 0) {
-            console.log(
-              '[Season Color Checker] Detected',
-              backgroundColors.length,
-              'background region(s):',
-              backgroundColors.map((bg) => colorProcessor.rgbToHex(bg)).join(', '),
-            );
-          }
-        }
+      if (!processableImage) {
+        // Pre-check: Can we access this image's pixel data?
+        processableImage = img;
+        if (!canAccessImageData(img)) {
+          console.log(
+            '[Season Color Checker] CORS detected, trying fallback methods:',
+            img.src.substring(0, 80),
+          );
 
-        // Step 2: Extract center region using smartcrop.js for content-aware cropping
-        let imageToAnalyze = processableImage;
-        const centerCanvas = await extractCenterRegion(processableImage);
-        if (centerCanvas) {
-          console.log('[Season Color Checker] Extracted center region for analysis');
-          imageToAnalyze = centerCanvas;
-        } else {
-          console.log('[Season Color Checker] Center extraction failed, using full image');
-        }
+          // Get domain for tracking
+          const domain = getDomainFromUrl(img.src);
 
-        // Step 3: Extract dominant colors from center region
-        const rawColors = colorThief.getPalette(imageToAnalyze, 8); // Get more colors initially
+          // Try 3-tier fallback system
+          processableImage = await handleCorsImage(img, domain);
 
-        // Step 3.5: Extract text color mentions BEFORE background filtering
-        // This allows us to protect text-mentioned colors from being filtered as background
-        let textColorMentions = [];
-        if (
-          settings.textColorEnhancementEnabled &&
-          typeof extractColorKeywordsFromDOM === 'function'
-        ) {
-          // Verify dictionary is loaded before attempting text color extraction
-          if (typeof window.getAllColorNames !== 'function') {
-            console.warn(
-              '[Season Color Checker] Fashion dictionary not loaded, text enhancement disabled',
-            );
-            settings.textColorEnhancementEnabled = false;
-          } else {
-            try {
-              textColorMentions = extractColorKeywordsFromDOM(img) || [];
-              if (textColorMentions.length > 0) {
-                console.log(
-                  '[Season Color Checker] Found text color mentions (for background protection):',
-                  textColorMentions.map((m) => m.keyword).join(', '),
-                );
-              }
-            } catch (textError) {
-              console.log(
-                '[Season Color Checker] Text color extraction failed:',
-                textError.message,
-              );
-              textColorMentions = [];
-            }
+          // If all methods failed, return
+          if (!processableImage) {
+            stats.totalImages--; // Don't count this image
+            return;
+          }
+          if (abandonIfCancelled()) return;
+        } else {
+          // Direct access works - track success
+          const domain = getDomainFromUrl(img.src);
+          if (domain) {
+            trackCorsEvent(domain, 'success', 'direct');
           }
         }
+      }
 
-        // Step 4: Filter out background and desaturated colors
-        // Pass text mentions to protect product colors that match text descriptions
-        dominantColors = filterBackgroundColors(rawColors, backgroundColors, textColorMentions);
+      // Cached analysis for this photo? Then only the season match needs to run
+      const imageHash = computeImageHash(processableImage);
+      let analysis = await getCachedAnalysis(sourceUrl, imageHash);
+      if (abandonIfCancelled()) return;
 
-        console.log(
-          '[Season Color Checker] Filtered palette:',
-          dominantColors.length,
-          'colors after background removal',
-        );
+      if (analysis) {
+        console.log('[Season Color Checker] Using cached analysis:', sourceUrl.substring(0, 80));
+      } else {
+        try {
+          analysis = await extractProductColors(img, processableImage, signal, sourceUrl);
+        } catch (e) {
+          console.log('[Season Color Checker] Error extracting colors:', e.message);
+          stats.totalImages--; // Don't count this image
+          return;
+        }
+        if (abandonIfCancelled()) return;
 
-        // Step 5: Apply text-based weighting to palette
-        if (
-          settings.textColorEnhancementEnabled &&
-          textColorMentions.length > 0 &&
-          typeof applyTextColorWeighting === 'function'
-        ) {
-          try {
-            // Text mentions already extracted in Step 3.5 for background protection
-            console.log(
-              '[Season Color Checker] Applying text-based weighting:',
-              textColorMentions.map((m) => m.keyword).join(', '),
-            );
+        // A precise-mode timeout fell back to heuristics - don't pin that result in the cache
+        if (analysis.palette.length > 0 && analysis.method === settings.extractionMode) {
+          cacheAnalysis(sourceUrl, imageHash, analysis);
+        }
+      }
 
-            // Apply text-based weighting to palette
-            const weightedPalette = applyTextColorWeighting(
-              dominantColors,
-              textColorMentions,
-              colorProcessor,
-            );
+      img.dataset.extractionMethod = analysis.method;
+      if (analysis.whiteBalance) {
+        img.dataset.whiteBalance = JSON.stringify(analysis.whiteBalance);
+      } else {
+        delete img.dataset.whiteBalance;
+      }
+      if (analysis.region) {
+        img.dataset.garmentRegion = analysis.region.keyword;
+      } else {
+        delete img.dataset.garmentRegion;
+      }
+      if (analysis.excludedTones.length > 0) {
+        img.dataset.excludedTones = JSON.stringify(analysis.excludedTones);
+      } else {
+        delete img.dataset.excludedTones;
+      }
 
-            // Use selectFinalPalette to ensure text-matched colors are preserved
-            if (typeof selectFinalPalette === 'function') {
-              // Select final palette with guaranteed slots for text-matched colors
-              dominantColors = selectFinalPalette(weightedPalette, 5, 2);
-            } else {
-              // Fallback: simple slice (old behavior)
-              dominantColors = weightedPalette.map((item) => item.rgb).slice(0, 5);
-            }
+      const dominantColors = analysis.palette;
 
-            // Optionally augment palette with high-confidence text colors not in visual palette
-            if (typeof augmentPaletteWithTextColors === 'function') {
-              dominantColors = augmentPaletteWithTextColors(
-                dominantColors,
-                textColorMentions,
-                colorProcessor,
-                2,
-              );
-            }
-          } catch (textError) {
-            console.log('[Season Color Checker] Text weighting failed:', textError.message);
-            // Continue without text enhancement - not critical
-            dominantColors = dominantColors.slice(0, 5);
-          }
-        } else {
-          // Text enhancement disabled or no text mentions, just take top 5
-          dominantColors = dominantColors.slice(0, 5);
-        }
-      } catch (e) {
-        console.log('[Season Color Checker] Error extracting colors:', e.message);
-        stats.totalImages--; // Don't count this image
-        return;
-      }
+      // Beauty products are judged on the selected shade chip, not the model photo
+      const beautyShade = getSelectedBeautyShade(img);
 
-      if (!dominantColors || dominantColors.length === 0) {
+      // Silver jewelry on a white backdrop can lose every color to the filters -
+      // its metal still counts
+      const judgedOnMetal = analysis.metal && analysis.metal.kind !== 'hardware';
+      if ((!dominantColors || dominantColors.length === 0) && !judgedOnMetal && !beautyShade) {
         console.log('[Season Color Checker] No colors extracted after filtering');
         return;
       }
@@ -1152,12 +2932,37 @@
         return;
       }
 
-      // Check if product colors match user's selected season
-      const matchResult = colorProcessor.checkColorMatch(dominantColors, seasonPalette.colors);
+      // A patterned selected swatch means a print, even where the photo's colors sit in blocks
+      let layout = analysis.layout || null;
+      if (layout && layout.colorCount >= 2 && layout.type !== 'print' && isSelectedSwatchPattern()) {
+        layout = { ...layout, type: 'print' };
+      }
+
+      // Check if product colors match user's selected season (top color, or area shares for
+      // prints and multicolor items) and score undertone / value / chroma fit
+      const matchResult = beautyShade
+        ? matchBeautyShade(beautyShade.rgb, beautyShade.shade, seasonPalette, getBeautyProduct())
+        : matchSeasonColors(dominantColors, seasonPalette, layout, analysis.metal);
 
       // Store match data on element
       img.dataset.seasonMatch = matchResult.matches ? 'true' : 'false';
       img.dataset.matchScore = matchResult.confidence.toFixed(0);
+      img.dataset.seasonFit = matchResult.fit.score;
+      if (matchResult.metal) {
+        img.dataset.metalTone = matchResult.metal.tone;
+      } else {
+        delete img.dataset.metalTone;
+      }
+      if (layout) {
+        img.dataset.colorLayout = layout.type;
+      } else {
+        delete img.dataset.colorLayout;
+      }
+      if (beautyShade) {
+        img.dataset.selectedSwatchColor = beautyShade.hex;
+      } else {
+        delete img.dataset.selectedSwatchColor;
+      }
 
       // Build display palette: selected swatch first (if exists), then top ColorThief colors
       let displayColors;
@@ -1169,11 +2974,8 @@
 
         // Filter out colors too similar to the selected swatch (deltaE < 15 = essentially same color)
         const uniqueColors = colorThiefHexes.filter((hex) => {
-          const deltaE = colorProcessor.calculateDeltaE(
-            colorProcessor.hexToRgb(hex),
-            colorProcessor.hexToRgb(swatchHex),
-          );
-          return deltaE >= 15; // Keep only colors that are visually distinct
+          const deltaE = colorProcessor.calculateDeltaE(hex, swatchHex);
+          return deltaE >= colorProcessor.scaleThreshold(15); // Keep only colors that are visually distinct
         });
 
         // Display: [selected swatch] + [top 2 unique ColorThief colors]
@@ -1187,6 +2989,9 @@
         // No selected swatch detected, use ColorThief colors only
         displayColors = dominantColors.slice(0, 3).map((rgb) => colorProcessor.rgbToHex(rgb));
       }
+      if (displayColors.length === 0 && matchResult.metal) {
+        displayColors = [METAL_TONES[matchResult.metal.tone].hex];
+      }
 
       img.dataset.dominantColors = JSON.stringify(displayColors);
 
@@ -1216,6 +3021,11 @@
       return;
     }
 
+    // Hover swaps are sibling <img>s; <picture>, background and shadow DOM media don't pair
+    if (img.tagName !== 'IMG' || getBadgeAnchor(img) !== img) {
+      return;
+    }
+
     const parent = img.parentElement;
     if (!parent) return;
 
@@ -1334,12 +3144,12 @@
     const palette1 = palettes[0];
     const palette2 = palettes[1];
 
-    // Check if at least 1 color from each palette is similar (Delta E < 20)
+    // Check if at least 1 color from each palette is similar (Delta E < 20 on the CIE76 scale)
     let similarCount = 0;
     for (const color1 of palette1.slice(0, 3)) {
       for (const color2 of palette2.slice(0, 3)) {
-        const deltaE = calculateColorDistance(color1, color2);
-        if (deltaE < 20) {
+        const deltaE = colorProcessor.calculateDeltaE(color1, color2);
+        if (deltaE < colorProcessor.scaleThreshold(20)) {
           similarCount++;
           break;
         }
@@ -1350,37 +3160,6 @@
     return similarCount >= 1;
   }
 
-  /**
-   * Calculate color distance between two hex colors using simple RGB distance
-   */
-  function calculateColorDistance(hex1, hex2) {
-    const rgb1 = hexToRgb(hex1);
-    const rgb2 = hexToRgb(hex2);
-
-    if (!rgb1 || !rgb2) return 100; // Max distance if invalid
-
-    // Simple Euclidean distance (good enough for validation)
-    const rDiff = rgb1.r - rgb2.r;
-    const gDiff = rgb1.g - rgb2.g;
-    const bDiff = rgb1.b - rgb2.b;
-
-    return Math.sqrt(rDiff * rDiff + gDiff * gDiff + bDiff * bDiff) / 4.41; // Normalize to 0-100
-  }
-
-  /**
-   * Convert hex color to RGB
-   */
-  function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result
-      ? {
-          r: parseInt(result[1], 16),
-          g: parseInt(result[2], 16),
-          b: parseInt(result[3], 16),
-        }
-      : null;
-  }
-
   /**
    * Set up observer to update swatches and badges when hover changes visibility
    */
@@ -1450,6 +3229,7 @@
         // Only wrap if absolutely necessary
         container = document.createElement('div');
         container.className = 'season-filter-container';
+        container.dataset.seasonWrapper = 'true';
 
         // Copy important layout properties from img to container
         const imgStyle = window.getComputedStyle(img);
@@ -1481,17 +3261,22 @@
     // Remove existing filter classes
     img.classList.remove('season-match', 'season-no-match');
 
+    // Badge container goes around the rendered element: the <img> itself, its
+    // <picture>, the background-image element, or the shadow host it lives in
+    const anchor = getBadgeAnchor(img);
+
     // Skip setting position for hover group images - preserve original positioning
     // This prevents breaking website's hover effects (opacity/absolute positioning)
-    if (!img.dataset.hoverGroup) {
+    // Background-image elements are often absolutely positioned layers - leave them alone too
+    if (!img.dataset.hoverGroup && img.tagName === 'IMG') {
       // Only set position: relative for non-hover images
       img.style.position = 'relative';
     }
 
     // Add container wrapper if needed
-    let container = img.closest('.season-filter-container');
+    let container = anchor.closest('.season-filter-container');
     if (!container) {
-      const parent = img.parentElement;
+      const parent = anchor.parentElement;
 
       // SPECIAL HANDLING FOR HOVER GROUPS
       // If this image is part of a hover group, check if parent is already a shared container
@@ -1520,9 +3305,10 @@
           // Create individual wrapper for this image
           container = document.createElement('div');
           container.className = 'season-filter-container';
+          container.dataset.seasonWrapper = 'true';
 
           // Copy important layout properties from img to container
-          const imgStyle = window.getComputedStyle(img);
+          const imgStyle = window.getComputedStyle(anchor);
           if (imgStyle.width && imgStyle.width !== 'auto') {
             container.style.width = imgStyle.width;
           }
@@ -1530,8 +3316,8 @@
             container.style.height = imgStyle.height;
           }
 
-          img.parentNode.insertBefore(container, img);
-          container.appendChild(img);
+          anchor.parentNode.insertBefore(container, anchor);
+          container.appendChild(anchor);
         }
       }
     }
@@ -1544,11 +3330,170 @@
     // Add color palette debug display
     addColorPaletteSwatch(container, img);
 
-    // Add match badge
-    addMatchBadge(container, img, matchResult);
+    // Add match badge
+    addMatchBadge(container, img, matchResult);
+
+    // Add hover tooltip
+    addTooltip(img, matchResult);
+
+    // Dim / hide the whole product card on listing pages
+    if (settings.filterMode === 'dim' || settings.filterMode === 'hide') {
+      updateCardFilter(getProductCard(img));
+    }
+  }
+
+  /**
+   * Find the product card (tile) an image belongs to
+   * @param {Element} img - Analyzed image or background-image element
+   * @returns {Element|null} - Card element, or the image's filter container as a fallback
+   */
+  function getProductCard(img) {
+    if (productCards.has(img)) return productCards.get(img);
+
+    // Cards live in the light DOM; start from the shadow host for media inside web components
+    const anchor = getBadgeAnchor(img);
+    let card = siteAdapter ? findAdapterProductCard(siteAdapter, anchor) : null;
+    if (!card && typeof findProductContainer === 'function') {
+      card = findProductContainer(anchor);
+    }
+
+    // A "card" holding many analyzed images is really the grid (or the page) - don't use it
+    if (
+      card &&
+      (card === document.body ||
+        card === document.documentElement ||
+        findAnalyzedMedia(card).length > 6)
+    ) {
+      card = null;
+    }
+
+    card = card || anchor.closest('.season-filter-container') || anchor.parentElement;
+    productCards.set(img, card);
+    return card;
+  }
+
+  /**
+   * Analyzed media (images and background-image elements, shadow roots included)
+   * @param {Document|Element} root
+   * @returns {Array<Element>}
+   */
+  function findAnalyzedMedia(root = document) {
+    return querySelectorAllDeep(root, '[data-season-match]');
+  }
+
+  /**
+   * Best result among a card's analyzed images (hover pairs, carousels)
+   * @param {Element} card
+   * @returns {{matches: boolean, score: number}|null} - null if nothing in the card is analyzed yet
+   */
+  function getCardResult(card) {
+    const images = findAnalyzedMedia(card);
+    if (images.length === 0) return null;
+
+    return images.reduce(
+      (best, img) => ({
+        matches: best.matches || img.dataset.seasonMatch === 'true',
+        score: Math.max(best.score, Number(img.dataset.seasonFit || img.dataset.matchScore || 0)),
+      }),
+      { matches: false, score: 0 },
+    );
+  }
+
+  /**
+   * Apply the dim / hide mode to one card
+   * @param {Element|null} card
+   */
+  function updateCardFilter(card) {
+    if (!card) return;
+    card.classList.remove('season-card-dimmed', 'season-card-hidden');
+    if (!isListingPage) return; // Never dim/hide a product detail page's gallery
+
+    const result = getCardResult(card);
+    if (!result || result.matches) return;
+
+    if (settings.filterMode === 'dim') {
+      card.classList.add('season-card-dimmed');
+    } else if (settings.filterMode === 'hide') {
+      card.classList.add('season-card-hidden');
+    }
+  }
+
+  /**
+   * Remove every card-level filter state (dim, hide, sort order)
+   */
+  function clearFilterMode() {
+    document
+      .querySelectorAll('.season-card-dimmed, .season-card-hidden')
+      .forEach((card) => card.classList.remove('season-card-dimmed', 'season-card-hidden'));
+
+    document.querySelectorAll('.season-card-sorted').forEach((item) => {
+      item.classList.remove('season-card-sorted');
+      item.style.removeProperty('--season-sort-order');
+    });
+  }
+
+  /**
+   * Re-apply the current filter mode to every analyzed product on the page.
+   * Sorting uses CSS `order` on flex/grid items instead of moving nodes, so the
+   * site's own scripts, hover effects and layout keep working.
+   */
+  function applyFilterMode() {
+    clearFilterMode();
+    if (!isListingPage || settings.filterMode === 'badge') return;
+
+    const cards = new Set();
+    findAnalyzedMedia().forEach((img) => {
+      const card = getProductCard(img);
+      if (card && card.isConnected) cards.add(card);
+    });
+
+    if (settings.filterMode !== 'sort') {
+      cards.forEach(updateCardFilter);
+      return;
+    }
+
+    // Group grid items by their flex/grid container
+    const grids = new Map(); // grid container → [{ item, result }]
+    cards.forEach((card) => {
+      const item = findGridItem(card);
+      if (!item) return;
+      if (!grids.has(item.parentElement)) grids.set(item.parentElement, []);
+      const entries = grids.get(item.parentElement);
+      if (!entries.some((entry) => entry.item === item)) {
+        entries.push({ item, result: getCardResult(card) });
+      }
+    });
+
+    grids.forEach((entries) => {
+      // Matches first, then by fit score; unanalyzed items keep their place after these
+      entries
+        .filter((entry) => entry.result)
+        .sort(
+          (a, b) =>
+            Number(b.result.matches) - Number(a.result.matches) || b.result.score - a.result.score,
+        )
+        .forEach((entry, index, sorted) => {
+          entry.item.classList.add('season-card-sorted');
+          entry.item.style.setProperty('--season-sort-order', index - sorted.length);
+        });
+    });
+  }
 
-    // Add hover tooltip
-    addTooltip(img, matchResult);
+  /**
+   * Walk up from a card to the element that is a direct child of a flex/grid container
+   * @param {Element} card
+   * @returns {Element|null} - null if the listing isn't a flex/grid layout (can't reorder safely)
+   */
+  function findGridItem(card) {
+    let current = card;
+    for (let depth = 0; current && current.parentElement && depth < 5; depth++) {
+      const display = window.getComputedStyle(current.parentElement).display;
+      if (display.includes('flex') || display.includes('grid')) {
+        return current;
+      }
+      current = current.parentElement;
+    }
+    return null;
   }
 
   /**
@@ -1686,7 +3631,20 @@
     badge.classList.add('match');
 
     // Add wishlist tooltip and click handler
-    badge.title = 'Add to wishlist';
+    const layoutMatch = describeLayoutMatch(matchResult);
+    badge.title = [
+      layoutMatch,
+      describeContrastMatch(matchResult),
+      describeNeutralMatch(matchResult),
+      describeMetalMatch(matchResult),
+      describeShadeMatch(matchResult),
+      matchResult.fit && matchResult.fit.axes
+        ? `Season fit ${matchResult.fit.score}/100: ${matchResult.fit.summary}`
+        : null,
+      'Add to wishlist',
+    ]
+      .filter(Boolean)
+      .join('\n');
     badge.style.cursor = 'pointer';
     badge.style.pointerEvents = 'auto';
 
@@ -1697,7 +3655,8 @@
       // Get image data
       const dominantColors = JSON.parse(img.dataset.dominantColors || '[]');
       const matchScore = parseInt(img.dataset.matchScore || '0');
-      const imageUrl = img.src;
+      const imageUrl = getMediaSourceUrl(img) || img.src;
+      const product = await getWishlistProductDetails(img, imageUrl);
 
       // Fetch image as data URL to avoid CORS issues in popup
       try {
@@ -1717,6 +3676,7 @@
           pageUrl: window.location.href,
           dominantColors: dominantColors,
           matchScore: matchScore,
+          ...product,
         });
 
         if (response && response.success) {
@@ -1741,6 +3701,36 @@
     container.appendChild(badge);
   }
 
+  /**
+   * Title, brand, price and color name for a wishlist entry, from the page's
+   * product metadata (see product-metadata.js)
+   * @param {Element} img - Badged image
+   * @param {string} imageUrl - Its largest source
+   * @returns {Promise<Object>} - Empty on listing pages: the page's metadata isn't about this tile
+   */
+  async function getWishlistProductDetails(img, imageUrl) {
+    if (isListingPage || typeof loadProductMetadata !== 'function') return {};
+
+    const metadata = await loadProductMetadata();
+    if (!metadata) return {};
+
+    const variant =
+      findVariantForImage(metadata, [img.currentSrc, img.src, imageUrl]) ||
+      getSelectedVariant(metadata);
+    const colorName =
+      (variant && variant.color) ||
+      (siteAdapter && getAdapterColorName(siteAdapter)) ||
+      (metadata.colors.length === 1 ? metadata.colors[0] : null);
+
+    return {
+      title: metadata.title,
+      brand: metadata.brand,
+      price: variant && variant.price !== null ? variant.price : metadata.price,
+      currency: (variant && variant.currency) || metadata.currency,
+      colorName,
+    };
+  }
+
   /**
    * Add hover tooltip showing match details
    */
@@ -1756,6 +3746,64 @@
       tooltip += `Confidence: ${matchResult.confidence.toFixed(0)}%`;
     }
 
+    const layoutMatch = describeLayoutMatch(matchResult);
+    if (layoutMatch) {
+      tooltip += `\n${layoutMatch}`;
+    }
+
+    const contrastMatch = describeContrastMatch(matchResult);
+    if (contrastMatch) {
+      tooltip += `\n${contrastMatch}`;
+    }
+
+    const neutralMatch = describeNeutralMatch(matchResult);
+    if (neutralMatch) {
+      tooltip += `\n${neutralMatch}`;
+    }
+
+    const metalMatch = describeMetalMatch(matchResult);
+    if (metalMatch) {
+      tooltip += `\n${metalMatch}`;
+    }
+
+    const shadeMatch = describeShadeMatch(matchResult);
+    if (shadeMatch) {
+      tooltip += `\n${shadeMatch}`;
+    }
+
+    if (matchResult.fit && matchResult.fit.axes) {
+      const { fit } = matchResult;
+      tooltip += `\nSeason fit: ${fit.score}/100 — ${fit.summary}`;
+      tooltip += `\n  Undertone ${fit.axes.undertone.score} · Depth ${fit.axes.value.score} · Clarity ${fit.axes.chroma.score}`;
+    }
+
+    if (img.dataset.excludedTones) {
+      const excluded = JSON.parse(img.dataset.excludedTones);
+      const describe = (kind) =>
+        excluded
+          .filter((tone) => tone.kind === kind)
+          .map((tone) => tone.hex + (tone.action === 'down-weighted' ? ' (down-weighted)' : ''))
+          .join(', ');
+      const parts = ['skin', 'hair']
+        .map((kind) => [kind, describe(kind)])
+        .filter(([, list]) => list)
+        .map(([kind, list]) => `${kind} ${list}`);
+      tooltip += `\nIgnored model ${parts.join('; ')}`;
+    }
+
+    if (img.dataset.whiteBalance) {
+      const { cast, illuminant } = JSON.parse(img.dataset.whiteBalance);
+      tooltip += `\nCorrected a ${cast} lighting cast (backdrop ${illuminant})`;
+    }
+
+    if (img.dataset.garmentRegion) {
+      tooltip += `\nScored the ${img.dataset.garmentRegion} only - the photo shows a full outfit`;
+    }
+
+    if (img.dataset.extractionMethod === 'precise') {
+      tooltip += '\nColors measured on the garment only (precise mode)';
+    }
+
     img.title = tooltip;
   }
 
@@ -1763,48 +3811,236 @@
    * Observe DOM for new images (lazy loading, infinite scroll)
    */
   function observeNewImages() {
-    const observer = new MutationObserver((mutations) => {
-      // Check if any mutation actually added new images
-      const hasNewImages = mutations.some((mutation) => {
-        // Check added nodes for images
-        return Array.from(mutation.addedNodes).some((node) => {
-          // Skip text nodes and other non-element nodes
-          if (node.nodeType !== 1) return false;
-
-          // Check if the node itself is an image
-          if (node.tagName === 'IMG') return true;
+    if (newImageObserver) {
+      newImageObserver.disconnect(); // Re-filtering starts over - don't stack observers
+      observedShadowRoots = new WeakSet();
+    }
 
-          // Check if the node contains images
-          return node.querySelector && node.querySelector('img') !== null;
+    newImageObserver = new MutationObserver((mutations) => {
+      // Collect added nodes that are or contain images
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          // Skip text nodes and other non-element nodes
+          if (node.nodeType !== 1) return;
+
+          // Check if the node itself is an image, a background-image element or a web component,
+          // or contains images
+          if (
+            node.tagName === 'IMG' ||
+            node.shadowRoot ||
+            node.tagName.includes('-') ||
+            node.getAttribute('style')?.includes('background') ||
+            node.querySelector('img, [style*="background"]') !== null
+          ) {
+            pendingScanRoots.add(node);
+          }
         });
       });
 
       // Only process if images were actually added
-      if (!hasNewImages) return;
+      if (pendingScanRoots.size === 0) return;
 
-      // Debounce to avoid processing too frequently
+      // Debounce to avoid processing too frequently; only the added subtrees are scanned
       clearTimeout(window.seasonFilterDebounce);
       window.seasonFilterDebounce = setTimeout(() => {
-        findAndProcessImages();
+        const roots = Array.from(pendingScanRoots).filter((root) => root.isConnected);
+        pendingScanRoots = new Set();
+
+        // Nested additions are covered by their outermost added ancestor
+        findAndProcessImages(
+          roots.filter((root) => !roots.some((other) => other !== root && other.contains(root))),
+        );
       }, 500);
     });
 
-    observer.observe(document.body, {
+    newImageObserver.observe(document.body, {
       childList: true,
       subtree: true,
     });
+
+    // Shadow roots found by the first pass (later ones are added by findProductImages)
+    observeShadowRoots(findOpenShadowRoots());
+  }
+
+  /**
+   * Watch open shadow roots for new images too - mutations inside them don't
+   * reach the document observer
+   * @param {Array<ShadowRoot>} shadowRoots
+   */
+  function observeShadowRoots(shadowRoots) {
+    if (!newImageObserver) return;
+
+    shadowRoots.forEach((shadowRoot) => {
+      if (observedShadowRoots.has(shadowRoot)) return;
+      observedShadowRoots.add(shadowRoot);
+      newImageObserver.observe(shadowRoot, { childList: true, subtree: true });
+    });
   }
 
   /**
    * Reset and refilter all images
    */
   function resetAndRefilter() {
+    resetPageState();
+    removeAllFilters();
+    startFiltering();
+  }
+
+  /**
+   * Forget everything analyzed so far: cancel queued work, clear the processed
+   * sets and start the stats and the one-shot swatch summary over
+   */
+  function resetPageState() {
+    if (analysisPipeline) {
+      analysisPipeline.cancelAll();
+    }
     processedImages = new WeakSet(); // Reset by creating a new WeakSet
     processedSwatches = new WeakSet();
+    swatchAnalysisData = new WeakMap();
+    productCards = new WeakMap();
     stats = { totalImages: 0, matchingImages: 0, totalSwatches: 0, matchingSwatches: 0 };
     hasShownSummary = false;
+    hasAdapterImages = false;
+    hasPendingFilterPass = false;
+
+    // New observers report every candidate afresh once the page is scanned again
+    [nearViewportObserver, farViewportObserver, visibleObserver].forEach((observer) => {
+      if (observer) observer.disconnect();
+    });
+    nearViewportObserver = null;
+    farViewportObserver = null;
+    visibleObserver = null;
+    candidateImages = new WeakSet();
+    candidateCount = 0;
+    visibleImages = new Set();
+    settledImages = new WeakSet();
+    pendingScanRoots = new Set();
+
+    // Scores are for the old season / page
+    variantMatrixGeneration++;
+    variantMatrixRows = [];
+    hasBuiltVariantMatrix = false;
+    selectedSwatchIsPattern = null;
+    beautyProduct = undefined;
+    forgetSelectedBeautyShade();
+    beautyShadeRows = [];
+    if (typeof window.hideVariantMatrix === 'function') {
+      window.hideVariantMatrix();
+    }
+    if (typeof window.hideBeautyShades === 'function') {
+      window.hideBeautyShades();
+    }
+    if (typeof window.hideNextPage === 'function') {
+      window.hideNextPage();
+    }
+  }
+
+  /**
+   * ===================================
+   * SINGLE-PAGE APP NAVIGATION
+   * ===================================
+   */
+
+  /**
+   * URL that identifies the current page. Variant picks (SAME_PAGE_PARAMS) and hash
+   * changes (tabs, anchors, gallery slides) are not navigations.
+   */
+  function getPageUrl() {
+    const url = new URL(window.location.href);
+    SAME_PAGE_PARAMS.forEach((param) => url.searchParams.delete(param));
+    return url.origin + url.pathname + url.search;
+  }
+
+  /**
+   * Watch for client-side route changes: history.pushState/replaceState (announced
+   * by navigation-events.js from the page world), back/forward, and the
+   * Navigation API where the browser has it
+   */
+  function watchNavigation() {
+    if (isWatchingNavigation) return;
+    isWatchingNavigation = true;
+
+    window.addEventListener('seasonFilterLocationChange', scheduleRouteChange);
+    window.addEventListener('popstate', scheduleRouteChange);
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', scheduleRouteChange);
+    }
+  }
+
+  /**
+   * Debounce route change signals - one navigation can fire several of them
+   */
+  function scheduleRouteChange() {
+    clearTimeout(navigationTimer);
+    navigationTimer = setTimeout(onRouteChange, NAVIGATION_SETTLE_DELAY);
+  }
+
+  /**
+   * The URL changed without a page load: start over as if this were a fresh page
+   */
+  function onRouteChange() {
+    const pageUrl = getPageUrl();
+    if (pageUrl === lastPageUrl) {
+      // Same product, another variant picked: keep the analyses and the variant
+      // matrix, pick up the swapped-in photos
+      if (!isFiltering) return;
+      forgetSelectedBeautyShade();
+      findAndProcessImages();
+      return;
+    }
+
+    console.log('[Season Color Checker] Route changed:', lastPageUrl, '→', pageUrl);
+    lastPageUrl = pageUrl;
+    if (!isFiltering) return;
+
+    // A pending batch from the old page would run against the new page's state
+    clearTimeout(window.seasonFilterDebounce);
+
+    resetPageState();
+    isListingPage = false; // detectPageType() decides again for the new route
     removeAllFilters();
-    startFiltering();
+    removeFilterContainers();
+
+    if (typeof window.showLoadingState === 'function') {
+      window.showLoadingState();
+    }
+    if (typeof loadProductMetadata === 'function') {
+      loadProductMetadata();
+    }
+    findAndProcessImages();
+
+    // Swatch detection runs on idle - restart the timer for the new page
+    clearTimeout(inactivityTimer);
+    inactivityTimer = setTimeout(onUserIdle, inactivityDelay);
+  }
+
+  /**
+   * Undo our wrappers and container classes. Routers swap images out from under
+   * them, which leaves empty wrappers and stray badges behind; containers still
+   * holding an image are rebuilt when that image is analyzed again.
+   */
+  function removeFilterContainers() {
+    document.querySelectorAll('.season-color-checker-cors-badge').forEach((badge) => {
+      badge.remove();
+    });
+
+    document.querySelectorAll('.season-filter-container').forEach((container) => {
+      if (container._hoverSwatchObserver) {
+        container._hoverSwatchObserver.disconnect();
+        delete container._hoverSwatchObserver;
+      }
+
+      container.querySelectorAll('.color-palette-swatch-container').forEach((palette) => {
+        palette.remove();
+      });
+
+      if (container.dataset.seasonWrapper) {
+        // Our own <div>: put whatever the site still has back where it was
+        container.replaceWith(...container.childNodes);
+      } else {
+        container.classList.remove('season-filter-container', 'season-hover-group');
+      }
+    });
   }
 
   /**
@@ -1824,6 +4060,13 @@
       badge.remove();
     });
 
+    // Results are for the old season/settings - card modes must not read them
+    findAnalyzedMedia().forEach((img) => {
+      delete img.dataset.seasonMatch;
+    });
+
+    clearFilterMode();
+
     updateOverlay();
   }
 
@@ -1832,7 +4075,7 @@
    */
   function updateOverlay() {
     if (typeof window.updateOverlay === 'function') {
-      window.updateOverlay(stats, settings);
+      window.updateOverlay({ ...stats, ...getVisibleProgress() }, settings);
     }
   }
 
@@ -1872,7 +4115,7 @@
 
     // Check page type - only process swatches on detail pages
     const images = findProductImages();
-    const pageType = detectPageType(images);
+    const pageType = detectPageType(images.length);
 
     if (pageType === 'listing') {
       console.log(
@@ -1889,6 +4132,17 @@
         ' images), processing swatches',
     );
 
+    // Score every color option of the product (once per page) - beauty products by shade
+    if (!hasBuiltVariantMatrix) {
+      hasBuiltVariantMatrix = true;
+      const beauty = getBeautyProduct();
+      if (beauty) {
+        buildBeautyShades(beauty);
+      } else {
+        buildVariantMatrix();
+      }
+    }
+
     // Find and process color swatches
     const swatches = findColorSwatches();
     if (swatches.length === 0) return;
@@ -1910,10 +4164,401 @@
     }
   }
 
+  /**
+   * ===================================
+   * VARIANT MATRIX (detail pages)
+   * ===================================
+   */
+
+  /**
+   * Score every color option of the product on this page - website swatches
+   * plus structured-data variants - and list them in the overlay, best first
+   */
+  async function buildVariantMatrix() {
+    const seasonPalette = SEASONAL_PALETTES[settings.selectedSeason];
+    if (!seasonPalette || typeof window.showVariantMatrix !== 'function') return;
+
+    const generation = variantMatrixGeneration;
+    const options = await collectVariantOptions();
+    if (options.length < 2) return; // A single color has nothing to compare against
+
+    // The product's type, read once from the main photo's text: variant photos are
+    // cropped to the same garment, and for jewelry and watches options like
+    // "Gold" / "Silver" are judged on the metal
+    const mainImage = findMainProductImage();
+    const pageContext = {
+      garment:
+        mainImage && typeof window.extractGarmentRegionFromDOM === 'function'
+          ? window.extractGarmentRegionFromDOM(mainImage)
+          : null,
+      accessory:
+        mainImage && typeof window.extractAccessoryFromDOM === 'function'
+          ? window.extractAccessoryFromDOM(mainImage)
+          : null,
+    };
+
+    // One at a time - variant photos go through the image extraction
+    for (const option of options) {
+      await scoreVariantOption(option, seasonPalette, pageContext);
+      if (generation !== variantMatrixGeneration) return;
+    }
+
+    variantMatrixRows = options
+      .filter((option) => option.fit)
+      .sort((a, b) => Number(b.matches) - Number(a.matches) || b.fit.score - a.fit.score);
+    if (variantMatrixRows.length < 2) return;
+
+    console.log(
+      '[Season Color Checker] Variant matrix:',
+      variantMatrixRows.map((row) => `${row.name} ${row.fit.score}`).join(', '),
+    );
+    window.showVariantMatrix(variantMatrixRows, settings, selectVariantOption);
+  }
+
+  /**
+   * Color options from the swatch detector and the page's product metadata,
+   * merged by color name
+   * @returns {Promise<Array<Object>>} - {name, swatch, variant, element, selected, available}
+   */
+  async function collectVariantOptions() {
+    const options = [];
+    const findOption = (name) =>
+      options.find((option) => option.name.toLowerCase() === name.trim().toLowerCase());
+
+    if (typeof window.getSwatchesAsJSON === 'function') {
+      // The main photo lets the detector tell the selected swatch when the page's own signals don't
+      const { swatches } = window.getSwatchesAsJSON(document.body, {
+        includeDisabled: true,
+        productImage: findMainProductImage(),
+      });
+      swatches.forEach((swatch) => {
+        const name = (swatch.label || swatch.color || '').trim();
+        if (!name || findOption(name)) return;
+        options.push({
+          name,
+          swatch,
+          variant: null,
+          element: swatch.element,
+          selected: swatch.selected,
+          available: !swatch.isDisabled,
+        });
+      });
+    }
+
+    const metadata = typeof loadProductMetadata === 'function' ? await loadProductMetadata() : null;
+    if (metadata) {
+      const selectedVariant = getSelectedVariant(metadata);
+
+      // One option per color - variants also differ by size
+      metadata.variants.forEach((variant) => {
+        if (!variant.color) return;
+
+        const option = findOption(variant.color);
+        if (!option) {
+          options.push({
+            name: variant.color.trim(),
+            swatch: null,
+            variant,
+            element: null,
+            selected: !!selectedVariant && selectedVariant.color === variant.color,
+            available: variant.available !== false,
+          });
+          return;
+        }
+
+        if (!option.variant || (!option.variant.image && variant.image)) {
+          option.variant = variant;
+        }
+        if (!option.swatch) {
+          // Swatches show stock for the chosen size; without one, any size in stock counts
+          option.available = option.available || variant.available !== false;
+        }
+      });
+    }
+
+    return options.slice(0, VARIANT_MATRIX_MAX_ROWS);
+  }
+
+  /**
+   * Largest on-screen product photo with readable pixels (the detail page's main image)
+   * @returns {HTMLImageElement|null}
+   */
+  function findMainProductImage() {
+    let mainImage = null;
+    let largestArea = 0;
+
+    findProductImages().forEach((element) => {
+      if (element.tagName !== 'IMG' || !element.complete || !canAccessImageData(element)) return;
+
+      const rect = element.getBoundingClientRect();
+      const area = rect.width * rect.height;
+      if (area > largestArea) {
+        largestArea = area;
+        mainImage = element;
+      }
+    });
+
+    return mainImage;
+  }
+
+  /**
+   * Score one color option. Colors come from, in order: the swatch's solid
+   * color, the swatch image (fabric close-up), the variant's product photo, or
+   * the color name in the fashion dictionary. For jewelry and watches the option's
+   * metal ("Rose Gold") comes from its name, or else from the variant photo.
+   * @param {Object} option - From collectVariantOptions(); gets colors, hex, source, matches and fit
+   * @param {Object} seasonPalette
+   * @param {Object|null} pageContext - {garment, accessory} of the page's product
+   *   (see extractProductColors)
+   */
+  async function scoreVariantOption(option, seasonPalette, pageContext = null) {
+    const accessory = pageContext ? pageContext.accessory : null;
+    let result = null;
+
+    if (option.swatch && option.swatch.colorRgb && !option.swatch.isPattern) {
+      result = { colors: [option.swatch.colorRgb], layout: null };
+      option.source = 'swatch';
+    }
+    if (!result && option.swatch && option.swatch.image) {
+      result = await getSwatchImageColors(option.swatch.image);
+      option.source = 'swatch-image';
+    }
+    if (!result && option.variant && option.variant.image) {
+      result = await getVariantImageColors(option.variant.image, pageContext);
+      option.source = 'variant-image';
+    }
+    if (!result && typeof window.getColorRgb === 'function') {
+      const rgb = window.getColorRgb(window.normalizeColorName(option.name));
+      result = rgb ? { colors: [rgb], layout: null } : null;
+      option.source = 'color-name';
+    }
+
+    let metal = null;
+    if (accessory) {
+      const named = window.findMetalKeyword(option.name);
+      metal = named
+        ? { kind: accessory.kind, keyword: accessory.keyword, tone: named.tone, source: 'text' }
+        : (result && result.metal) || null;
+    }
+    if (metal && (!result || result.colors.length === 0)) {
+      const metalRgb = colorProcessor.hexToRgb(METAL_TONES[metal.tone].hex);
+      result = { colors: [[metalRgb.r, metalRgb.g, metalRgb.b]], layout: null };
+      option.source = 'metal-name';
+    }
+    if (!result || result.colors.length === 0) return;
+
+    const matchResult = matchSeasonColors(result.colors, seasonPalette, result.layout, metal);
+    option.colors = result.colors;
+    option.hex = colorProcessor.rgbToHex(result.colors[0]);
+    option.matches = matchResult.matches;
+    option.fit = matchResult.fit;
+  }
+
+  /**
+   * Dominant colors of a pattern swatch image - it's all fabric, so no crop or background filter
+   * @param {string} url
+   * @returns {Promise<{colors: Array<Array<number>>, layout: Object|null}|null>}
+   */
+  async function getSwatchImageColors(url) {
+    const image = await loadCrossOriginImage(url);
+    if (!image) return null;
+
+    try {
+      const processableImage = fitToAnalysisSize(image);
+      const colors = new ColorThief().getPalette(processableImage, 3);
+      if (!colors) return null;
+      return { colors, layout: analyzeColorLayout(colors, sampleTonePixels(processableImage)) };
+    } catch (e) {
+      console.log('[Season Color Checker] Swatch image analysis failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Garment colors of a variant's product photo: the image steps of page images,
+   * with the product's type from the page (see extractProductColors)
+   * @param {string} url
+   * @param {Object|null} pageContext - {garment, accessory} of the page's product
+   * @returns {Promise<{colors: Array<Array<number>>, layout: Object|null, metal: Object|null}|null>}
+   */
+  async function getVariantImageColors(url, pageContext = null) {
+    const image = await loadCrossOriginImage(url);
+    if (!image) return null;
+
+    try {
+      const processableImage = fitToAnalysisSize(image);
+      const imageHash = computeImageHash(processableImage);
+      let analysis = await getCachedAnalysis(url, imageHash, getVariantCacheMode());
+      if (!analysis) {
+        analysis = await extractProductColors(
+          null,
+          processableImage,
+          null,
+          url,
+          pageContext || { garment: null, accessory: null },
+        );
+        if (analysis.palette.length > 0 && analysis.method === settings.extractionMode) {
+          cacheAnalysis(url, imageHash, analysis, getVariantCacheMode());
+        }
+      }
+      if (analysis.palette.length === 0 && !analysis.metal) return null;
+      return {
+        colors: analysis.palette,
+        layout: analysis.layout || null,
+        metal: analysis.metal || null,
+      };
+    } catch (e) {
+      console.log('[Season Color Checker] Variant image analysis failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Select a variant on the page: click its swatch, or open its URL when there
+   * is no swatch for it
+   * @param {Object} row - Variant matrix or beauty shade row
+   * @returns {boolean} - true if the page stays and the row is now selected
+   */
+  function clickVariantOption(row) {
+    if (row.element && row.element.isConnected) {
+      row.element.click();
+      return true;
+    }
+    if (row.variant && row.variant.url) {
+      window.location.assign(row.variant.url);
+    }
+    return false;
+  }
+
+  /**
+   * @param {Object} row - Variant matrix row
+   */
+  function selectVariantOption(row) {
+    if (!clickVariantOption(row)) return;
+
+    variantMatrixRows.forEach((other) => {
+      other.selected = other === row;
+    });
+    window.showVariantMatrix(variantMatrixRows, settings, selectVariantOption);
+  }
+
+  /**
+   * ===================================
+   * BEAUTY SHADES (makeup and hair color)
+   * ===================================
+   */
+
+  /**
+   * Judge every shade of a beauty product with its makeup tolerance and list the
+   * best in the overlay. Model photos never count - see scoreBeautyShade().
+   * @param {Object} beauty - getBeautyProduct() result
+   */
+  async function buildBeautyShades(beauty) {
+    const seasonPalette = SEASONAL_PALETTES[settings.selectedSeason];
+    if (!seasonPalette || typeof window.showBeautyShades !== 'function') return;
+
+    const generation = variantMatrixGeneration;
+    const options = await collectVariantOptions();
+
+    for (const option of options) {
+      await scoreBeautyShade(option, seasonPalette, beauty);
+      if (generation !== variantMatrixGeneration) return;
+    }
+
+    beautyShadeRows = options
+      .filter((option) => option.shadeMatch)
+      .sort((a, b) => Number(b.matches) - Number(a.matches) || b.score - a.score);
+    if (beautyShadeRows.length === 0) return;
+
+    console.log(
+      `[Season Color Checker] ${beauty.label} shades:`,
+      beautyShadeRows.map((row) => `${row.name} ${row.score}`).join(', '),
+    );
+    showBeautyShadeRows();
+  }
+
+  /**
+   * Score one shade. Its color comes from, in order: the shade chip's solid color,
+   * the chip image, or the shade name in the fashion dictionary.
+   * @param {Object} option - From collectVariantOptions(); gets hex, source, shade,
+   *   matches, score and shadeMatch
+   * @param {Object} seasonPalette
+   * @param {Object} beauty - getBeautyProduct() result
+   */
+  async function scoreBeautyShade(option, seasonPalette, beauty) {
+    let rgb = null;
+
+    if (option.swatch && option.swatch.colorRgb && !option.swatch.isPattern) {
+      rgb = option.swatch.colorRgb;
+      option.source = 'swatch';
+    }
+    if (!rgb && option.swatch && option.swatch.image) {
+      const result = await getSwatchImageColors(option.swatch.image);
+      rgb = result && result.colors.length > 0 ? result.colors[0] : null;
+      option.source = 'swatch-image';
+    }
+    if (!rgb && typeof window.getColorRgb === 'function') {
+      rgb = window.getColorRgb(window.normalizeColorName(option.name));
+      option.source = 'color-name';
+    }
+    if (!rgb) return;
+
+    option.shade = window.parseShadeName(option.name);
+    if (beauty.tolerance === null && !(option.shade && option.shade.undertone)) return;
+
+    const matchResult = matchBeautyShade(rgb, option.shade, seasonPalette, beauty);
+    option.hex = colorProcessor.rgbToHex(rgb);
+    option.matches = matchResult.matches;
+    option.score = Math.round(matchResult.confidence);
+    option.summary = describeShadeMatch(matchResult);
+    option.shadeMatch = matchResult;
+  }
+
+  /**
+   * The selected shade (and with it the main photo) changed - read both again
+   * when the swapped-in photo is analyzed
+   */
+  function forgetSelectedBeautyShade() {
+    beautyMainImage = null;
+    beautySelectedShade = undefined;
+  }
+
+  /**
+   * List the best beauty shades in the overlay
+   */
+  function showBeautyShadeRows() {
+    window.showBeautyShades(
+      beautyShadeRows.slice(0, BEAUTY_SHADES_SHOWN),
+      getBeautyProduct(),
+      settings,
+      selectBeautyShade,
+    );
+  }
+
+  /**
+   * @param {Object} row - Beauty shade row
+   */
+  function selectBeautyShade(row) {
+    if (!clickVariantOption(row)) return;
+    forgetSelectedBeautyShade();
+
+    beautyShadeRows.forEach((other) => {
+      other.selected = other === row;
+    });
+    showBeautyShadeRows();
+  }
+
   /**
    * Find color swatch elements on the page
    */
   function findColorSwatches() {
+    if (siteAdapter) {
+      const adapterSwatches = findAdapterSwatches(siteAdapter).filter(isValidSwatch);
+      if (adapterSwatches.length > 0) {
+        return adapterSwatches;
+      }
+    }
+
     const swatches = [];
 
     // Common swatch selectors for e-commerce sites
@@ -2041,8 +4686,12 @@
         return;
       }
 
-      // Find closest matching color
-      const result = colorProcessor.findClosestMatch(hex, seasonPalette.colors);
+      // Find closest matching color (neutral swatches against the season's neutrals)
+      const result = colorProcessor.matchPaletteColor(
+        hex,
+        seasonPalette.colors,
+        getSeasonNeutrals(seasonPalette),
+      );
 
       // Store swatch data in internal WeakMap (not on DOM)
       swatchAnalysisData.set(swatch, {
@@ -2129,7 +4778,7 @@
     }
 
     // Check if user has dismissed badges for this domain
-    const domain = getDomainFromUrl(img.src);
+    const domain = getDomainFromUrl(getMediaSourceUrl(img));
     const dismissedDomains = JSON.parse(
       localStorage.getItem('seasonColorChecker_dismissedDomains') || '[]',
     );
@@ -2140,8 +4789,8 @@
     // Mark this image as having a badge
     img.dataset.corsBadgeShown = 'true';
 
-    // Ensure image parent has position relative
-    const parent = img.parentElement;
+    // Ensure image parent has position relative (outside any shadow root / <picture>)
+    const parent = getBadgeAnchor(img).parentElement;
     if (parent && getComputedStyle(parent).position === 'static') {
       parent.style.position = 'relative';
     }
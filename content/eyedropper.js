@@ -68,7 +68,10 @@
         throw new Error('Season palettes not loaded');
       }
 
-      // Get palette colors for selected season
+      // Get palette colors for selected season (custom palettes are merged in from storage)
+      if (!SEASONAL_PALETTES[selectedSeason] && isCustomPalette(selectedSeason)) {
+        await loadCustomPalettes();
+      }
       const palette = SEASONAL_PALETTES[selectedSeason];
       if (!palette) {
         console.error('[Eyedropper] Season not found:', selectedSeason);
@@ -79,9 +82,13 @@
       console.log('[Eyedropper] Using palette:', palette.name);
       console.log('[Eyedropper] Palette has', palette.colors.length, 'colors');
 
-      // Use ColorProcessor's findClosestMatch method
-      const processor = new ColorProcessor();
-      const match = processor.findClosestMatch(hex, palette.colors);
+      // Use ColorProcessor's findClosestMatch method with the user's Delta E formula
+      // (neutrals - white, gray, black, navy, browns - against the season's neutrals)
+      const { deltaEFormula } = await chrome.storage.sync.get(['deltaEFormula']);
+      const processor = new ColorProcessor({ deltaEFormula });
+      const neutralKeys = getPaletteNeutrals(palette);
+      const neutrals = neutralKeys ? { keys: neutralKeys, swatches: NEUTRAL_SWATCHES } : null;
+      const match = processor.matchPaletteColor(hex, palette.colors, neutrals);
 
       if (!match || !match.closestColor) {
         throw new Error('Failed to find closest color match');
@@ -92,7 +99,7 @@
         distance: Math.round(match.deltaE)
       };
 
-      // Determine if it's a match (ΔE < 20)
+      // Determine if it's a match (below the formula's threshold)
       const isMatch = match.isMatch;
 
       // Save to history
@@ -102,6 +109,7 @@
         match: isMatch,
         closestMatch: closestMatch.color,
         distance: closestMatch.distance,
+        formula: match.formula,
         season: selectedSeason,
         timestamp: Date.now()
       });
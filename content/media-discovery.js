@@ -0,0 +1,307 @@
+/**
+ * MEDIA DISCOVERY MODULE
+ *
+ * Finds product media that a plain document.querySelectorAll('img') misses,
+ * and picks the best source to analyze for each:
+ * - <img> elements inside open shadow roots (web components)
+ * - Elements that render the photo as a CSS background-image (incl. image-set())
+ * - <picture> / srcset: the largest candidate is analyzed, not just the one on screen
+ *
+ * Badges still go on the rendered element - see getBadgeAnchor() for the cases
+ * where that has to be an ancestor (<picture>, shadow host).
+ */
+
+(function () {
+  'use strict';
+
+  // Formats every Chrome version we support can decode; other <source> types are skipped
+  const DECODABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+
+  // Elements worth a getComputedStyle() call when looking for background images
+  const BACKGROUND_CANDIDATE_SELECTOR = [
+    '[style*="background"]',
+    '[data-bg]',
+    '[data-background-image]',
+    '[class*="image" i]',
+    '[class*="img" i]',
+    '[class*="photo" i]',
+    '[class*="media" i]',
+    '[class*="thumb" i]',
+  ].join(', ');
+
+  const MIN_BACKGROUND_SIZE = 100; // px - smaller backgrounds are icons, swatches or decoration
+  const MAX_BACKGROUND_ASPECT = 3; // Wider than 3:1 is a banner, not a product photo
+
+  /**
+   * Every open shadow root under a root, nested ones included
+   * @param {Document|Element|ShadowRoot} root
+   * @returns {Array<ShadowRoot>}
+   */
+  function findOpenShadowRoots(root = document) {
+    const roots = [];
+    const visit = (node) => {
+      node.querySelectorAll('*').forEach((el) => {
+        if (el.shadowRoot) {
+          roots.push(el.shadowRoot);
+          visit(el.shadowRoot);
+        }
+      });
+    };
+    if (root.shadowRoot) {
+      roots.push(root.shadowRoot);
+      visit(root.shadowRoot);
+    }
+    visit(root);
+    return roots;
+  }
+
+  /**
+   * querySelectorAll that also searches open shadow roots
+   * @param {Document|Element|ShadowRoot} root
+   * @param {string} selector
+   * @param {Array<ShadowRoot>} shadowRoots - Pass findOpenShadowRoots(root) to reuse a scan
+   * @returns {Array<Element>}
+   */
+  function querySelectorAllDeep(root, selector, shadowRoots = findOpenShadowRoots(root)) {
+    const results = Array.from(root.querySelectorAll(selector));
+    shadowRoots.forEach((shadowRoot) => {
+      results.push(...shadowRoot.querySelectorAll(selector));
+    });
+    return results;
+  }
+
+  /**
+   * Parse a srcset attribute. URLs may contain commas (e.g. CDN transforms like
+   * "w_400,h_600"), so candidates are split the way the HTML spec does it.
+   * @param {string} srcset
+   * @returns {Array<{url: string, width: number|null, density: number}>}
+   */
+  function parseSrcset(srcset) {
+    const candidates = [];
+    if (!srcset) return candidates;
+
+    let position = 0;
+    while (position < srcset.length) {
+      // Skip whitespace and separating commas
+      while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+      if (position >= srcset.length) break;
+
+      // URL runs until whitespace
+      const urlStart = position;
+      while (position < srcset.length && !/\s/.test(srcset[position])) position++;
+      let url = srcset.slice(urlStart, position);
+
+      // A trailing comma ends the candidate with no descriptor
+      let descriptor = '';
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        const descriptorStart = position;
+        let depth = 0;
+        while (position < srcset.length) {
+          const ch = srcset[position];
+          if (ch === '(') depth++;
+          if (ch === ')') depth--;
+          if (ch === ',' && depth <= 0) break;
+          position++;
+        }
+        descriptor = srcset.slice(descriptorStart, position).trim();
+      }
+
+      if (!url) continue;
+
+      const widthMatch = descriptor.match(/(\d+)w\b/);
+      const densityMatch = descriptor.match(/([\d.]+)x\b/);
+      candidates.push({
+        url,
+        width: widthMatch ? parseInt(widthMatch[1], 10) : null,
+        density: densityMatch ? parseFloat(densityMatch[1]) : 1,
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Largest candidate in a srcset: by width descriptor, else by pixel density
+   * @param {string} srcset
+   * @returns {string|null} - Absolute URL
+   */
+  function getLargestSrcsetCandidate(srcset) {
+    const candidates = parseSrcset(srcset);
+    if (candidates.length === 0) return null;
+
+    const largest = candidates.reduce((best, candidate) => {
+      if (candidate.width !== null || best.width !== null) {
+        return (candidate.width || 0) > (best.width || 0) ? candidate : best;
+      }
+      return candidate.density > best.density ? candidate : best;
+    });
+
+    return toAbsoluteUrl(largest.url);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function toAbsoluteUrl(url) {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * The srcset the browser chose from: the first <source> in a <picture> whose
+   * media query and type apply, else the <img>'s own srcset (lazy loaders keep it
+   * in data-srcset until the image scrolls into view)
+   * @param {HTMLImageElement} img
+   * @returns {string}
+   */
+  function getActiveSrcset(img) {
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+    if (picture) {
+      const source = Array.from(picture.querySelectorAll(':scope > source')).find((candidate) => {
+        const type = (candidate.getAttribute('type') || '').toLowerCase();
+        if (type && !DECODABLE_IMAGE_TYPES.includes(type)) return false;
+        const media = candidate.getAttribute('media');
+        return !media || window.matchMedia(media).matches;
+      });
+      if (source) {
+        return source.getAttribute('srcset') || source.getAttribute('data-srcset') || '';
+      }
+    }
+
+    return img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+  }
+
+  /**
+   * URL of an element's CSS background image. For image-set() the highest
+   * resolution is used; gradients are ignored.
+   * @param {Element} element
+   * @returns {string|null} - Absolute URL
+   */
+  function getBackgroundImageUrl(element) {
+    const backgroundImage = window.getComputedStyle(element).backgroundImage;
+    if (!backgroundImage || backgroundImage === 'none') return null;
+
+    const imageSet = backgroundImage.match(/image-set\((.*)\)/);
+    if (imageSet) {
+      let best = null;
+      const entry = /url\(\s*["']?([^"')]+)["']?\s*\)\s*([\d.]+)x/g;
+      let match;
+      while ((match = entry.exec(imageSet[1]))) {
+        const density = parseFloat(match[2]);
+        if (!best || density > best.density) best = { url: match[1], density };
+      }
+      if (best) return toAbsoluteUrl(best.url);
+    }
+
+    const url = backgroundImage.match(/url\(\s*["']?([^"')]+)["']?\s*\)/);
+    return url ? toAbsoluteUrl(url[1]) : null;
+  }
+
+  /**
+   * Best URL to analyze for a product media element
+   * @param {Element} element - <img> or an element with a background image
+   * @returns {string|null}
+   */
+  function getMediaSourceUrl(element) {
+    if (element.tagName === 'IMG') {
+      return getLargestSrcsetCandidate(getActiveSrcset(element)) || element.currentSrc || element.src || null;
+    }
+    return getBackgroundImageUrl(element);
+  }
+
+  /**
+   * Element that badges and filter containers attach to:
+   * - the <picture> for a picture's <img> (wrapping the <img> alone would break source selection)
+   * - the outermost shadow host for media inside shadow roots (page CSS, including ours, can't reach in)
+   * - otherwise the element itself
+   * @param {Element} element
+   * @returns {Element}
+   */
+  function getBadgeAnchor(element) {
+    let anchor = element;
+
+    let root = anchor.getRootNode();
+    while (root instanceof ShadowRoot) {
+      anchor = root.host;
+      root = anchor.getRootNode();
+    }
+
+    if (anchor === element && element.parentElement && element.parentElement.tagName === 'PICTURE') {
+      anchor = element.parentElement;
+    }
+
+    return anchor;
+  }
+
+  /**
+   * Check whether an element renders a product-sized background image
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isBackgroundProductImage(element) {
+    if (element.tagName === 'IMG' || element === document.body || element === document.documentElement) {
+      return false;
+    }
+
+    // Our own UI
+    if (element.closest('.season-badge, .color-palette-swatch-container, .season-overlay')) {
+      return false;
+    }
+
+    const width = element.offsetWidth;
+    const height = element.offsetHeight;
+    if (width < MIN_BACKGROUND_SIZE || height < MIN_BACKGROUND_SIZE) return false;
+    if (width > height * MAX_BACKGROUND_ASPECT) return false;
+
+    // Placeholder behind a real product <img> - the <img> is analyzed instead
+    const hasProductImage = Array.from(element.querySelectorAll('img')).some(
+      (img) => img.offsetWidth >= MIN_BACKGROUND_SIZE && img.offsetHeight >= MIN_BACKGROUND_SIZE,
+    );
+    if (hasProductImage) return false;
+
+    return !!getBackgroundImageUrl(element);
+  }
+
+  /**
+   * Discover product media candidates in the document and its open shadow roots
+   * @param {Document|Element} root - An element root (e.g. a node a mutation added) is itself a candidate too
+   * @returns {{images: Array<HTMLImageElement>, backgrounds: Array<Element>, shadowRoots: Array<ShadowRoot>}}
+   */
+  function findProductMedia(root = document) {
+    const shadowRoots = findOpenShadowRoots(root);
+    const images = querySelectorAllDeep(root, 'img', shadowRoots);
+    const candidates = querySelectorAllDeep(root, BACKGROUND_CANDIDATE_SELECTOR, shadowRoots);
+
+    if (root.nodeType === 1) {
+      if (root.tagName === 'IMG') {
+        images.unshift(root);
+      } else if (root.matches(BACKGROUND_CANDIDATE_SELECTOR)) {
+        candidates.unshift(root);
+      }
+    }
+
+    const backgrounds = candidates.filter(isBackgroundProductImage);
+
+    return { images, backgrounds, shadowRoots };
+  }
+
+  // ==================== EXPORTS ====================
+
+  if (typeof window !== 'undefined') {
+    window.findOpenShadowRoots = findOpenShadowRoots;
+    window.querySelectorAllDeep = querySelectorAllDeep;
+    window.parseSrcset = parseSrcset;
+    window.getLargestSrcsetCandidate = getLargestSrcsetCandidate;
+    window.getBackgroundImageUrl = getBackgroundImageUrl;
+    window.getMediaSourceUrl = getMediaSourceUrl;
+    window.getBadgeAnchor = getBadgeAnchor;
+    window.findProductMedia = findProductMedia;
+  }
+})();
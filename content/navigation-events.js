@@ -0,0 +1,35 @@
+/**
+ * NAVIGATION EVENTS (page world)
+ *
+ * Single-page storefronts (React, Next, Vue...) change the URL with
+ * history.pushState/replaceState instead of loading a new page. Content
+ * scripts run in an isolated world, so wrapping history there never sees the
+ * site's calls - this file runs in the page's MAIN world instead and announces
+ * each URL change with a `seasonFilterLocationChange` event on window, which
+ * content.js listens for.
+ *
+ * Keep this file tiny: it shares the page's globals and has no access to
+ * chrome.* APIs.
+ */
+
+(function () {
+  'use strict';
+
+  const EVENT_NAME = 'seasonFilterLocationChange';
+
+  // Injected once per document, but a site may re-run its own scripts - don't wrap twice
+  if (history.pushState.__seasonFilterWrapped) return;
+
+  ['pushState', 'replaceState'].forEach((method) => {
+    const original = history[method];
+
+    const wrapped = function () {
+      const result = original.apply(this, arguments);
+      window.dispatchEvent(new Event(EVENT_NAME));
+      return result;
+    };
+    wrapped.__seasonFilterWrapped = true;
+
+    history[method] = wrapped;
+  });
+})();
@@ -14,6 +14,18 @@
   let lastPickedColor = null;
   let currentSettings = null;
 
+  // Stat line contents (restored when the loading state ends)
+  const STATS_HTML = `
+    <span class="stat-text">
+      <strong class="match-count">0</strong> of
+      <strong class="total-count">0</strong> match
+    </span>
+    <span class="stat-text stat-visible" style="display: none;">
+      Analyzed <strong class="visible-analyzed-count">0</strong> of
+      <strong class="visible-count">0</strong> visible
+    </span>
+  `;
+
   /**
    * Initialize the overlay widget
    */
@@ -52,12 +64,7 @@
         <img src="${chrome.runtime.getURL(
           'icons/blob.png',
         )}" class="season-overlay-icon" alt="Season icon">
-        <div class="stat-line">
-          <span class="stat-text">
-            <strong class="match-count">0</strong> of
-            <strong class="total-count">0</strong> match
-          </span>
-        </div>
+        <div class="stat-line">${STATS_HTML}</div>
         <button class="season-overlay-close" title="Hide">×</button>
       </div>
       <div class="season-overlay-content">
@@ -75,12 +82,27 @@
             </div>
           </div>
         </div>
+
+        <div class="season-variant-matrix" style="display: none;">
+          <div class="variant-matrix-title"></div>
+          <div class="variant-matrix-list"></div>
+        </div>
+
+        <div class="season-beauty-shades" style="display: none;">
+          <div class="variant-matrix-title"></div>
+          <div class="variant-matrix-list"></div>
+        </div>
+
+        <button class="btn-next-page" style="display: none;">Next page →</button>
       </div>
     `;
 
     // Event listeners
     overlay.querySelector('.season-overlay-close').addEventListener('click', hideOverlay);
     overlay.querySelector('.btn-eyedropper').addEventListener('click', activateEyedropper);
+    overlay.querySelector('.btn-next-page').addEventListener('click', () => {
+      if (nextPageHandler) nextPageHandler();
+    });
 
     return overlay;
   }
@@ -98,6 +120,15 @@
 
     if (matchCount) matchCount.textContent = stats.matchingImages || 0;
     if (totalCount) totalCount.textContent = stats.totalImages || 0;
+
+    // Off-screen images are analyzed as they scroll near, so show on-screen progress too
+    const visibleLine = overlayElement.querySelector('.stat-visible');
+    if (visibleLine) {
+      visibleLine.style.display = stats.visibleImages > 0 ? '' : 'none';
+      visibleLine.querySelector('.visible-analyzed-count').textContent =
+        stats.analyzedVisibleImages || 0;
+      visibleLine.querySelector('.visible-count').textContent = stats.visibleImages;
+    }
   };
 
   /**
@@ -143,12 +174,7 @@
 
     const statLine = overlayElement.querySelector('.stat-line');
     if (statLine) {
-      statLine.innerHTML = `
-        <span class="stat-text">
-          <strong class="match-count">0</strong> of
-          <strong class="total-count">0</strong> match
-        </span>
-      `;
+      statLine.innerHTML = STATS_HTML;
     }
   };
 
@@ -304,6 +330,171 @@
     }
   });
 
+  /**
+   * ===================================
+   * VARIANT MATRIX
+   * ===================================
+   */
+
+  /**
+   * List a product's color options with their season score, best first
+   * @param {Array<Object>} rows - Scored options from content.js buildVariantMatrix()
+   * @param {Object} settings
+   * @param {Function} onSelect - Called with the row when it is clicked
+   */
+  window.showVariantMatrix = function (rows, settings, onSelect) {
+    if (!overlayElement) return;
+
+    const matrix = overlayElement.querySelector('.season-variant-matrix');
+    const list = matrix.querySelector('.variant-matrix-list');
+    const matchCount = rows.filter(row => row.matches).length;
+
+    matrix.querySelector('.variant-matrix-title').textContent =
+      `${matchCount} of ${rows.length} colors suit ${formatSeasonName(settings.selectedSeason)}`;
+
+    // Names come from the page - textContent only
+    list.replaceChildren();
+    rows.forEach(row => {
+      const item = document.createElement('button');
+      item.className = 'variant-matrix-row';
+      item.classList.toggle('match', row.matches);
+      item.classList.toggle('selected', row.selected);
+      item.classList.toggle('unavailable', !row.available);
+      item.title = row.fit.summary;
+
+      const dot = document.createElement('span');
+      dot.className = 'variant-matrix-dot';
+      dot.style.background = row.hex;
+
+      const name = document.createElement('span');
+      name.className = 'variant-matrix-name';
+      name.textContent = row.name;
+
+      const score = document.createElement('span');
+      score.className = 'variant-matrix-score';
+      score.textContent = `${row.fit.score} · ${row.fit.grade}`;
+
+      item.append(dot, name, score);
+      item.addEventListener('click', () => onSelect(row));
+      list.appendChild(item);
+    });
+
+    matrix.style.display = 'block';
+  };
+
+  /**
+   * Hide the variant matrix (page or season changed)
+   */
+  window.hideVariantMatrix = function () {
+    if (!overlayElement) return;
+
+    const matrix = overlayElement.querySelector('.season-variant-matrix');
+    matrix.style.display = 'none';
+    matrix.querySelector('.variant-matrix-list').replaceChildren();
+  };
+
+  /**
+   * ===================================
+   * BEAUTY SHADES
+   * ===================================
+   */
+
+  /**
+   * List the best shades of a beauty product (lipstick, foundation, hair color...)
+   * @param {Array<Object>} rows - Scored shades from content.js buildBeautyShades(), best first
+   * @param {Object} beauty - detectBeautyProduct() result
+   * @param {Object} settings
+   * @param {Function} onSelect - Called with the row when it is clicked
+   */
+  window.showBeautyShades = function (rows, beauty, settings, onSelect) {
+    if (!overlayElement) return;
+
+    const section = overlayElement.querySelector('.season-beauty-shades');
+    const list = section.querySelector('.variant-matrix-list');
+    const seasonName = formatSeasonName(settings.selectedSeason);
+
+    section.querySelector('.variant-matrix-title').textContent = rows.some(row => row.matches)
+      ? `Best ${beauty.label} shades for ${seasonName}`
+      : `No ${beauty.label} shades suit ${seasonName} - closest:`;
+
+    // Shade names come from the page - textContent only
+    list.replaceChildren();
+    rows.forEach(row => {
+      const item = document.createElement('button');
+      item.className = 'variant-matrix-row';
+      item.classList.toggle('match', row.matches);
+      item.classList.toggle('selected', row.selected);
+      item.classList.toggle('unavailable', !row.available);
+      item.title = row.summary;
+
+      const dot = document.createElement('span');
+      dot.className = 'variant-matrix-dot';
+      dot.style.background = row.hex;
+
+      const name = document.createElement('span');
+      name.className = 'variant-matrix-name';
+      name.textContent = row.name;
+      item.append(dot, name);
+
+      if (row.shade && row.shade.undertone) {
+        const tag = document.createElement('span');
+        tag.className = 'beauty-shade-undertone';
+        tag.textContent = row.shade.undertone;
+        item.appendChild(tag);
+      }
+
+      const score = document.createElement('span');
+      score.className = 'variant-matrix-score';
+      score.textContent = row.score;
+
+      item.appendChild(score);
+      item.addEventListener('click', () => onSelect(row));
+      list.appendChild(item);
+    });
+
+    section.style.display = 'block';
+  };
+
+  /**
+   * Hide the beauty shades (page or season changed)
+   */
+  window.hideBeautyShades = function () {
+    if (!overlayElement) return;
+
+    const section = overlayElement.querySelector('.season-beauty-shades');
+    section.style.display = 'none';
+    section.querySelector('.variant-matrix-list').replaceChildren();
+  };
+
+  /**
+   * ===================================
+   * NEXT PAGE (listing pages)
+   * ===================================
+   */
+
+  let nextPageHandler = null;
+
+  /**
+   * Show the "Next page" button
+   * @param {Function} onNext - Called when it is clicked
+   */
+  window.showNextPage = function (onNext) {
+    nextPageHandler = onNext;
+    if (!overlayElement) return;
+
+    overlayElement.querySelector('.btn-next-page').style.display = '';
+  };
+
+  /**
+   * Hide the "Next page" button (no further page, or the page changed)
+   */
+  window.hideNextPage = function () {
+    nextPageHandler = null;
+    if (!overlayElement) return;
+
+    overlayElement.querySelector('.btn-next-page').style.display = 'none';
+  };
+
   /**
    * ===================================
    * SWATCH SUMMARY NOTIFICATION
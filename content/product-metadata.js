@@ -0,0 +1,695 @@
+/**
+ * PRODUCT METADATA MODULE
+ *
+ * Reads what the retailer publishes about the product in machine-readable form:
+ * - JSON-LD: Product and ProductGroup (hasVariant), inside @graph, arrays or mainEntity
+ * - Microdata: itemscope Product items (itemprop="color", offers, hasVariant)
+ * - Open Graph product tags (og:title, product:brand, product:price:amount, product:color)
+ * - Shopify's /products/<handle>.js variant JSON (fetched by loadProductMetadata())
+ *
+ * Every source is merged into one shape, earlier sources winning per field:
+ * {
+ *   title, brand, price, currency, url, image,
+ *   colors: ['Navy', ...],
+ *   variants: [{ name, color, sku, price, currency, image, available, url }],
+ *   sources: ['json-ld', 'microdata', 'open-graph', 'shopify']
+ * }
+ *
+ * Used by text-color-extractor.js (color names for text weighting) and by the
+ * wishlist badge in content.js.
+ */
+
+(function () {
+  'use strict';
+
+  // Variant option names that hold the color (Shopify options, schema.org variesBy)
+  const COLOR_OPTION_PATTERN = /colou?r|shade|finish/i;
+  const SHOPIFY_FETCH_TIMEOUT_MS = 5000;
+
+  let cachedMetadata = null; // { url, metadata } for the current page URL
+  let shopifyProduct = null; // { url, product, promise } for the current /products/<handle>.js
+
+  // ==================== HELPERS ====================
+
+  /**
+   * @param {*} value
+   * @returns {Array}
+   */
+  function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function toAbsoluteUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a schema.org node's type ("Product", "http://schema.org/Product", or an array)
+   * @param {Object} node
+   * @param {string} type
+   * @returns {boolean}
+   */
+  function hasType(node, type) {
+    return asArray(node['@type']).some(
+      (candidate) =>
+        typeof candidate === 'string' && candidate.replace(/^https?:\/\/schema\.org\//i, '') === type,
+    );
+  }
+
+  /**
+   * Plain text of a value that may be a string, a number or a { name } object
+   * (brand, manufacturer), or an array of those
+   * @param {*} value
+   * @returns {string|null}
+   */
+  function textValue(value) {
+    const first = asArray(value)[0];
+    if (first === undefined) return null;
+    if (typeof first === 'string' || typeof first === 'number') {
+      return String(first).trim() || null;
+    }
+    if (typeof first === 'object') {
+      return textValue(first.name || first['@value']);
+    }
+    return null;
+  }
+
+  /**
+   * Every string in a value (color may be a single name or a list)
+   * @param {*} value
+   * @returns {Array<string>}
+   */
+  function textValues(value) {
+    return asArray(value).map(textValue).filter(Boolean);
+  }
+
+  /**
+   * First image URL of a string, ImageObject or array of either
+   * @param {*} value
+   * @returns {string|null}
+   */
+  function imageValue(value) {
+    const first = asArray(value)[0];
+    if (!first) return null;
+    if (typeof first === 'string') return toAbsoluteUrl(first);
+    if (typeof first === 'object') return imageValue(first.contentUrl || first.url || first.src);
+    return null;
+  }
+
+  /**
+   * Parse "1,299.00", "12,50", "$45" or 45
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function parsePrice(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const digits = String(value)
+      .replace(/[^\d.,-]/g, '')
+      .replace(/,(?=\d{3}(\D|$))/g, '') // Thousands separators
+      .replace(',', '.'); // Decimal comma
+    const price = parseFloat(digits);
+    return Number.isFinite(price) ? price : null;
+  }
+
+  /**
+   * Price, currency, availability and URL of the first offer
+   * @param {*} offers - Offer, AggregateOffer or an array of offers
+   * @returns {{price: number|null, currency: string|null, available: boolean|null, url: string|null}}
+   */
+  function readOffers(offers) {
+    const offer = asArray(offers).find((candidate) => candidate && typeof candidate === 'object');
+    if (!offer) return { price: null, currency: null, available: null, url: null };
+
+    const specification = asArray(offer.priceSpecification)[0] || {};
+    const availability = textValue(offer.availability);
+
+    return {
+      price: parsePrice(offer.price ?? offer.lowPrice ?? specification.price),
+      currency: textValue(offer.priceCurrency || specification.priceCurrency),
+      available: availability ? !/OutOfStock|SoldOut|Discontinued/i.test(availability) : null,
+      url: toAbsoluteUrl(textValue(offer.url)),
+    };
+  }
+
+  /**
+   * Add names to a list, skipping case-insensitive duplicates
+   * @param {Array<string>} list
+   * @param {Array<string>} names
+   */
+  function addUnique(list, names) {
+    names.forEach((name) => {
+      if (name && !list.some((existing) => existing.toLowerCase() === name.toLowerCase())) {
+        list.push(name);
+      }
+    });
+  }
+
+  // ==================== SCHEMA.ORG (JSON-LD + MICRODATA) ====================
+
+  /**
+   * Flatten schema.org data into a list of nodes: top-level arrays, @graph and
+   * mainEntity are walked; @id references are resolved against the other nodes
+   * @param {Array} roots
+   * @returns {{nodes: Array<Object>, resolve: Function}}
+   */
+  function flattenSchemaNodes(roots) {
+    const nodes = [];
+    const visit = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+        return;
+      }
+      if (!value || typeof value !== 'object') return;
+
+      nodes.push(value);
+      visit(value['@graph']);
+      visit(value.mainEntity);
+    };
+    visit(roots);
+
+    const byId = new Map();
+    nodes.forEach((node) => {
+      if (typeof node['@id'] === 'string' && Object.keys(node).length > 1) {
+        byId.set(node['@id'], node);
+      }
+    });
+
+    // hasVariant is often a list of { "@id": ... } pointers into @graph
+    const resolve = (node) =>
+      node && typeof node === 'object' && byId.has(node['@id']) ? byId.get(node['@id']) : node;
+
+    return { nodes, resolve };
+  }
+
+  /**
+   * Fields of one Product node
+   * @param {Object} node
+   * @returns {Object}
+   */
+  function readSchemaProduct(node) {
+    const offers = readOffers(node.offers);
+    return {
+      title: textValue(node.name),
+      brand: textValue(node.brand || node.manufacturer),
+      price: offers.price,
+      currency: offers.currency,
+      url: toAbsoluteUrl(textValue(node.url)) || offers.url,
+      image: imageValue(node.image),
+      colors: textValues(node.color),
+      sku: textValue(node.sku),
+      available: offers.available,
+    };
+  }
+
+  /**
+   * Product metadata from schema.org nodes: a ProductGroup and its variants if
+   * there is one, else the page's only Product
+   * @param {Array} roots - Parsed JSON-LD blocks or converted Microdata items
+   * @returns {Object|null}
+   */
+  function extractSchemaProduct(roots) {
+    const { nodes, resolve } = flattenSchemaNodes(roots);
+
+    const group = nodes.find((node) => hasType(node, 'ProductGroup'));
+    const products = nodes.filter((node) => hasType(node, 'Product') && !node.isVariantOf);
+
+    // Several unrelated products is a listing page - no single product to describe
+    if (!group && products.length > 1) return null;
+
+    const main = group || products[0] || nodes.find((node) => hasType(node, 'Product'));
+    if (!main) return null;
+
+    const product = readSchemaProduct(main);
+
+    // Variants: hasVariant, or Product nodes that point back at the group
+    let variantNodes = asArray(main.hasVariant).map(resolve);
+    if (group && variantNodes.length === 0) {
+      variantNodes = nodes.filter((node) => {
+        if (!hasType(node, 'Product')) return false;
+        const parent = resolve(asArray(node.isVariantOf)[0]);
+        return (
+          parent === group ||
+          (group.productGroupID && textValue(node.inProductGroupWithID) === textValue(group.productGroupID))
+        );
+      });
+    }
+
+    const variants = variantNodes
+      .filter((node) => node && typeof node === 'object')
+      .map((node) => {
+        const variant = readSchemaProduct(node);
+        return {
+          name: variant.title,
+          color: variant.colors[0] || null,
+          sku: variant.sku,
+          price: variant.price,
+          currency: variant.currency,
+          image: variant.image,
+          available: variant.available,
+          url: variant.url,
+        };
+      });
+
+    // Groups usually carry offers on the variants only
+    const firstPriced = variants.find((variant) => variant.price !== null);
+
+    return {
+      title: product.title,
+      brand: product.brand,
+      price: product.price ?? (firstPriced ? firstPriced.price : null),
+      currency: product.currency || (firstPriced ? firstPriced.currency : null),
+      url: product.url,
+      image: product.image,
+      colors: product.colors,
+      variants,
+    };
+  }
+
+  /**
+   * @param {Document|Element} root
+   * @returns {Object|null}
+   */
+  function extractFromJsonLd(root) {
+    const blocks = [];
+    root.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      try {
+        blocks.push(JSON.parse(script.textContent));
+      } catch (e) {
+        // Malformed JSON-LD is common - skip the block
+      }
+    });
+    return extractSchemaProduct(blocks);
+  }
+
+  /**
+   * Item that owns an itemprop element (an element with its own itemscope
+   * belongs to the enclosing item, not to itself)
+   * @param {Element} element
+   * @returns {Element|null}
+   */
+  function getItemOwner(element) {
+    return element.parentElement ? element.parentElement.closest('[itemscope]') : null;
+  }
+
+  /**
+   * Value of an itemprop element, per the Microdata spec
+   * @param {Element} element
+   * @returns {string|Element|null} - Element for nested items
+   */
+  function getItemPropValue(element) {
+    if (element.hasAttribute('itemscope')) return element;
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+
+    switch (element.tagName) {
+      case 'IMG':
+      case 'SOURCE':
+      case 'VIDEO':
+      case 'AUDIO':
+      case 'IFRAME':
+      case 'EMBED':
+        return toAbsoluteUrl(element.getAttribute('src'));
+      case 'A':
+      case 'AREA':
+      case 'LINK':
+        return toAbsoluteUrl(element.getAttribute('href'));
+      case 'DATA':
+      case 'METER':
+        return element.getAttribute('value');
+      case 'TIME':
+        return element.getAttribute('datetime') || element.textContent.trim();
+      default:
+        return element.textContent.trim();
+    }
+  }
+
+  /**
+   * Convert a Microdata item into a JSON-LD style object so both share one reader
+   * @param {Element} item - Element with itemscope
+   * @returns {Object}
+   */
+  function microdataToObject(item) {
+    const object = {
+      '@type': (item.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean),
+    };
+
+    item.querySelectorAll('[itemprop]').forEach((element) => {
+      if (getItemOwner(element) !== item) return;
+
+      const value = getItemPropValue(element);
+      const converted = value instanceof Element ? microdataToObject(value) : value;
+      if (converted === null || converted === '') return;
+
+      element
+        .getAttribute('itemprop')
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((name) => {
+          if (object[name] === undefined) {
+            object[name] = converted;
+          } else {
+            object[name] = asArray(object[name]).concat([converted]);
+          }
+        });
+    });
+
+    return object;
+  }
+
+  /**
+   * @param {Document|Element} root
+   * @returns {Object|null}
+   */
+  function extractFromMicrodata(root) {
+    // Top-level items only - nested ones are read through their parent
+    const items = Array.from(root.querySelectorAll('[itemscope][itemtype]'))
+      .filter((item) => !item.hasAttribute('itemprop'))
+      .map(microdataToObject);
+    return extractSchemaProduct(items);
+  }
+
+  // ==================== OPEN GRAPH ====================
+
+  /**
+   * @param {Document|Element} root
+   * @returns {Object|null}
+   */
+  function extractFromOpenGraph(root) {
+    const meta = (name) => {
+      const element = root.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      return element ? (element.getAttribute('content') || '').trim() || null : null;
+    };
+
+    // og:title/og:image are on every page - only a product type or price makes this a product
+    const price = meta('product:price:amount') || meta('og:price:amount');
+    if (!/product/i.test(meta('og:type') || '') && !price) return null;
+
+    return {
+      title: meta('og:title'),
+      brand: meta('product:brand') || meta('og:brand'),
+      price: parsePrice(price),
+      currency: meta('product:price:currency') || meta('og:price:currency'),
+      url: toAbsoluteUrl(meta('og:url')),
+      image: toAbsoluteUrl(meta('og:image')),
+      colors: asArray(meta('product:color')),
+      variants: [],
+    };
+  }
+
+  // ==================== SHOPIFY ====================
+
+  /**
+   * @returns {boolean}
+   */
+  function isShopifyStore() {
+    return (
+      window.location.hostname.endsWith('.myshopify.com') ||
+      document.querySelector(
+        'meta[name="shopify-checkout-api-token"], meta[name="shopify-digital-wallet"], link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"]',
+      ) !== null
+    );
+  }
+
+  /**
+   * /products/<handle>.js for a product page URL (locale and collection
+   * prefixes such as /en-ca/collections/sale/products/<handle> included)
+   * @param {string} pageUrl
+   * @returns {string|null}
+   */
+  function getShopifyProductJsonUrl(pageUrl) {
+    try {
+      const url = new URL(pageUrl);
+      const match = url.pathname.match(/\/products\/([^/.?#]+)/);
+      return match ? `${url.origin}/products/${match[1]}.js` : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Shopify prices are integer cents in .js and decimal strings in .json
+   * @param {*} value
+   * @returns {number|null}
+   */
+  function parseShopifyPrice(value) {
+    return typeof value === 'number' ? value / 100 : parsePrice(value);
+  }
+
+  /**
+   * @param {Object} product - Response of /products/<handle>.js (or .json's "product")
+   * @param {string} productJsonUrl
+   * @returns {Object|null}
+   */
+  function parseShopifyProduct(product, productJsonUrl) {
+    if (!product || !Array.isArray(product.variants)) return null;
+
+    const productUrl = productJsonUrl.replace(/\.js$/, '');
+    const optionNames = asArray(product.options).map((option) =>
+      typeof option === 'string' ? option : option && option.name,
+    );
+    const colorIndex = optionNames.findIndex((name) => name && COLOR_OPTION_PATTERN.test(name));
+
+    const variants = product.variants.map((variant) => ({
+      name: variant.title || variant.name || null,
+      color: colorIndex >= 0 ? variant[`option${colorIndex + 1}`] || null : null,
+      sku: variant.sku || null,
+      price: parseShopifyPrice(variant.price),
+      currency: null,
+      image: imageValue(variant.featured_image),
+      available: typeof variant.available === 'boolean' ? variant.available : null,
+      url: variant.id ? `${productUrl}?variant=${variant.id}` : null,
+    }));
+
+    return {
+      title: product.title || null,
+      brand: product.vendor || null,
+      price: parseShopifyPrice(product.price ?? (product.variants[0] || {}).price),
+      currency: null, // Not in the product JSON - Open Graph usually has it
+      url: productUrl,
+      image: imageValue(product.featured_image || product.images),
+      colors: [],
+      variants,
+    };
+  }
+
+  /**
+   * @param {string} productJsonUrl
+   * @returns {Promise<Object|null>}
+   */
+  async function fetchShopifyProduct(productJsonUrl) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SHOPIFY_FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(productJsonUrl, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+        signal: controller.signal,
+      });
+      if (!response.ok) return null;
+      return parseShopifyProduct(await response.json(), productJsonUrl);
+    } catch (e) {
+      console.log('[Season Color Checker] Shopify product JSON unavailable:', e.message);
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // ==================== MERGING ====================
+
+  /**
+   * Merge source results; earlier sources win per field, colors are combined
+   * @param {Array<{source: string, data: Object|null}>} parts
+   * @returns {Object|null}
+   */
+  function mergeMetadata(parts) {
+    const merged = {
+      title: null,
+      brand: null,
+      price: null,
+      currency: null,
+      url: null,
+      image: null,
+      colors: [],
+      variants: [],
+      sources: [],
+    };
+
+    parts.forEach(({ source, data }) => {
+      if (!data) return;
+      merged.sources.push(source);
+
+      ['title', 'brand', 'price', 'currency', 'url', 'image'].forEach((key) => {
+        if (merged[key] === null && data[key] !== null && data[key] !== undefined) {
+          merged[key] = data[key];
+        }
+      });
+
+      // Variant lists aren't merged item by item - the first complete list wins
+      if (merged.variants.length === 0 && data.variants.length > 0) {
+        merged.variants = data.variants;
+      }
+      addUnique(merged.colors, data.colors);
+    });
+
+    if (merged.sources.length === 0) return null;
+
+    merged.variants = merged.variants.map((variant) => ({
+      ...variant,
+      currency: variant.currency || merged.currency,
+    }));
+    addUnique(
+      merged.colors,
+      merged.variants.map((variant) => variant.color),
+    );
+
+    return merged;
+  }
+
+  // ==================== PUBLIC API ====================
+
+  /**
+   * Product metadata from a document (or a fixture container in tests)
+   * @param {Document|Element} root
+   * @param {Object|null} shopify - parseShopifyProduct() result, if fetched
+   * @returns {Object|null}
+   */
+  function extractProductMetadata(root = document, shopify = null) {
+    return mergeMetadata([
+      { source: 'json-ld', data: extractFromJsonLd(root) },
+      { source: 'microdata', data: extractFromMicrodata(root) },
+      { source: 'open-graph', data: extractFromOpenGraph(root) },
+      { source: 'shopify', data: shopify },
+    ]);
+  }
+
+  /**
+   * Product metadata for the current page. Shopify variant JSON is included once
+   * loadProductMetadata() has fetched it.
+   * @returns {Object|null} - null if the page publishes no product data
+   */
+  function getProductMetadata() {
+    const pageUrl = window.location.href;
+    if (cachedMetadata && cachedMetadata.url === pageUrl) {
+      return cachedMetadata.metadata;
+    }
+
+    const shopify =
+      shopifyProduct && shopifyProduct.url === getShopifyProductJsonUrl(pageUrl)
+        ? shopifyProduct.product
+        : null;
+
+    const metadata = extractProductMetadata(document, shopify);
+
+    // Single-page apps often inject JSON-LD after the first render - only cache a hit
+    if (metadata) {
+      cachedMetadata = { url: pageUrl, metadata };
+    }
+    return metadata;
+  }
+
+  /**
+   * getProductMetadata(), after fetching Shopify's product JSON on Shopify product pages
+   * @returns {Promise<Object|null>}
+   */
+  async function loadProductMetadata() {
+    const productJsonUrl = isShopifyStore() ? getShopifyProductJsonUrl(window.location.href) : null;
+
+    if (productJsonUrl) {
+      if (!shopifyProduct || shopifyProduct.url !== productJsonUrl) {
+        const entry = { url: productJsonUrl, product: null };
+        entry.promise = fetchShopifyProduct(productJsonUrl).then((product) => {
+          entry.product = product;
+          cachedMetadata = null; // Re-merge with the variants
+        });
+        shopifyProduct = entry;
+      }
+      await shopifyProduct.promise;
+    }
+
+    return getProductMetadata();
+  }
+
+  /**
+   * Image identity across sizes and CDN transforms: the file name without
+   * extension, query or size suffix (Shopify "_400x", "_grande"...)
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function getImageKey(url) {
+    try {
+      const file = new URL(url, document.baseURI).pathname.split('/').pop().toLowerCase();
+      return (
+        file
+          .replace(/\.(jpe?g|png|webp|avif|gif)$/, '')
+          .replace(
+            /_(\d+x\d*|x\d+|pico|icon|thumb|small|compact|medium|large|grande|original|master)(@\dx)?(_crop_\w+)?$/,
+            '',
+          ) || null
+      );
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Variant a product photo belongs to, matched by image file
+   * @param {Object|null} metadata - From getProductMetadata()
+   * @param {Array<string>} imageUrls - URLs of the photo (displayed and largest source)
+   * @returns {Object|null}
+   */
+  function findVariantForImage(metadata, imageUrls) {
+    if (!metadata || metadata.variants.length === 0) return null;
+
+    const keys = imageUrls.filter(Boolean).map(getImageKey).filter(Boolean);
+    if (keys.length === 0) return null;
+
+    return (
+      metadata.variants.find((variant) => variant.image && keys.includes(getImageKey(variant.image))) ||
+      null
+    );
+  }
+
+  /**
+   * Variant selected in the page URL (Shopify and many others use ?variant=<id>)
+   * @param {Object|null} metadata
+   * @returns {Object|null}
+   */
+  function getSelectedVariant(metadata) {
+    if (!metadata || metadata.variants.length === 0) return null;
+
+    const variantId = new URLSearchParams(window.location.search).get('variant');
+    if (!variantId) return null;
+
+    return (
+      metadata.variants.find(
+        (variant) =>
+          (variant.url && new URL(variant.url).searchParams.get('variant') === variantId) ||
+          variant.sku === variantId,
+      ) || null
+    );
+  }
+
+  // ==================== EXPORTS ====================
+
+  if (typeof window !== 'undefined') {
+    window.extractProductMetadata = extractProductMetadata;
+    window.parseShopifyProduct = parseShopifyProduct;
+    window.getProductMetadata = getProductMetadata;
+    window.loadProductMetadata = loadProductMetadata;
+    window.findVariantForImage = findVariantForImage;
+    window.getSelectedVariant = getSelectedVariant;
+  }
+})();
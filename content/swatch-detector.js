@@ -6,7 +6,8 @@
  *
  * Features:
  * - Multi-method swatch discovery (visual, semantic, spatial)
- * - Selected swatch identification (6-tier strategy)
+ * - Selected swatch identification (6-tier strategy, product-image similarity
+ *   as tie-breaker when radio/class/ARIA signals disagree or are missing)
  * - Comprehensive metadata extraction (color, label, image, pattern)
  * - Edge case handling (CORS, text-only, patterns, disabled states)
  * - Structured JSON output with confidence scoring
@@ -15,6 +16,15 @@
 (function () {
   'use strict';
 
+  // Image similarity: a swatch this close (ΔE2000) to the product photo is a confident match
+  const SIMILARITY_MAX_DELTA_E = 30;
+  // Runner-up this much further away = unambiguous choice
+  const SIMILARITY_CLEAR_MARGIN = 10;
+  // Below this confidence, similarity doesn't override the other signals
+  const SIMILARITY_MIN_CONFIDENCE = 0.5;
+
+  let similarityProcessor = null;
+
   /**
    * Main API: Get all swatches as structured JSON
    * @param {HTMLElement} containerElement - Container to search (default: document.body)
@@ -120,6 +130,17 @@
    * @returns {Array<HTMLElement>} - Array of swatch elements
    */
   function discoverAllSwatches(container, config) {
+    // Method 0: Retailer adapter selectors (data/site-adapters.js), trusted as-is
+    const adapter = typeof window.getSiteAdapter === 'function' ? window.getSiteAdapter() : null;
+    if (adapter) {
+      const adapterSwatches = window
+        .findAdapterSwatches(adapter, container)
+        .filter((el) => !el.closest('.season-badge, .color-palette-swatch-container, .season-overlay'));
+      if (adapterSwatches.length > 0) {
+        return adapterSwatches.slice(0, config.maxSwatches);
+      }
+    }
+
     const swatchSet = new Set(); // Avoid duplicates
 
     // Method 1: Semantic detection (data attributes, ARIA, classes)
@@ -719,7 +740,8 @@
 
   /**
    * Identify which swatch is currently selected
-   * Uses existing 6-tier strategy from swatch-priority.js
+   * Uses existing 6-tier strategy from swatch-priority.js; when the radio, class
+   * and ARIA tiers disagree or find nothing, the product image decides
    * @param {Array} swatches - Array of swatch metadata objects
    * @param {HTMLImageElement} productImage - Optional product image for visual matching
    * @param {HTMLElement} container - Container element
@@ -728,7 +750,86 @@
   function identifySelectedSwatch(swatches, productImage, container) {
     if (swatches.length === 0) return -1;
 
-    // Tier 1: Check for radio input selection (highest confidence)
+    // Tier 0: Retailer adapter's selected-state selector
+    const adapter = typeof window.getSiteAdapter === 'function' ? window.getSiteAdapter() : null;
+    if (adapter && container) {
+      const adapterSelected = window.findAdapterSelectedSwatch(adapter, container);
+      if (adapterSelected) {
+        const adapterIndex = swatches.findIndex(
+          (swatch) =>
+            swatch.element.contains(adapterSelected) || adapterSelected.contains(swatch.element),
+        );
+        if (adapterIndex !== -1) {
+          return adapterIndex;
+        }
+      }
+    }
+
+    // Tiers 1-3: radio input, CSS class and ARIA state - the page's own selection signals
+    const signalIndices = [
+      findRadioSelectedIndex(swatches),
+      findClassSelectedIndex(swatches),
+      findAriaSelectedIndex(swatches),
+    ].filter((index) => index !== -1);
+    const candidates = [...new Set(signalIndices)];
+
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    // Signals disagree (e.g. stale "active" class) or are missing - ask the product photo
+    let similarity;
+    const getConfidentSimilarity = () => {
+      if (similarity === undefined) {
+        similarity = productImage ? findSwatchByImageSimilarity(swatches, productImage) : null;
+      }
+      return similarity && similarity.confidence >= SIMILARITY_MIN_CONFIDENCE ? similarity : null;
+    };
+
+    if (candidates.length > 1) {
+      if (getConfidentSimilarity()) {
+        const best = similarity.ranking.find((entry) => candidates.includes(entry.index));
+        if (best) {
+          return best.index;
+        }
+      }
+      return signalIndices[0]; // Strongest signal wins (radio > class > ARIA)
+    }
+
+    // Tier 4: Data attributes
+    for (let i = 0; i < swatches.length; i++) {
+      const element = swatches[i].element;
+
+      if (
+        element.getAttribute('data-selected') === 'true' ||
+        element.getAttribute('data-active') === 'true' ||
+        element.getAttribute('data-checked') === 'true'
+      ) {
+        return i;
+      }
+    }
+
+    // Tier 5: Visual similarity to product image (if provided)
+    if (getConfidentSimilarity()) {
+      return similarity.index;
+    }
+
+    // Tier 6: Visual styling differences (border, outline, shadow, transform)
+    const visuallySelectedIndex = findVisuallySelectedSwatch(swatches);
+    if (visuallySelectedIndex !== -1) {
+      return visuallySelectedIndex;
+    }
+
+    // Fallback: First swatch (common default on product pages)
+    return 0;
+  }
+
+  /**
+   * Index of the swatch that is or contains a checked radio input
+   * @param {Array} swatches - Swatch metadata array
+   * @returns {number} - Index or -1
+   */
+  function findRadioSelectedIndex(swatches) {
     for (let i = 0; i < swatches.length; i++) {
       const element = swatches[i].element;
 
@@ -754,7 +855,15 @@
       }
     }
 
-    // Tier 2: CSS classes (active, selected, current, checked)
+    return -1;
+  }
+
+  /**
+   * Index of the first swatch with a selected-state class (active, selected, current, checked)
+   * @param {Array} swatches - Swatch metadata array
+   * @returns {number} - Index or -1
+   */
+  function findClassSelectedIndex(swatches) {
     const selectedClasses = ['active', 'selected', 'current', 'checked', 'is-selected', 'is-active'];
     for (let i = 0; i < swatches.length; i++) {
       const element = swatches[i].element;
@@ -767,7 +876,15 @@
       }
     }
 
-    // Tier 3: ARIA attributes
+    return -1;
+  }
+
+  /**
+   * Index of the first swatch marked aria-selected/checked/current
+   * @param {Array} swatches - Swatch metadata array
+   * @returns {number} - Index or -1
+   */
+  function findAriaSelectedIndex(swatches) {
     for (let i = 0; i < swatches.length; i++) {
       const element = swatches[i].element;
 
@@ -780,35 +897,7 @@
       }
     }
 
-    // Tier 4: Data attributes
-    for (let i = 0; i < swatches.length; i++) {
-      const element = swatches[i].element;
-
-      if (
-        element.getAttribute('data-selected') === 'true' ||
-        element.getAttribute('data-active') === 'true' ||
-        element.getAttribute('data-checked') === 'true'
-      ) {
-        return i;
-      }
-    }
-
-    // Tier 5: Visual styling differences (border, outline, shadow, transform)
-    const visuallySelectedIndex = findVisuallySelectedSwatch(swatches);
-    if (visuallySelectedIndex !== -1) {
-      return visuallySelectedIndex;
-    }
-
-    // Tier 6: Visual similarity to product image (if provided)
-    if (productImage && typeof ColorProcessor !== 'undefined') {
-      const similarityIndex = findSwatchByImageSimilarity(swatches, productImage);
-      if (similarityIndex !== -1) {
-        return similarityIndex;
-      }
-    }
-
-    // Fallback: First swatch (common default on product pages)
-    return 0;
+    return -1;
   }
 
   /**
@@ -864,16 +953,125 @@
   }
 
   /**
-   * Find swatch by visual similarity to product image
+   * Rank swatches by how closely their color matches the product photo.
+   * Compares in Lab space (CIEDE2000): each swatch color is matched against the
+   * photo's dominant palette, with the photo's backdrop color left out.
    * @param {Array} swatches - Swatch metadata array
-   * @param {HTMLImageElement} productImage - Product image
-   * @returns {number} - Index or -1
+   * @param {HTMLImageElement|HTMLCanvasElement} productImage - Product image (CORS-readable)
+   * @returns {Object|null} - {index, confidence, ranking: [{index, deltaE}]} best first,
+   *   or null when the photo or no swatch can be read
    */
   function findSwatchByImageSimilarity(swatches, productImage) {
-    // This would require ColorThief to extract dominant color from product image
-    // Then compare to swatch colors
-    // For now, return -1 (not implemented)
-    return -1;
+    if (typeof ColorThief === 'undefined' || typeof ColorProcessor === 'undefined') return null;
+
+    const productColors = getProductImageColors(productImage);
+    if (!productColors || productColors.length === 0) return null;
+
+    if (!similarityProcessor) {
+      similarityProcessor = new ColorProcessor();
+    }
+
+    const ranking = [];
+    swatches.forEach((swatch, index) => {
+      const swatchColors = getSwatchColors(swatch);
+      if (swatchColors.length === 0) return;
+
+      // Average over the swatch's colors (one for solids, a few for prints) of the
+      // nearest photo color; lower-ranked photo colors count a little less
+      const total = swatchColors.reduce((sum, swatchColor) => {
+        const nearest = Math.min(
+          ...productColors.map(
+            (productColor, rank) =>
+              similarityProcessor.calculateDeltaE(swatchColor, productColor, 'ciede2000') *
+              (1 + rank * 0.1),
+          ),
+        );
+        return sum + nearest;
+      }, 0);
+
+      ranking.push({ index, deltaE: Math.round((total / swatchColors.length) * 10) / 10 });
+    });
+
+    if (ranking.length === 0) return null;
+    ranking.sort((a, b) => a.deltaE - b.deltaE);
+
+    // Confident when the best swatch is close to the photo AND clearly ahead of the runner-up
+    const best = ranking[0];
+    const closeness = Math.max(0, 1 - best.deltaE / SIMILARITY_MAX_DELTA_E);
+    const margin =
+      ranking.length > 1
+        ? Math.min(1, (ranking[1].deltaE - best.deltaE) / SIMILARITY_CLEAR_MARGIN)
+        : 1;
+    const confidence = Math.round(closeness * (0.5 + 0.5 * margin) * 100) / 100;
+
+    return { index: best.index, confidence, ranking };
+  }
+
+  /**
+   * Dominant colors of the product photo, minus its backdrop (the corner color)
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Product image
+   * @returns {Array<Array<number>>|null} - RGB arrays, most dominant first
+   */
+  function getProductImageColors(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!width || !height) return null;
+
+    try {
+      const palette = new ColorThief().getPalette(image, 5);
+      if (!palette) return null;
+
+      // Corners of a small copy - throws if the image is CORS-tainted
+      const canvas = document.createElement('canvas');
+      canvas.width = 20;
+      canvas.height = 20;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, 20, 20);
+      const corners = [
+        [0, 0],
+        [19, 0],
+        [0, 19],
+        [19, 19],
+      ].map(([x, y]) => Array.from(ctx.getImageData(x, y, 1, 1).data.slice(0, 3)));
+
+      const processor = similarityProcessor || new ColorProcessor();
+      const isBackdrop = (color) =>
+        corners.filter((corner) => processor.calculateDeltaE(color, corner, 'ciede2000') < 5)
+          .length >= 3;
+
+      const garmentColors = palette.filter((color) => !isBackdrop(color));
+      return garmentColors.length > 0 ? garmentColors : palette;
+    } catch (e) {
+      // CORS blocked or error, skip
+      return null;
+    }
+  }
+
+  /**
+   * Colors to compare for one swatch: its solid color, or the palette of its
+   * swatch image when that image is on the page and readable
+   * @param {Object} swatch - Swatch metadata
+   * @returns {Array<Array<number>>} - RGB arrays (empty if unknown)
+   */
+  function getSwatchColors(swatch) {
+    if (swatch.colorRgb && !swatch.isPattern) {
+      return [swatch.colorRgb];
+    }
+
+    const element = swatch.element;
+    const img = element.tagName === 'IMG' ? element : element.querySelector('img');
+    if (img && img.complete && img.naturalWidth > 0) {
+      try {
+        const palette = new ColorThief().getPalette(img, 3);
+        if (palette && palette.length > 0) {
+          return palette;
+        }
+      } catch (e) {
+        // CORS blocked or error, skip
+      }
+    }
+
+    return swatch.colorRgb ? [swatch.colorRgb] : [];
   }
 
   // ==================== UTILITY FUNCTIONS ====================
@@ -965,6 +1163,7 @@
     window.discoverAllSwatches = discoverAllSwatches;
     window.extractSwatchMetadata = extractSwatchMetadata;
     window.identifySelectedSwatch = identifySelectedSwatch;
+    window.findSwatchByImageSimilarity = findSwatchByImageSimilarity;
     window.extractSwatchColor = extractSwatchColor;
     window.extractSwatchLabel = extractSwatchLabel;
     window.matchColorNameToHex = matchColorNameToHex;
@@ -7,6 +7,7 @@
  * - 100+ fashion industry color extensions
  * - Common aliases and variations
  * - Multi-word descriptive colors
+ * - Metal keywords for jewelry and hardware (METAL_KEYWORDS)
  */
 
 // CSS Named Colors (140 standard colors)
@@ -318,6 +319,62 @@ const COLOR_ALIASES = {
   'aqua': 'cyan'
 };
 
+// Metal keywords → METAL_TONES key (data/seasonal-palettes.js)
+// Longer phrases are tried first, so "rose gold" and "white gold" win over "gold"
+const METAL_KEYWORDS = {
+  'rose gold': 'rose-gold',
+  'rose-gold': 'rose-gold',
+  'pink gold': 'rose-gold',
+  'white gold': 'silver',
+  'yellow gold': 'gold',
+  'gold-tone': 'gold',
+  'gold plated': 'gold',
+  'gold-plated': 'gold',
+  'gold': 'gold',
+  'vermeil': 'gold',
+  'brass': 'gold',
+  '14k': 'gold',
+  '18k': 'gold',
+  '24k': 'gold',
+  'sterling silver': 'silver',
+  'sterling': 'silver',
+  'silver-tone': 'silver',
+  'silver': 'silver',
+  'platinum': 'silver',
+  'stainless steel': 'silver',
+  'rhodium': 'silver',
+  'palladium': 'silver',
+  'chrome': 'silver',
+  'titanium': 'silver',
+  'copper': 'copper',
+  'antique brass': 'bronze',
+  'bronze': 'bronze',
+  'black rhodium': 'gunmetal',
+  'gunmetal': 'gunmetal',
+  'hematite': 'gunmetal',
+  'pewter': 'gunmetal'
+};
+
+const METAL_KEYWORD_PHRASES = Object.keys(METAL_KEYWORDS).sort((a, b) => b.length - a.length);
+
+/**
+ * Find the metal a piece of product text names ("14k Gold Hoops", "Sterling Silver Ring")
+ * @param {string} text - Title, variant label or color name
+ * @returns {Object|null} - {tone: METAL_TONES key, keyword}
+ */
+function findMetalKeyword(text) {
+  if (!text) return null;
+
+  const lowerText = text.toLowerCase();
+  for (const phrase of METAL_KEYWORD_PHRASES) {
+    // Phrases are letters, digits, spaces and hyphens - safe to use as a pattern
+    if (new RegExp(`(^|[^a-z0-9])${phrase}($|[^a-z0-9])`).test(lowerText)) {
+      return { tone: METAL_KEYWORDS[phrase], keyword: phrase };
+    }
+  }
+  return null;
+}
+
 /**
  * Normalize color name for lookup
  */
@@ -386,4 +443,6 @@ if (typeof window !== 'undefined') {
   window.getColorRgb = getColorRgb;
   window.isValidColorName = isValidColorName;
   window.getAllColorNames = getAllColorNames;
+  window.METAL_KEYWORDS = METAL_KEYWORDS;
+  window.findMetalKeyword = findMetalKeyword;
 }
@@ -11,7 +11,71 @@
  * - COOL: Blue/pink undertones
  * - DEEP/DARK: Rich, intense, darker colors
  * - LIGHT: Pale, delicate, pastel colors
+ *
+ * Each season also has a profile used by ColorProcessor.scoreSeasonFit():
+ * - temperature: -1 (cool) to 1 (warm) target undertone
+ * - lightnessRange: flattering L* (value) range, 0 = black, 100 = white
+ * - chromaRange: flattering C* (clarity) range, low = muted, high = clear
+ * - contrastRange: flattering L* spread between an item's lightest and darkest
+ *   main colors (ColorProcessor.scoreContrast) - Winters wear black with white,
+ *   Summers tone on tone
+ *
+ * Neutrals (white, gray, black, navy and the browns) are most of a real wardrobe
+ * but barely appear in the palettes, so each season also lists the NEUTRAL_SWATCHES
+ * it wears. A neutral garment is named after its nearest swatch and matches when
+ * the season lists it - optic white vs ivory, charcoal vs chocolate.
+ *
+ * Jewelry, watches and bag hardware are judged on their metal instead: `metals`
+ * lists the METAL_TONES a season wears, most flattering first.
+ */
+
+/**
+ * Reference neutrals, grouped by family so a miss can suggest the season's
+ * version of the same neutral (e.g. "try ivory" for optic white)
  */
+const NEUTRAL_SWATCHES = {
+  'optic-white': { name: 'optic white', hex: '#FFFFFF', family: 'white' },
+  'soft-white': { name: 'soft white', hex: '#F4F1EA', family: 'white' },
+  ivory: { name: 'ivory', hex: '#FFF8E7', family: 'white' },
+  cream: { name: 'cream', hex: '#F2E6CC', family: 'white' },
+  'light-gray': { name: 'light gray', hex: '#C9CACC', family: 'gray' },
+  stone: { name: 'stone', hex: '#B0A999', family: 'gray' },
+  pewter: { name: 'pewter', hex: '#8E9194', family: 'gray' },
+  charcoal: { name: 'charcoal', hex: '#3A3F44', family: 'gray' },
+  black: { name: 'black', hex: '#111111', family: 'black' },
+  navy: { name: 'navy', hex: '#1F2A44', family: 'navy' },
+  'bright-navy': { name: 'bright navy', hex: '#1B2F7A', family: 'navy' },
+  oatmeal: { name: 'oatmeal', hex: '#E0D5C1', family: 'brown' },
+  beige: { name: 'beige', hex: '#D8C3A0', family: 'brown' },
+  camel: { name: 'camel', hex: '#C19A6B', family: 'brown' },
+  taupe: { name: 'taupe', hex: '#8B7D70', family: 'brown' },
+  'rose-brown': { name: 'rose brown', hex: '#86685F', family: 'brown' },
+  cocoa: { name: 'cocoa', hex: '#7B5A3E', family: 'brown' },
+  chocolate: { name: 'chocolate', hex: '#3F2A1D', family: 'brown' },
+};
+
+/**
+ * Reference metal tones. Silver covers white gold, platinum and steel; gold covers
+ * yellow gold and brass (see METAL_KEYWORDS in fashion-color-dictionary.js).
+ */
+const METAL_TONES = {
+  gold: { name: 'gold', hex: '#D4AF37' },
+  'rose-gold': { name: 'rose gold', hex: '#B76E79' },
+  silver: { name: 'silver', hex: '#C0C0C0' },
+  copper: { name: 'copper', hex: '#B87333' },
+  bronze: { name: 'bronze', hex: '#8C6A3F' },
+  gunmetal: { name: 'gunmetal', hex: '#53565A' },
+};
+
+/**
+ * Personal contrast levels, for users whose own contrast (hair and eyes against
+ * skin) differs from their season's: L* spread ranges like a profile's contrastRange
+ */
+const CONTRAST_LEVELS = {
+  low: { name: 'low', range: [0, 30] },
+  medium: { name: 'medium', range: [25, 55] },
+  high: { name: 'high', range: [50, 100] },
+};
 
 const SEASONAL_PALETTES = {
   // SPRING VARIATIONS
@@ -19,6 +83,17 @@ const SEASONAL_PALETTES = {
     name: 'Bright Spring',
     description: 'Warm, clear & vivid tones',
     emoji: '🌺',
+    profile: {
+      undertone: 'warm',
+      depth: 'medium-light',
+      clarity: 'clear',
+      temperature: 0.4,
+      lightnessRange: [50, 90],
+      chromaRange: [40, 130],
+      contrastRange: [35, 70],
+    },
+    neutrals: ['soft-white', 'ivory', 'light-gray', 'stone', 'charcoal', 'bright-navy', 'camel'],
+    metals: ['gold', 'rose-gold'],
     colors: [
       '#FF6347', // Bright Coral
       '#FFD700', // Golden Yellow
@@ -47,6 +122,17 @@ const SEASONAL_PALETTES = {
     name: 'Warm Spring',
     description: 'Golden & peachy warmth',
     emoji: '🌸',
+    profile: {
+      undertone: 'warm',
+      depth: 'medium-light',
+      clarity: 'medium',
+      temperature: 0.9,
+      lightnessRange: [60, 95],
+      chromaRange: [25, 75],
+      contrastRange: [20, 50],
+    },
+    neutrals: ['ivory', 'cream', 'stone', 'bright-navy', 'oatmeal', 'beige', 'camel', 'cocoa'],
+    metals: ['gold', 'copper', 'rose-gold'],
     colors: [
       '#FFE5B4',
       '#FFDAB9',
@@ -75,6 +161,17 @@ const SEASONAL_PALETTES = {
     name: 'Light Spring',
     description: 'Warm & delicate pastels',
     emoji: '🌼',
+    profile: {
+      undertone: 'warm',
+      depth: 'light',
+      clarity: 'soft',
+      temperature: 0.5,
+      lightnessRange: [78, 100],
+      chromaRange: [8, 40],
+      contrastRange: [0, 35],
+    },
+    neutrals: ['soft-white', 'ivory', 'cream', 'light-gray', 'stone', 'oatmeal', 'beige', 'camel'],
+    metals: ['gold', 'rose-gold'],
     colors: [
       '#FFF8DC',
       '#FFE4E1',
@@ -104,6 +201,26 @@ const SEASONAL_PALETTES = {
     name: 'Soft Summer',
     description: 'Cool & gentle muted tones',
     emoji: '🌿',
+    profile: {
+      undertone: 'cool',
+      depth: 'medium',
+      clarity: 'muted',
+      temperature: -0.3,
+      lightnessRange: [55, 90],
+      chromaRange: [0, 28],
+      contrastRange: [0, 30],
+    },
+    neutrals: [
+      'soft-white',
+      'light-gray',
+      'pewter',
+      'charcoal',
+      'navy',
+      'oatmeal',
+      'taupe',
+      'rose-brown',
+    ],
+    metals: ['silver', 'rose-gold', 'gunmetal'],
     colors: [
       '#E6E6FA',
       '#D8BFD8',
@@ -132,6 +249,17 @@ const SEASONAL_PALETTES = {
     name: 'Cool Summer',
     description: 'Soft blue-based coolness',
     emoji: '🌊',
+    profile: {
+      undertone: 'cool',
+      depth: 'medium-light',
+      clarity: 'soft',
+      temperature: -0.7,
+      lightnessRange: [60, 95],
+      chromaRange: [5, 35],
+      contrastRange: [15, 45],
+    },
+    neutrals: ['soft-white', 'light-gray', 'pewter', 'charcoal', 'navy', 'taupe', 'rose-brown'],
+    metals: ['silver', 'rose-gold'],
     colors: [
       '#B0E0E6',
       '#87CEEB',
@@ -160,6 +288,17 @@ const SEASONAL_PALETTES = {
     name: 'Light Summer',
     description: 'Cool & airy light pastels',
     emoji: '☁️',
+    profile: {
+      undertone: 'cool',
+      depth: 'light',
+      clarity: 'soft',
+      temperature: -0.3,
+      lightnessRange: [80, 100],
+      chromaRange: [0, 25],
+      contrastRange: [0, 30],
+    },
+    neutrals: ['soft-white', 'light-gray', 'pewter', 'navy', 'oatmeal', 'taupe', 'rose-brown'],
+    metals: ['silver', 'rose-gold'],
     colors: [
       '#F0F8FF',
       '#F5FFFA',
@@ -189,6 +328,17 @@ const SEASONAL_PALETTES = {
     name: 'Deep Autumn',
     description: 'Warm & richly intense',
     emoji: '🍁',
+    profile: {
+      undertone: 'warm',
+      depth: 'deep',
+      clarity: 'medium',
+      temperature: 0.7,
+      lightnessRange: [20, 55],
+      chromaRange: [15, 65],
+      contrastRange: [35, 70],
+    },
+    neutrals: ['ivory', 'cream', 'charcoal', 'navy', 'oatmeal', 'camel', 'cocoa', 'chocolate'],
+    metals: ['gold', 'bronze', 'copper'],
     colors: [
       '#8B4513',
       '#A0522D',
@@ -217,6 +367,17 @@ const SEASONAL_PALETTES = {
     name: 'Warm Autumn',
     description: 'Golden earthy warmth',
     emoji: '🍂',
+    profile: {
+      undertone: 'warm',
+      depth: 'medium',
+      clarity: 'medium',
+      temperature: 0.9,
+      lightnessRange: [40, 75],
+      chromaRange: [25, 70],
+      contrastRange: [20, 50],
+    },
+    neutrals: ['ivory', 'cream', 'stone', 'oatmeal', 'beige', 'camel', 'cocoa', 'chocolate'],
+    metals: ['gold', 'copper', 'bronze'],
     colors: [
       '#D2691E',
       '#CD853F',
@@ -245,6 +406,17 @@ const SEASONAL_PALETTES = {
     name: 'Soft Autumn',
     description: 'Muted gentle earth tones',
     emoji: '🌾',
+    profile: {
+      undertone: 'warm',
+      depth: 'medium',
+      clarity: 'muted',
+      temperature: 0.6,
+      lightnessRange: [45, 80],
+      chromaRange: [10, 40],
+      contrastRange: [0, 30],
+    },
+    neutrals: ['ivory', 'cream', 'stone', 'oatmeal', 'beige', 'camel', 'taupe', 'cocoa'],
+    metals: ['gold', 'bronze', 'rose-gold'],
     colors: [
       '#DEB887',
       '#D2B48C',
@@ -274,6 +446,17 @@ const SEASONAL_PALETTES = {
     name: 'Bright Winter',
     description: 'Cool & highly saturated',
     emoji: '💎',
+    profile: {
+      undertone: 'cool',
+      depth: 'medium',
+      clarity: 'clear',
+      temperature: -0.3,
+      lightnessRange: [30, 85],
+      chromaRange: [45, 130],
+      contrastRange: [50, 100],
+    },
+    neutrals: ['optic-white', 'light-gray', 'charcoal', 'black', 'navy', 'bright-navy'],
+    metals: ['silver', 'gunmetal'],
     colors: [
       '#FF0000',
       '#0000FF',
@@ -302,6 +485,17 @@ const SEASONAL_PALETTES = {
     name: 'Cool Winter',
     description: 'Icy blue-based coolness',
     emoji: '❄️',
+    profile: {
+      undertone: 'cool',
+      depth: 'medium',
+      clarity: 'clear',
+      temperature: -0.7,
+      lightnessRange: [10, 95],
+      chromaRange: [0, 80],
+      contrastRange: [45, 100],
+    },
+    neutrals: ['optic-white', 'light-gray', 'pewter', 'charcoal', 'black', 'navy', 'bright-navy'],
+    metals: ['silver', 'gunmetal'],
     colors: [
       '#000000',
       '#FFFFFF',
@@ -330,6 +524,17 @@ const SEASONAL_PALETTES = {
     name: 'Deep Winter',
     description: 'Cool & darkly intense',
     emoji: '🌑',
+    profile: {
+      undertone: 'cool',
+      depth: 'deep',
+      clarity: 'clear',
+      temperature: -0.4,
+      lightnessRange: [0, 40],
+      chromaRange: [0, 75],
+      contrastRange: [50, 100],
+    },
+    neutrals: ['optic-white', 'soft-white', 'charcoal', 'black', 'navy', 'chocolate'],
+    metals: ['silver', 'gunmetal'],
     colors: [
       '#000000',
       '#8B008B',
@@ -355,9 +560,177 @@ const SEASONAL_PALETTES = {
   },
 };
 
+/**
+ * CUSTOM PALETTES
+ *
+ * User-made palettes (e.g. a stylist's personal swatch card) are stored in
+ * chrome.storage.local under 'customPalettes' as { 'custom-<id>': palette } and
+ * merged into SEASONAL_PALETTES, so the content script, eyedropper and
+ * ColorProcessor.detectProductSeason() treat them exactly like built-in seasons.
+ *
+ * Palette shape: { name, description, emoji, colors: ['#RRGGBB', ...], basedOn, custom: true }
+ * Custom palettes have no hand-tuned profile; scoreSeasonFit() derives one from the colors.
+ */
+const CUSTOM_PALETTE_PREFIX = 'custom-';
+const CUSTOM_PALETTE_MAX_COLORS = 60;
+const BUILT_IN_SEASON_KEYS = Object.keys(SEASONAL_PALETTES);
+
+/**
+ * Neutrals a palette wears. Custom palettes have no list of their own and borrow
+ * the one of the season they were based on.
+ * @param {Object} palette - SEASONAL_PALETTES entry
+ * @returns {Array<string>|null} NEUTRAL_SWATCHES keys, or null when unknown
+ */
+function getPaletteNeutrals(palette) {
+  if (!palette) return null;
+  if (Array.isArray(palette.neutrals)) return palette.neutrals;
+  const base = palette.basedOn ? SEASONAL_PALETTES[palette.basedOn] : null;
+  return base && Array.isArray(base.neutrals) ? base.neutrals : null;
+}
+
+/**
+ * Metal tones a palette wears, most flattering first (custom palettes borrow
+ * the list of the season they were based on)
+ * @param {Object} palette - SEASONAL_PALETTES entry
+ * @returns {Array<string>|null} METAL_TONES keys, or null when unknown
+ */
+function getPaletteMetals(palette) {
+  if (!palette) return null;
+  if (Array.isArray(palette.metals)) return palette.metals;
+  const base = palette.basedOn ? SEASONAL_PALETTES[palette.basedOn] : null;
+  return base && Array.isArray(base.metals) ? base.metals : null;
+}
+
+/**
+ * Contrast a palette wears (custom palettes borrow the range of the season they
+ * were based on)
+ * @param {Object} palette - SEASONAL_PALETTES entry
+ * @returns {Array<number>|null} [min, max] L* spread, or null when unknown
+ */
+function getPaletteContrastRange(palette) {
+  if (!palette) return null;
+  if (palette.profile && palette.profile.contrastRange) return palette.profile.contrastRange;
+  const base = palette.basedOn ? SEASONAL_PALETTES[palette.basedOn] : null;
+  return base && base.profile && base.profile.contrastRange ? base.profile.contrastRange : null;
+}
+
+/**
+ * Check whether a palette key refers to a user-made palette
+ * @param {string} key - SEASONAL_PALETTES key
+ * @returns {boolean}
+ */
+function isCustomPalette(key) {
+  return typeof key === 'string' && key.startsWith(CUSTOM_PALETTE_PREFIX);
+}
+
+/**
+ * Normalize a hex color to '#RRGGBB' (uppercase)
+ * @param {string} hex - '#RGB', '#RRGGBB', 'RRGGBB'
+ * @returns {string|null} Normalized hex, or null if invalid
+ */
+function normalizePaletteHex(hex) {
+  if (typeof hex !== 'string') return null;
+  let value = hex.trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(value)) {
+    value = value
+      .split('')
+      .map((ch) => ch + ch)
+      .join('');
+  }
+  return /^[0-9a-f]{6}$/i.test(value) ? `#${value.toUpperCase()}` : null;
+}
+
+/**
+ * Clean up a stored custom palette (drops invalid and duplicate colors)
+ * @param {Object} palette - Raw palette from storage
+ * @returns {Object|null} Palette ready for SEASONAL_PALETTES, or null if unusable
+ */
+function sanitizeCustomPalette(palette) {
+  if (!palette || !Array.isArray(palette.colors)) return null;
+
+  const colors = [...new Set(palette.colors.map(normalizePaletteHex).filter(Boolean))].slice(
+    0,
+    CUSTOM_PALETTE_MAX_COLORS,
+  );
+  if (colors.length === 0) return null;
+
+  return {
+    name: String(palette.name || 'My Palette').trim().slice(0, 40) || 'My Palette',
+    description: String(palette.description || 'Custom palette').slice(0, 80),
+    emoji: palette.emoji || '🎨',
+    colors,
+    basedOn: palette.basedOn || null,
+    custom: true,
+  };
+}
+
+/**
+ * Replace the custom entries in SEASONAL_PALETTES with the given palettes
+ * @param {Object} customPalettes - { 'custom-<id>': palette }
+ * @returns {Array<string>} Keys of the custom palettes now available
+ */
+function applyCustomPalettes(customPalettes) {
+  Object.keys(SEASONAL_PALETTES)
+    .filter(isCustomPalette)
+    .forEach((key) => delete SEASONAL_PALETTES[key]);
+
+  const keys = [];
+  for (const [key, palette] of Object.entries(customPalettes || {})) {
+    const clean = isCustomPalette(key) ? sanitizeCustomPalette(palette) : null;
+    if (clean) {
+      SEASONAL_PALETTES[key] = clean;
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Load custom palettes from storage and merge them into SEASONAL_PALETTES
+ * @returns {Promise<Array<string>>} Keys of the loaded custom palettes
+ */
+function loadCustomPalettes() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['customPalettes'], (data) => {
+      if (chrome.runtime.lastError) {
+        console.error('[Season Palettes] Failed to load custom palettes:', chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      resolve(applyCustomPalettes(data.customPalettes));
+    });
+  });
+}
+
+// Keep the merged palettes in sync when the popup editor saves changes
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.customPalettes) {
+      applyCustomPalettes(changes.customPalettes.newValue);
+    }
+  });
+}
+
 // Make available globally for content scripts
 if (typeof window !== 'undefined') {
   window.SEASONAL_PALETTES = SEASONAL_PALETTES;
+  window.NEUTRAL_SWATCHES = NEUTRAL_SWATCHES;
+  window.getPaletteNeutrals = getPaletteNeutrals;
+  window.METAL_TONES = METAL_TONES;
+  window.getPaletteMetals = getPaletteMetals;
+  window.CONTRAST_LEVELS = CONTRAST_LEVELS;
+  window.getPaletteContrastRange = getPaletteContrastRange;
+  window.BUILT_IN_SEASON_KEYS = BUILT_IN_SEASON_KEYS;
+  window.CUSTOM_PALETTE_PREFIX = CUSTOM_PALETTE_PREFIX;
+  window.isCustomPalette = isCustomPalette;
+  window.normalizePaletteHex = normalizePaletteHex;
+  window.sanitizeCustomPalette = sanitizeCustomPalette;
+  window.applyCustomPalettes = applyCustomPalettes;
+  window.loadCustomPalettes = loadCustomPalettes;
 }
 
 // Export for module usage (service worker)
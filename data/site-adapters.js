@@ -0,0 +1,446 @@
+/**
+ * SITE ADAPTERS
+ *
+ * Declarative, per-retailer selectors for the stores in the default
+ * favoriteSites list. Detection code consults the adapter for the current
+ * domain first and only falls back to the generic heuristics (content.js,
+ * swatch-priority.js, swatch-detector.js) when the adapter finds nothing.
+ *
+ * Each adapter declares:
+ * - productCard:    product tile on listing pages (and the product details root, where stable)
+ * - primaryImage:   the main product photo inside a card
+ * - swatches:       color variant swatches inside a card
+ * - selectedSwatch: state that marks the chosen swatch (defaults to ARIA/checked/.selected)
+ * - colorName:      label showing the selected color's name
+ * - pagination:     link to the next results page, behind the overlay's "Next page"
+ *                   button (defaults to rel="next")
+ *
+ * Selectors reflect each store's markup at the time of writing. When a store
+ * redesigns, update its adapter and the matching fixture in
+ * test/fixtures/site-adapter-fixtures.js, then re-run test/site-adapters-test.html.
+ */
+
+const DEFAULT_SELECTED_SWATCH =
+  '[aria-checked="true"], [aria-pressed="true"], [aria-selected="true"], [aria-current="true"], ' +
+  '.selected, .is-selected, .active, .is-active, input:checked';
+
+const DEFAULT_PAGINATION = 'a[rel="next"], link[rel="next"]';
+
+const SITE_ADAPTERS = [
+  {
+    name: 'Nordstrom',
+    domains: ['nordstrom.com', 'nordstromrack.com'],
+    productCard: 'article[data-testid="product-module"], [data-testid="product-page"]',
+    primaryImage: 'img[name="product-module-image"], [data-testid="hero-image"] img',
+    swatches: '[data-testid="color-swatch"]',
+    selectedSwatch: '[aria-pressed="true"]',
+    colorName: '[data-testid="selected-color-name"]',
+    pagination: 'a[rel="next"], nav[aria-label="Pagination"] a[aria-label="Next page"]',
+  },
+  {
+    name: "Macy's",
+    domains: ['macys.com'],
+    productCard: 'li.productThumbnailItem, #pdp-container',
+    primaryImage: 'img.thumbnailImage, .main-image img',
+    swatches: '.colorSwatch, li.color-swatch',
+    selectedSwatch: '.selected, [aria-checked="true"]',
+    colorName: '.color-name, .selected-color-name',
+    pagination: 'li.next-page a, a[rel="next"]',
+  },
+  {
+    name: "Bloomingdale's",
+    domains: ['bloomingdales.com'],
+    productCard: 'li.productThumbnailItem, #pdp-container',
+    primaryImage: 'img.thumbnailImage, .main-image img',
+    swatches: '.colorSwatch, li.color-swatch',
+    selectedSwatch: '.selected, [aria-checked="true"]',
+    colorName: '.color-name, .selected-color-name',
+    pagination: 'li.next-page a, a[rel="next"]',
+  },
+  {
+    name: 'Saks Fifth Avenue',
+    domains: ['saksfifthavenue.com', 'saksoff5th.com'],
+    productCard: '.product-tile, .product-detail',
+    primaryImage: '.tile-image img, .image-container img.tile-image, .primary-image img',
+    swatches: '.color-swatches .swatch, button.color-attribute',
+    selectedSwatch: '.selected, [aria-pressed="true"]',
+    colorName: '.selected-color-name, .color-value',
+    pagination: 'a.page-next, a[rel="next"]',
+  },
+  {
+    name: 'Neiman Marcus',
+    domains: ['neimanmarcus.com'],
+    productCard: '.product-thumbnail, [data-test="product-detail"]',
+    primaryImage: 'img.product-thumbnail__image, .main-img img',
+    swatches: '.color-swatch, [data-test="color-swatch"]',
+    selectedSwatch: '.color-swatch--selected, [aria-checked="true"]',
+    colorName: '.product-thumbnail__color-name, .selected-color-name',
+    pagination: 'a.pagination__next, a[rel="next"]',
+  },
+  {
+    name: 'Zara',
+    domains: ['zara.com'],
+    productCard: 'li.product-grid-product, .product-detail-view__main',
+    primaryImage: 'img.media-image__image, .product-detail-images img',
+    swatches: '.product-grid-product-info__colors li, .product-detail-color-selector__color',
+    selectedSwatch:
+      '.product-detail-color-selector__color--is-selected, [aria-current="true"], [aria-selected="true"]',
+    colorName: '.product-color-extended-name, .product-detail-color-selector__selected-color-name',
+    pagination: 'a[rel="next"]',
+  },
+  {
+    name: 'H&M',
+    domains: ['hm.com'],
+    productCard: 'article[data-articlecode], .product-detail-main',
+    primaryImage: 'img.item-image, .product-detail-main-image-container img',
+    swatches: '.list-swatches .swatch, a[data-swatch-color]',
+    selectedSwatch: '[aria-current="true"], .active',
+    colorName: '.product-input-label, [data-testid="selected-color"]',
+    pagination: 'a.load-more-products, a[rel="next"]',
+  },
+  {
+    name: 'ASOS',
+    domains: ['asos.com'],
+    productCard: 'article[data-auto-id="productTile"], #core-product',
+    primaryImage: 'img[data-auto-id="productTileImage"], [data-testid="gallery-image"] img',
+    swatches: '[data-auto-id="colourSwatch"], [data-testid="facetColour"]',
+    selectedSwatch: '[aria-checked="true"], [aria-pressed="true"]',
+    colorName: '[data-testid="product-colour"], [data-auto-id="productColour"]',
+    pagination: 'a[data-auto-id="loadMoreProducts"], a[rel="next"]',
+  },
+  {
+    name: 'Gap',
+    domains: ['gap.com', 'gapfactory.com'],
+    productCard: '.product-card, .pdp-mfe-container',
+    primaryImage: '.product-card__image img, .pdp-photo img',
+    swatches: '.swatch-wrapper .swatch',
+    selectedSwatch: 'input:checked, .swatch--selected',
+    colorName: '.swatch-label__value, .product-card__color-name',
+    pagination: 'a[aria-label="Next Page"], a[rel="next"]',
+  },
+  {
+    name: 'Uniqlo',
+    domains: ['uniqlo.com'],
+    productCard: '.fr-ec-product-tile, .fr-ec-product-detail',
+    primaryImage: '.fr-ec-product-tile__image img, .fr-ec-image img',
+    swatches: '.fr-ec-chip--color, .fr-ec-product-tile__colors li',
+    selectedSwatch: '.fr-ec-chip--selected, [aria-checked="true"], input:checked',
+    colorName: '.fr-ec-chip-group__selected-value, .fr-ec-product-tile__color-name',
+    pagination: 'a.fr-ec-pagination__next, a[rel="next"]',
+  },
+  {
+    name: 'Shopbop',
+    domains: ['shopbop.com'],
+    productCard: 'li.product-card, #product-information',
+    primaryImage: 'img.product-image, #productImage img',
+    swatches: '.swatches .swatch, .color-swatches li',
+    selectedSwatch: '.selected, [aria-checked="true"]',
+    colorName: '.selected-color, .color-name',
+    pagination: 'a.next-page, a[rel="next"]',
+  },
+  {
+    name: 'Revolve',
+    domains: ['revolve.com'],
+    productCard: 'li.plp__product, .pdp__main',
+    primaryImage: 'img.plp-image, .pdp__image-container img',
+    swatches: '.plp__swatches a, .product-swatches__swatch',
+    selectedSwatch: '.is-active, .product-swatches__swatch--selected, [aria-checked="true"]',
+    colorName: '.plp__color-name, .selectedColor',
+    pagination: 'a.pagination__controls--next, a[rel="next"]',
+  },
+  {
+    name: 'NET-A-PORTER',
+    domains: ['net-a-porter.com'],
+    productCard: '.ProductItem24, .ProductDetails24',
+    primaryImage: 'img.Image18__image, .ImageCarousel img',
+    swatches: '.ColourSwatch24, .ProductItem24__colours button',
+    selectedSwatch: '.ColourSwatch24--selected, [aria-checked="true"]',
+    colorName: '.ProductDetailsColours87__colourName, .ProductItem24__colour',
+    pagination: 'a.Pagination7__next, a[rel="next"]',
+  },
+  {
+    name: 'FARFETCH',
+    domains: ['farfetch.com'],
+    productCard: 'li[data-testid="productCard"], [data-testid="product-information-container"]',
+    primaryImage: 'img[data-component="ProductCardImagePrimary"], [data-testid="gallery-image"] img',
+    swatches: '[data-testid="colour-swatch"], [data-component="ColorSwatch"]',
+    selectedSwatch: '[aria-checked="true"], [data-selected="true"]',
+    colorName: '[data-component="ProductColor"], [data-testid="product-colour"]',
+    pagination: 'a[data-testid="page-next"], a[rel="next"]',
+  },
+  {
+    name: 'SSENSE',
+    domains: ['ssense.com'],
+    productCard: 'div.plp-products__product-tile, .pdp-product',
+    primaryImage: 'img.product-tile__image, .pdp-images__image img',
+    swatches: '.pdp-product-color-swatches a, .product-tile__colors li',
+    selectedSwatch: '.active, [aria-current="true"]',
+    colorName: '.pdp-product-color, .product-tile__color',
+    pagination: 'li.pagination__next a, a[rel="next"]',
+  },
+  {
+    name: 'Target',
+    domains: ['target.com'],
+    productCard: '[data-test="@web/site-top-of-funnel/ProductCardWrapper"], [data-test="product-details"]',
+    primaryImage: '[data-test="@web/ProductCard/ProductCardImage/primary"] img, [data-test="image-gallery-item-0"] img',
+    swatches: '[data-test="@web/ProductCard/ProductCardVariantSwatch"] a, [data-test="variationButton"]',
+    selectedSwatch: '[aria-checked="true"], [aria-current="true"], [data-test-selected="true"]',
+    colorName: '[data-test="@web/VariationComponent"] span.selected-value, [data-test="selected-color"]',
+    pagination: 'button[data-test="next"], a[rel="next"]',
+  },
+  {
+    name: 'Old Navy',
+    domains: ['oldnavy.com', 'oldnavy.gap.com'],
+    productCard: '.product-card, .pdp-mfe-container',
+    primaryImage: '.product-card__image img, .pdp-photo img',
+    swatches: '.swatch-wrapper .swatch',
+    selectedSwatch: 'input:checked, .swatch--selected',
+    colorName: '.swatch-label__value, .product-card__color-name',
+    pagination: 'a[aria-label="Next Page"], a[rel="next"]',
+  },
+  {
+    name: 'J.Crew',
+    domains: ['jcrew.com'],
+    productCard: 'li.c-product-tile, [data-qaid="pdpProductDetails"]',
+    primaryImage: 'img.c-product-tile__image, [data-qaid="pdpProductGalleryImage"] img',
+    swatches: '.c-product-tile__swatches li, [data-qaid="pdpProductPriceColorSwatch"]',
+    selectedSwatch: '.is-selected, [aria-checked="true"]',
+    colorName: '.c-product-tile__color-name, [data-qaid="pdpProductColorName"]',
+    pagination: 'a.pagination__link--next, a[rel="next"]',
+  },
+  {
+    name: 'Madewell',
+    domains: ['madewell.com'],
+    productCard: '.product-tile, .product-detail',
+    primaryImage: 'img.tile-image, .primary-images img',
+    swatches: '.swatches .swatch, button.color-attribute',
+    selectedSwatch: '.selected, [aria-pressed="true"]',
+    colorName: '.swatch-color-name, .color-display-value',
+    pagination: 'a.more-products, a[rel="next"]',
+  },
+  {
+    name: 'Anthropologie',
+    domains: ['anthropologie.com'],
+    productCard: '.c-pwa-tile-grid-inner, .c-pwa-product-details',
+    primaryImage: 'img.c-pwa-image-viewer__img, .c-pwa-tile-tiles img',
+    swatches: '.c-pwa-swatch, .o-pwa-color-swatch',
+    selectedSwatch: '.c-pwa-swatch--selected, [aria-checked="true"]',
+    colorName: '.c-pwa-sku-selection__color-value, .c-pwa-tile__color',
+    pagination: 'a.o-pwa-pagination__next, a[rel="next"]',
+  },
+];
+
+/**
+ * Run querySelectorAll without throwing on selectors the browser doesn't support
+ * @param {ParentNode} root
+ * @param {string} selector
+ * @returns {Array<Element>}
+ */
+function queryAdapterSelector(root, selector) {
+  if (!root || !selector) return [];
+  try {
+    return Array.from(root.querySelectorAll(selector));
+  } catch (e) {
+    console.warn('[Season Color Checker] Invalid site adapter selector:', selector);
+    return [];
+  }
+}
+
+/**
+ * Element.matches that treats invalid selectors as no match
+ * @param {Element} element
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function matchesAdapterSelector(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the adapter for a hostname (subdomains such as www2.hm.com included)
+ * @param {string} hostname - Defaults to the current page's hostname
+ * @returns {Object|null} - Adapter with defaults filled in, or null for unknown sites
+ */
+function getSiteAdapter(hostname = typeof location !== 'undefined' ? location.hostname : '') {
+  const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  if (!host) return null;
+
+  // Most specific domain wins (oldnavy.gap.com is Old Navy, not Gap)
+  let adapter = null;
+  let matchedLength = 0;
+  SITE_ADAPTERS.forEach((candidate) => {
+    candidate.domains.forEach((domain) => {
+      if ((host === domain || host.endsWith('.' + domain)) && domain.length > matchedLength) {
+        adapter = candidate;
+        matchedLength = domain.length;
+      }
+    });
+  });
+  if (!adapter) return null;
+
+  return {
+    ...adapter,
+    selectedSwatch: adapter.selectedSwatch || DEFAULT_SELECTED_SWATCH,
+    pagination: adapter.pagination || DEFAULT_PAGINATION,
+  };
+}
+
+/**
+ * @param {Object} adapter
+ * @param {ParentNode} root - A root that is itself a card is included
+ * @returns {Array<Element>} - Product cards
+ */
+function findAdapterProductCards(adapter, root = document) {
+  if (!adapter) return [];
+  const cards = queryAdapterSelector(root, adapter.productCard);
+  if (root.nodeType === 1 && matchesAdapterSelector(root, adapter.productCard)) {
+    cards.unshift(root);
+  }
+  return cards;
+}
+
+/**
+ * Primary product image of each card
+ * @param {Object} adapter
+ * @param {ParentNode} root
+ * @returns {Array<HTMLImageElement>}
+ */
+function findAdapterProductImages(adapter, root = document) {
+  const images = [];
+  findAdapterProductCards(adapter, root).forEach((card) => {
+    const image = ownedByCard(adapter, card, queryAdapterSelector(card, adapter.primaryImage))[0];
+    if (image) {
+      images.push(image);
+    }
+  });
+  return images;
+}
+
+/**
+ * Drop elements that belong to a card nested inside this one
+ * (e.g. "you may also like" tiles inside a product details root)
+ * @param {Object} adapter
+ * @param {ParentNode} container
+ * @param {Array<Element>} elements
+ * @returns {Array<Element>}
+ */
+function ownedByCard(adapter, container, elements) {
+  if (!container.matches || !matchesAdapterSelector(container, adapter.productCard)) {
+    return elements;
+  }
+  return elements.filter((element) => findAdapterProductCard(adapter, element) === container);
+}
+
+/**
+ * @param {Object} adapter
+ * @param {Element} element - Any element inside a card (usually the product image)
+ * @returns {Element|null}
+ */
+function findAdapterProductCard(adapter, element) {
+  if (!adapter || !element || !element.closest) return null;
+  try {
+    return element.closest(adapter.productCard);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} adapter
+ * @param {ParentNode} container - Card, or document for page-wide swatches
+ * @returns {Array<Element>}
+ */
+function findAdapterSwatches(adapter, container = document) {
+  if (!adapter) return [];
+  return ownedByCard(adapter, container, queryAdapterSelector(container, adapter.swatches));
+}
+
+/**
+ * Find the selected swatch. The state selector may match the swatch itself
+ * (aria-pressed button) or something inside it (checked radio in a label).
+ * @param {Object} adapter
+ * @param {ParentNode} container
+ * @returns {Element|null}
+ */
+function findAdapterSelectedSwatch(adapter, container = document) {
+  if (!adapter) return null;
+
+  return (
+    findAdapterSwatches(adapter, container).find(
+      (swatch) =>
+        matchesAdapterSelector(swatch, adapter.selectedSwatch) ||
+        queryAdapterSelector(swatch, adapter.selectedSwatch).length > 0,
+    ) || null
+  );
+}
+
+/**
+ * Name of the selected color, from the color label or the selected swatch's own label
+ * @param {Object} adapter
+ * @param {ParentNode} container
+ * @returns {string|null} - e.g. "Navy" (without a "Color:" prefix)
+ */
+function getAdapterColorName(adapter, container = document) {
+  if (!adapter) return null;
+
+  const clean = (text) =>
+    (text || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^(selected\s+)?colou?r(\s*[:\-]\s*|\s+)/i, '')
+      .trim();
+
+  const label = queryAdapterSelector(container, adapter.colorName)[0];
+  const labelText = label ? clean(label.textContent) : '';
+  if (labelText) return labelText;
+
+  const selected = findAdapterSelectedSwatch(adapter, container);
+  if (!selected) return null;
+
+  const image = selected.tagName === 'IMG' ? selected : selected.querySelector('img');
+  const swatchText = clean(
+    selected.getAttribute('aria-label') ||
+      selected.getAttribute('title') ||
+      selected.getAttribute('data-color') ||
+      selected.getAttribute('value') ||
+      (image && image.alt) ||
+      '',
+  );
+  return swatchText || null;
+}
+
+/**
+ * @param {Object} adapter
+ * @param {ParentNode} root
+ * @returns {{element: Element, url: string|null}|null} - url is null for "load more" buttons
+ */
+function findAdapterNextPage(adapter, root = document) {
+  if (!adapter) return null;
+
+  const element = queryAdapterSelector(root, adapter.pagination)[0];
+  if (!element) return null;
+
+  return { element, url: element.href || element.getAttribute('href') || null };
+}
+
+// Make available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.SITE_ADAPTERS = SITE_ADAPTERS;
+  window.getSiteAdapter = getSiteAdapter;
+  window.findAdapterProductCards = findAdapterProductCards;
+  window.findAdapterProductImages = findAdapterProductImages;
+  window.findAdapterProductCard = findAdapterProductCard;
+  window.findAdapterSwatches = findAdapterSwatches;
+  window.findAdapterSelectedSwatch = findAdapterSelectedSwatch;
+  window.getAdapterColorName = getAdapterColorName;
+  window.findAdapterNextPage = findAdapterNextPage;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SITE_ADAPTERS, getSiteAdapter };
+}
@@ -0,0 +1,353 @@
+/**
+ * COLOR DRAPING
+ *
+ * Virtual draping page:
+ * - Removes the background from the user's portrait with BackgroundRemover
+ * - Frames the portrait in a ring of colors from two seasons, side by side
+ * - Clicking a ring color drapes it behind the portrait
+ * - Flip through seasons, star favorites, save a season as the user's choice
+ *
+ * Favorites are kept in chrome.storage.local ('drapingFavorites').
+ * The portrait itself is never stored.
+ */
+
+(function () {
+  'use strict';
+
+  const RING_OUTER_RADIUS = 178;
+  const RING_INNER_RADIUS = 128;
+  const NEUTRAL_DRAPE = '#f3f1ee';
+
+  let portrait = null; // Canvas with the background removed, cropped to the person
+  let seasonKeys = [];
+  let favorites = [];
+  let selectedSeason = null;
+
+  // Per-side state: { seasonKey, drapeColor }
+  const panels = {
+    left: { seasonKey: null, drapeColor: null },
+    right: { seasonKey: null, drapeColor: null },
+  };
+
+  /**
+   * Initialize page
+   */
+  async function initialize() {
+    await loadCustomPalettes();
+    seasonKeys = [
+      ...BUILT_IN_SEASON_KEYS,
+      ...Object.keys(SEASONAL_PALETTES).filter(isCustomPalette),
+    ];
+
+    const [settings, stored] = await Promise.all([
+      new Promise((resolve) => chrome.runtime.sendMessage({ action: 'getSettings' }, resolve)),
+      chrome.storage.local.get(['drapingFavorites']),
+    ]);
+    selectedSeason = settings?.selectedSeason || null;
+    favorites = (stored.drapingFavorites || []).filter((key) => SEASONAL_PALETTES[key]);
+
+    // Start with the user's season on the left and its neighbour on the right
+    const startIndex = Math.max(0, seasonKeys.indexOf(selectedSeason));
+    panels.left.seasonKey = seasonKeys[startIndex];
+    panels.right.seasonKey = seasonKeys[(startIndex + 1) % seasonKeys.length];
+
+    setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  function setupEventListeners() {
+    const portraitInput = document.getElementById('portrait-input');
+    document
+      .getElementById('upload-portrait')
+      .addEventListener('click', () => portraitInput.click());
+
+    portraitInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (file) loadPortrait(file);
+    });
+
+    document.querySelectorAll('.drape-panel').forEach((panelEl) => {
+      const side = panelEl.dataset.side;
+
+      panelEl.querySelector('.drape-prev').addEventListener('click', () => flipSeason(side, -1));
+      panelEl.querySelector('.drape-next').addEventListener('click', () => flipSeason(side, 1));
+      panelEl.querySelector('.drape-season-select').addEventListener('change', (e) => {
+        setPanelSeason(side, e.target.value);
+      });
+      panelEl.querySelector('.drape-favorite').addEventListener('click', () => toggleFavorite(side));
+      panelEl.querySelector('.drape-save').addEventListener('click', (e) => saveSeason(side, e.target));
+      panelEl.querySelector('.drape-canvas').addEventListener('click', (e) => pickRingColor(side, e));
+    });
+
+    document.getElementById('favorites-only').addEventListener('change', renderPanels);
+  }
+
+  /**
+   * Show a status message
+   */
+  function setStatus(message, isError = false) {
+    const statusEl = document.getElementById('status');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Load the portrait and remove its background
+   */
+  function loadPortrait(file) {
+    if (!file.type.startsWith('image/')) {
+      setStatus('Please choose an image file (JPEG, PNG or WebP).', true);
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = async () => {
+      URL.revokeObjectURL(url);
+      setStatus('Removing the background… the first run loads the on-device model and can take a moment.');
+
+      // Downscale first: the ring is small and the model is much faster on smaller input
+      const scaled = drawScaled(img, 800);
+      const remover = typeof BackgroundRemover !== 'undefined' ? new BackgroundRemover() : null;
+      const foreground = remover ? await remover.removeBackground(scaled) : null;
+
+      portrait = cropToContent(foreground || scaled);
+      setStatus(
+        foreground
+          ? ''
+          : 'Background removal was unavailable, so your full photo is shown inside the ring.',
+        !foreground,
+      );
+
+      document.getElementById('drape-compare').style.display = 'flex';
+      document.getElementById('favorites-only-label').style.display = 'block';
+      renderPanels();
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setStatus('This image could not be opened. Try a JPEG or PNG.', true);
+    };
+    img.src = url;
+  }
+
+  /**
+   * Draw an image onto a canvas no larger than maxSize
+   */
+  function drawScaled(image, maxSize) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Crop a cut-out to its visible (non-transparent) pixels so the person is centered
+   */
+  function cropToContent(canvas) {
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] < 128) continue;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+
+    if (maxX < 0) return canvas;
+
+    const cropped = document.createElement('canvas');
+    cropped.width = maxX - minX + 1;
+    cropped.height = maxY - minY + 1;
+    cropped
+      .getContext('2d')
+      .drawImage(canvas, minX, minY, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+    return cropped;
+  }
+
+  /**
+   * Seasons available for flipping (all, or favorites only)
+   */
+  function getFlipKeys() {
+    const favoritesOnly = document.getElementById('favorites-only').checked;
+    return favoritesOnly && favorites.length >= 2 ? favorites : seasonKeys;
+  }
+
+  /**
+   * Move a panel to the previous / next season
+   */
+  function flipSeason(side, direction) {
+    const keys = getFlipKeys();
+    const index = keys.indexOf(panels[side].seasonKey);
+    const next =
+      index === -1
+        ? keys[direction > 0 ? 0 : keys.length - 1]
+        : keys[(index + direction + keys.length) % keys.length];
+    setPanelSeason(side, next);
+  }
+
+  /**
+   * Show a season on one side
+   */
+  function setPanelSeason(side, seasonKey) {
+    if (!SEASONAL_PALETTES[seasonKey]) return;
+    panels[side].seasonKey = seasonKey;
+    panels[side].drapeColor = null;
+    renderPanels();
+  }
+
+  /**
+   * Render both panels
+   */
+  function renderPanels() {
+    document.querySelectorAll('.drape-panel').forEach((panelEl) => {
+      const side = panelEl.dataset.side;
+      const { seasonKey, drapeColor } = panels[side];
+      const season = SEASONAL_PALETTES[seasonKey];
+      if (!season) return;
+
+      // Season dropdown (favorites are starred)
+      const select = panelEl.querySelector('.drape-season-select');
+      const keys = getFlipKeys().includes(seasonKey) ? getFlipKeys() : [seasonKey, ...getFlipKeys()];
+      select.innerHTML = keys
+        .map((key) => {
+          const option = SEASONAL_PALETTES[key];
+          const star = favorites.includes(key) ? '★ ' : '';
+          const label = `${star}${option.emoji} ${option.name}`.replace(/</g, '&lt;');
+          return `<option value="${key}">${label}</option>`;
+        })
+        .join('');
+      select.value = seasonKey;
+
+      // Favorite toggle
+      const isFavorite = favorites.includes(seasonKey);
+      const favoriteBtn = panelEl.querySelector('.drape-favorite');
+      favoriteBtn.textContent = isFavorite ? '★ Favorite' : '☆ Favorite';
+      favoriteBtn.setAttribute('aria-pressed', String(isFavorite));
+
+      // Save button reflects the current choice
+      const saveBtn = panelEl.querySelector('.drape-save');
+      saveBtn.textContent = seasonKey === selectedSeason ? '✓ Your season' : 'Save as my season';
+
+      drawDrape(panelEl.querySelector('.drape-canvas'), season.colors, drapeColor);
+    });
+  }
+
+  /**
+   * Draw the color ring, the draped backdrop and the portrait
+   */
+  function drawDrape(canvas, colors, drapeColor) {
+    const ctx = canvas.getContext('2d');
+    const cx = canvas.width / 2;
+    const cy = canvas.height / 2;
+    const segment = (Math.PI * 2) / colors.length;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Ring of palette colors, starting at 12 o'clock
+    colors.forEach((color, index) => {
+      const start = -Math.PI / 2 + index * segment;
+      ctx.beginPath();
+      ctx.arc(cx, cy, RING_OUTER_RADIUS, start, start + segment);
+      ctx.arc(cx, cy, RING_INNER_RADIUS, start + segment, start, true);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+    });
+
+    // Draped backdrop + portrait, clipped to the inner circle
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, RING_INNER_RADIUS, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.fillStyle = drapeColor || NEUTRAL_DRAPE;
+    ctx.fillRect(cx - RING_INNER_RADIUS, cy - RING_INNER_RADIUS, RING_INNER_RADIUS * 2, RING_INNER_RADIUS * 2);
+
+    if (portrait) {
+      // Fit the person's height to the circle, anchored at the bottom like a head-and-shoulders shot
+      const diameter = RING_INNER_RADIUS * 2;
+      const scale = Math.min(diameter / portrait.height, (diameter * 1.2) / portrait.width);
+      const drawWidth = portrait.width * scale;
+      const drawHeight = portrait.height * scale;
+      ctx.drawImage(
+        portrait,
+        cx - drawWidth / 2,
+        cy + RING_INNER_RADIUS - drawHeight,
+        drawWidth,
+        drawHeight,
+      );
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Drape the clicked ring color behind the portrait (click the center to reset)
+   */
+  function pickRingColor(side, event) {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) * canvas.width) / rect.width - canvas.width / 2;
+    const y = ((event.clientY - rect.top) * canvas.height) / rect.height - canvas.height / 2;
+    const distance = Math.sqrt(x * x + y * y);
+
+    if (distance < RING_INNER_RADIUS) {
+      panels[side].drapeColor = null;
+    } else if (distance <= RING_OUTER_RADIUS) {
+      const colors = SEASONAL_PALETTES[panels[side].seasonKey].colors;
+      const angle = (Math.atan2(y, x) + Math.PI / 2 + Math.PI * 2) % (Math.PI * 2);
+      panels[side].drapeColor = colors[Math.floor(angle / ((Math.PI * 2) / colors.length))];
+    } else {
+      return;
+    }
+    renderPanels();
+  }
+
+  /**
+   * Star / unstar the season shown on one side
+   */
+  async function toggleFavorite(side) {
+    const seasonKey = panels[side].seasonKey;
+    favorites = favorites.includes(seasonKey)
+      ? favorites.filter((key) => key !== seasonKey)
+      : [...favorites, seasonKey];
+
+    await chrome.storage.local.set({ drapingFavorites: favorites });
+    renderPanels();
+  }
+
+  /**
+   * Save the season shown on one side as the user's season
+   */
+  function saveSeason(side, button) {
+    const seasonKey = panels[side].seasonKey;
+    chrome.runtime.sendMessage({ action: 'setSeason', season: seasonKey }, (response) => {
+      if (response && response.success) {
+        selectedSeason = seasonKey;
+        renderPanels();
+      } else {
+        button.textContent = 'Could not save, try again';
+      }
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+})();
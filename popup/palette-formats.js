@@ -0,0 +1,556 @@
+/**
+ * PALETTE FORMATS
+ *
+ * Import and export of seasonal / custom palettes:
+ * - ASE  (Adobe Swatch Exchange, binary) - Illustrator, Photoshop, Figma plugins, Procreate
+ * - GPL  (GIMP / Inkscape / Krita palette, text)
+ * - JSON (this extension's palette format; also accepts plain arrays of hex colors)
+ * - CSS  (custom properties sheet, e.g. --warm-autumn-1: #C19A6B;)
+ *
+ * Parsers return a list of palettes: [{ name, colors: ['#RRGGBB', ...] }].
+ * Malformed files throw an Error with a message that can be shown to the user.
+ */
+
+const PALETTE_FORMATS = {
+  ase: { label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mimeType: 'application/octet-stream' },
+  gpl: { label: 'GIMP Palette (.gpl)', extension: 'gpl', mimeType: 'text/plain' },
+  json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json' },
+  css: { label: 'CSS variables (.css)', extension: 'css', mimeType: 'text/css' },
+};
+
+const PALETTE_JSON_FORMAT_ID = 'season-color-checker-palette';
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024; // 1 MB - palettes are tiny, anything bigger is not a palette
+
+// ASE block types
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR_ENTRY = 0x0001;
+
+/**
+ * Build a format error with a user-facing message
+ * @param {string} format - Format label, e.g. 'ASE'
+ * @param {string} message - What is wrong with the file
+ * @returns {Error}
+ */
+function paletteFormatError(format, message) {
+  return Object.assign(new Error(`Invalid ${format} file: ${message}`), { type: 'format' });
+}
+
+/**
+ * Clamp and round a 0-255 channel
+ */
+function toByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Convert 0-255 RGB channels to '#RRGGBB'
+ */
+function rgbToPaletteHex(r, g, b) {
+  return '#' + [r, g, b].map((v) => toByte(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Convert '#RRGGBB' to [r, g, b]
+ */
+function paletteHexToRgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Convert CIE L*a*b* (D50, as used by Adobe) to '#RRGGBB'
+ */
+function labToPaletteHex(l, a, b) {
+  // Lab → XYZ (D50)
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = 0.96422 * finv(fx);
+  const y = 1.0 * finv(fy);
+  const z = 0.82521 * finv(fz);
+
+  // XYZ (D50) → linear sRGB (Bradford-adapted matrix)
+  const lr = 3.1338561 * x - 1.6168667 * y - 0.4906146 * z;
+  const lg = -0.9787684 * x + 1.9161415 * y + 0.033454 * z;
+  const lb = 0.0719453 * x - 0.2289914 * y + 1.4052427 * z;
+
+  const gamma = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055) * 255;
+  return rgbToPaletteHex(gamma(lr), gamma(lg), gamma(lb));
+}
+
+/**
+ * Turn a palette name into a CSS custom-property / file name slug
+ */
+function slugifyPaletteName(name) {
+  return (
+    String(name || 'palette')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'palette'
+  );
+}
+
+/**
+ * Guess a file's format from its extension, falling back to its content
+ * @param {string} fileName - Original file name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {string|null} 'ase' | 'gpl' | 'json' | 'css' | null
+ */
+function detectPaletteFormat(fileName, buffer) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (PALETTE_FORMATS[extension]) return extension;
+
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64));
+  const head = String.fromCharCode(...bytes);
+  if (head.startsWith('ASEF')) return 'ase';
+  if (head.startsWith('GIMP Palette')) return 'gpl';
+  if (/^\s*[[{]/.test(head)) return 'json';
+  if (/--[\w-]+\s*:/.test(head) || /^\s*:root/.test(head)) return 'css';
+  return null;
+}
+
+// ============================================================================
+// ASE
+// ============================================================================
+
+/**
+ * Parse an Adobe Swatch Exchange file
+ * Groups become separate palettes; ungrouped swatches go in one palette.
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fallbackName - Name for ungrouped swatches
+ * @returns {Array<Object>} Palettes
+ */
+function parseAse(buffer, fallbackName) {
+  if (buffer.byteLength < 12) {
+    throw paletteFormatError('ASE', 'file is too short to be a swatch file');
+  }
+
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(
+    view.getUint8(0),
+    view.getUint8(1),
+    view.getUint8(2),
+    view.getUint8(3),
+  );
+  if (signature !== 'ASEF') {
+    throw paletteFormatError('ASE', 'missing "ASEF" signature');
+  }
+
+  const majorVersion = view.getUint16(4);
+  if (majorVersion !== 1) {
+    throw paletteFormatError('ASE', `unsupported version ${majorVersion}.${view.getUint16(6)}`);
+  }
+
+  const blockCount = view.getUint32(8);
+  const ungrouped = { name: fallbackName, colors: [] };
+  const palettes = [];
+  let currentGroup = null;
+  let offset = 12;
+
+  const readName = (blockEnd) => {
+    if (offset + 2 > blockEnd) throw paletteFormatError('ASE', 'truncated swatch name');
+    const length = view.getUint16(offset); // UTF-16 code units, including terminator
+    offset += 2;
+    if (offset + length * 2 > blockEnd) throw paletteFormatError('ASE', 'truncated swatch name');
+    let name = '';
+    for (let i = 0; i < length; i++) {
+      const code = view.getUint16(offset + i * 2);
+      if (code !== 0) name += String.fromCharCode(code);
+    }
+    offset += length * 2;
+    return name;
+  };
+
+  for (let block = 0; block < blockCount; block++) {
+    if (offset + 6 > buffer.byteLength) {
+      throw paletteFormatError('ASE', `expected ${blockCount} blocks but the file ends after ${block}`);
+    }
+
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    offset += 6;
+    const blockEnd = offset + length;
+    if (blockEnd > buffer.byteLength) {
+      throw paletteFormatError('ASE', `block ${block + 1} runs past the end of the file`);
+    }
+
+    if (type === ASE_GROUP_START) {
+      currentGroup = { name: readName(blockEnd) || fallbackName, colors: [] };
+      palettes.push(currentGroup);
+    } else if (type === ASE_GROUP_END) {
+      currentGroup = null;
+    } else if (type === ASE_COLOR_ENTRY) {
+      readName(blockEnd);
+      if (offset + 4 > blockEnd) throw paletteFormatError('ASE', 'truncated color entry');
+      const model = String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3),
+      ).trim();
+      offset += 4;
+
+      const channelCount = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model];
+      if (!channelCount) {
+        throw paletteFormatError('ASE', `unknown color model "${model}" in block ${block + 1}`);
+      }
+      if (offset + channelCount * 4 > blockEnd) {
+        throw paletteFormatError('ASE', 'truncated color values');
+      }
+      const v = [];
+      for (let i = 0; i < channelCount; i++) {
+        v.push(view.getFloat32(offset + i * 4));
+      }
+
+      let hex;
+      if (model === 'RGB') {
+        hex = rgbToPaletteHex(v[0] * 255, v[1] * 255, v[2] * 255);
+      } else if (model === 'CMYK') {
+        hex = rgbToPaletteHex(
+          255 * (1 - v[0]) * (1 - v[3]),
+          255 * (1 - v[1]) * (1 - v[3]),
+          255 * (1 - v[2]) * (1 - v[3]),
+        );
+      } else if (model === 'LAB') {
+        // Adobe stores L* as 0-1; some tools write 0-100
+        hex = labToPaletteHex(v[0] <= 1 ? v[0] * 100 : v[0], v[1], v[2]);
+      } else {
+        hex = rgbToPaletteHex(v[0] * 255, v[0] * 255, v[0] * 255);
+      }
+
+      (currentGroup || ungrouped).colors.push(hex);
+    }
+    // Unknown block types are skipped, as the spec allows
+
+    offset = blockEnd;
+  }
+
+  if (ungrouped.colors.length > 0) {
+    palettes.unshift(ungrouped);
+  }
+  return palettes.filter((palette) => palette.colors.length > 0);
+}
+
+/**
+ * Serialize a palette as an Adobe Swatch Exchange file (one group, RGB swatches)
+ * @param {Object} palette - { name, colors }
+ * @returns {ArrayBuffer}
+ */
+function serializeAse(palette) {
+  const nameBlockSize = (name) => 2 + (name.length + 1) * 2;
+  const groupName = palette.name || 'Palette';
+  const colorBlockSizes = palette.colors.map((hex) => nameBlockSize(hex) + 4 + 12 + 2);
+
+  const totalSize =
+    12 + // header
+    6 + nameBlockSize(groupName) + // group start
+    colorBlockSizes.reduce((sum, size) => sum + 6 + size, 0) +
+    6; // group end
+
+  const buffer = new ArrayBuffer(totalSize);
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  const writeName = (name) => {
+    view.setUint16(offset, name.length + 1);
+    offset += 2;
+    for (let i = 0; i < name.length; i++) {
+      view.setUint16(offset, name.charCodeAt(i));
+      offset += 2;
+    }
+    view.setUint16(offset, 0);
+    offset += 2;
+  };
+
+  // Header: signature, version 1.0, block count
+  'ASEF'.split('').forEach((ch) => view.setUint8(offset++, ch.charCodeAt(0)));
+  view.setUint16(offset, 1);
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, palette.colors.length + 2);
+  offset += 8;
+
+  view.setUint16(offset, ASE_GROUP_START);
+  view.setUint32(offset + 2, nameBlockSize(groupName));
+  offset += 6;
+  writeName(groupName);
+
+  palette.colors.forEach((hex, index) => {
+    view.setUint16(offset, ASE_COLOR_ENTRY);
+    view.setUint32(offset + 2, colorBlockSizes[index]);
+    offset += 6;
+    writeName(hex);
+    'RGB '.split('').forEach((ch) => view.setUint8(offset++, ch.charCodeAt(0)));
+    paletteHexToRgb(hex).forEach((channel) => {
+      view.setFloat32(offset, channel / 255);
+      offset += 4;
+    });
+    view.setUint16(offset, 2); // Normal (not global / spot)
+    offset += 2;
+  });
+
+  view.setUint16(offset, ASE_GROUP_END);
+  view.setUint32(offset + 2, 0);
+
+  return buffer;
+}
+
+// ============================================================================
+// GPL
+// ============================================================================
+
+/**
+ * Parse a GIMP palette
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Name if the file has no Name: header
+ * @returns {Array<Object>} Palettes (always one)
+ */
+function parseGpl(text, fallbackName) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0] || lines[0].trim() !== 'GIMP Palette') {
+    throw paletteFormatError('GPL', 'first line must be "GIMP Palette"');
+  }
+
+  const palette = { name: fallbackName, colors: [] };
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^(Name|Columns)\s*:\s*(.*)$/i);
+    if (header) {
+      if (header[1].toLowerCase() === 'name' && header[2].trim()) {
+        palette.name = header[2].trim();
+      }
+      continue;
+    }
+
+    const channels = line.match(/^(\d+)\s+(\d+)\s+(\d+)(?:\s+.*)?$/);
+    if (!channels) {
+      throw paletteFormatError('GPL', `line ${i + 1} is not "R G B name": "${line.slice(0, 40)}"`);
+    }
+    const [r, g, b] = channels.slice(1, 4).map(Number);
+    if ([r, g, b].some((value) => value > 255)) {
+      throw paletteFormatError('GPL', `line ${i + 1} has a channel above 255`);
+    }
+    palette.colors.push(rgbToPaletteHex(r, g, b));
+  }
+
+  return [palette];
+}
+
+/**
+ * Serialize a palette as a GIMP palette
+ * @param {Object} palette - { name, colors }
+ * @returns {string}
+ */
+function serializeGpl(palette) {
+  const lines = ['GIMP Palette', `Name: ${palette.name}`, 'Columns: 5', '#'];
+  palette.colors.forEach((hex) => {
+    const [r, g, b] = paletteHexToRgb(hex);
+    lines.push(
+      `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`,
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * Parse a JSON palette
+ * Accepts this extension's export, an array of those, { colors: [...] },
+ * or a bare array of hex strings / { hex } objects.
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Name if the file has none
+ * @returns {Array<Object>} Palettes
+ */
+function parseJson(text, fallbackName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw paletteFormatError('JSON', error.message);
+  }
+
+  const readColors = (colors, where) => {
+    if (!Array.isArray(colors)) {
+      throw paletteFormatError('JSON', `${where} must have a "colors" array`);
+    }
+    return colors.map((entry, index) => {
+      const value = typeof entry === 'string' ? entry : entry && (entry.hex || entry.color);
+      const hex = normalizePaletteHex(value);
+      if (!hex) {
+        throw paletteFormatError('JSON', `${where} color ${index + 1} ("${value}") is not a hex color`);
+      }
+      return hex;
+    });
+  };
+
+  if (Array.isArray(data) && data.every((entry) => entry && typeof entry === 'object' && entry.colors)) {
+    return data.map((palette, index) => ({
+      name: palette.name || `${fallbackName} ${index + 1}`,
+      colors: readColors(palette.colors, `palette ${index + 1}`),
+    }));
+  }
+  if (Array.isArray(data)) {
+    return [{ name: fallbackName, colors: readColors(data, 'the list') }];
+  }
+  if (data && typeof data === 'object') {
+    return [{ name: data.name || fallbackName, colors: readColors(data.colors, 'the palette') }];
+  }
+  throw paletteFormatError('JSON', 'expected a palette object or an array of colors');
+}
+
+/**
+ * Serialize a palette as JSON
+ * @param {Object} palette - { name, description, colors }
+ * @returns {string}
+ */
+function serializeJson(palette) {
+  return (
+    JSON.stringify(
+      {
+        format: PALETTE_JSON_FORMAT_ID,
+        version: 1,
+        name: palette.name,
+        description: palette.description || '',
+        colors: palette.colors,
+      },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+// ============================================================================
+// CSS
+// ============================================================================
+
+/**
+ * Parse a CSS custom-properties sheet
+ * Every custom property whose value is a hex or rgb() color becomes a swatch.
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Palette name
+ * @returns {Array<Object>} Palettes (always one)
+ */
+function parseCss(text, fallbackName) {
+  const palette = { name: fallbackName, colors: [] };
+  const nameComment = text.match(/\/\*\s*Palette:\s*(.+?)\s*\*\//);
+  if (nameComment) palette.name = nameComment[1];
+
+  const declaration = /--([\w-]+)\s*:\s*([^;}]+)[;}]?/g;
+  let match;
+  let propertyCount = 0;
+  while ((match = declaration.exec(text)) !== null) {
+    propertyCount++;
+    const value = match[2].trim();
+    const rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+    const hex = rgb ? rgbToPaletteHex(+rgb[1], +rgb[2], +rgb[3]) : normalizePaletteHex(value);
+    if (hex) palette.colors.push(hex);
+  }
+
+  if (propertyCount === 0) {
+    throw paletteFormatError('CSS', 'no custom properties (--name: #RRGGBB;) found');
+  }
+  return [palette];
+}
+
+/**
+ * Serialize a palette as a CSS custom-properties sheet
+ * @param {Object} palette - { name, colors }
+ * @returns {string}
+ */
+function serializeCss(palette) {
+  const slug = slugifyPaletteName(palette.name);
+  const lines = [`/* Palette: ${palette.name} */`, ':root {'];
+  palette.colors.forEach((hex, index) => {
+    lines.push(`  --${slug}-${index + 1}: ${hex.toLowerCase()};`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parse a palette file
+ * @param {string} fileName - Original file name (used for format detection and naming)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Array<Object>} Palettes [{ name, colors }], each with at least one color
+ */
+function parsePaletteFile(fileName, buffer) {
+  if (!buffer || buffer.byteLength === 0) {
+    throw new Error('The file is empty');
+  }
+  if (buffer.byteLength > MAX_IMPORT_FILE_SIZE) {
+    throw new Error('The file is too large to be a palette (limit is 1 MB)');
+  }
+
+  const format = detectPaletteFormat(fileName, buffer);
+  if (!format) {
+    throw new Error('Unsupported file type. Use .ase, .gpl, .json or .css');
+  }
+
+  const fallbackName = (fileName || 'Imported palette').replace(/\.[^.]+$/, '');
+  const text = format === 'ase' ? null : new TextDecoder('utf-8').decode(buffer);
+
+  const palettes = {
+    ase: () => parseAse(buffer, fallbackName),
+    gpl: () => parseGpl(text, fallbackName),
+    json: () => parseJson(text, fallbackName),
+    css: () => parseCss(text, fallbackName),
+  }[format]();
+
+  const nonEmpty = palettes
+    .map((palette) => ({ ...palette, colors: [...new Set(palette.colors)] }))
+    .filter((palette) => palette.colors.length > 0);
+  if (nonEmpty.length === 0) {
+    throw paletteFormatError(format.toUpperCase(), 'it contains no colors');
+  }
+  return nonEmpty;
+}
+
+/**
+ * Serialize a palette to one of the supported formats
+ * @param {Object} palette - SEASONAL_PALETTES entry ({ name, description, colors })
+ * @param {string} format - 'ase' | 'gpl' | 'json' | 'css'
+ * @returns {Object} { content: string|ArrayBuffer, mimeType, fileName }
+ */
+function serializePalette(palette, format) {
+  const info = PALETTE_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+
+  const serializers = { ase: serializeAse, gpl: serializeGpl, json: serializeJson, css: serializeCss };
+  return {
+    content: serializers[format](palette),
+    mimeType: info.mimeType,
+    fileName: `${slugifyPaletteName(palette.name)}.${info.extension}`,
+  };
+}
+
+const PaletteFormats = {
+  FORMATS: PALETTE_FORMATS,
+  detectFormat: detectPaletteFormat,
+  parse: parsePaletteFile,
+  serialize: serializePalette,
+};
+
+// Make available globally for the popup
+if (typeof window !== 'undefined') {
+  window.PaletteFormats = PaletteFormats;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaletteFormats;
+}
@@ -3,6 +3,8 @@
  *
  * Manages the extension popup UI:
  * - Season selection
+ * - Custom palette editor
+ * - Palette import / export (ASE, GPL, JSON, CSS)
  * - Wishlist display and management
  * - Filter toggle
  */
@@ -20,6 +22,16 @@
   let showAllHistory = false;
   let domainStats = {};
   let blockedDomains = [];
+  let paletteEditor = null; // { key, name, basedOn, colors } while the editor is open
+
+  /**
+   * Escape user-provided text for use in innerHTML
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
 
   /**
    * Generate season cards from SEASONAL_PALETTES data
@@ -28,20 +40,8 @@
     const seasonGrid = document.getElementById('season-grid');
     if (!seasonGrid || !window.SEASONAL_PALETTES) return;
 
-    const seasonsOrder = [
-      'bright-spring',
-      'warm-spring',
-      'light-spring',
-      'soft-summer',
-      'cool-summer',
-      'light-summer',
-      'deep-autumn',
-      'warm-autumn',
-      'soft-autumn',
-      'bright-winter',
-      'cool-winter',
-      'deep-winter',
-    ];
+    // Built-in seasons first, then the user's custom palettes
+    const seasonsOrder = [...BUILT_IN_SEASON_KEYS, ...getCustomPaletteKeys()];
 
   seasonGrid.innerHTML = seasonsOrder
     .map((seasonKey) => {
@@ -51,14 +51,14 @@
       const first5Colors = season.colors.slice(0, 5);
 
       return `
-      <button class="season-card" data-season="${seasonKey}" tabindex="0" aria-label="${
-        season.name
-      }: ${season.description}">
+      <button class="season-card" data-season="${seasonKey}" tabindex="0" aria-label="${escapeHtml(
+        season.name,
+      )}: ${escapeHtml(season.description)}">
         <div class="season-card-header">
           <span class="season-emoji" aria-hidden="true">${season.emoji}</span>
-          <h3>${season.name}</h3>
+          <h3>${escapeHtml(season.name)}</h3>
         </div>
-        <p class="season-desc">${season.description}</p>
+        <p class="season-desc">${escapeHtml(season.description)}</p>
         <div class="season-colors" aria-hidden="true">
           ${first5Colors
             .map((color) => `<span class="color-dot" style="background: ${color}"></span>`)
@@ -74,7 +74,8 @@
    * Initialize popup
    */
   async function initialize() {
-    // Generate season cards from data
+    // Merge custom palettes into SEASONAL_PALETTES, then generate season cards
+    await loadCustomPalettes();
     generateSeasonCards();
 
     // Load current settings
@@ -89,6 +90,9 @@
     // Load domain statistics
     await loadDomainStats();
 
+    // Show how many image analyses are cached
+    loadAnalysisCacheStats();
+
     // Set up event listeners
     setupEventListeners();
 
@@ -153,26 +157,94 @@
     });
   }
 
+  /**
+   * Show the number of cached image analyses
+   */
+  function loadAnalysisCacheStats() {
+    chrome.runtime.sendMessage({ action: 'getAnalysisCacheStats' }, (response) => {
+      const countEl = document.getElementById('analysis-cache-count');
+      if (countEl && response) {
+        const count = response.count || 0;
+        countEl.textContent = `(${count} image${count === 1 ? '' : 's'})`;
+      }
+    });
+  }
+
   /**
    * Set up event listeners
    */
   function setupEventListeners() {
     // Season card clicks and keyboard navigation
-    document.querySelectorAll('.season-card').forEach((card) => {
-      card.addEventListener('click', () => {
-        const season = card.dataset.season;
-        selectSeason(season);
+    bindSeasonCardListeners();
+
+    // Season finder (opens in a tab so the webcam and file picker work)
+    const openSeasonFinderBtn = document.getElementById('open-season-finder');
+    if (openSeasonFinderBtn) {
+      openSeasonFinderBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup/season-finder.html') });
       });
+    }
 
-      // Keyboard support
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          const season = card.dataset.season;
-          selectSeason(season);
-        }
+    // Virtual draping page
+    const openDrapingBtn = document.getElementById('open-draping');
+    if (openDrapingBtn) {
+      openDrapingBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup/draping.html') });
       });
-    });
+    }
+
+    // Custom palette editor
+    const newPaletteBtn = document.getElementById('new-custom-palette');
+    if (newPaletteBtn) {
+      newPaletteBtn.addEventListener('click', () => openPaletteEditor(null));
+    }
+
+    const paletteBaseSelect = document.getElementById('palette-base-select');
+    if (paletteBaseSelect) {
+      paletteBaseSelect.addEventListener('change', (e) => applyPaletteBase(e.target.value));
+    }
+
+    const paletteAddColorBtn = document.getElementById('palette-add-color');
+    if (paletteAddColorBtn) {
+      paletteAddColorBtn.addEventListener('click', () => {
+        const colorInput = document.getElementById('palette-color-input');
+        addColorToPalette(colorInput?.value);
+      });
+    }
+
+    const paletteAddAllHistoryBtn = document.getElementById('palette-add-all-history');
+    if (paletteAddAllHistoryBtn) {
+      paletteAddAllHistoryBtn.addEventListener('click', () => {
+        colorHistory.forEach((entry) => addColorToPalette(entry.hex));
+      });
+    }
+
+    const paletteCancelBtn = document.getElementById('palette-cancel');
+    if (paletteCancelBtn) {
+      paletteCancelBtn.addEventListener('click', closePaletteEditor);
+    }
+
+    const paletteSaveBtn = document.getElementById('palette-save');
+    if (paletteSaveBtn) {
+      paletteSaveBtn.addEventListener('click', saveCustomPalette);
+    }
+
+    // Palette import / export
+    const paletteExportBtn = document.getElementById('palette-export');
+    if (paletteExportBtn) {
+      paletteExportBtn.addEventListener('click', exportPalette);
+    }
+
+    const paletteImportBtn = document.getElementById('palette-import');
+    const paletteImportInput = document.getElementById('palette-import-input');
+    if (paletteImportBtn && paletteImportInput) {
+      paletteImportBtn.addEventListener('click', () => paletteImportInput.click());
+      paletteImportInput.addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (file) importPaletteFile(file);
+      });
+    }
 
     // Change season button (toggle collapse/expand)
     const changeSeasonBtn = document.getElementById('change-season');
@@ -202,6 +274,52 @@
       });
     }
 
+    // Listing filter mode selection
+    const filterModeSelect = document.getElementById('filter-mode-select');
+    if (filterModeSelect) {
+      filterModeSelect.addEventListener('change', (e) => {
+        setFilterMode(e.target.value);
+      });
+    }
+
+    // Delta E formula selection
+    const deltaEFormulaSelect = document.getElementById('delta-e-formula-select');
+    if (deltaEFormulaSelect) {
+      deltaEFormulaSelect.addEventListener('change', (e) => {
+        setDeltaEFormula(e.target.value);
+      });
+    }
+
+    // Clear analysis cache
+    const clearAnalysisCacheBtn = document.getElementById('clear-analysis-cache');
+    if (clearAnalysisCacheBtn) {
+      clearAnalysisCacheBtn.addEventListener('click', clearAnalysisCache);
+    }
+
+    // Color extraction mode selection
+    const extractionModeSelect = document.getElementById('extraction-mode-select');
+    if (extractionModeSelect) {
+      extractionModeSelect.addEventListener('change', (e) => {
+        setExtractionMode(e.target.value);
+      });
+    }
+
+    // White balance toggle
+    const whiteBalanceToggle = document.getElementById('white-balance-toggle');
+    if (whiteBalanceToggle) {
+      whiteBalanceToggle.addEventListener('change', (e) => {
+        toggleWhiteBalance(e.target.checked);
+      });
+    }
+
+    // Personal contrast level selection
+    const contrastLevelSelect = document.getElementById('contrast-level-select');
+    if (contrastLevelSelect) {
+      contrastLevelSelect.addEventListener('change', (e) => {
+        setContrastLevel(e.target.value);
+      });
+    }
+
     // Favorites list management
     const toggleFavoritesListBtn = document.getElementById('toggle-favorites-list');
     if (toggleFavoritesListBtn) {
@@ -297,6 +415,39 @@
       showSwatchesToggle.checked = currentSettings.showSwatches || false;
     }
 
+    // Update filter mode select
+    const filterModeSelect = document.getElementById('filter-mode-select');
+    if (filterModeSelect) {
+      filterModeSelect.value = currentSettings.filterMode || 'badge';
+    }
+
+    // Update Delta E formula select
+    const deltaEFormulaSelect = document.getElementById('delta-e-formula-select');
+    if (deltaEFormulaSelect) {
+      deltaEFormulaSelect.value = currentSettings.deltaEFormula || 'ciede2000';
+    }
+
+    // Update extraction mode select
+    const extractionModeSelect = document.getElementById('extraction-mode-select');
+    if (extractionModeSelect) {
+      extractionModeSelect.value = currentSettings.extractionMode || 'heuristic';
+    }
+
+    // Update white balance toggle
+    const whiteBalanceToggle = document.getElementById('white-balance-toggle');
+    if (whiteBalanceToggle) {
+      whiteBalanceToggle.checked = currentSettings.whiteBalance !== false;
+    }
+
+    // Update personal contrast level select
+    const contrastLevelSelect = document.getElementById('contrast-level-select');
+    if (contrastLevelSelect) {
+      contrastLevelSelect.value = currentSettings.contrastLevel || 'season';
+    }
+
+    // Update custom palette list
+    renderCustomPalettes();
+
     // Update wishlist display
     renderWishlist();
 
@@ -406,6 +557,462 @@
     }
   }
 
+  /**
+   * Bind click and keyboard handlers to the season cards
+   */
+  function bindSeasonCardListeners() {
+    document.querySelectorAll('.season-card').forEach((card) => {
+      card.addEventListener('click', () => {
+        const season = card.dataset.season;
+        selectSeason(season);
+      });
+
+      // Keyboard support
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          const season = card.dataset.season;
+          selectSeason(season);
+        }
+      });
+    });
+  }
+
+  /**
+   * Rebuild the season grid (after custom palettes change)
+   */
+  function refreshSeasonCards() {
+    generateSeasonCards();
+    bindSeasonCardListeners();
+    updateUI();
+  }
+
+  /**
+   * Keys of the custom palettes currently merged into SEASONAL_PALETTES
+   */
+  function getCustomPaletteKeys() {
+    return Object.keys(window.SEASONAL_PALETTES || {}).filter(isCustomPalette);
+  }
+
+  /**
+   * Render the list of custom palettes
+   */
+  function renderCustomPalettes() {
+    renderPaletteExportOptions();
+
+    const list = document.getElementById('custom-palette-list');
+    if (!list) return;
+
+    const keys = getCustomPaletteKeys();
+    if (keys.length === 0) {
+      list.innerHTML = `
+        <p class="info-text">No custom palettes yet. Start from a season or your picked colors.</p>
+      `;
+      return;
+    }
+
+    list.innerHTML = keys
+      .map((key) => {
+        const palette = window.SEASONAL_PALETTES[key];
+        const isSelected = key === currentSettings.selectedSeason;
+        return `
+        <div class="custom-palette-item" role="listitem">
+          <div class="custom-palette-info">
+            <div class="custom-palette-name">
+              ${palette.emoji} ${escapeHtml(palette.name)}${isSelected ? ' (active)' : ''}
+            </div>
+            <div class="custom-palette-colors" aria-hidden="true">
+              ${palette.colors
+                .slice(0, 12)
+                .map((color) => `<span class="color-dot" style="background: ${color}"></span>`)
+                .join('')}
+            </div>
+          </div>
+          <button class="btn btn-text btn-sm" data-action="use" data-key="${key}">Use</button>
+          <button class="btn btn-text btn-sm" data-action="edit" data-key="${key}">Edit</button>
+          <button
+            class="remove-favorite-btn"
+            data-action="delete"
+            data-key="${key}"
+            title="Delete ${escapeHtml(palette.name)}"
+          >×</button>
+        </div>
+      `;
+      })
+      .join('');
+
+    list.querySelectorAll('button[data-action]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const key = btn.dataset.key;
+        if (btn.dataset.action === 'use') selectSeason(key);
+        if (btn.dataset.action === 'edit') openPaletteEditor(key);
+        if (btn.dataset.action === 'delete') deleteCustomPalette(key);
+      });
+    });
+  }
+
+  /**
+   * Open the palette editor
+   * @param {string|null} key - Custom palette to edit, or null to create one
+   *   (new palettes start as a clone of the current season)
+   */
+  function openPaletteEditor(key) {
+    const existing = key ? window.SEASONAL_PALETTES[key] : null;
+    const baseKey = existing
+      ? existing.basedOn
+      : currentSettings.selectedSeason && window.SEASONAL_PALETTES[currentSettings.selectedSeason]
+      ? currentSettings.selectedSeason
+      : '';
+
+    paletteEditor = {
+      key: key,
+      name: existing ? existing.name : '',
+      basedOn: baseKey || null,
+      colors: existing ? [...existing.colors] : [],
+    };
+
+    // Populate "Start from" with every palette except the one being edited
+    const baseSelect = document.getElementById('palette-base-select');
+    if (baseSelect) {
+      const options = [...BUILT_IN_SEASON_KEYS, ...getCustomPaletteKeys()]
+        .filter((paletteKey) => paletteKey !== key && window.SEASONAL_PALETTES[paletteKey])
+        .map((paletteKey) => {
+          const palette = window.SEASONAL_PALETTES[paletteKey];
+          return `<option value="${paletteKey}">${palette.emoji} ${escapeHtml(palette.name)}</option>`;
+        });
+      baseSelect.innerHTML = `<option value="">Empty palette</option>${options.join('')}`;
+      baseSelect.value = baseKey && baseKey !== key ? baseKey : '';
+    }
+
+    if (!existing && baseKey) {
+      applyPaletteBase(baseKey);
+    }
+
+    const nameInput = document.getElementById('palette-name-input');
+    if (nameInput) nameInput.value = paletteEditor.name;
+
+    setPaletteEditorError('');
+    document.getElementById('palette-editor').style.display = 'flex';
+    renderPaletteEditor();
+    nameInput?.focus();
+  }
+
+  /**
+   * Close the palette editor without saving
+   */
+  function closePaletteEditor() {
+    paletteEditor = null;
+    document.getElementById('palette-editor').style.display = 'none';
+  }
+
+  /**
+   * Replace the editor colors with a copy of another palette
+   */
+  function applyPaletteBase(baseKey) {
+    if (!paletteEditor) return;
+
+    const base = baseKey ? window.SEASONAL_PALETTES[baseKey] : null;
+    paletteEditor.basedOn = base ? baseKey : null;
+    paletteEditor.colors = base ? [...base.colors] : [];
+
+    // Suggest a name for new clones
+    const nameInput = document.getElementById('palette-name-input');
+    if (base && nameInput && !nameInput.value.trim()) {
+      nameInput.value = `My ${base.name}`;
+    }
+
+    renderPaletteEditor();
+  }
+
+  /**
+   * Add a color to the palette being edited
+   */
+  function addColorToPalette(hex) {
+    if (!paletteEditor) return;
+
+    const color = normalizePaletteHex(hex);
+    if (!color) {
+      setPaletteEditorError(`"${hex}" is not a valid hex color`);
+      return;
+    }
+    if (paletteEditor.colors.includes(color)) return;
+    if (paletteEditor.colors.length >= CUSTOM_PALETTE_MAX_COLORS) {
+      setPaletteEditorError(`A palette can have at most ${CUSTOM_PALETTE_MAX_COLORS} colors`);
+      return;
+    }
+
+    paletteEditor.colors.push(color);
+    setPaletteEditorError('');
+    renderPaletteEditor();
+  }
+
+  /**
+   * Remove a color from the palette being edited
+   */
+  function removeColorFromPalette(hex) {
+    if (!paletteEditor) return;
+    paletteEditor.colors = paletteEditor.colors.filter((color) => color !== hex);
+    renderPaletteEditor();
+  }
+
+  /**
+   * Render editor color chips and eyedropper history suggestions
+   */
+  function renderPaletteEditor() {
+    if (!paletteEditor) return;
+
+    const colorsContainer = document.getElementById('palette-editor-colors');
+    if (colorsContainer) {
+      colorsContainer.innerHTML =
+        paletteEditor.colors.length === 0
+          ? '<p class="info-text">No colors yet. Add some below.</p>'
+          : paletteEditor.colors
+              .map(
+                (color) => `
+          <button class="palette-chip" data-color="${color}" style="background: ${color}"
+            title="Remove ${color}" aria-label="Remove ${color}" role="listitem">
+            <span class="palette-chip-remove" aria-hidden="true">×</span>
+          </button>
+        `,
+              )
+              .join('');
+
+      colorsContainer.querySelectorAll('.palette-chip').forEach((chip) => {
+        chip.addEventListener('click', () => removeColorFromPalette(chip.dataset.color));
+      });
+    }
+
+    // Picked colors from the eyedropper history (unique, most recent first)
+    const historyContainer = document.getElementById('palette-history-container');
+    const historyColors = document.getElementById('palette-history-colors');
+    const pickedColors = [
+      ...new Set(colorHistory.map((entry) => normalizePaletteHex(entry.hex)).filter(Boolean)),
+    ];
+
+    if (historyContainer && historyColors) {
+      historyContainer.style.display = pickedColors.length > 0 ? 'block' : 'none';
+      historyColors.innerHTML = pickedColors
+        .map((color) => {
+          const inPalette = paletteEditor.colors.includes(color);
+          return `
+          <button class="palette-chip${inPalette ? ' in-palette' : ''}" data-color="${color}"
+            style="background: ${color}" title="${inPalette ? 'Already in palette' : `Add ${color}`}"
+            aria-label="Add ${color}"${inPalette ? ' disabled' : ''}></button>
+        `;
+        })
+        .join('');
+
+      historyColors.querySelectorAll('.palette-chip:not(.in-palette)').forEach((chip) => {
+        chip.addEventListener('click', () => addColorToPalette(chip.dataset.color));
+      });
+    }
+  }
+
+  /**
+   * Show a validation message in the editor
+   */
+  function setPaletteEditorError(message) {
+    const errorEl = document.getElementById('palette-editor-error');
+    if (errorEl) errorEl.textContent = message;
+  }
+
+  /**
+   * Collect all custom palettes as stored in chrome.storage.local
+   */
+  function getStoredCustomPalettes() {
+    const stored = {};
+    getCustomPaletteKeys().forEach((key) => {
+      const { custom, ...palette } = window.SEASONAL_PALETTES[key];
+      stored[key] = palette;
+    });
+    return stored;
+  }
+
+  /**
+   * Persist custom palettes and refresh the popup
+   */
+  async function storeCustomPalettes(customPalettes) {
+    await chrome.storage.local.set({ customPalettes });
+    applyCustomPalettes(customPalettes);
+    refreshSeasonCards();
+  }
+
+  /**
+   * Save the palette being edited
+   */
+  async function saveCustomPalette() {
+    if (!paletteEditor) return;
+
+    const name = document.getElementById('palette-name-input')?.value.trim() || '';
+    if (!name) {
+      setPaletteEditorError('Give your palette a name');
+      return;
+    }
+    if (paletteEditor.colors.length === 0) {
+      setPaletteEditorError('Add at least one color');
+      return;
+    }
+
+    const base = paletteEditor.basedOn ? window.SEASONAL_PALETTES[paletteEditor.basedOn] : null;
+    const key = paletteEditor.key || `${CUSTOM_PALETTE_PREFIX}${Date.now()}`;
+    const customPalettes = getStoredCustomPalettes();
+
+    customPalettes[key] = {
+      name,
+      description: base ? `Custom, based on ${base.name}` : 'Custom palette',
+      emoji: '🎨',
+      colors: paletteEditor.colors,
+      basedOn: paletteEditor.basedOn,
+    };
+
+    try {
+      await storeCustomPalettes(customPalettes);
+      closePaletteEditor();
+    } catch (error) {
+      console.error('Failed to save custom palette:', error);
+      setPaletteEditorError('Failed to save palette. Please try again.');
+    }
+  }
+
+  /**
+   * Delete a custom palette
+   */
+  async function deleteCustomPalette(key) {
+    const palette = window.SEASONAL_PALETTES[key];
+    if (!palette) return;
+
+    if (key === currentSettings.selectedSeason) {
+      alert('This palette is in use. Choose another season before deleting it.');
+      return;
+    }
+
+    if (!confirm(`Delete "${palette.name}"?`)) {
+      return;
+    }
+
+    const customPalettes = getStoredCustomPalettes();
+    delete customPalettes[key];
+
+    if (paletteEditor?.key === key) {
+      closePaletteEditor();
+    }
+
+    try {
+      await storeCustomPalettes(customPalettes);
+    } catch (error) {
+      console.error('Failed to delete custom palette:', error);
+    }
+  }
+
+  /**
+   * Fill the export dropdown with every palette in the season grid
+   */
+  function renderPaletteExportOptions() {
+    const sourceSelect = document.getElementById('palette-export-source');
+    if (!sourceSelect) return;
+
+    const previous = sourceSelect.value;
+    const keys = [...BUILT_IN_SEASON_KEYS, ...getCustomPaletteKeys()].filter(
+      (key) => window.SEASONAL_PALETTES[key],
+    );
+
+    sourceSelect.innerHTML = keys
+      .map((key) => {
+        const palette = window.SEASONAL_PALETTES[key];
+        return `<option value="${key}">${palette.emoji} ${escapeHtml(palette.name)}</option>`;
+      })
+      .join('');
+
+    // Keep the user's choice, otherwise default to their season
+    if (keys.includes(previous)) {
+      sourceSelect.value = previous;
+    } else if (keys.includes(currentSettings.selectedSeason)) {
+      sourceSelect.value = currentSettings.selectedSeason;
+    }
+  }
+
+  /**
+   * Show an import/export status message
+   */
+  function setPaletteIoStatus(message, isError = false) {
+    const statusEl = document.getElementById('palette-io-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Download the selected palette in the selected format
+   */
+  function exportPalette() {
+    const key = document.getElementById('palette-export-source')?.value;
+    const format = document.getElementById('palette-export-format')?.value;
+    const palette = window.SEASONAL_PALETTES[key];
+    if (!palette) {
+      setPaletteIoStatus('Choose a palette to export', true);
+      return;
+    }
+
+    try {
+      const { content, mimeType, fileName } = PaletteFormats.serialize(palette, format);
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setPaletteIoStatus(`Exported ${palette.name} as ${fileName}`);
+    } catch (error) {
+      console.error('Failed to export palette:', error);
+      setPaletteIoStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Import a palette file as one or more custom palettes
+   */
+  async function importPaletteFile(file) {
+    setPaletteIoStatus('');
+
+    let imported;
+    try {
+      imported = PaletteFormats.parse(file.name, await file.arrayBuffer());
+    } catch (error) {
+      console.error('Failed to import palette:', error);
+      setPaletteIoStatus(error.message, true);
+      return;
+    }
+
+    const customPalettes = getStoredCustomPalettes();
+    const now = Date.now();
+    const notes = [];
+
+    imported.forEach((palette, index) => {
+      const key = `${CUSTOM_PALETTE_PREFIX}${now}${imported.length > 1 ? `-${index + 1}` : ''}`;
+      if (palette.colors.length > CUSTOM_PALETTE_MAX_COLORS) {
+        notes.push(
+          `${palette.name}: kept the first ${CUSTOM_PALETTE_MAX_COLORS} of ${palette.colors.length} colors`,
+        );
+      }
+      customPalettes[key] = {
+        name: palette.name,
+        description: `Imported from ${file.name}`,
+        emoji: '🎨',
+        colors: palette.colors.slice(0, CUSTOM_PALETTE_MAX_COLORS),
+        basedOn: null,
+      };
+    });
+
+    try {
+      await storeCustomPalettes(customPalettes);
+      const names = imported.map((palette) => palette.name).join(', ');
+      setPaletteIoStatus([`Imported ${names}`, ...notes].join('. '));
+    } catch (error) {
+      console.error('Failed to save imported palette:', error);
+      setPaletteIoStatus('Failed to save the imported palette. Please try again.', true);
+    }
+  }
+
   /**
    * Get current tab domain
    */
@@ -529,6 +1136,51 @@
     currentSettings.showSwatches = enabled;
   }
 
+  /**
+   * Set how non-matching products are shown on listing pages
+   */
+  function setFilterMode(mode) {
+    // Update storage - content scripts re-apply the mode without re-analyzing
+    chrome.storage.sync.set({ filterMode: mode });
+    currentSettings.filterMode = mode;
+  }
+
+  /**
+   * Set Delta E formula used for all color matching
+   */
+  function setDeltaEFormula(formula) {
+    // Update storage - content scripts re-run matching with the new formula
+    chrome.storage.sync.set({ deltaEFormula: formula });
+    currentSettings.deltaEFormula = formula;
+  }
+
+  /**
+   * Set color extraction mode ('heuristic' or 'precise')
+   */
+  function setExtractionMode(mode) {
+    // Update storage - content scripts re-analyze images with the new mode
+    chrome.storage.sync.set({ extractionMode: mode });
+    currentSettings.extractionMode = mode;
+  }
+
+  /**
+   * Toggle lighting (white balance) correction before color matching
+   */
+  function toggleWhiteBalance(enabled) {
+    // Update storage - content scripts re-analyze images with or without the correction
+    chrome.storage.sync.set({ whiteBalance: enabled });
+    currentSettings.whiteBalance = enabled;
+  }
+
+  /**
+   * Set the user's personal contrast level ('season', 'low', 'medium' or 'high')
+   */
+  function setContrastLevel(level) {
+    // Update storage - content scripts re-match multi-color items against the new level
+    chrome.storage.sync.set({ contrastLevel: level });
+    currentSettings.contrastLevel = level;
+  }
+
   /**
    * Toggle favorites list visibility
    */
@@ -719,6 +1371,12 @@
             </button>
           </div>
           <div class="wishlist-item-info">
+            ${
+              item.title
+                ? `<div class="wishlist-item-title">${escapeHtml(item.title)}</div>`
+                : ''
+            }
+            ${formatWishlistDetails(item)}
             <div class="wishlist-item-colors" aria-hidden="true">
               ${(item.dominantColors || [])
                 .slice(0, 3)
@@ -750,6 +1408,34 @@
     }
   }
 
+  /**
+   * Brand · color · price line for a wishlist item (saved from the product page's metadata)
+   * @param {Object} item
+   * @returns {string} - HTML, empty if the item has none of these
+   */
+  function formatWishlistDetails(item) {
+    const parts = [item.brand, item.colorName];
+
+    if (typeof item.price === 'number') {
+      let price = item.price.toFixed(2);
+      if (item.currency) {
+        try {
+          price = new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: item.currency,
+          }).format(item.price);
+        } catch (e) {
+          price = `${price} ${item.currency}`; // Not an ISO 4217 code
+        }
+      }
+      parts.push(price);
+    }
+
+    const details = parts.filter(Boolean);
+    if (details.length === 0) return '';
+    return `<div class="wishlist-item-details">${escapeHtml(details.join(' · '))}</div>`;
+  }
+
   /**
    * Remove item from wishlist
    */
@@ -1018,6 +1704,21 @@
     );
   }
 
+  /**
+   * Clear cached image analyses (images are re-analyzed on the next visit)
+   */
+  function clearAnalysisCache() {
+    if (!confirm('Clear cached image analyses? Product photos will be re-analyzed.')) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: 'clearAnalysisCache' }, (response) => {
+      if (response && response.success) {
+        loadAnalysisCacheStats();
+      }
+    });
+  }
+
   /**
    * Listen for color history updates
    */
@@ -1026,6 +1727,7 @@
       // Reload color history
       loadColorHistory().then(() => {
         renderColorHistory();
+        renderPaletteEditor();
       });
     }
   });
@@ -1058,6 +1760,11 @@
         }
       }
     }
+
+    // Custom palettes edited elsewhere (e.g. another popup window)
+    if (area === 'local' && changes.customPalettes) {
+      refreshSeasonCards();
+    }
   });
 
   // Initialize when DOM is ready
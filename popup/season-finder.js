@@ -0,0 +1,297 @@
+/**
+ * SEASON FINDER
+ *
+ * Guided "find my season" page:
+ * - Load a portrait from a local file or a webcam capture
+ * - Run PortraitAnalyzer (background removal + skin / eye / hair sampling) on-device
+ * - Show estimated undertone, depth, contrast and clarity
+ * - Suggest the top 3 seasons with reasons, and let the user pick one
+ *
+ * The photo never leaves the page: nothing is uploaded or written to storage.
+ */
+
+(function () {
+  'use strict';
+
+  let analyzer = null;
+  let webcamStream = null;
+  let isAnalyzing = false;
+
+  /**
+   * Initialize page
+   */
+  function initialize() {
+    analyzer = new PortraitAnalyzer({
+      colorProcessor: new ColorProcessor(),
+      backgroundRemover: typeof BackgroundRemover !== 'undefined' ? new BackgroundRemover() : null,
+    });
+
+    setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  function setupEventListeners() {
+    const photoInput = document.getElementById('photo-input');
+
+    document.getElementById('upload-photo').addEventListener('click', () => photoInput.click());
+
+    photoInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (file) analyzeFile(file);
+    });
+
+    document.getElementById('start-webcam').addEventListener('click', startWebcam);
+    document.getElementById('stop-webcam').addEventListener('click', stopWebcam);
+    document.getElementById('capture-photo').addEventListener('click', captureWebcam);
+
+    // Release the camera if the tab is closed mid-capture
+    window.addEventListener('pagehide', stopWebcam);
+  }
+
+  /**
+   * Show a status message
+   */
+  function setStatus(message, isError = false) {
+    const statusEl = document.getElementById('status');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  /**
+   * Load a local image file and analyze it
+   */
+  function analyzeFile(file) {
+    if (!file.type.startsWith('image/')) {
+      setStatus('Please choose an image file (JPEG, PNG, WebP or HEIC).', true);
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      analyzePortrait(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setStatus('This image could not be opened. Try a JPEG or PNG.', true);
+    };
+    img.src = url;
+  }
+
+  /**
+   * Start the webcam preview
+   */
+  async function startWebcam() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setStatus('Webcam capture is not available in this browser.', true);
+      return;
+    }
+
+    try {
+      webcamStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+        audio: false,
+      });
+      const video = document.getElementById('webcam-video');
+      video.srcObject = webcamStream;
+      document.getElementById('webcam').style.display = 'block';
+      setStatus('Face the camera in good light, then click Capture.');
+    } catch (error) {
+      console.error('[Season Finder] Webcam error:', error);
+      setStatus(
+        error.name === 'NotAllowedError'
+          ? 'Camera access was blocked. Allow it in the address bar, or upload a photo instead.'
+          : 'Could not start the webcam. Upload a photo instead.',
+        true,
+      );
+    }
+  }
+
+  /**
+   * Stop the webcam and hide the preview
+   */
+  function stopWebcam() {
+    if (webcamStream) {
+      webcamStream.getTracks().forEach((track) => track.stop());
+      webcamStream = null;
+    }
+    const webcam = document.getElementById('webcam');
+    if (webcam) webcam.style.display = 'none';
+  }
+
+  /**
+   * Capture the current webcam frame and analyze it
+   */
+  function captureWebcam() {
+    const video = document.getElementById('webcam-video');
+    if (!video.videoWidth) {
+      setStatus('The camera is still starting, try again in a moment.', true);
+      return;
+    }
+
+    const frame = document.createElement('canvas');
+    frame.width = video.videoWidth;
+    frame.height = video.videoHeight;
+    frame.getContext('2d').drawImage(video, 0, 0);
+
+    stopWebcam();
+    analyzePortrait(frame);
+  }
+
+  /**
+   * Run portrait analysis and render results
+   */
+  async function analyzePortrait(source) {
+    if (isAnalyzing) return;
+    isAnalyzing = true;
+
+    document.getElementById('results-section').style.display = 'none';
+    setStatus('Analyzing your photo… the first run loads the on-device model and can take a moment.');
+
+    try {
+      const result = await analyzer.analyze(source, window.SEASONAL_PALETTES);
+      renderPreview(result);
+      renderResults(result);
+      setStatus(
+        result.backgroundRemoved
+          ? ''
+          : 'Background removal was unavailable, so the whole photo was sampled. Results may be less accurate.',
+      );
+    } catch (error) {
+      console.error('[Season Finder] Analysis failed:', error);
+      setStatus(error.message || 'Analysis failed. Try another photo.', true);
+    } finally {
+      isAnalyzing = false;
+    }
+  }
+
+  /**
+   * Draw the analyzed photo with the sampled regions outlined
+   */
+  function renderPreview(result) {
+    const preview = document.getElementById('preview');
+    const canvas = document.getElementById('preview-canvas');
+    canvas.width = result.canvas.width;
+    canvas.height = result.canvas.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(result.canvas, 0, 0);
+    ctx.lineWidth = 2;
+
+    const outline = (region, color) => {
+      ctx.strokeStyle = color;
+      ctx.strokeRect(region.minX, region.minY, region.maxX - region.minX, region.maxY - region.minY);
+    };
+    outline(result.regions.face, '#a9d4c0');
+    if (result.samples.hair) outline(result.regions.hair, '#f5b971');
+    if (result.samples.eyes) outline(result.regions.eyes, '#8fb8ff');
+
+    preview.style.display = 'block';
+  }
+
+  /**
+   * Render traits and season suggestions
+   */
+  function renderResults(result) {
+    const { samples, traits, suggestions } = result;
+
+    // Sampled colors
+    const sampleLabels = { skin: 'Skin', hair: 'Hair', eyes: 'Eyes' };
+    document.getElementById('samples').innerHTML = Object.entries(sampleLabels)
+      .map(([key, label]) => {
+        const sample = samples[key];
+        return `
+        <div class="sample">
+          <span class="sample-swatch${sample ? '' : ' missing'}" style="${
+          sample ? `background: ${sample.hex}` : ''
+        }"></span>
+          <span class="sample-label">${label}</span>
+          <span class="sample-hex">${sample ? sample.hex : 'not found'}</span>
+        </div>
+      `;
+      })
+      .join('');
+
+    // Traits
+    const traitRows = [
+      ['Undertone', traits.undertone.label],
+      ['Depth', traits.depth.label],
+      ['Contrast', traits.contrast.label],
+      ['Clarity', traits.clarity.label],
+    ];
+    document.getElementById('traits').innerHTML = traitRows
+      .map(
+        ([label, value]) => `
+        <div class="trait">
+          <span class="trait-label">${label}</span>
+          <span class="trait-value">${value}</span>
+        </div>
+      `,
+      )
+      .join('');
+
+    // Top 3 seasons
+    const suggestionsEl = document.getElementById('suggestions');
+    suggestionsEl.innerHTML = suggestions
+      .map((suggestion, index) => {
+        const season = window.SEASONAL_PALETTES[suggestion.seasonKey];
+        return `
+        <div class="suggestion${index === 0 ? ' best' : ''}">
+          <div class="suggestion-header">
+            <span class="suggestion-emoji" aria-hidden="true">${suggestion.emoji}</span>
+            <div class="suggestion-title">
+              <h3>${suggestion.name}</h3>
+              <span class="suggestion-score">${suggestion.score}% fit</span>
+            </div>
+            <button class="btn btn-primary btn-sm use-season" data-season="${suggestion.seasonKey}">
+              Use this season
+            </button>
+          </div>
+          <div class="suggestion-colors" aria-hidden="true">
+            ${season.colors
+              .slice(0, 10)
+              .map((color) => `<span class="color-dot" style="background: ${color}"></span>`)
+              .join('')}
+          </div>
+          <ul class="suggestion-reasons">
+            ${suggestion.reasons.map((reason) => `<li>${reason}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+      })
+      .join('');
+
+    suggestionsEl.querySelectorAll('.use-season').forEach((btn) => {
+      btn.addEventListener('click', () => useSeason(btn.dataset.season, btn));
+    });
+
+    document.getElementById('results-section').style.display = 'block';
+  }
+
+  /**
+   * Save a suggested season as the user's season
+   */
+  function useSeason(seasonKey, button) {
+    chrome.runtime.sendMessage({ action: 'setSeason', season: seasonKey }, (response) => {
+      if (response && response.success) {
+        document.querySelectorAll('.use-season').forEach((btn) => {
+          btn.textContent = 'Use this season';
+        });
+        button.textContent = '✓ Saved as your season';
+      } else {
+        setStatus('Could not save your season. Please try again.', true);
+      }
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,77 @@
+/**
+ * Beauty shade fixtures for test/beauty-shades-test.html
+ *
+ * BEAUTY_SHADE_FIXTURES are shade names as brands print them, with the code,
+ * depth and undertone parseShadeName() should read out of each.
+ * BEAUTY_PAGE_FIXTURES are trimmed product page headers; `expected` is the
+ * category detectBeautyProduct() should report, or null for a non-beauty page.
+ */
+
+const BEAUTY_SHADE_FIXTURES = [
+  {
+    name: 'Warm Beige 230N',
+    expected: { code: '230N', level: 230, undertone: 'neutral', source: 'code' },
+  },
+  {
+    name: 'NC42',
+    expected: { code: 'NC42', level: 42, undertone: 'neutral-warm', source: 'code' },
+  },
+  {
+    name: 'NC 42',
+    expected: { code: 'NC42', level: 42, undertone: 'neutral-warm', source: 'code' },
+  },
+  {
+    name: '2W1',
+    expected: { code: '2W1', level: 2, undertone: 'warm', source: 'code' },
+  },
+  {
+    name: 'Fair (C1)',
+    expected: { code: 'C1', level: 1, undertone: 'cool', source: 'code' },
+  },
+  {
+    name: 'Cool Ivory',
+    expected: { code: null, level: null, undertone: 'cool', source: 'name' },
+  },
+  {
+    name: 'Ruby Woo',
+    expected: { code: null, level: null, undertone: null, source: null },
+  },
+];
+
+const BEAUTY_PAGE_FIXTURES = [
+  {
+    name: 'Lipstick',
+    html: '<h1>Matte Lipstick - Ruby Woo</h1>',
+    expected: 'lips',
+  },
+  {
+    name: 'Foundation from the Open Graph title',
+    html: '<meta property="og:title" content="Studio Fix Fluid SPF 15 Foundation">',
+    expected: 'face',
+  },
+  {
+    name: 'Nail polish',
+    html: '<h1>Nail Lacquer in Big Apple Red</h1>',
+    expected: 'nails',
+  },
+  {
+    name: 'Last product word wins',
+    html: '<h1>Tee-Rose Lip Tint</h1>',
+    expected: 'lips',
+  },
+  {
+    name: 'Garment named after a beauty product',
+    html: '<h1>Lipstick Print Tee</h1>',
+    expected: null,
+  },
+  {
+    name: 'Not a beauty product',
+    html: '<h1>Linen Shirt</h1>',
+    expected: null,
+  },
+];
+
+if (typeof window !== 'undefined') {
+  window.BEAUTY_SHADE_FIXTURES = BEAUTY_SHADE_FIXTURES;
+  window.BEAUTY_PAGE_FIXTURES = BEAUTY_PAGE_FIXTURES;
+}
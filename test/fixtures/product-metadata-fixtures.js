@@ -0,0 +1,229 @@
+/**
+ * Product metadata fixtures for test/product-metadata-test.html
+ *
+ * Each fixture is a trimmed copy of the markup one publishing style produces.
+ * `expected` lists the merged fields to check; `variantImage` (optional) is a
+ * product photo URL and the color of the variant it should map to.
+ */
+
+const PRODUCT_METADATA_FIXTURES = [
+  {
+    name: 'JSON-LD Product with a single color',
+    html: `
+      <script type="application/ld+json">
+        {
+          "@context": "https://schema.org",
+          "@type": "Product",
+          "name": "Linen Shirt",
+          "brand": { "@type": "Brand", "name": "Madewell" },
+          "color": "Sage Green",
+          "image": ["https://cdn.example.com/linen-shirt-sage.jpg"],
+          "offers": { "@type": "Offer", "price": "78.00", "priceCurrency": "USD", "availability": "https://schema.org/InStock" }
+        }
+      </script>
+    `,
+    expected: {
+      title: 'Linen Shirt',
+      brand: 'Madewell',
+      price: 78,
+      currency: 'USD',
+      colors: ['Sage Green'],
+      variants: 0,
+      sources: ['json-ld'],
+    },
+  },
+  {
+    name: 'JSON-LD ProductGroup in @graph with @id variant references',
+    html: `
+      <script type="application/ld+json">
+        {
+          "@context": "https://schema.org",
+          "@graph": [
+            { "@type": "WebPage", "name": "Wrap Dress | Shop" },
+            {
+              "@type": "ProductGroup",
+              "@id": "#group",
+              "name": "Wrap Dress",
+              "brand": "Reformation",
+              "productGroupID": "WD-100",
+              "variesBy": ["https://schema.org/color", "https://schema.org/size"],
+              "hasVariant": [{ "@id": "#navy" }, { "@id": "#rust" }]
+            },
+            {
+              "@type": "Product",
+              "@id": "#navy",
+              "name": "Wrap Dress - Navy",
+              "color": "Navy",
+              "sku": "WD-100-NVY",
+              "image": { "@type": "ImageObject", "url": "https://cdn.example.com/wrap-dress-navy_800x.jpg" },
+              "offers": { "@type": "Offer", "price": 248, "priceCurrency": "USD" }
+            },
+            {
+              "@type": "Product",
+              "@id": "#rust",
+              "name": "Wrap Dress - Rust",
+              "color": "Rust",
+              "sku": "WD-100-RST",
+              "image": "https://cdn.example.com/wrap-dress-rust_800x.jpg",
+              "offers": { "@type": "Offer", "price": 248, "priceCurrency": "USD", "availability": "https://schema.org/OutOfStock" }
+            }
+          ]
+        }
+      </script>
+    `,
+    expected: {
+      title: 'Wrap Dress',
+      brand: 'Reformation',
+      price: 248,
+      currency: 'USD',
+      colors: ['Navy', 'Rust'],
+      variants: 2,
+      sources: ['json-ld'],
+    },
+    variantImage: { url: 'https://cdn.example.com/wrap-dress-rust_400x.jpg?v=12', color: 'Rust' },
+  },
+  {
+    name: 'JSON-LD ProductGroup with inline hasVariant',
+    html: `
+      <script type="application/ld+json">
+        [
+          { "@context": "https://schema.org", "@type": "BreadcrumbList", "itemListElement": [] },
+          {
+            "@context": "https://schema.org",
+            "@type": "ProductGroup",
+            "name": "Cashmere Crew",
+            "brand": { "name": "Uniqlo" },
+            "hasVariant": [
+              { "@type": "Product", "name": "Cashmere Crew", "color": "Camel", "image": "https://cdn.example.com/crew-camel.jpg",
+                "offers": { "@type": "Offer", "price": "129.90", "priceCurrency": "EUR" } },
+              { "@type": "Product", "name": "Cashmere Crew", "color": "Charcoal", "image": "https://cdn.example.com/crew-charcoal.jpg",
+                "offers": { "@type": "Offer", "price": "129.90", "priceCurrency": "EUR" } }
+            ]
+          }
+        ]
+      </script>
+    `,
+    expected: {
+      title: 'Cashmere Crew',
+      brand: 'Uniqlo',
+      price: 129.9,
+      currency: 'EUR',
+      colors: ['Camel', 'Charcoal'],
+      variants: 2,
+      sources: ['json-ld'],
+    },
+    variantImage: { url: 'https://cdn.example.com/crew-camel.jpg', color: 'Camel' },
+  },
+  {
+    name: 'Microdata Product with nested offer, brand and hasVariant',
+    html: `
+      <div itemscope itemtype="https://schema.org/Product">
+        <h1 itemprop="name">Pleated Midi Skirt</h1>
+        <div itemprop="brand" itemscope itemtype="https://schema.org/Brand">
+          <span itemprop="name">J.Crew</span>
+        </div>
+        <img itemprop="image" src="https://cdn.example.com/skirt-emerald.jpg" alt="">
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+          <span itemprop="price" content="1299.00">1.299,00</span>
+          <meta itemprop="priceCurrency" content="SEK">
+        </div>
+        <div itemprop="hasVariant" itemscope itemtype="https://schema.org/Product">
+          <meta itemprop="name" content="Pleated Midi Skirt - Emerald">
+          <span itemprop="color">Emerald</span>
+          <link itemprop="image" href="https://cdn.example.com/skirt-emerald.jpg">
+        </div>
+        <div itemprop="hasVariant" itemscope itemtype="https://schema.org/Product">
+          <meta itemprop="name" content="Pleated Midi Skirt - Black">
+          <span itemprop="color">Black</span>
+          <link itemprop="image" href="https://cdn.example.com/skirt-black.jpg">
+        </div>
+      </div>
+    `,
+    expected: {
+      title: 'Pleated Midi Skirt',
+      brand: 'J.Crew',
+      price: 1299,
+      currency: 'SEK',
+      colors: ['Emerald', 'Black'],
+      variants: 2,
+      sources: ['microdata'],
+    },
+    variantImage: { url: 'https://cdn.example.com/skirt-black.jpg', color: 'Black' },
+  },
+  {
+    name: 'Open Graph product tags only',
+    html: `
+      <meta property="og:type" content="product">
+      <meta property="og:title" content="Silk Scarf">
+      <meta property="og:image" content="https://cdn.example.com/scarf.jpg">
+      <meta property="product:brand" content="Anthropologie">
+      <meta property="product:price:amount" content="58.00">
+      <meta property="product:price:currency" content="GBP">
+      <meta property="product:color" content="Dusty Rose">
+    `,
+    expected: {
+      title: 'Silk Scarf',
+      brand: 'Anthropologie',
+      price: 58,
+      currency: 'GBP',
+      colors: ['Dusty Rose'],
+      variants: 0,
+      sources: ['open-graph'],
+    },
+  },
+  {
+    name: 'Shopify product JSON merged with Open Graph currency',
+    html: `
+      <meta property="og:type" content="product">
+      <meta property="og:title" content="Everyday Tee">
+      <meta property="og:price:amount" content="32.00">
+      <meta property="og:price:currency" content="CAD">
+    `,
+    shopify: {
+      url: 'https://shop.example.com/products/everyday-tee.js',
+      product: {
+        id: 1,
+        title: 'Everyday Tee',
+        vendor: 'Basics Co',
+        price: 3200,
+        options: [
+          { name: 'Size', position: 1, values: ['S', 'M'] },
+          { name: 'Colour', position: 2, values: ['Oatmeal', 'Cobalt'] },
+        ],
+        variants: [
+          { id: 11, title: 'S / Oatmeal', option1: 'S', option2: 'Oatmeal', price: 3200, available: true,
+            featured_image: { src: '//cdn.shopify.com/s/files/1/tee-oatmeal.jpg?v=1' } },
+          { id: 12, title: 'S / Cobalt', option1: 'S', option2: 'Cobalt', price: 3200, available: false,
+            featured_image: { src: '//cdn.shopify.com/s/files/1/tee-cobalt.jpg?v=1' } },
+        ],
+      },
+    },
+    expected: {
+      title: 'Everyday Tee',
+      brand: 'Basics Co',
+      price: 32,
+      currency: 'CAD',
+      colors: ['Oatmeal', 'Cobalt'],
+      variants: 2,
+      sources: ['open-graph', 'shopify'],
+    },
+    variantImage: { url: 'https://cdn.shopify.com/s/files/1/tee-cobalt_600x.jpg?v=1', color: 'Cobalt' },
+  },
+  {
+    name: 'Listing page with several unrelated JSON-LD products',
+    html: `
+      <script type="application/ld+json">
+        [
+          { "@context": "https://schema.org", "@type": "Product", "name": "Blazer", "color": "Black" },
+          { "@context": "https://schema.org", "@type": "Product", "name": "Trousers", "color": "Ivory" }
+        ]
+      </script>
+      <script type="application/ld+json">{ not valid json </script>
+    `,
+    expected: null,
+  },
+];
+
+if (typeof window !== 'undefined') {
+  window.PRODUCT_METADATA_FIXTURES = PRODUCT_METADATA_FIXTURES;
+}
@@ -0,0 +1,461 @@
+/**
+ * Listing-page markup for each site adapter in data/site-adapters.js,
+ * trimmed to what the adapters look at. Used by test/site-adapters-test.html.
+ *
+ * Marked with data-fixture attributes:
+ * - data-fixture="primary"  every image the adapter should return, in page order
+ * - data-fixture="swatch"   swatches of the first card
+ * - data-fixture="selected" the first card's selected swatch (also marked "swatch")
+ *
+ * Each fixture also includes decoys (logos, badges, "more colors" icons) that
+ * must not be picked up.
+ */
+
+const SITE_ADAPTER_FIXTURES = {
+  'nordstrom.com': {
+    hostname: 'www.nordstrom.com',
+    colorName: 'Navy',
+    nextPage: '/browse/women/clothing?page=2',
+    html: `
+      <header><img src="nordstrom-logo.svg" alt="Nordstrom"></header>
+      <div id="product-results-view">
+        <article data-testid="product-module">
+          <img src="badge-new.png" alt="New arrival">
+          <img name="product-module-image" data-fixture="primary" src="cardigan-navy.jpg" alt="Wool cardigan">
+          <ul aria-label="Colors">
+            <li><button data-testid="color-swatch" data-fixture="swatch" aria-label="Ivory" aria-pressed="false"></button></li>
+            <li><button data-testid="color-swatch" data-fixture="swatch selected" aria-label="Navy" aria-pressed="true"></button></li>
+          </ul>
+          <span data-testid="selected-color-name">Navy</span>
+        </article>
+        <article data-testid="product-module">
+          <img name="product-module-image" data-fixture="primary" src="dress-rust.jpg" alt="Midi dress">
+          <ul aria-label="Colors">
+            <li><button data-testid="color-swatch" aria-label="Rust" aria-pressed="true"></button></li>
+          </ul>
+        </article>
+      </div>
+      <nav aria-label="Pagination"><a rel="next" href="/browse/women/clothing?page=2">Next</a></nav>`,
+  },
+
+  'macys.com': {
+    hostname: 'www.macys.com',
+    colorName: 'Camel',
+    nextPage: '/shop/womens-clothing/Pageindex/2',
+    html: `
+      <ul class="items">
+        <li class="productThumbnailItem">
+          <div class="productThumbnail">
+            <img class="thumbnailImage" data-fixture="primary" src="coat-camel.jpg" alt="Wrap coat">
+            <ul class="colorSwatches">
+              <li class="colorSwatch selected" data-fixture="swatch selected" title="Camel"></li>
+              <li class="colorSwatch" data-fixture="swatch" title="Black"></li>
+              <li class="colorSwatch" data-fixture="swatch" title="Charcoal"></li>
+            </ul>
+            <span class="color-name">Camel</span>
+          </div>
+        </li>
+        <li class="productThumbnailItem">
+          <div class="productThumbnail">
+            <img class="thumbnailImage" data-fixture="primary" src="sweater-teal.jpg" alt="Crewneck sweater">
+          </div>
+        </li>
+      </ul>
+      <ul class="pagination"><li class="next-page"><a href="/shop/womens-clothing/Pageindex/2">›</a></li></ul>`,
+  },
+
+  'bloomingdales.com': {
+    hostname: 'www.bloomingdales.com',
+    colorName: 'Blush',
+    nextPage: '/shop/womens-apparel/Pageindex/2',
+    html: `
+      <ul class="items">
+        <li class="productThumbnailItem">
+          <div class="productThumbnail">
+            <img class="thumbnailImage" data-fixture="primary" src="blouse-blush.jpg" alt="Silk blouse">
+            <ul class="colorSwatches">
+              <li class="colorSwatch" data-fixture="swatch" title="Ivory"></li>
+              <li class="colorSwatch" data-fixture="swatch selected" aria-checked="true" title="Blush"></li>
+            </ul>
+            <span class="selected-color-name">Color: Blush</span>
+          </div>
+        </li>
+        <li class="productThumbnailItem">
+          <div class="productThumbnail">
+            <img class="thumbnailImage" data-fixture="primary" src="trouser-olive.jpg" alt="Wide-leg trouser">
+          </div>
+        </li>
+      </ul>
+      <ul class="pagination"><li class="next-page"><a href="/shop/womens-apparel/Pageindex/2">Next</a></li></ul>`,
+  },
+
+  'saksfifthavenue.com': {
+    hostname: 'www.saksfifthavenue.com',
+    colorName: 'Emerald',
+    nextPage: '/c/women/apparel?start=48',
+    html: `
+      <div class="product-grid">
+        <div class="product-tile">
+          <div class="image-container">
+            <a href="/product/1"><img class="tile-image" data-fixture="primary" src="gown-emerald.jpg" alt="Satin gown"></a>
+            <img class="designer-badge" src="exclusive.svg" alt="Exclusive">
+          </div>
+          <div class="color-swatches">
+            <button class="swatch color-attribute selected" data-fixture="swatch selected" aria-label="Emerald"></button>
+            <button class="swatch color-attribute" data-fixture="swatch" aria-label="Black"></button>
+          </div>
+          <span class="selected-color-name">Emerald</span>
+        </div>
+        <div class="product-tile">
+          <div class="image-container">
+            <img class="tile-image" data-fixture="primary" src="jacket-cream.jpg" alt="Tweed jacket">
+          </div>
+        </div>
+      </div>
+      <a class="page-next" href="/c/women/apparel?start=48">Next</a>`,
+  },
+
+  'neimanmarcus.com': {
+    hostname: 'www.neimanmarcus.com',
+    colorName: 'Cobalt',
+    nextPage: '/c/womens-clothing?page=2',
+    html: `
+      <div class="product-list">
+        <div class="product-thumbnail">
+          <img class="product-thumbnail__image" data-fixture="primary" src="sweater-cobalt.jpg" alt="Cashmere sweater">
+          <div class="product-thumbnail__swatches">
+            <span class="color-swatch color-swatch--selected" data-fixture="swatch selected" title="Cobalt"></span>
+            <span class="color-swatch" data-fixture="swatch" title="Oatmeal"></span>
+          </div>
+          <span class="product-thumbnail__color-name">Cobalt</span>
+        </div>
+        <div class="product-thumbnail">
+          <img class="product-thumbnail__image" data-fixture="primary" src="skirt-plum.jpg" alt="Pleated skirt">
+        </div>
+      </div>
+      <a class="pagination__next" href="/c/womens-clothing?page=2">Next</a>`,
+  },
+
+  'zara.com': {
+    hostname: 'www.zara.com',
+    colorName: 'Ecru',
+    nextPage: '/us/en/woman-dresses-l1066.html?page=2',
+    html: `
+      <ul class="product-grid__product-list">
+        <li class="product-grid-product">
+          <img class="media-image__image" data-fixture="primary" src="dress-ecru.jpg" alt="Linen dress">
+          <div class="product-grid-product-info">
+            <ul class="product-grid-product-info__colors">
+              <li data-fixture="swatch" aria-label="Black"></li>
+              <li data-fixture="swatch selected" aria-current="true" aria-label="Ecru"></li>
+            </ul>
+          </div>
+        </li>
+        <li class="product-grid-product">
+          <img class="media-image__image" data-fixture="primary" src="blazer-khaki.jpg" alt="Blazer">
+        </li>
+      </ul>
+      <a rel="next" href="/us/en/woman-dresses-l1066.html?page=2">Next</a>`,
+  },
+
+  'hm.com': {
+    hostname: 'www2.hm.com',
+    colorName: 'Dusty pink',
+    nextPage: '/en_us/women/products/view-all.html?page=2',
+    html: `
+      <ul class="products-listing">
+        <li class="product-item">
+          <article data-articlecode="0970818001">
+            <img class="item-image" data-fixture="primary" src="hoodie-pink.jpg" alt="Oversized hoodie">
+            <ul class="list-swatches">
+              <li><a class="swatch active" data-fixture="swatch selected" title="Dusty pink"></a></li>
+              <li><a class="swatch" data-fixture="swatch" title="Black"></a></li>
+              <li><a class="swatch" data-fixture="swatch" title="Light grey marl"></a></li>
+            </ul>
+          </article>
+        </li>
+        <li class="product-item">
+          <article data-articlecode="1024256002">
+            <img class="item-image" data-fixture="primary" src="jeans-blue.jpg" alt="Wide jeans">
+          </article>
+        </li>
+      </ul>
+      <a class="load-more-products" href="/en_us/women/products/view-all.html?page=2">Load more products</a>`,
+  },
+
+  'asos.com': {
+    hostname: 'www.asos.com',
+    colorName: 'Sage',
+    nextPage: '/women/dresses/cat/?cid=8799&page=2',
+    html: `
+      <section data-auto-id="productList">
+        <article data-auto-id="productTile">
+          <img data-auto-id="productTileImage" data-fixture="primary" src="dress-sage.jpg" alt="Midi dress in sage">
+          <ul>
+            <li><button data-auto-id="colourSwatch" data-fixture="swatch selected" aria-checked="true" aria-label="Sage"></button></li>
+            <li><button data-auto-id="colourSwatch" data-fixture="swatch" aria-checked="false" aria-label="Chocolate"></button></li>
+          </ul>
+          <p data-auto-id="productColour">Sage</p>
+        </article>
+        <article data-auto-id="productTile">
+          <img data-auto-id="productTileImage" data-fixture="primary" src="top-lilac.jpg" alt="Crop top in lilac">
+        </article>
+      </section>
+      <a data-auto-id="loadMoreProducts" href="/women/dresses/cat/?cid=8799&page=2">Load more</a>`,
+  },
+
+  'gap.com': {
+    hostname: 'www.gap.com',
+    colorName: 'Heather Grey',
+    nextPage: '/browse/category.do?cid=5664&pageId=1',
+    html: `
+      <div class="product-grid">
+        <div class="product-card">
+          <div class="product-card__image"><img data-fixture="primary" src="tee-grey.jpg" alt="Vintage tee"></div>
+          <div class="swatch-wrapper">
+            <label class="swatch" data-fixture="swatch selected"><input type="radio" name="color-radio" value="Heather Grey" checked></label>
+            <label class="swatch" data-fixture="swatch"><input type="radio" name="color-radio" value="True Black"></label>
+          </div>
+          <span class="swatch-label__value">Heather Grey</span>
+        </div>
+        <div class="product-card">
+          <div class="product-card__image"><img data-fixture="primary" src="chino-khaki.jpg" alt="Chinos"></div>
+        </div>
+      </div>
+      <a aria-label="Next Page" href="/browse/category.do?cid=5664&pageId=1">›</a>`,
+  },
+
+  'uniqlo.com': {
+    hostname: 'www.uniqlo.com',
+    colorName: '09 Black',
+    nextPage: '/us/en/women/tops?page=2',
+    html: `
+      <div class="fr-ec-product-collection">
+        <div class="fr-ec-product-tile">
+          <div class="fr-ec-product-tile__image"><img data-fixture="primary" src="turtleneck-black.jpg" alt="Heattech turtleneck"></div>
+          <ul class="fr-ec-product-tile__colors">
+            <li data-fixture="swatch" aria-label="01 Off White"></li>
+            <li data-fixture="swatch selected" aria-checked="true" aria-label="09 Black"></li>
+          </ul>
+          <span class="fr-ec-product-tile__color-name">09 Black</span>
+        </div>
+        <div class="fr-ec-product-tile">
+          <div class="fr-ec-product-tile__image"><img data-fixture="primary" src="shirt-blue.jpg" alt="Oxford shirt"></div>
+        </div>
+      </div>
+      <a class="fr-ec-pagination__next" href="/us/en/women/tops?page=2">Next</a>`,
+  },
+
+  'shopbop.com': {
+    hostname: 'www.shopbop.com',
+    colorName: 'Rust',
+    nextPage: '/clothing/br/v=1/13266.htm?baseIndex=100',
+    html: `
+      <ul class="search-results">
+        <li class="product-card">
+          <img class="product-image" data-fixture="primary" src="slipdress-rust.jpg" alt="Slip dress">
+          <img class="hover-image" src="slipdress-rust-back.jpg" alt="Slip dress back">
+          <div class="swatches">
+            <span class="swatch selected" data-fixture="swatch selected" title="Rust"></span>
+            <span class="swatch" data-fixture="swatch" title="Black"></span>
+          </div>
+        </li>
+        <li class="product-card">
+          <img class="product-image" data-fixture="primary" src="cardigan-mint.jpg" alt="Cardigan">
+        </li>
+      </ul>
+      <a class="next-page" href="/clothing/br/v=1/13266.htm?baseIndex=100">Next</a>`,
+  },
+
+  'revolve.com': {
+    hostname: 'www.revolve.com',
+    colorName: 'Cherry Red',
+    nextPage: '/dresses/br/a8e981/?pageNum=2',
+    html: `
+      <ul class="plp__products">
+        <li class="plp__product">
+          <img class="plp-image" data-fixture="primary" src="mini-red.jpg" alt="Mini dress">
+          <div class="plp__swatches">
+            <a class="is-active" data-fixture="swatch selected" title="Cherry Red"></a>
+            <a data-fixture="swatch" title="Ivory"></a>
+          </div>
+          <span class="plp__color-name">Cherry Red</span>
+        </li>
+        <li class="plp__product">
+          <img class="plp-image" data-fixture="primary" src="denim-light.jpg" alt="Denim jacket">
+        </li>
+      </ul>
+      <a class="pagination__controls--next" href="/dresses/br/a8e981/?pageNum=2">Next</a>`,
+  },
+
+  'net-a-porter.com': {
+    hostname: 'www.net-a-porter.com',
+    colorName: 'Chocolate',
+    nextPage: '/en-us/shop/clothing?pageNumber=2',
+    html: `
+      <div class="ProductListWithLoadMore52">
+        <div class="ProductItem24">
+          <img class="Image18__image" data-fixture="primary" src="coat-brown.jpg" alt="Wool coat">
+          <div class="ProductItem24__colours">
+            <button class="ColourSwatch24 ColourSwatch24--selected" data-fixture="swatch selected" aria-label="Chocolate"></button>
+            <button class="ColourSwatch24" data-fixture="swatch" aria-label="Navy"></button>
+          </div>
+          <span class="ProductItem24__colour">Chocolate</span>
+        </div>
+        <div class="ProductItem24">
+          <img class="Image18__image" data-fixture="primary" src="knit-cream.jpg" alt="Knit top">
+        </div>
+      </div>
+      <a class="Pagination7__next" href="/en-us/shop/clothing?pageNumber=2">Next</a>`,
+  },
+
+  'farfetch.com': {
+    hostname: 'www.farfetch.com',
+    colorName: 'Forest Green',
+    nextPage: '/shopping/women/clothing-1/items.aspx?page=2',
+    html: `
+      <ul data-testid="product-card-list">
+        <li data-testid="productCard">
+          <img data-component="ProductCardImagePrimary" data-fixture="primary" src="jumper-green.jpg" alt="Jumper">
+          <img data-component="ProductCardImageSecondary" src="jumper-green-back.jpg" alt="Jumper back">
+          <div>
+            <span data-testid="colour-swatch" data-fixture="swatch selected" data-selected="true" title="Forest Green"></span>
+            <span data-testid="colour-swatch" data-fixture="swatch" title="Ecru"></span>
+          </div>
+        </li>
+        <li data-testid="productCard">
+          <img data-component="ProductCardImagePrimary" data-fixture="primary" src="bag-tan.jpg" alt="Bag">
+        </li>
+      </ul>
+      <a data-testid="page-next" href="/shopping/women/clothing-1/items.aspx?page=2">Next</a>`,
+  },
+
+  'ssense.com': {
+    hostname: 'www.ssense.com',
+    colorName: 'Black',
+    nextPage: '/en-us/women/clothing?page=2',
+    html: `
+      <div class="plp-products__row">
+        <div class="plp-products__product-tile">
+          <img class="product-tile__image" data-fixture="primary" src="trench-black.jpg" alt="Trench coat">
+          <ul class="product-tile__colors">
+            <li class="active" data-fixture="swatch selected">Black</li>
+            <li data-fixture="swatch">Beige</li>
+          </ul>
+          <span class="product-tile__color">Black</span>
+        </div>
+        <div class="plp-products__product-tile">
+          <img class="product-tile__image" data-fixture="primary" src="shirt-white.jpg" alt="Shirt">
+        </div>
+      </div>
+      <ul class="pagination"><li class="pagination__next"><a href="/en-us/women/clothing?page=2">›</a></li></ul>`,
+  },
+
+  'target.com': {
+    hostname: 'www.target.com',
+    colorName: 'Burgundy',
+    nextPage: '/c/women-s-clothing/-/N-5xtcg?Nao=24',
+    html: `
+      <section data-test="product-grid">
+        <div data-test="@web/site-top-of-funnel/ProductCardWrapper">
+          <picture data-test="@web/ProductCard/ProductCardImage/primary"><img data-fixture="primary" src="sweater-burgundy.jpg" alt="Sweater"></picture>
+          <picture data-test="@web/ProductCard/ProductCardImage/secondary"><img src="sweater-burgundy-2.jpg" alt=""></picture>
+          <div data-test="@web/ProductCard/ProductCardVariantSwatch">
+            <a data-fixture="swatch selected" aria-current="true" aria-label="Burgundy"></a>
+            <a data-fixture="swatch" aria-label="Heather Gray"></a>
+          </div>
+        </div>
+        <div data-test="@web/site-top-of-funnel/ProductCardWrapper">
+          <picture data-test="@web/ProductCard/ProductCardImage/primary"><img data-fixture="primary" src="leggings-black.jpg" alt="Leggings"></picture>
+        </div>
+      </section>
+      <a rel="next" href="/c/women-s-clothing/-/N-5xtcg?Nao=24">Next</a>`,
+  },
+
+  'oldnavy.com': {
+    hostname: 'oldnavy.gap.com',
+    colorName: 'Mustard',
+    nextPage: '/browse/category.do?cid=1185233&pageId=1',
+    html: `
+      <div class="product-grid">
+        <div class="product-card">
+          <div class="product-card__image"><img data-fixture="primary" src="tee-mustard.jpg" alt="Slub tee"></div>
+          <div class="swatch-wrapper">
+            <label class="swatch" data-fixture="swatch"><input type="radio" name="color-radio" value="Navy"></label>
+            <label class="swatch" data-fixture="swatch selected"><input type="radio" name="color-radio" value="Mustard" checked></label>
+          </div>
+          <span class="product-card__color-name">Mustard</span>
+        </div>
+        <div class="product-card">
+          <div class="product-card__image"><img data-fixture="primary" src="short-denim.jpg" alt="Shorts"></div>
+        </div>
+      </div>
+      <a aria-label="Next Page" href="/browse/category.do?cid=1185233&pageId=1">›</a>`,
+  },
+
+  'jcrew.com': {
+    hostname: 'www.jcrew.com',
+    colorName: 'Hthr Camel',
+    nextPage: '/c/womens/categories/clothing?Npge=2',
+    html: `
+      <ul class="c-product-grid">
+        <li class="c-product-tile">
+          <img class="c-product-tile__image" data-fixture="primary" src="sweater-camel.jpg" alt="Cashmere crewneck">
+          <ul class="c-product-tile__swatches">
+            <li class="is-selected" data-fixture="swatch selected"><img src="swatch-camel.jpg" alt="HTHR CAMEL"></li>
+            <li data-fixture="swatch"><img src="swatch-navy.jpg" alt="NAVY"></li>
+          </ul>
+          <span class="c-product-tile__color-name">Hthr Camel</span>
+        </li>
+        <li class="c-product-tile">
+          <img class="c-product-tile__image" data-fixture="primary" src="blazer-navy.jpg" alt="Blazer">
+        </li>
+      </ul>
+      <a class="pagination__link--next" href="/c/womens/categories/clothing?Npge=2">Next</a>`,
+  },
+
+  'madewell.com': {
+    hostname: 'www.madewell.com',
+    colorName: 'Dried Sage',
+    nextPage: '/womens/clothing?start=60',
+    html: `
+      <div class="product-grid">
+        <div class="product-tile">
+          <div class="image-container"><img class="tile-image" data-fixture="primary" src="jumpsuit-sage.jpg" alt="Jumpsuit"></div>
+          <div class="swatches">
+            <button class="swatch color-attribute" data-fixture="swatch" aria-label="True Black"></button>
+            <button class="swatch color-attribute selected" data-fixture="swatch selected" aria-label="Dried Sage"></button>
+          </div>
+        </div>
+        <div class="product-tile">
+          <div class="image-container"><img class="tile-image" data-fixture="primary" src="jean-indigo.jpg" alt="Jeans"></div>
+        </div>
+      </div>
+      <a class="more-products" href="/womens/clothing?start=60">Load more</a>`,
+  },
+
+  'anthropologie.com': {
+    hostname: 'www.anthropologie.com',
+    colorName: 'Moss',
+    nextPage: '/clothing?page=2',
+    html: `
+      <div class="c-pwa-tile-grid">
+        <div class="c-pwa-tile-grid-inner">
+          <div class="c-pwa-tile-tiles"><img class="c-pwa-image-viewer__img" data-fixture="primary" src="dress-moss.jpg" alt="Maxi dress"></div>
+          <div class="c-pwa-swatches">
+            <span class="c-pwa-swatch c-pwa-swatch--selected" data-fixture="swatch selected" aria-label="Moss"></span>
+            <span class="c-pwa-swatch" data-fixture="swatch" aria-label="Wine"></span>
+          </div>
+          <span class="c-pwa-tile__color">Moss</span>
+        </div>
+        <div class="c-pwa-tile-grid-inner">
+          <div class="c-pwa-tile-tiles"><img class="c-pwa-image-viewer__img" data-fixture="primary" src="top-cream.jpg" alt="Top"></div>
+        </div>
+      </div>
+      <a class="o-pwa-pagination__next" href="/clothing?page=2">Next</a>`,
+  },
+};
+
+if (typeof window !== 'undefined') {
+  window.SITE_ADAPTER_FIXTURES = SITE_ADAPTER_FIXTURES;
+}